@@ -0,0 +1,467 @@
+/**
+ * Tiny Weather - Local Stand-in Weather Server
+ *
+ * Serves the Google Weather API endpoints the app uses, built from the mock
+ * scenarios, so the whole fetch / retry / transform path runs without an
+ * API key:
+ * - POST (or GET) currentConditions:lookup, forecast/hours:lookup and
+ *   forecast/days:lookup, paged with nextPageToken like Google
+ * - GET publicAlerts:lookup, so scenario alerts come through too
+ * - Injectable latency, 429 / 500 errors and malformed bodies
+ *
+ * Run it, then point the app at it:
+ *   npm run stand-in -- --scenario=blizzard --latency=400
+ *   VITE_WEATHER_BASE_URL=http://localhost:8787/v1 VITE_WEATHER_API_KEY=stand-in npm run dev
+ *
+ * Faults can be changed while it runs (handy for end-to-end tests):
+ *   curl -X POST localhost:8787/__stand-in -d '{"failNext": {"status": 429, "count": 2}}'
+ */
+
+import { createServer } from 'node:http';
+import { resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { getMockWeatherData } from '../src/services/weatherApi.js';
+import { MOCK_SCENARIOS } from '../src/services/mockScenarios.js';
+import { estimateTimeZone, getZonedParts } from '../src/utils/time.js';
+
+/**
+ * @typedef {Object} StandInConfig
+ * @property {number} port
+ * @property {string} scenario - Key of MOCK_SCENARIOS
+ * @property {number} seed - Same seed, same weather (per hour)
+ * @property {number} latencyMs - Delay before every weather response
+ * @property {number} errorRate - Share of weather requests (0-1) that fail with errorStatus
+ * @property {429 | 500} errorStatus
+ * @property {number} retryAfterSeconds - Retry-After sent with 429s
+ * @property {number} malformedRate - Share of weather requests (0-1) answered with truncated JSON
+ * @property {{status: number | 'malformed', count: number} | null} failNext - Fail the next `count` requests, then carry on
+ */
+
+/** @type {StandInConfig} */
+const DEFAULT_CONFIG = {
+  port: 8787,
+  scenario: 'default',
+  seed: 1,
+  latencyMs: 0,
+  errorRate: 0,
+  errorStatus: 500,
+  retryAfterSeconds: 2,
+  malformedRate: 0,
+  failNext: null,
+};
+
+/** Google caps page sizes; larger requests page with nextPageToken */
+const MAX_PAGE_SIZE = { hours: 24, days: 10 };
+
+/** Google's error statuses for the codes we inject */
+const ERROR_STATUS = {
+  400: 'INVALID_ARGUMENT',
+  403: 'PERMISSION_DENIED',
+  404: 'NOT_FOUND',
+  429: 'RESOURCE_EXHAUSTED',
+  500: 'INTERNAL',
+  503: 'UNAVAILABLE',
+};
+
+// ============================================================================
+// APP UNITS -> GOOGLE METRIC
+// ============================================================================
+
+const toCelsius = (fahrenheit) => Math.round((fahrenheit - 32) * 5 / 9 * 10) / 10;
+const toKmh = (mph) => Math.round(mph * 1.609344 * 10) / 10;
+const toMillimeters = (inches) => Math.round(inches * 25.4 * 10) / 10;
+const toKilometers = (miles) => Math.round(miles * 1.609344 * 10) / 10;
+// Snow depth back to its melted amount (10:1, see snowWaterToInches)
+const toSnowWater = (inches) => Math.round(inches * 25.4 / 10 * 10) / 10;
+
+/** App conditions Google has no type for */
+const GOOGLE_CONDITION = {
+  OVERCAST: 'MOSTLY_CLOUDY',
+  SLEET: 'RAIN_AND_SNOW',
+};
+
+/** App precipitation types as Google reports them */
+const GOOGLE_PRECIPITATION = {
+  rain: 'RAIN',
+  snow: 'SNOW',
+  mixed: 'RAIN_AND_SNOW',
+};
+
+/**
+ * Google's record shape for the fields current conditions, hours and days share
+ * @param {Object} record - Current conditions, hourly or daily record in app units
+ */
+function toGoogleDetails(record) {
+  const type = GOOGLE_PRECIPITATION[record.precipitationType];
+  return {
+    weatherCondition: {
+      type: GOOGLE_CONDITION[record.condition] ?? record.condition,
+      description: { text: record.conditionText, languageCode: 'en' },
+    },
+    precipitation: {
+      probability: { percent: record.precipitationProbability, ...(type && { type }) },
+      qpf: { quantity: toMillimeters(record.precipitationAmount ?? 0), unit: 'MILLIMETERS' },
+      snowQpf: { quantity: toSnowWater(record.snowfall ?? 0), unit: 'MILLIMETERS' },
+    },
+    wind: {
+      ...(record.windSpeed !== undefined && { speed: { value: toKmh(record.windSpeed), unit: 'KILOMETERS_PER_HOUR' } }),
+      gust: { value: toKmh(record.windGust), unit: 'KILOMETERS_PER_HOUR' },
+    },
+    cloudCover: record.cloudCover,
+  };
+}
+
+/**
+ * Conditions shared by current conditions and hours
+ * @param {Object} record
+ */
+function toGoogleConditions(record) {
+  return {
+    ...toGoogleDetails(record),
+    temperature: { degrees: toCelsius(record.temperature), unit: 'CELSIUS' },
+    feelsLikeTemperature: { degrees: toCelsius(record.feelsLike), unit: 'CELSIUS' },
+    dewPoint: { degrees: toCelsius(record.dewPoint), unit: 'CELSIUS' },
+    relativeHumidity: record.humidity,
+    uvIndex: record.uvIndex,
+    visibility: { distance: toKilometers(record.visibility), unit: 'KILOMETERS' },
+  };
+}
+
+/**
+ * A moment on the same local day as `date` at a wall-clock time
+ * @param {Date} date
+ * @param {string} timeZone
+ * @param {string} clock - e.g. '6:45 AM', as the mock days give it
+ */
+function atLocalTime(date, timeZone, clock) {
+  const [, hour, minute, meridiem] = clock.match(/(\d+):(\d+)\s*(AM|PM)/i);
+  const target = (Number(hour) % 12 + (meridiem.toUpperCase() === 'PM' ? 12 : 0)) * 60 + Number(minute);
+  const { hour: h, minute: m } = getZonedParts(date, timeZone);
+  return new Date(date.getTime() + (target - (h * 60 + m)) * 60 * 1000);
+}
+
+/**
+ * Turn app-shaped weather into Google responses
+ * @param {import('../src/types/index.js').WeatherData} data
+ */
+function toGoogleResponses(data) {
+  const timeZone = { id: data.timeZone };
+  const hourMs = 60 * 60 * 1000;
+
+  return {
+    current: {
+      currentTime: data.current.observationTime.toISOString(),
+      timeZone,
+      isDaytime: data.current.uvIndex > 0,
+      ...toGoogleConditions(data.current),
+    },
+    hours: data.hourly.map(hour => ({
+      interval: {
+        startTime: hour.time.toISOString(),
+        endTime: new Date(hour.time.getTime() + hourMs).toISOString(),
+      },
+      ...toGoogleConditions(hour),
+    })),
+    days: data.daily.map(day => {
+      const { year, month, day: dayOfMonth } = getZonedParts(day.date, data.timeZone);
+      return {
+        interval: {
+          startTime: day.date.toISOString(),
+          endTime: new Date(day.date.getTime() + 24 * hourMs).toISOString(),
+        },
+        displayDate: { year, month, day: dayOfMonth },
+        daytimeForecast: { ...toGoogleDetails(day), uvIndex: day.uvIndexMax },
+        maxTemperature: { degrees: toCelsius(day.tempHigh), unit: 'CELSIUS' },
+        minTemperature: { degrees: toCelsius(day.tempLow), unit: 'CELSIUS' },
+        sunEvents: {
+          sunriseTime: atLocalTime(day.date, data.timeZone, day.sunrise).toISOString(),
+          sunsetTime: atLocalTime(day.date, data.timeZone, day.sunset).toISOString(),
+        },
+      };
+    }),
+    alerts: data.alerts.map(alert => ({
+      alertId: alert.id,
+      alertTitle: { text: alert.event, languageCode: 'en' },
+      description: alert.description,
+      severity: alert.severity.toUpperCase(),
+      areaName: 'Stand-in',
+      startTime: alert.onset.toISOString(),
+      expirationTime: alert.expires.toISOString(),
+      dataSource: { name: 'Tiny Weather stand-in' },
+    })),
+  };
+}
+
+// ============================================================================
+// SCENARIO DATA
+// ============================================================================
+
+/** Responses by scenario, seed, place and hour - every endpoint sees the same weather */
+const responseCache = new Map();
+
+/**
+ * Google responses for a place, from the configured scenario. Data starts
+ * at the top of the current hour so paged requests line up.
+ * @param {StandInConfig} config
+ * @param {number} lat
+ * @param {number} lng
+ */
+function getResponses(config, lat, lng) {
+  const now = new Date();
+  now.setMinutes(0, 0, 0);
+  const timeZone = estimateTimeZone(lat, lng);
+  const key = `${config.scenario}|${config.seed}|${timeZone}|${now.getTime()}`;
+
+  if (!responseCache.has(key)) {
+    responseCache.clear();
+    const data = getMockWeatherData({ scenario: config.scenario, seed: config.seed, now, timeZone });
+    responseCache.set(key, toGoogleResponses(data));
+  }
+  return responseCache.get(key);
+}
+
+/**
+ * One page of forecast items. Page tokens are just the offset, made opaque.
+ * @param {Object[]} items
+ * @param {Object} params - Request parameters
+ * @param {'hours' | 'days'} unit
+ */
+function page(items, params, unit) {
+  const wanted = Math.min(Number(params[unit]) || items.length, items.length);
+  const pageSize = Math.min(Number(params.pageSize) || MAX_PAGE_SIZE[unit], MAX_PAGE_SIZE[unit]);
+  const offset = params.pageToken ? Number(Buffer.from(params.pageToken, 'base64url').toString()) : 0;
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw Object.assign(new Error(`Invalid pageToken "${params.pageToken}"`), { status: 400 });
+  }
+
+  const end = Math.min(offset + pageSize, wanted);
+  return {
+    items: items.slice(offset, end),
+    nextPageToken: end < wanted ? Buffer.from(String(end)).toString('base64url') : undefined,
+  };
+}
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+/**
+ * Weather endpoints by path (after the /v1 prefix)
+ * @type {Record<string, (responses: ReturnType<typeof toGoogleResponses>, params: Object) => Object>}
+ */
+const ROUTES = {
+  'currentConditions:lookup': (responses) => responses.current,
+
+  'forecast/hours:lookup': (responses, params) => {
+    const { items, nextPageToken } = page(responses.hours, params, 'hours');
+    return { hourlyForecasts: items, timeZone: responses.current.timeZone, nextPageToken };
+  },
+
+  'forecast/days:lookup': (responses, params) => {
+    const { items, nextPageToken } = page(responses.days, params, 'days');
+    return { forecastDays: items, timeZone: responses.current.timeZone, nextPageToken };
+  },
+
+  'publicAlerts:lookup': (responses) => ({ weatherAlerts: responses.alerts }),
+};
+
+/**
+ * Request parameters from the query string and JSON body, flattened the
+ * way Google accepts them either way (`location.latitude` or a nested object)
+ * @param {URL} url
+ * @param {string} body
+ */
+function readParams(url, body) {
+  const params = Object.fromEntries(url.searchParams);
+  if (body) {
+    const parsed = JSON.parse(body);
+    Object.assign(params, parsed);
+    if (parsed.location) {
+      params['location.latitude'] = parsed.location.latitude;
+      params['location.longitude'] = parsed.location.longitude;
+    }
+  }
+  return params;
+}
+
+// ============================================================================
+// FAULTS
+// ============================================================================
+
+/**
+ * The fault to inject into this request, if any
+ * @param {StandInConfig} config - Mutated: failNext counts down
+ * @returns {number | 'malformed' | null} HTTP status to fail with, 'malformed', or null
+ */
+function pickFault(config) {
+  if (config.failNext?.count > 0) {
+    const { status } = config.failNext;
+    config.failNext = config.failNext.count > 1 ? { status, count: config.failNext.count - 1 } : null;
+    return status;
+  }
+  if (Math.random() < config.errorRate) return config.errorStatus;
+  if (Math.random() < config.malformedRate) return 'malformed';
+  return null;
+}
+
+/**
+ * Send JSON (with CORS, so the Vite dev server can call us directly)
+ * @param {import('node:http').ServerResponse} res
+ * @param {number} status
+ * @param {any} body
+ * @param {Record<string, string>} [headers]
+ */
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Expose-Headers': 'Retry-After',
+    ...headers,
+  });
+  res.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+/**
+ * Send a Google-style error body
+ * @param {import('node:http').ServerResponse} res
+ * @param {number} code
+ * @param {string} message
+ * @param {Record<string, string>} [headers]
+ */
+function sendError(res, code, message, headers) {
+  send(res, code, { error: { code, message, status: ERROR_STATUS[code] ?? 'UNKNOWN' } }, headers);
+}
+
+// ============================================================================
+// SERVER
+// ============================================================================
+
+/**
+ * Check and merge config changes
+ * @param {StandInConfig} config
+ * @param {Partial<StandInConfig>} changes
+ * @returns {StandInConfig}
+ */
+function applyConfig(config, changes) {
+  const next = { ...config, ...changes };
+  if (!MOCK_SCENARIOS[next.scenario]) {
+    throw new Error(`Unknown scenario "${next.scenario}". Available: ${Object.keys(MOCK_SCENARIOS).join(', ')}`);
+  }
+  for (const field of ['port', 'seed', 'latencyMs', 'errorRate', 'errorStatus', 'retryAfterSeconds', 'malformedRate']) {
+    next[field] = Number(next[field]);
+    if (!Number.isFinite(next[field])) throw new Error(`${field} must be a number`);
+  }
+  return next;
+}
+
+/**
+ * Create the stand-in server (not yet listening)
+ * @param {Partial<StandInConfig>} [options]
+ * @returns {{server: import('node:http').Server, readonly config: StandInConfig}} `config` is the current config, control endpoint changes included
+ */
+export function createStandInServer(options = {}) {
+  const state = { config: applyConfig(DEFAULT_CONFIG, options) };
+
+  const server = createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://stand-in');
+    let body = '';
+    for await (const chunk of req) body += chunk;
+
+    if (req.method === 'OPTIONS') return send(res, 204, '');
+
+    // Control endpoint: GET the config, POST changes to it
+    if (url.pathname === '/__stand-in') {
+      if (req.method === 'POST') {
+        try {
+          state.config = applyConfig(state.config, JSON.parse(body || '{}'));
+        } catch (error) {
+          return sendError(res, 400, error.message);
+        }
+      }
+      return send(res, 200, state.config);
+    }
+
+    const route = ROUTES[url.pathname.replace(/^\/v1\//, '')];
+    if (!route) return sendError(res, 404, `No stand-in for ${url.pathname}`);
+    if (!url.searchParams.get('key')) {
+      return sendError(res, 403, 'The request is missing a valid API key (any non-empty key works here).');
+    }
+
+    const { config } = state;
+    if (config.latencyMs > 0) await new Promise(resolve => setTimeout(resolve, config.latencyMs));
+
+    const fault = pickFault(config);
+    if (fault === 'malformed') {
+      return send(res, 200, '{"currentTime": "2025-01-01T00:00:00Z", "temperature": {"degr');
+    }
+    if (fault === 429) {
+      return sendError(res, 429, 'Quota exceeded (injected by the stand-in).', { 'Retry-After': String(config.retryAfterSeconds) });
+    }
+    if (fault) return sendError(res, fault, `Injected ${fault} from the stand-in.`);
+
+    try {
+      const params = readParams(url, body);
+      const lat = Number(params['location.latitude']);
+      const lng = Number(params['location.longitude']);
+      if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+        return sendError(res, 400, 'location.latitude and location.longitude are required.');
+      }
+      return send(res, 200, route(getResponses(config, lat, lng), params));
+    } catch (error) {
+      return sendError(res, error.status ?? 400, error.message);
+    }
+  });
+
+  return {
+    server,
+    get config() {
+      return state.config;
+    },
+  };
+}
+
+/** Command-line flags: flag -> [config field, STAND_IN_* env var] */
+const CLI_OPTIONS = {
+  port: ['port', 'PORT'],
+  scenario: ['scenario', 'SCENARIO'],
+  seed: ['seed', 'SEED'],
+  latency: ['latencyMs', 'LATENCY_MS'],
+  'error-rate': ['errorRate', 'ERROR_RATE'],
+  'error-status': ['errorStatus', 'ERROR_STATUS'],
+  'retry-after': ['retryAfterSeconds', 'RETRY_AFTER'],
+  'malformed-rate': ['malformedRate', 'MALFORMED_RATE'],
+};
+
+/**
+ * Read `--name=value` flags (or STAND_IN_* env vars) into config
+ * @param {string[]} argv
+ * @returns {Partial<StandInConfig>}
+ */
+function readCliOptions(argv) {
+  const flags = Object.fromEntries(argv.flatMap(arg => {
+    const match = arg.match(/^--([\w-]+)=(.*)$/);
+    return match ? [[match[1], match[2]]] : [];
+  }));
+
+  const options = {};
+  for (const [flag, [field, envName]] of Object.entries(CLI_OPTIONS)) {
+    const value = flags[flag] ?? process.env[`STAND_IN_${envName}`];
+    if (value !== undefined) options[field] = value;
+  }
+  return options;
+}
+
+if (process.argv[1] && fileURLToPath(import.meta.url) === resolve(process.argv[1])) {
+  try {
+    const { server, config } = createStandInServer(readCliOptions(process.argv.slice(2)));
+    server.listen(config.port, () => {
+      console.log(`Weather stand-in on http://localhost:${config.port}/v1 (scenario "${config.scenario}", seed ${config.seed})`);
+      console.log(`Run the app with VITE_WEATHER_BASE_URL=http://localhost:${config.port}/v1 VITE_WEATHER_API_KEY=stand-in`);
+    });
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,43 @@
+import { ACTIVITY_PROFILES } from '../index.js';
+
+interface ActivityPickerProps {
+  selectedId: string | null; // null = daycare or school
+  onSelect: (id: string | null) => void;
+}
+
+const OPTIONS: Array<{ id: string | null; name: string; emoji: string }> = [
+  { id: null, name: 'Daycare or school', emoji: '🏫' },
+  ...Object.values(ACTIVITY_PROFILES),
+];
+
+/**
+ * Emoji pills for dressing for an outing (playground, swimming, snow...)
+ * instead of daycare or school, with the picked one named alongside
+ */
+export function ActivityPicker({ selectedId, onSelect }: ActivityPickerProps) {
+  const selected = OPTIONS.find(option => option.id === selectedId) ?? OPTIONS[0];
+
+  return (
+    <div
+      className="flex items-center gap-1 bg-white/70 backdrop-blur-sm rounded-full p-1 border border-white shadow-sm"
+      // Keep taps and swipes on the pills from changing slides
+      onTouchStart={(e) => e.stopPropagation()}
+      onWheel={(e) => e.stopPropagation()}
+    >
+      {OPTIONS.map(option => (
+        <button
+          key={option.id ?? 'daily'}
+          onClick={() => onSelect(option.id)}
+          aria-label={option.name}
+          aria-pressed={option.id === selected.id}
+          className={`rounded-full px-3 py-1 text-sm transition-colors ${
+            option.id === selected.id ? 'bg-slate-900' : 'hover:bg-white'
+          }`}
+        >
+          {option.emoji}
+        </button>
+      ))}
+      <span className="text-sm text-slate-600 px-3 whitespace-nowrap">{selected.name}</span>
+    </div>
+  );
+}
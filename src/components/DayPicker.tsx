@@ -0,0 +1,45 @@
+import { CalendarDays } from 'lucide-react';
+
+interface ForecastDay {
+  key: string;
+  date: Date;
+  label: string;
+}
+
+interface DayPickerProps {
+  days: ForecastDay[];
+  selectedKey: string | null; // null = today
+  onSelect: (day: ForecastDay) => void;
+}
+
+/**
+ * Today / Tomorrow / weekday pills for planning outfits and outdoor time
+ * ahead. Hidden when the forecast only covers today.
+ */
+export function DayPicker({ days, selectedKey, onSelect }: DayPickerProps) {
+  if (days.length < 2) return null;
+
+  const activeKey = selectedKey ?? days[0].key;
+
+  return (
+    <div
+      className="flex items-center gap-1 bg-white/70 backdrop-blur-sm rounded-full p-1 border border-white shadow-sm"
+      // Keep taps and swipes on the pills from changing slides
+      onTouchStart={(e) => e.stopPropagation()}
+      onWheel={(e) => e.stopPropagation()}
+    >
+      <CalendarDays className="w-4 h-4 text-slate-400 mx-2" />
+      {days.map(day => (
+        <button
+          key={day.key}
+          onClick={() => onSelect(day)}
+          className={`rounded-full px-3 py-1 text-sm transition-colors ${
+            day.key === activeKey ? 'bg-slate-900 text-white' : 'text-slate-600 hover:text-slate-900'
+          }`}
+        >
+          {day.label}
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,204 @@
+import { useState } from 'react';
+import { motion, AnimatePresence } from 'motion/react';
+import { MapPin, ChevronDown, Navigation, Backpack, X, Plus, Search } from 'lucide-react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { LOCATION_KINDS, useLocationSearch, describeLocation } from '../index.js';
+
+type LocationKind = keyof typeof LOCATION_KINDS;
+
+interface SavedLocation {
+  id: string;
+  name: string;
+  kind: LocationKind;
+  lat: number;
+  lng: number;
+}
+
+export interface SavedPlaces {
+  locations: SavedLocation[];
+  activeLocation: SavedLocation | null;
+  dropoffLocation: SavedLocation | null;
+  addLocation: (name: string, kind: LocationKind, coords: { lat: number; lng: number }) => string;
+  removeLocation: (id: string) => void;
+  setActiveLocation: (id: string | null) => void;
+  setDropoffLocation: (id: string | null) => void;
+}
+
+interface PlaceResult {
+  id: string;
+  name: string;
+  label: string;
+  lat: number;
+  lng: number;
+}
+
+interface LocationSwitcherProps {
+  places: SavedPlaces;
+  gpsLocation: { lat: number; lng: number } | null;
+}
+
+export function LocationSwitcher({ places, gpsLocation }: LocationSwitcherProps) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [newKind, setNewKind] = useState<LocationKind>('home');
+
+  const { query, setQuery, results, isSearching, clear } = useLocationSearch({
+    geocoder: import.meta.env.VITE_GEOCODER || null,
+    apiKey: import.meta.env.VITE_WEATHER_API_KEY,
+  });
+
+  const { locations, activeLocation, dropoffLocation } = places;
+
+  const gpsLabel = gpsLocation ? describeLocation(gpsLocation.lat, gpsLocation.lng) : null;
+  const label = activeLocation
+    ? `${LOCATION_KINDS[activeLocation.kind].emoji} ${activeLocation.name}`
+    : gpsLabel ?? 'Current location';
+
+  const select = (id: string | null) => {
+    places.setActiveLocation(id);
+    setIsOpen(false);
+  };
+
+  const saveCurrentSpot = () => {
+    if (!gpsLocation || newName.trim() === '') return;
+    places.addLocation(newName.trim(), newKind, gpsLocation);
+    setNewName('');
+  };
+
+  // Typed-in places are saved (under the typed name if given) and shown straight away
+  const saveSearchResult = (result: PlaceResult) => {
+    const id = places.addLocation(newName.trim() || result.name, newKind, result);
+    places.setActiveLocation(id);
+    setNewName('');
+    clear();
+    setIsOpen(false);
+  };
+
+  return (
+    <div className="relative inline-block text-left">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="flex items-center gap-2 text-slate-700 hover:text-slate-900 transition-colors"
+      >
+        <MapPin className="w-4 h-4" />
+        <span>{label}</span>
+        <ChevronDown className={`w-4 h-4 transition-transform ${isOpen ? 'rotate-180' : ''}`} />
+      </button>
+
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            initial={{ opacity: 0, y: -8 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -8 }}
+            transition={{ duration: 0.2 }}
+            className="absolute left-0 z-20 mt-3 w-72 bg-white rounded-3xl p-4 border border-slate-200 shadow-lg"
+            // Keep swipes and scrolls in here from changing slides
+            onTouchStart={(e) => e.stopPropagation()}
+            onWheel={(e) => e.stopPropagation()}
+          >
+            <button
+              onClick={() => select(null)}
+              className={`w-full flex items-center gap-3 rounded-2xl px-3 py-2 text-left transition-colors ${
+                !activeLocation ? 'bg-slate-100 text-slate-900' : 'text-slate-700 hover:bg-slate-50'
+              }`}
+            >
+              <Navigation className="w-4 h-4" />
+              <span className="flex-1">Current location</span>
+              <span className="text-xs text-slate-400">{gpsLabel ?? 'Unavailable - search below'}</span>
+            </button>
+
+            {locations.map(place => (
+              <div
+                key={place.id}
+                className={`flex items-center gap-2 rounded-2xl px-3 py-2 transition-colors ${
+                  activeLocation?.id === place.id ? 'bg-slate-100' : 'hover:bg-slate-50'
+                }`}
+              >
+                <button onClick={() => select(place.id)} className="flex-1 text-left text-slate-900">
+                  {LOCATION_KINDS[place.kind].emoji} {place.name}
+                </button>
+                <button
+                  onClick={() => places.setDropoffLocation(dropoffLocation?.id === place.id ? null : place.id)}
+                  title="Dress the kids for this place"
+                  className={`flex items-center gap-1 rounded-full px-2 py-1 text-xs transition-colors ${
+                    dropoffLocation?.id === place.id
+                      ? 'bg-amber-100 text-amber-700'
+                      : 'text-slate-400 hover:text-slate-700'
+                  }`}
+                >
+                  <Backpack className="w-3 h-3" />
+                  Dropoff
+                </button>
+                <button
+                  onClick={() => places.removeLocation(place.id)}
+                  className="text-slate-400 hover:text-slate-700 transition-colors"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+
+            <div className="border-t border-slate-100 mt-3 pt-3 space-y-2">
+              <Input
+                type="text"
+                placeholder="Name this spot (e.g. Grandma's)"
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+                className="border-slate-200 rounded-2xl text-slate-900"
+              />
+              <div className="flex flex-wrap gap-1">
+                {(Object.keys(LOCATION_KINDS) as LocationKind[]).map(kind => (
+                  <button
+                    key={kind}
+                    onClick={() => setNewKind(kind)}
+                    className={`rounded-full px-2 py-1 text-xs transition-colors ${
+                      newKind === kind ? 'bg-slate-900 text-white' : 'bg-slate-100 text-slate-600'
+                    }`}
+                  >
+                    {LOCATION_KINDS[kind].emoji} {LOCATION_KINDS[kind].label}
+                  </button>
+                ))}
+              </div>
+              <div className="relative">
+                <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-slate-400" />
+                <Input
+                  type="text"
+                  placeholder="Search city or ZIP code"
+                  value={query}
+                  onChange={(e) => setQuery(e.target.value)}
+                  className="border-slate-200 rounded-2xl text-slate-900 pl-9"
+                />
+              </div>
+              {results.map((result: PlaceResult) => (
+                <button
+                  key={result.id}
+                  onClick={() => saveSearchResult(result)}
+                  className="w-full flex items-center gap-2 rounded-2xl px-3 py-2 text-left text-slate-700 hover:bg-slate-50 transition-colors"
+                >
+                  <MapPin className="w-4 h-4 text-slate-400" />
+                  <span>{result.label}</span>
+                </button>
+              ))}
+              {isSearching && (
+                <div className="px-3 text-xs text-slate-400">Searching more places…</div>
+              )}
+              {query.trim().length >= 2 && results.length === 0 && !isSearching && (
+                <div className="px-3 text-xs text-slate-400">No matching places</div>
+              )}
+              <Button
+                onClick={saveCurrentSpot}
+                disabled={!gpsLocation || newName.trim() === ''}
+                className="w-full rounded-2xl bg-slate-900 hover:bg-slate-800 text-white disabled:bg-slate-300"
+              >
+                <Plus className="w-4 h-4 mr-2" />
+                Save where I am now
+              </Button>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
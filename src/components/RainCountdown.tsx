@@ -0,0 +1,92 @@
+import { motion } from 'motion/react';
+import { CloudRain, Sun, Timer } from 'lucide-react';
+import { useTimeFormatter } from '../index.js';
+
+interface DryWindow {
+  isRaining: boolean;
+  start: Date;
+  end: Date | null;
+  minutesUntil: number;
+}
+
+export interface NowcastState {
+  nowcast: {
+    source: 'provider' | 'mock';
+    points: Array<{ time: Date; intensity: number }>;
+  } | null;
+  dryWindow: DryWindow | null;
+  schoolRun: 'dropoff' | 'pickup' | null;
+}
+
+interface RainCountdownProps {
+  nowcast?: NowcastState | null;
+  timeZone?: string;
+}
+
+const SCHOOL_RUN_LABELS = {
+  dropoff: 'Dropoff',
+  pickup: 'Pickup',
+};
+
+/**
+ * "Leave now or wait 10 minutes" - only shown during the dropoff and pickup
+ * windows, when there's a nowcast covering now to go on (useNowcast drops
+ * one that has run out)
+ */
+export function RainCountdown({ nowcast, timeZone }: RainCountdownProps) {
+  const { formatTime } = useTimeFormatter(timeZone);
+
+  if (!nowcast?.nowcast || !nowcast.schoolRun) return null;
+
+  const { dryWindow, schoolRun } = nowcast;
+  const points = nowcast.nowcast.points;
+  const isEstimate = nowcast.nowcast.source === 'mock';
+
+  let Icon = Sun;
+  let headline: string;
+  let detail: string | null = null;
+  let minutes: number | null = null;
+
+  if (!dryWindow) {
+    Icon = CloudRain;
+    headline = 'Rain the whole time';
+    detail = `No dry gap before ${formatTime(points[points.length - 1].time)} - grab the rain gear`;
+  } else if (dryWindow.isRaining) {
+    Icon = CloudRain;
+    minutes = dryWindow.minutesUntil;
+    headline = `Rain stops at ${formatTime(dryWindow.start)}`;
+    detail = dryWindow.end ? `Dry until ${formatTime(dryWindow.end)}` : 'Then dry for a while';
+  } else if (dryWindow.end) {
+    // Already dry, so the window starts now
+    minutes = Math.round((dryWindow.end.getTime() - dryWindow.start.getTime()) / 60000);
+    headline = `Dry now - rain at ${formatTime(dryWindow.end)}`;
+    detail = 'Leave now to stay dry';
+  } else {
+    headline = `No rain before ${formatTime(points[points.length - 1].time)}`;
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.4 }}
+      className="mb-6 flex items-center gap-4 bg-white/70 backdrop-blur-sm rounded-3xl px-6 py-4 border border-white shadow-sm text-left"
+    >
+      <Icon className={`w-8 h-8 ${dryWindow?.isRaining === false ? 'text-amber-400' : 'text-blue-400'}`} />
+      <div className="flex-1">
+        <div className="text-slate-500 text-sm flex items-center gap-1">
+          <Timer className="w-3 h-3" />
+          {SCHOOL_RUN_LABELS[schoolRun]}{isEstimate && ' · estimate'}
+        </div>
+        <div className="text-slate-900">{headline}</div>
+        {detail && <div className="text-slate-500 text-sm">{detail}</div>}
+      </div>
+      {minutes !== null && (
+        <div className="text-center">
+          <div className="text-slate-900 text-3xl leading-none">{minutes}</div>
+          <div className="text-slate-500 text-xs">min</div>
+        </div>
+      )}
+    </motion.div>
+  );
+}
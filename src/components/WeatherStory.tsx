@@ -5,14 +5,21 @@ import { TodayOverviewCard } from './cards/TodayOverviewCard';
 import { OutfitPieceCard } from './cards/OutfitPieceCard';
 import { ActivityTimeCard } from './cards/ActivityTimeCard';
 import { HomeScreen } from './cards/HomeScreen';
+import { TomorrowOutfitCard } from './cards/TomorrowOutfitCard';
+import { DayPicker } from './DayPicker';
+import { ActivityPicker } from './ActivityPicker';
 import { ChevronDown } from 'lucide-react';
-import { useTinyWeather } from '../index.js';
+import { useTinyWeather, describeWeatherError, getActivityProfile } from '../index.js';
 
 export function WeatherStory() {
   const [currentSlide, setCurrentSlide] = useState(0);
   const [touchStart, setTouchStart] = useState(0);
   const [touchEnd, setTouchEnd] = useState(0);
   const [kids, setKids] = useState<Array<{ name: string; age: string }>>([]);
+  // Day the outfit and activity slides plan for (null = today)
+  const [selectedDay, setSelectedDay] = useState<{ key: string; date: Date; label: string } | null>(null);
+  // Outing the outfits dress for (null = daycare or school)
+  const [activity, setActivity] = useState<string | null>(null);
 
   // Connect to weather brains
   const { 
@@ -20,13 +27,34 @@ export function WeatherStory() {
     outfits, 
     activities, 
     tips, 
+    nowcast,
+    days,
+    tomorrowOutfits,
     isLoading,
+    error,
+    errorKind,
+    lastUpdated,
+    saveError,
     addChild,
+    places,
+    gpsLocation,
+    outfitLocationName,
+    comfort,
   } = useTinyWeather({
     apiKey: import.meta.env.VITE_WEATHER_API_KEY,
+    provider: import.meta.env.VITE_WEATHER_PROVIDER,
     useMockData: false, // Set to false when you have a real API key
+    date: selectedDay?.date ?? null,
+    activity,
   });
 
+  // Drop a picked day once the forecast no longer has it (new place, or it became today)
+  useEffect(() => {
+    if (selectedDay && !days.slice(1).some(d => d.key === selectedDay.key)) {
+      setSelectedDay(null);
+    }
+  }, [days, selectedDay]);
+
   const handleRegistrationComplete = (kidsData: Array<{ name: string; age: string }>) => {
     setKids(kidsData);
     
@@ -41,6 +69,7 @@ export function WeatherStory() {
 
   const firstKid = kids.length > 0 ? kids[0] : null;
   const firstOutfit = outfits.length > 0 ? outfits[0] : null;
+  const activityName = activity ? getActivityProfile(activity)?.name ?? null : null;
 
   const cards = [
     <RegistrationCard key="registration" onComplete={handleRegistrationComplete} />,
@@ -48,12 +77,31 @@ export function WeatherStory() {
       key="overview" 
       weather={weather}
       tips={tips}
+      places={places}
+      gpsLocation={gpsLocation}
+      nowcast={nowcast}
+      // Request failures only - location problems have their own prompt
+      notice={errorKind
+        ? describeWeatherError(error, { lastUpdated: weather ? lastUpdated : null })
+        : saveError ? "Couldn't save on this device - changes will be lost when the app closes" : null}
     />,
+    // In the evening, tomorrow's outfit comes straight after today's overview
+    ...(tomorrowOutfits?.isOfferTime && tomorrowOutfits.outfits.length > 0 ? [
+      <TomorrowOutfitCard
+        key="tomorrow"
+        outfits={tomorrowOutfits.outfits}
+        locationName={outfitLocationName}
+        activityName={activityName}
+      />,
+    ] : []),
     <OutfitPieceCard 
       key="outfit1" 
       piece="base"
       kidName={firstKid?.name}
       outfit={firstOutfit}
+      locationName={outfitLocationName}
+      activityName={activityName}
+      dayLabel={selectedDay?.label}
       currentPiece={1}
       totalPieces={3}
     />,
@@ -62,6 +110,9 @@ export function WeatherStory() {
       piece="layer"
       kidName={firstKid?.name}
       outfit={firstOutfit}
+      locationName={outfitLocationName}
+      activityName={activityName}
+      dayLabel={selectedDay?.label}
       currentPiece={2}
       totalPieces={3}
     />,
@@ -70,8 +121,16 @@ export function WeatherStory() {
       piece="accessories"
       kidName={firstKid?.name}
       outfit={firstOutfit}
+      locationName={outfitLocationName}
+      activityName={activityName}
+      dayLabel={selectedDay?.label}
       currentPiece={3}
       totalPieces={3}
+      // Only today's outfit can be rated
+      rating={firstOutfit && !selectedDay ? comfort.getRating(firstOutfit.childId) : null}
+      onRate={firstOutfit && !selectedDay
+        ? (rating) => comfort.rateOutfit(firstOutfit.childId, rating, { morningTemp: firstOutfit.morningTemp })
+        : undefined}
     />,
     <ActivityTimeCard 
       key="activity1"
@@ -98,9 +157,13 @@ export function WeatherStory() {
       key="home" 
       weather={weather}
       activities={activities}
+      places={places}
+      gpsLocation={gpsLocation}
     />
   ];
 
+  const isOutfitSlide = /^(outfit|tomorrow)/.test(String(cards[currentSlide]?.key));
+
   const handleTouchStart = (e: React.TouchEvent) => {
     setTouchStart(e.targetTouches[0].clientY);
   };
@@ -163,7 +226,25 @@ export function WeatherStory() {
         ))}
       </div>
       
-      {currentSlide < cards.length - 1 && (
+      {/* Outfit and activity slides can look ahead to another day */}
+      {/^(outfit|activity)/.test(String(cards[currentSlide]?.key)) && (
+        <div className="absolute top-8 left-1/2 -translate-x-1/2 z-10">
+          <DayPicker
+            days={days}
+            selectedKey={selectedDay?.key ?? null}
+            onSelect={(day) => setSelectedDay(day.key === days[0].key ? null : day)}
+          />
+        </div>
+      )}
+
+      {/* Outfit slides can dress for an outing instead; the picker takes the scroll hint's place */}
+      {isOutfitSlide && (
+        <div className="absolute bottom-20 left-1/2 -translate-x-1/2 z-10">
+          <ActivityPicker selectedId={activity} onSelect={setActivity} />
+        </div>
+      )}
+
+      {currentSlide < cards.length - 1 && !isOutfitSlide && (
         <div className="absolute bottom-20 left-1/2 -translate-x-1/2 z-10 animate-bounce">
           <ChevronDown className="w-8 h-8 text-white/60" />
         </div>
@@ -1,9 +1,11 @@
 import { motion } from 'motion/react';
 import { Sun, CloudSun, Sunset, CheckCircle2, AlertTriangle, Sparkles } from 'lucide-react';
+import { getLocalHour, APPARENT_CONFIG } from '../../index.js';
 
 interface ActivityHour {
   time: Date;
   temperature: number;
+  feelsLike: number;
   quality: 'perfect' | 'good' | 'fair' | 'skip';
   reason: string;
   rainChance: number;
@@ -14,6 +16,7 @@ interface Activities {
   hours: ActivityHour[];
   bestWindow: { label: string; description: string } | null;
   daySummary: string;
+  timeZone?: string;
 }
 
 interface ActivityTimeCardProps {
@@ -30,7 +33,7 @@ export function ActivityTimeCard({ timeSlot, activities, currentSlot, totalSlots
     if (!activities?.hours) return [];
     
     return activities.hours.filter(h => {
-      const hour = new Date(h.time).getHours();
+      const hour = getLocalHour(new Date(h.time), activities.timeZone);
       switch (timeSlot) {
         case 'morning': return hour >= 8 && hour < 11;
         case 'midday': return hour >= 11 && hour < 15;
@@ -46,6 +49,9 @@ export function ActivityTimeCard({ timeSlot, activities, currentSlot, totalSlots
   const avgTemp = slotHours.length > 0 
     ? Math.round(slotHours.reduce((sum, h) => sum + h.temperature, 0) / slotHours.length)
     : null;
+  const avgFeelsLike = slotHours.length > 0
+    ? Math.round(slotHours.reduce((sum, h) => sum + h.feelsLike, 0) / slotHours.length)
+    : null;
   
   const avgRainChance = slotHours.length > 0
     ? Math.round(slotHours.reduce((sum, h) => sum + h.rainChance, 0) / slotHours.length)
@@ -111,7 +117,7 @@ export function ActivityTimeCard({ timeSlot, activities, currentSlot, totalSlots
   const getDynamicTitle = () => {
     if (status === 'caution') {
       if (avgRainChance > 50) return 'Rain likely - plan indoor backup';
-      if (avgTemp && avgTemp > 85) return 'Too hot - stay cool';
+      if (avgFeelsLike && avgFeelsLike > 85) return 'Too hot - stay cool';
       return config.title;
     }
     return config.title;
@@ -200,6 +206,9 @@ export function ActivityTimeCard({ timeSlot, activities, currentSlot, totalSlots
           <div className="text-5xl text-slate-800 mb-4">
             {avgTemp ? `${avgTemp}°` : config.time.includes('8') ? '68°' : '74°'}
           </div>
+          {avgTemp !== null && avgFeelsLike !== null && Math.abs(avgFeelsLike - avgTemp) >= APPARENT_CONFIG.NOTABLE_DIFF_F && (
+            <div className="text-slate-500 mb-4">Feels like {avgFeelsLike}°</div>
+          )}
           <p className="text-slate-700 text-xl">
             {getDynamicTitle()}
           </p>
@@ -1,14 +1,51 @@
 import { motion } from 'motion/react';
 import { MapPin, Sun, Wind, Droplets, Eye, Calendar, Shirt, Clock } from 'lucide-react';
+import { LocationSwitcher, SavedPlaces } from '../LocationSwitcher';
+import { WEATHER_CONDITIONS, getRelativeDayLabel } from '../../index.js';
 
-export function HomeScreen() {
-  const weekForecast = [
-    { day: 'Mon', temp: 73, icon: Sun },
-    { day: 'Tue', temp: 75, icon: Sun },
-    { day: 'Wed', temp: 71, icon: Sun },
-    { day: 'Thu', temp: 68, icon: Sun },
-    { day: 'Fri', temp: 70, icon: Sun },
-  ];
+type ConditionKey = keyof typeof WEATHER_CONDITIONS;
+
+interface Weather {
+  current: {
+    humidity: number;
+    windSpeed: number;
+    uvIndex: number;
+    windGust: number | null;
+    dewPoint: number | null;
+    visibility: number | null;
+  };
+  daily: Array<{
+    date: Date;
+    tempHigh: number;
+    tempLow: number;
+    precipitationProbability: number;
+    condition: string;
+  }>;
+  timeZone?: string;
+}
+
+interface HomeScreenProps {
+  weather?: Weather | null;
+  places?: SavedPlaces;
+  gpsLocation?: { lat: number; lng: number } | null;
+}
+
+/** Visibility for display - anything past 10 miles reads as "10+ mi" */
+function formatVisibility(miles: number | null | undefined) {
+  if (miles === null || miles === undefined) return '—';
+  return miles >= 10 ? '10+ mi' : `${miles} mi`;
+}
+
+export function HomeScreen({ weather, places, gpsLocation = null }: HomeScreenProps) {
+  const current = weather?.current;
+
+  const daily = weather?.daily ?? [];
+
+  // "Today", "Tomorrow", then short weekdays
+  const dayName = (date: Date) => {
+    const label = getRelativeDayLabel(new Date(date), weather?.timeZone);
+    return label === 'Today' || label === 'Tomorrow' ? label : label.slice(0, 3);
+  };
 
   return (
     <div className="h-screen bg-gradient-to-b from-slate-50 to-stone-100 px-6 py-12 overflow-y-auto">
@@ -20,10 +57,16 @@ export function HomeScreen() {
       >
         {/* Header */}
         <div className="mb-10">
-          <div className="flex items-center gap-2 text-slate-700 mb-2">
-            <MapPin className="w-4 h-4" />
-            <span>San Francisco, CA</span>
-          </div>
+          {places ? (
+            <div className="mb-2">
+              <LocationSwitcher places={places} gpsLocation={gpsLocation} />
+            </div>
+          ) : (
+            <div className="flex items-center gap-2 text-slate-700 mb-2">
+              <MapPin className="w-4 h-4" />
+              <span>Your Location</span>
+            </div>
+          )}
           <div className="text-slate-900 text-[80px] leading-none tracking-tighter mb-2">
             72°
           </div>
@@ -50,54 +93,67 @@ export function HomeScreen() {
           <div className="bg-white rounded-3xl p-5 border border-slate-200 shadow-sm">
             <Wind className="w-5 h-5 text-slate-600 mb-2" />
             <div className="text-slate-500 mb-1">Wind</div>
-            <div className="text-slate-900">8 mph</div>
+            <div className="text-slate-900">{current ? `${current.windSpeed} mph` : '—'}</div>
+            {current?.windGust != null && current.windGust > current.windSpeed && (
+              <div className="text-slate-400 text-sm">Gusts {current.windGust} mph</div>
+            )}
           </div>
           
           <div className="bg-white rounded-3xl p-5 border border-slate-200 shadow-sm">
             <Droplets className="w-5 h-5 text-slate-600 mb-2" />
             <div className="text-slate-500 mb-1">Humidity</div>
-            <div className="text-slate-900">65%</div>
+            <div className="text-slate-900">{current ? `${current.humidity}%` : '—'}</div>
+            {current?.dewPoint != null && (
+              <div className="text-slate-400 text-sm">Dew point {current.dewPoint}°</div>
+            )}
           </div>
           
           <div className="bg-white rounded-3xl p-5 border border-slate-200 shadow-sm">
             <Eye className="w-5 h-5 text-slate-600 mb-2" />
             <div className="text-slate-500 mb-1">Visibility</div>
-            <div className="text-slate-900">10 mi</div>
+            <div className="text-slate-900">{formatVisibility(current?.visibility)}</div>
           </div>
           
           <div className="bg-white rounded-3xl p-5 border border-slate-200 shadow-sm">
             <Sun className="w-5 h-5 text-slate-600 mb-2" />
             <div className="text-slate-500 mb-1">UV Index</div>
-            <div className="text-slate-900">6</div>
+            <div className="text-slate-900">{current ? current.uvIndex : '—'}</div>
           </div>
         </div>
 
-        {/* 5-Day Forecast */}
-        <div className="bg-white rounded-3xl p-6 border border-slate-200 shadow-sm">
-          <div className="flex items-center gap-2 mb-5 text-slate-900">
-            <Calendar className="w-5 h-5" />
-            <span>5-Day Forecast</span>
-          </div>
-          
-          <div className="space-y-4">
-            {weekForecast.map((day, index) => {
-              const Icon = day.icon;
-              return (
+        {/* Daily Forecast */}
+        {daily.length > 0 && (
+          <div className="bg-white rounded-3xl p-6 border border-slate-200 shadow-sm">
+            <div className="flex items-center gap-2 mb-5 text-slate-900">
+              <Calendar className="w-5 h-5" />
+              <span>{daily.length}-Day Forecast</span>
+            </div>
+            
+            <div className="space-y-4">
+              {daily.map((day, index) => (
                 <motion.div
-                  key={day.day}
+                  key={new Date(day.date).toISOString()}
                   initial={{ opacity: 0, x: -20 }}
                   whileInView={{ opacity: 1, x: 0 }}
-                  transition={{ duration: 0.4, delay: index * 0.1 }}
+                  transition={{ duration: 0.4, delay: Math.min(index, 6) * 0.1 }}
                   className="flex items-center justify-between"
                 >
-                  <div className="text-slate-700 w-12">{day.day}</div>
-                  <Icon className="w-5 h-5 text-amber-500" />
-                  <div className="text-slate-900 w-12 text-right">{day.temp}°</div>
+                  <div className="text-slate-700 w-20">{dayName(day.date)}</div>
+                  <div className="flex items-center gap-2 flex-1 justify-center">
+                    <span className="text-xl">{WEATHER_CONDITIONS[day.condition as ConditionKey]?.emoji ?? '🌡️'}</span>
+                    {day.precipitationProbability >= 30 && (
+                      <span className="text-blue-500 text-sm">{day.precipitationProbability}%</span>
+                    )}
+                  </div>
+                  <div className="w-20 text-right">
+                    <span className="text-slate-900">{day.tempHigh}°</span>
+                    <span className="text-slate-400"> / {day.tempLow}°</span>
+                  </div>
                 </motion.div>
-              );
-            })}
+              ))}
+            </div>
           </div>
-        </div>
+        )}
 
         {/* Bottom spacing for safe area */}
         <div className="h-8" />
@@ -1,5 +1,6 @@
 import { motion } from 'motion/react';
 import { Shirt, Wind, Sun } from 'lucide-react';
+import { APPARENT_CONFIG } from '../../index.js';
 
 interface OutfitItem {
   id: string;
@@ -8,26 +9,77 @@ interface OutfitItem {
   emoji: string;
   required: boolean;
   reason?: string;
+  isMissing?: boolean; // Not in the child's wardrobe
+}
+
+interface WardrobeGap {
+  itemId: string;
+  message: string;
+}
+
+interface OutfitChange {
+  action: 'add' | 'remove';
+  itemId: string;
+  name: string;
+  layer: string;
+}
+
+interface OutfitTimelineStep {
+  id: string;
+  label: string; // "Dropoff", "Midday"...
+  feelsLike: number;
+  wearing: string[]; // Item ids
+  changes: OutfitChange[]; // Since the step before
 }
 
 interface Outfit {
   childName: string;
   items: OutfitItem[];
+  gaps?: WardrobeGap[];
+  timeline?: OutfitTimelineStep[];
   tips: string[];
   morningTemp: number;
   afternoonTemp: number;
+  morningFeelsLike?: number;
+  afternoonFeelsLike?: number;
   needsSunProtection: boolean;
 }
 
+type ComfortRating = 'too-cold' | 'just-right' | 'too-hot';
+
+const RATING_OPTIONS: Array<{ rating: ComfortRating; emoji: string; label: string }> = [
+  { rating: 'too-cold', emoji: '🥶', label: 'Too cold' },
+  { rating: 'just-right', emoji: '😊', label: 'Just right' },
+  { rating: 'too-hot', emoji: '🥵', label: 'Too hot' },
+];
+
+// Which outfit layers each card covers
+const PIECE_LAYERS: Record<OutfitPieceCardProps['piece'], string[]> = {
+  base: ['base'],
+  layer: ['mid', 'outer'],
+  accessories: ['accessory'],
+};
+
+/** "sun hat and sunglasses" */
+function listNames(names: string[]) {
+  const lower = names.map(name => name.toLowerCase());
+  return lower.length > 1 ? `${lower.slice(0, -1).join(', ')} and ${lower[lower.length - 1]}` : lower[0];
+}
+
 interface OutfitPieceCardProps {
   piece: 'base' | 'layer' | 'accessories';
   kidName?: string;
   outfit?: Outfit | null;
+  locationName?: string | null; // Set when dressing for the dropoff place, not the one being viewed
+  activityName?: string | null; // Set when dressing for an outing, not daycare or school
+  dayLabel?: string; // "Tomorrow" or a weekday when planning ahead
   currentPiece: number;
   totalPieces: number;
+  rating?: ComfortRating | null; // How the parent said today's outfit went
+  onRate?: (rating: ComfortRating) => void; // Shows the rating buttons
 }
 
-export function OutfitPieceCard({ piece, kidName, outfit, currentPiece, totalPieces }: OutfitPieceCardProps) {
+export function OutfitPieceCard({ piece, kidName, outfit, locationName, activityName, dayLabel, currentPiece, totalPieces, rating, onRate }: OutfitPieceCardProps) {
   
   // Map piece type to outfit layer
   const getItemsForPiece = () => {
@@ -47,6 +99,30 @@ export function OutfitPieceCard({ piece, kidName, outfit, currentPiece, totalPie
 
   const outfitItem = getItemsForPiece();
   const tip = outfit?.tips?.[0] || null;
+  // What the wardrobe lacks for this piece comes before the general tip
+  const gap = outfitItem?.isMissing ? outfit?.gaps?.find(g => g.itemId === outfitItem.id) : null;
+
+  // This piece through the day - only worth showing if something goes on or comes off
+  const pieceLayers = PIECE_LAYERS[piece];
+  const timeline = (outfit?.timeline ?? []).map(step => ({
+    ...step,
+    changes: step.changes.filter(change => pieceLayers.includes(change.layer)),
+  }));
+  const showTimeline = timeline.some(step => step.changes.length > 0);
+
+  const describeStep = (step: typeof timeline[number], index: number) => {
+    if (index === 0) {
+      const worn = (outfit?.items ?? []).filter(item => pieceLayers.includes(item.layer) && step.wearing.includes(item.id));
+      return worn.length > 0 ? `Start in ${listNames(worn.map(item => item.name))}` : 'Start without';
+    }
+    const off = step.changes.filter(change => change.action === 'remove').map(change => change.name);
+    const on = step.changes.filter(change => change.action === 'add').map(change => change.name);
+    const parts = [
+      off.length > 0 && `Take off ${listNames(off)}`,
+      on.length > 0 && `Put on ${listNames(on)}`,
+    ].filter(Boolean);
+    return parts.length > 0 ? parts.join(', ') : 'No change';
+  };
 
   // Default configs (used as fallback)
   const defaultConfigs = {
@@ -93,13 +169,23 @@ export function OutfitPieceCard({ piece, kidName, outfit, currentPiece, totalPie
     if (!outfit) return defaultConfig.description;
     
     if (piece === 'base') {
-      return `For the ${outfit.morningTemp}° to ${outfit.afternoonTemp}° day ahead`;
+      const where = locationName ? ` at ${locationName}` : '';
+      const outing = activityName ? ` - dressed for ${activityName.toLowerCase()}` : '';
+      const { morningTemp, afternoonTemp, morningFeelsLike = morningTemp, afternoonFeelsLike = afternoonTemp } = outfit;
+      const feelsDifferent = Math.max(Math.abs(morningFeelsLike - morningTemp), Math.abs(afternoonFeelsLike - afternoonTemp)) >= APPARENT_CONFIG.NOTABLE_DIFF_F;
+      const feels = feelsDifferent ? ` (feels like ${morningFeelsLike}° to ${afternoonFeelsLike}°)` : '';
+      if (dayLabel && dayLabel !== 'Today') {
+        const day = dayLabel === 'Tomorrow' ? 'tomorrow' : dayLabel;
+        return `For ${day}'s ${morningTemp}° to ${afternoonTemp}° day${feels}${where}${outing}`;
+      }
+      return `For the ${morningTemp}° to ${afternoonTemp}° day ahead${feels}${where}${outing}`;
     }
     if (piece === 'layer') {
       return outfitItem?.reason || 'Easy to take on and off as temperature changes';
     }
     if (piece === 'accessories' && outfit.needsSunProtection) {
-      return 'UV is high today - protect those tiny faces';
+      const day = !dayLabel || dayLabel === 'Today' ? 'today' : dayLabel === 'Tomorrow' ? 'tomorrow' : `on ${dayLabel}`;
+      return `UV is high ${day} - protect those tiny faces`;
     }
     return outfitItem?.reason || defaultConfig.description;
   };
@@ -162,6 +248,26 @@ export function OutfitPieceCard({ piece, kidName, outfit, currentPiece, totalPie
           </p>
         </motion.div>
 
+        {/* Through the day: dropoff, midday, pickup, evening */}
+        {showTimeline && (
+          <motion.ol
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.4 }}
+            className="mb-6 space-y-3 text-left text-sm"
+          >
+            {timeline.map((step, index) => (
+              <li key={step.id} className="flex items-start gap-3">
+                <span className="w-16 flex-shrink-0 text-slate-500">{step.label}</span>
+                <span className="w-10 flex-shrink-0 text-slate-400">{step.feelsLike}°</span>
+                <span className={step.changes.length > 0 || index === 0 ? 'text-slate-700' : 'text-slate-400'}>
+                  {describeStep(step, index)}
+                </span>
+              </li>
+            ))}
+          </motion.ol>
+        )}
+
         {/* Tip card */}
         <motion.div
           initial={{ opacity: 0, y: 20 }}
@@ -170,12 +276,41 @@ export function OutfitPieceCard({ piece, kidName, outfit, currentPiece, totalPie
           className="bg-white/70 backdrop-blur-sm rounded-3xl p-6 border border-white shadow-sm"
         >
           <div className="flex items-start gap-3">
-            <Icon className={`w-5 h-5 ${defaultConfig.iconColor} flex-shrink-0 mt-0.5`} />
-            <p className="text-slate-700 text-left">
-              {tip || defaultConfig.tip}
+            <Icon className={`w-5 h-5 ${gap ? 'text-amber-600' : defaultConfig.iconColor} flex-shrink-0 mt-0.5`} />
+            <p className={`${gap ? 'text-amber-700' : 'text-slate-700'} text-left`}>
+              {gap?.message || tip || defaultConfig.tip}
             </p>
           </div>
         </motion.div>
+
+        {/* Outfit rating - tunes this child's layers next time */}
+        {onRate && outfit && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.7 }}
+            className="mt-6"
+          >
+            <p className="text-slate-500 text-sm mb-3">How did today's outfit go?</p>
+            <div className="flex justify-center gap-2">
+              {RATING_OPTIONS.map(option => (
+                <button
+                  key={option.rating}
+                  type="button"
+                  onClick={() => onRate(option.rating)}
+                  aria-pressed={rating === option.rating}
+                  className={`px-3 py-2 rounded-2xl text-sm transition-colors ${
+                    rating === option.rating
+                      ? 'bg-slate-800 text-white'
+                      : 'bg-white/70 text-slate-700 border border-white'
+                  }`}
+                >
+                  {option.emoji} {option.label}
+                </button>
+              ))}
+            </div>
+          </motion.div>
+        )}
       </div>
     </div>
   );
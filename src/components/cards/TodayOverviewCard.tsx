@@ -1,11 +1,15 @@
-import { motion } from 'motion/react';
-import { Sun, Cloud, CloudRain, CloudSnow, CloudSun, MapPin } from 'lucide-react';
+import { motion, AnimatePresence } from 'motion/react';
+import { Sun, Cloud, CloudRain, CloudSnow, CloudSun, MapPin, X } from 'lucide-react';
+import { LocationSwitcher, SavedPlaces } from '../LocationSwitcher';
+import { RainCountdown, NowcastState } from '../RainCountdown';
+import { useDismissedAlerts, getAlertEmoji, getOutdoorFeelsLike } from '../../index.js';
 
 interface Weather {
   current: {
     temperature: number;
     feelsLike: number;
     humidity: number;
+    windSpeed: number;
     uvIndex: number;
     precipitationProbability: number;
     conditionText: string;
@@ -15,6 +19,29 @@ interface Weather {
     tempHigh: number;
     tempLow: number;
   }>;
+  airQuality?: {
+    current: {
+      aqi: number;
+      category: string;
+      label: string;
+    } | null;
+  } | null;
+  dataQuality?: {
+    level: 'good' | 'partial' | 'poor';
+    summary: string;
+  };
+  timeZone?: string;
+}
+
+interface WeatherAlert {
+  id: string;
+  event: string;
+  headline: string;
+  instruction?: string | null;
+  severity: 'extreme' | 'severe' | 'moderate' | 'minor' | 'unknown';
+  area: string;
+  expires: Date | null;
+  source: string;
 }
 
 interface Tips {
@@ -22,14 +49,46 @@ interface Tips {
     emoji: string;
     message: string;
   } | null;
+  officialAlerts?: WeatherAlert[];
 }
 
 interface TodayOverviewCardProps {
   weather?: Weather | null;
   tips?: Tips | null;
+  places?: SavedPlaces;
+  gpsLocation?: { lat: number; lng: number } | null;
+  nowcast?: NowcastState | null;
+  notice?: string | null; // Why the weather couldn't be updated (e.g. "You're offline, showing 2h-old data"), or that changes aren't being saved
 }
 
-export function TodayOverviewCard({ weather, tips }: TodayOverviewCardProps) {
+const AQI_COLORS: Record<string, string> = {
+  good: 'text-emerald-600',
+  moderate: 'text-amber-600',
+  sensitive: 'text-orange-600',
+  unhealthy: 'text-red-600',
+  'very-unhealthy': 'text-purple-700',
+  hazardous: 'text-rose-900',
+};
+
+const ALERT_STYLES: Record<WeatherAlert['severity'], string> = {
+  extreme: 'bg-red-600 text-white border-red-700',
+  severe: 'bg-red-50 text-red-900 border-red-200',
+  moderate: 'bg-amber-50 text-amber-900 border-amber-200',
+  minor: 'bg-sky-50 text-sky-900 border-sky-200',
+  unknown: 'bg-slate-50 text-slate-800 border-slate-200',
+};
+
+export function TodayOverviewCard({ weather, tips, places, gpsLocation = null, nowcast = null, notice = null }: TodayOverviewCardProps) {
+  const { dismissAlert, isDismissed } = useDismissedAlerts();
+  const visibleAlerts = (tips?.officialAlerts ?? []).filter(alert => !isDismissed(alert.id));
+  const banner = visibleAlerts[0];
+
+  const formatUntil = (date: Date) => date.toLocaleString('en-US', {
+    weekday: 'short',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone: weather?.timeZone,
+  });
   
   // Get the right icon based on condition
   const getWeatherIcon = () => {
@@ -44,6 +103,10 @@ export function TodayOverviewCard({ weather, tips }: TodayOverviewCardProps) {
 
   const WeatherIcon = getWeatherIcon();
 
+  const airQuality = weather?.airQuality?.current;
+  // Same model the outfits and tips use, rather than the provider's feels-like
+  const feelsLike = weather ? getOutdoorFeelsLike(weather.current) : null;
+
   // Get dynamic description
   const getDescription = () => {
     if (!weather) return 'Perfect conditions for outdoor play with mild temperatures and gentle breezes';
@@ -86,7 +149,45 @@ export function TodayOverviewCard({ weather, tips }: TodayOverviewCardProps) {
   };
 
   return (
-    <div className="h-screen flex items-center justify-center bg-gradient-to-b from-sky-50 to-blue-50 px-8">
+    <div className="relative h-screen flex items-center justify-center bg-gradient-to-b from-sky-50 to-blue-50 px-8">
+      <AnimatePresence>
+        {banner && (
+          <motion.div
+            key={banner.id}
+            initial={{ opacity: 0, y: -16 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -16 }}
+            transition={{ duration: 0.3 }}
+            className={`absolute top-6 left-6 right-6 z-10 mx-auto max-w-md rounded-3xl border p-4 text-left shadow-sm ${ALERT_STYLES[banner.severity]}`}
+            role="alert"
+          >
+            <div className="flex items-start gap-3">
+              <span className="text-2xl leading-none">{getAlertEmoji(banner.event)}</span>
+              <div className="flex-1 min-w-0">
+                <div className="font-medium">{banner.event}</div>
+                <div className="text-sm opacity-80">
+                  {[banner.area, banner.expires && `until ${formatUntil(banner.expires)}`].filter(Boolean).join(' · ')}
+                </div>
+                {banner.instruction && (
+                  <p className="text-sm mt-2 line-clamp-3">{banner.instruction}</p>
+                )}
+                <div className="text-xs opacity-60 mt-2">
+                  {banner.source}
+                  {visibleAlerts.length > 1 && ` · ${visibleAlerts.length - 1} more alert${visibleAlerts.length > 2 ? 's' : ''}`}
+                </div>
+              </div>
+              <button
+                onClick={() => dismissAlert(banner)}
+                aria-label="Dismiss alert"
+                className="opacity-60 hover:opacity-100 transition-opacity"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
       <div className="text-center max-w-md">
         <motion.div
           initial={{ opacity: 0 }}
@@ -94,10 +195,16 @@ export function TodayOverviewCard({ weather, tips }: TodayOverviewCardProps) {
           transition={{ duration: 0.6 }}
           className="mb-8"
         >
-          <div className="flex items-center justify-center gap-2 text-slate-700 mb-8">
-            <MapPin className="w-4 h-4" />
-            <span>Your Location</span>
-          </div>
+          {places ? (
+            <div className="flex justify-center mb-8">
+              <LocationSwitcher places={places} gpsLocation={gpsLocation} />
+            </div>
+          ) : (
+            <div className="flex items-center justify-center gap-2 text-slate-700 mb-8">
+              <MapPin className="w-4 h-4" />
+              <span>Your Location</span>
+            </div>
+          )}
         </motion.div>
         
         <motion.div
@@ -110,6 +217,11 @@ export function TodayOverviewCard({ weather, tips }: TodayOverviewCardProps) {
           <div className="text-[120px] leading-none tracking-tighter mb-4 text-slate-900">
             {weather?.current.temperature ?? 72}°
           </div>
+          {feelsLike !== null && (
+            <div className="text-slate-500 mb-3">
+              Feels like {feelsLike}°
+            </div>
+          )}
           <div className="text-slate-800 text-2xl mb-3">
             {weather?.current.conditionText ?? 'Sunny & Pleasant'}
           </div>
@@ -118,7 +230,22 @@ export function TodayOverviewCard({ weather, tips }: TodayOverviewCardProps) {
               H: {weather.daily[0].tempHigh}° · L: {weather.daily[0].tempLow}°
             </div>
           )}
+          {airQuality && (
+            <div className={`text-sm mt-1 ${AQI_COLORS[airQuality.category] ?? 'text-slate-500'}`}>
+              Air quality: {airQuality.label} (AQI {airQuality.aqi})
+            </div>
+          )}
+          {notice && (
+            <div className="text-amber-700 text-sm mt-2">{notice}</div>
+          )}
+          {weather?.dataQuality && weather.dataQuality.level !== 'good' && (
+            <div className="text-slate-400 text-sm mt-2">
+              {weather.dataQuality.summary}
+            </div>
+          )}
         </motion.div>
+
+        <RainCountdown nowcast={nowcast} timeZone={weather?.timeZone} />
         
         <motion.div
           initial={{ opacity: 0, y: 20 }}
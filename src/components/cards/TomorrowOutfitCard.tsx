@@ -0,0 +1,107 @@
+import { motion } from 'motion/react';
+import { Moon, Umbrella, Sun } from 'lucide-react';
+import { APPARENT_CONFIG } from '../../index.js';
+
+interface OutfitItem {
+  id: string;
+  name: string;
+  emoji: string;
+  required: boolean;
+}
+
+interface Outfit {
+  childId: string;
+  childName: string;
+  items: OutfitItem[];
+  tips: string[];
+  summary: string;
+  morningTemp: number;
+  afternoonTemp: number;
+  morningFeelsLike?: number;
+  afternoonFeelsLike?: number;
+  needsRainGear: boolean;
+  needsSunProtection: boolean;
+}
+
+interface TomorrowOutfitCardProps {
+  outfits: Outfit[];
+  locationName?: string | null; // Set when dressing for the dropoff place, not the one being viewed
+  activityName?: string | null; // Set when dressing for an outing, not daycare or school
+}
+
+/** Whether wind, humidity or sun make the day feel noticeably off the thermometer */
+function feelsDifferent({ morningTemp, afternoonTemp, morningFeelsLike = morningTemp, afternoonFeelsLike = afternoonTemp }: Outfit) {
+  return Math.max(Math.abs(morningFeelsLike - morningTemp), Math.abs(afternoonFeelsLike - afternoonTemp)) >= APPARENT_CONFIG.NOTABLE_DIFF_F;
+}
+
+/**
+ * "Lay out clothes tonight" - tomorrow's outfit for each child, planned from
+ * tomorrow's forecast alone
+ */
+export function TomorrowOutfitCard({ outfits, locationName, activityName }: TomorrowOutfitCardProps) {
+  return (
+    <div className="h-screen flex items-center justify-center bg-gradient-to-b from-indigo-50 via-slate-50 to-indigo-50 px-8 overflow-y-auto">
+      <div className="w-full max-w-md text-center">
+        <motion.div
+          initial={{ scale: 0, rotate: -90 }}
+          animate={{ scale: 1, rotate: 0 }}
+          transition={{ duration: 0.8, type: 'spring' }}
+          className="w-24 h-24 rounded-full bg-indigo-100 flex items-center justify-center mx-auto mb-6"
+        >
+          <Moon className="w-10 h-10 text-indigo-600" />
+        </motion.div>
+
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.3 }}
+          className="mb-8"
+        >
+          <div className="text-slate-500 mb-3">Tomorrow{locationName && ` at ${locationName}`}{activityName && ` - ${activityName}`}</div>
+          <h2 className="text-slate-800 tracking-tight">Lay it out tonight</h2>
+        </motion.div>
+
+        <div className="space-y-4">
+          {outfits.map((outfit, index) => (
+            <motion.div
+              key={outfit.childId}
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: 0.5 + index * 0.1 }}
+              className="bg-white/70 backdrop-blur-sm rounded-3xl p-6 border border-white shadow-sm text-left"
+            >
+              <div className="flex items-baseline justify-between mb-2">
+                <div className="text-slate-900">{outfit.childName}</div>
+                <div className="text-slate-500 text-sm text-right">
+                  {outfit.morningTemp}° → {outfit.afternoonTemp}°
+                  {feelsDifferent(outfit) && (
+                    <div>feels {outfit.morningFeelsLike}° → {outfit.afternoonFeelsLike}°</div>
+                  )}
+                </div>
+              </div>
+              <div className="text-slate-700 mb-3">{outfit.summary}</div>
+              <div className="flex flex-wrap gap-2 mb-3">
+                {outfit.items.filter(item => item.required).map(item => (
+                  <span key={item.id} className="rounded-full bg-slate-100 px-3 py-1 text-sm text-slate-700">
+                    {item.emoji} {item.name}
+                  </span>
+                ))}
+              </div>
+              {(outfit.needsRainGear || outfit.needsSunProtection) && (
+                <div className="flex gap-3 text-sm text-slate-500 mb-2">
+                  {outfit.needsRainGear && (
+                    <span className="flex items-center gap-1"><Umbrella className="w-4 h-4 text-blue-500" /> Pack rain gear</span>
+                  )}
+                  {outfit.needsSunProtection && (
+                    <span className="flex items-center gap-1"><Sun className="w-4 h-4 text-amber-500" /> Sunscreen</span>
+                  )}
+                </div>
+              )}
+              {outfit.tips[0] && <p className="text-slate-500 text-sm">{outfit.tips[0]}</p>}
+            </motion.div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
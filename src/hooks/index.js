@@ -8,12 +8,22 @@
  * const { weather, outfits, activities, tips, isLoading } = useTinyWeather();
  */
 
-import { useState, useEffect, useCallback, useMemo } from 'react';
-import { createWeatherService, getMockWeatherData, getCachedWeather } from '../services/weatherApi.js';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { createWeatherService, getMockWeatherData, getCachedWeather, getLocationCacheKey, isWeatherExpired } from '../services/weatherApi.js';
+import { providerRequiresApiKey } from '../services/providers/index.js';
+import { createPlaceSearch } from '../services/geocoding.js';
 import { generateAllOutfitRecommendations } from '../services/outfitEngine.js';
 import { analyzeActivityWindows } from '../services/activityCalc.js';
 import { generateSmartTips } from '../services/smartTips.js';
-import { STORAGE_KEYS, getAgeGroup } from '../utils/constants.js';
+import { getNextDryWindow, getSchoolRunWindow, isNowcastCurrent } from '../services/nowcast.js';
+import { getMockScenarioFromUrl } from '../services/mockScenarios.js';
+import { getErrorKind } from '../services/errors.js';
+import { STORES, getItem, setItem, getAllItems, replaceItems, getChildren, replaceChildren, getSaveError, onSaveError } from '../services/storage.js';
+import { createWardrobeItem } from '../services/wardrobe.js';
+import { addComfortFeedback, getComfortAdjustment } from '../services/comfort.js';
+import { createRefreshScheduler, getRefreshDelay } from '../services/refreshScheduler.js';
+import { API_CONFIG, STORAGE_KEYS, LOCATION_KINDS, TIME_CONFIG, getAgeGroup } from '../utils/constants.js';
+import { getLocalHour, getLocalDateKey, getHoursOnDate, addDays, getRelativeDayLabel, isValidTimeZone } from '../utils/time.js';
 
 // ============================================================================
 // GEOLOCATION HOOK
@@ -21,7 +31,16 @@ import { STORAGE_KEYS, getAgeGroup } from '../utils/constants.js';
 
 /**
  * Hook to get user's location
- * @returns {{location: {lat: number, lng: number} | null, error: Error | null, isLoading: boolean}}
+ * 
+ * If geolocation is denied or unavailable, `setManualLocation` takes a typed-in
+ * place (e.g. from useLocationSearch) instead; it's remembered like a GPS fix.
+ * 
+ * @returns {{
+ *   location: {lat: number, lng: number} | null,
+ *   error: Error | null,
+ *   isLoading: boolean,
+ *   setManualLocation: (coords: {lat: number, lng: number}) => void,
+ * }}
  */
 export function useGeolocation() {
   const [location, setLocation] = useState(null);
@@ -30,15 +49,10 @@ export function useGeolocation() {
 
   useEffect(() => {
     // Try to get cached location first
-    const cached = localStorage.getItem(STORAGE_KEYS.LAST_LOCATION);
+    const cached = getItem(STORES.PREFERENCES, STORAGE_KEYS.LAST_LOCATION);
     if (cached) {
-      try {
-        const parsed = JSON.parse(cached);
-        setLocation(parsed);
-        setIsLoading(false);
-      } catch (e) {
-        // Ignore parse errors
-      }
+      setLocation(cached);
+      setIsLoading(false);
     }
 
     // Get fresh location
@@ -56,7 +70,7 @@ export function useGeolocation() {
         };
         setLocation(loc);
         setIsLoading(false);
-        localStorage.setItem(STORAGE_KEYS.LAST_LOCATION, JSON.stringify(loc));
+        setItem(STORES.PREFERENCES, STORAGE_KEYS.LAST_LOCATION, loc);
       },
       (err) => {
         setError(new Error(`Location error: ${err.message}`));
@@ -66,7 +80,71 @@ export function useGeolocation() {
     );
   }, []);
 
-  return { location, error, isLoading };
+  const setManualLocation = useCallback((coords) => {
+    const loc = { lat: coords.lat, lng: coords.lng };
+    setLocation(loc);
+    setError(null);
+    setIsLoading(false);
+    setItem(STORES.PREFERENCES, STORAGE_KEYS.LAST_LOCATION, loc);
+  }, []);
+
+  return { location, error, isLoading, setManualLocation };
+}
+
+// ============================================================================
+// PLACE SEARCH HOOK
+// ============================================================================
+
+/**
+ * Hook to search for places by city name or postal code
+ * 
+ * Offline gazetteer matches appear as you type; when an online geocoder is
+ * configured its results are merged in after a short pause in typing.
+ * 
+ * @param {Object} [options]
+ * @param {string | null} [options.geocoder] - Online geocoder id (defaults to API_CONFIG.GEOCODER; null = offline only)
+ * @param {string} [options.apiKey] - Key for geocoders that need one
+ * @param {number} [options.limit=5] - Most results to show
+ * @param {number} [options.debounceMs=300] - Pause before the online lookup
+ * @returns {import('../types/index.js').UseLocationSearchResult}
+ */
+export function useLocationSearch({ geocoder = API_CONFIG.GEOCODER, apiKey, limit = 5, debounceMs = 300 } = {}) {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+
+  const placeSearch = useMemo(() => createPlaceSearch({ geocoder, apiKey }), [geocoder, apiKey]);
+
+  useEffect(() => {
+    // Offline results are instant
+    setResults(placeSearch.searchOffline(query, limit));
+
+    if (!placeSearch.hasOnline || query.trim().length < 2) {
+      setIsSearching(false);
+      return;
+    }
+
+    let cancelled = false;
+    setIsSearching(true);
+    const timer = setTimeout(() => {
+      placeSearch.search(query, limit)
+        .then((merged) => {
+          if (!cancelled) setResults(merged);
+        })
+        .finally(() => {
+          if (!cancelled) setIsSearching(false);
+        });
+    }, debounceMs);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [placeSearch, query, limit, debounceMs]);
+
+  const clear = useCallback(() => setQuery(''), []);
+
+  return { query, setQuery, results, isSearching, clear };
 }
 
 // ============================================================================
@@ -83,21 +161,11 @@ export function useGeolocation() {
  * }}
  */
 export function useChildren() {
-  const [children, setChildren] = useState(() => {
-    const saved = localStorage.getItem(STORAGE_KEYS.CHILDREN);
-    if (saved) {
-      try {
-        return JSON.parse(saved);
-      } catch (e) {
-        return [];
-      }
-    }
-    return [];
-  });
+  const [children, setChildren] = useState(getChildren);
 
-  // Persist to localStorage
+  // Persist to storage
   useEffect(() => {
-    localStorage.setItem(STORAGE_KEYS.CHILDREN, JSON.stringify(children));
+    replaceChildren(children);
   }, [children]);
 
   const addChild = useCallback((name, ageMonths) => {
@@ -128,33 +196,237 @@ export function useChildren() {
   return { children, addChild, removeChild, updateChild };
 }
 
+// ============================================================================
+// WARDROBE HOOK
+// ============================================================================
+
+/**
+ * Hook to manage what each child owns, so outfits stick to real clothes
+ * (pass `wardrobes` to useOutfits). Items start from the catalogue's warmth
+ * and waterproofing for their type; "in the wash" takes one out for now.
+ * @returns {import('../types/index.js').UseWardrobeResult}
+ */
+export function useWardrobe() {
+  const [wardrobes, setWardrobes] = useState(() => getAllItems(STORES.WARDROBES));
+
+  // Persist to storage
+  useEffect(() => {
+    replaceItems(STORES.WARDROBES, wardrobes);
+  }, [wardrobes]);
+
+  const getWardrobe = useCallback((childId) => wardrobes[childId] ?? [], [wardrobes]);
+
+  const addItem = useCallback((childId, fields) => {
+    const item = createWardrobeItem(fields);
+    setWardrobes(prev => ({ ...prev, [childId]: [...(prev[childId] ?? []), item] }));
+    return item.id;
+  }, []);
+
+  const updateItem = useCallback((childId, itemId, updates) => {
+    setWardrobes(prev => ({
+      ...prev,
+      [childId]: (prev[childId] ?? []).map(item => (
+        item.id === itemId ? createWardrobeItem({ ...item, ...updates, id: item.id }) : item
+      )),
+    }));
+  }, []);
+
+  const removeItem = useCallback((childId, itemId) => {
+    setWardrobes(prev => ({ ...prev, [childId]: (prev[childId] ?? []).filter(item => item.id !== itemId) }));
+  }, []);
+
+  const setInWash = useCallback((childId, itemId, inWash) => {
+    updateItem(childId, itemId, { inWash });
+  }, [updateItem]);
+
+  const clearWardrobe = useCallback((childId) => {
+    setWardrobes(prev => {
+      if (!(childId in prev)) return prev;
+      const { [childId]: _removed, ...rest } = prev;
+      return rest;
+    });
+  }, []);
+
+  return { wardrobes, getWardrobe, addItem, updateItem, removeItem, setInWash, clearWardrobe };
+}
+
+// ============================================================================
+// COMFORT FEEDBACK HOOK
+// ============================================================================
+
+/**
+ * Hook to collect "too cold / just right / too hot" ratings of each child's
+ * outfit, which shift their layering (pass `histories` to useOutfits as
+ * `comfortHistories`)
+ * @returns {import('../types/index.js').UseComfortFeedbackResult}
+ */
+export function useComfortFeedback() {
+  const [histories, setHistories] = useState(() => getAllItems(STORES.COMFORT));
+
+  // Persist to storage
+  useEffect(() => {
+    replaceItems(STORES.COMFORT, histories);
+  }, [histories]);
+
+  const rateOutfit = useCallback((childId, rating, { date = getLocalDateKey(new Date()), morningTemp = null } = {}) => {
+    setHistories(prev => ({
+      ...prev,
+      [childId]: addComfortFeedback(prev[childId] ?? [], { date, rating, morningTemp }),
+    }));
+  }, []);
+
+  const getAdjustment = useCallback(
+    (childId, childName) => getComfortAdjustment(histories[childId], childName),
+    [histories]
+  );
+
+  const getRating = useCallback(
+    (childId, date = getLocalDateKey(new Date())) => histories[childId]?.find(entry => entry.date === date)?.rating ?? null,
+    [histories]
+  );
+
+  const clearFeedback = useCallback((childId) => {
+    setHistories(prev => {
+      if (!(childId in prev)) return prev;
+      const { [childId]: _removed, ...rest } = prev;
+      return rest;
+    });
+  }, []);
+
+  return { histories, rateOutfit, getAdjustment, getRating, clearFeedback };
+}
+
+// ============================================================================
+// SAVED LOCATIONS HOOK
+// ============================================================================
+
+/**
+ * Hook to manage named saved places (home, school, daycare, grandparents...)
+ * 
+ * `activeId` is the place being viewed (null = current GPS fix) and
+ * `dropoffId` is where the kids spend the day, used for outfits (null = same
+ * as the viewed place). Both persist with the list.
+ * 
+ * @returns {import('../types/index.js').UseSavedLocationsResult}
+ */
+export function useSavedLocations() {
+  const [state, setState] = useState(() => {
+    const empty = { locations: [], activeId: null, dropoffId: null };
+    return { ...empty, ...getItem(STORES.PREFERENCES, STORAGE_KEYS.SAVED_LOCATIONS) };
+  });
+
+  // Persist to storage
+  useEffect(() => {
+    setItem(STORES.PREFERENCES, STORAGE_KEYS.SAVED_LOCATIONS, state);
+  }, [state]);
+
+  const addLocation = useCallback((name, kind, coords) => {
+    const id = `place-${Date.now()}`;
+    const newLocation = {
+      id,
+      name,
+      kind: LOCATION_KINDS[kind] ? kind : 'other',
+      lat: coords.lat,
+      lng: coords.lng,
+    };
+    setState(prev => ({ ...prev, locations: [...prev.locations, newLocation] }));
+    return id;
+  }, []);
+
+  const removeLocation = useCallback((id) => {
+    setState(prev => ({
+      locations: prev.locations.filter(l => l.id !== id),
+      activeId: prev.activeId === id ? null : prev.activeId,
+      dropoffId: prev.dropoffId === id ? null : prev.dropoffId,
+    }));
+  }, []);
+
+  const updateLocation = useCallback((id, updates) => {
+    setState(prev => ({
+      ...prev,
+      locations: prev.locations.map(l => (l.id === id ? { ...l, ...updates, id } : l)),
+    }));
+  }, []);
+
+  const setActiveLocation = useCallback((id) => {
+    setState(prev => ({ ...prev, activeId: id }));
+  }, []);
+
+  const setDropoffLocation = useCallback((id) => {
+    setState(prev => ({ ...prev, dropoffId: id }));
+  }, []);
+
+  const activeLocation = state.locations.find(l => l.id === state.activeId) || null;
+  const dropoffLocation = state.locations.find(l => l.id === state.dropoffId) || null;
+
+  return {
+    locations: state.locations,
+    activeLocation,
+    dropoffLocation,
+    addLocation,
+    removeLocation,
+    updateLocation,
+    setActiveLocation,
+    setDropoffLocation,
+  };
+}
+
 // ============================================================================
 // WEATHER DATA HOOK
 // ============================================================================
 
 /**
  * Hook to fetch and manage weather data
- * @param {string} apiKey - Google Maps Weather API key
+ * @param {string} apiKey - API key for the selected provider
  * @param {{lat: number, lng: number} | null} location
  * @param {Object} options
  * @param {boolean} [options.useMockData=false] - Use mock data for development
+ * @param {string} [options.mockScenario] - Mock weather pattern (see MOCK_SCENARIOS; defaults to 'default')
+ * @param {number} [options.mockSeed] - Seed for repeatable mock data
+ * @param {string} [options.provider] - Weather provider id (defaults to API_CONFIG.PROVIDER)
+ * @param {number} [options.hourlyHours] - Hourly forecast horizon (defaults to API_CONFIG.HOURLY_HOURS)
+ * @param {import('../services/fixtures.js').WeatherFixture} [options.fixture] - Replay this recording (moved to today) instead of fetching
+ * @param {ReturnType<import('../services/fixtures.js').createFixtureRecorder>} [options.recorder] - Record each fresh fetch as a fixture
+ * @param {boolean} [options.autoRefresh=true] - Refetch when the data expires, when the page is shown again and
+ *   when the connection returns (see createRefreshScheduler)
  * @returns {import('../types/index.js').UseWeatherResult}
  */
-export function useWeather(apiKey, location, { useMockData = false } = {}) {
+export function useWeather(apiKey, location, {
+  useMockData = false,
+  mockScenario,
+  mockSeed,
+  provider = API_CONFIG.PROVIDER,
+  hourlyHours,
+  fixture,
+  recorder,
+  autoRefresh = true,
+} = {}) {
   const [data, setData] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [lastUpdated, setLastUpdated] = useState(null);
+  const [isRevalidating, setIsRevalidating] = useState(false);
+  // Fetches that have failed in a row, for auto-refresh backoff
+  const [failures, setFailures] = useState(0);
 
   const weatherService = useMemo(() => {
-    if (!apiKey) return null;
-    return createWeatherService(apiKey);
-  }, [apiKey]);
+    if (!fixture && !apiKey && providerRequiresApiKey(provider)) return null;
+    return createWeatherService(apiKey, { provider, hourlyHours, fixture, recorder, shiftFixtureToToday: true });
+  }, [apiKey, provider, hourlyHours, fixture, recorder]);
+
+  // The request whose results may still be committed; a newer one aborts it
+  const requestRef = useRef(null);
 
   const fetchWeather = useCallback(async (forceRefresh = false) => {
+    requestRef.current?.abort();
+    const controller = new AbortController();
+    requestRef.current = controller;
+    const { signal } = controller;
+    setIsRevalidating(false);
+
     // Use mock data in development
     if (useMockData) {
-      const mockData = getMockWeatherData();
+      const mockData = getMockWeatherData({ scenario: mockScenario, seed: mockSeed });
       setData(mockData);
       setLastUpdated(mockData.fetchedAt);
       setIsLoading(false);
@@ -173,40 +445,106 @@ export function useWeather(apiKey, location, { useMockData = false } = {}) {
       const weatherData = await weatherService.fetchAllWeather(
         location.lat,
         location.lng,
-        { forceRefresh }
+        {
+          forceRefresh,
+          signal,
+          // Stale cache was served - swap in fresh data when it arrives
+          onRevalidate: (revalidation) => {
+            setIsRevalidating(true);
+            revalidation
+              .then((freshData) => {
+                if (signal.aborted) return;
+                setData(freshData);
+                setLastUpdated(freshData.fetchedAt);
+                setFailures(0);
+              })
+              .catch((err) => {
+                if (signal.aborted) return;
+                console.error('Weather revalidation error:', err);
+                setError(err);
+                setFailures(n => n + 1);
+              })
+              .finally(() => {
+                if (!signal.aborted) setIsRevalidating(false);
+              });
+          },
+        }
       );
 
+      // A newer request (or unmount) took over while this one was out
+      if (signal.aborted) return;
       setData(weatherData);
       setLastUpdated(weatherData.fetchedAt);
+      if (!isWeatherExpired(weatherData)) setFailures(0);
     } catch (err) {
+      if (signal.aborted) return;
       console.error('Weather fetch error:', err);
       setError(err);
+      setFailures(n => n + 1);
       
-      // Try to use cached data as fallback
-      const cached = getCachedWeather();
+      // Fall back to cached data, even if expired: an old forecast beats none when offline
+      const cached = getCachedWeather(location.lat, location.lng, { allowStale: true, maxAgeMs: API_CONFIG.CACHE_OFFLINE_MAX_AGE_MS });
       if (cached) {
         setData(cached);
         setLastUpdated(cached.fetchedAt);
       }
     } finally {
-      setIsLoading(false);
+      if (!signal.aborted) setIsLoading(false);
     }
-  }, [weatherService, location, useMockData]);
+  }, [weatherService, location, useMockData, mockScenario, mockSeed]);
 
-  // Initial fetch
+  // Fetch on mount and whenever the location or service changes; cancel on the way out
   useEffect(() => {
     fetchWeather();
+    return () => requestRef.current?.abort();
+  }, [fetchWeather]);
+
+  // Refetch on expiry, on return to the page and when back online
+  const fetchRef = useRef(fetchWeather);
+  useEffect(() => {
+    fetchRef.current = fetchWeather;
   }, [fetchWeather]);
 
-  // Check if data is stale
+  const schedulerRef = useRef(null);
+  useEffect(() => {
+    if (!autoRefresh) return;
+    const scheduler = createRefreshScheduler(() => fetchRef.current());
+    schedulerRef.current = scheduler;
+    return () => {
+      scheduler.stop();
+      schedulerRef.current = null;
+    };
+  }, [autoRefresh]);
+
+  useEffect(() => {
+    const scheduler = schedulerRef.current;
+    if (!scheduler) return;
+    // A fetch under way reschedules when it settles
+    if (isLoading || isRevalidating) {
+      scheduler.schedule(null);
+      return;
+    }
+    scheduler.schedule(getRefreshDelay({ expiresAt: data?.expiresAt, failures, error }), { afterError: failures > 0 });
+  }, [data, error, failures, isLoading, isRevalidating, autoRefresh]);
+
+  // Re-render when the data expires so isStale flips without waiting for a refresh
+  const [staleCheck, setStaleCheck] = useState(0);
+  useEffect(() => {
+    if (!data?.expiresAt) return;
+    const msLeft = new Date(data.expiresAt).getTime() - Date.now();
+    if (msLeft < 0) return;
+    const timer = setTimeout(() => setStaleCheck(n => n + 1), msLeft + 1);
+    return () => clearTimeout(timer);
+  }, [data]);
+
   const isStale = useMemo(() => {
     if (!data?.expiresAt) return false;
     return new Date() > new Date(data.expiresAt);
-  }, [data]);
+  }, [data, staleCheck]);
 
   const refresh = useCallback(() => fetchWeather(true), [fetchWeather]);
 
-  return { data, isLoading, error, refresh, isStale, lastUpdated };
+  return { data, isLoading, error, errorKind: getErrorKind(error), refresh, isStale, isRevalidating, lastUpdated };
 }
 
 // ============================================================================
@@ -217,12 +555,19 @@ export function useWeather(apiKey, location, { useMockData = false } = {}) {
  * Hook to get outfit recommendations
  * @param {import('../types/index.js').WeatherData | null} weather
  * @param {import('../types/index.js').Child[]} children
+ * @param {Object} [options]
+ * @param {Date | null} [options.date] - Day to dress for (today if omitted)
+ * @param {Record<string, import('../types/index.js').WardrobeItem[]>} [options.wardrobes] - Dress from what each child owns (see useWardrobe)
+ * @param {Record<string, import('../types/index.js').ComfortFeedback[]>} [options.comfortHistories] - Dress for how each child runs (see useComfortFeedback)
+ * @param {string | null} [options.activity] - Dress for an outing (an ACTIVITY_PROFILES id) instead of daycare or school
  * @returns {import('../types/index.js').UseOutfitsResult}
  */
-export function useOutfits(weather, children) {
+export function useOutfits(weather, children, { date = null, wardrobes, comfortHistories, activity = null } = {}) {
   const [outfits, setOutfits] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  // Depend on the instant, not the Date object, so callers can pass a fresh one
+  const dateMs = date ? date.getTime() : null;
 
   useEffect(() => {
     if (!weather || children.length === 0) {
@@ -232,7 +577,11 @@ export function useOutfits(weather, children) {
     }
 
     try {
-      const recommendations = generateAllOutfitRecommendations(children, weather);
+      const recommendations = generateAllOutfitRecommendations(
+        children,
+        weather,
+        dateMs !== null ? { date: new Date(dateMs), wardrobes, comfortHistories, activity } : { wardrobes, comfortHistories, activity }
+      );
       setOutfits(recommendations);
       setError(null);
     } catch (err) {
@@ -241,11 +590,49 @@ export function useOutfits(weather, children) {
     } finally {
       setIsLoading(false);
     }
-  }, [weather, children]);
+  }, [weather, children, dateMs, wardrobes, comfortHistories, activity]);
 
   return { outfits, isLoading, error };
 }
 
+/**
+ * Hook to plan tomorrow's outfits from tomorrow's forecast, for laying clothes
+ * out the night before
+ * @param {import('../types/index.js').WeatherData | null} weather
+ * @param {import('../types/index.js').Child[]} children
+ * @param {Object} [options]
+ * @param {Record<string, import('../types/index.js').WardrobeItem[]>} [options.wardrobes] - Dress from what each child owns (see useWardrobe)
+ * @param {Record<string, import('../types/index.js').ComfortFeedback[]>} [options.comfortHistories] - Dress for how each child runs (see useComfortFeedback)
+ * @param {string | null} [options.activity] - Plan for an outing (an ACTIVITY_PROFILES id) instead of daycare or school
+ * @returns {import('../types/index.js').OutfitPlanResult | null} Null until the forecast reaches tomorrow
+ */
+export function useTomorrowOutfits(weather, children, { wardrobes, comfortHistories, activity = null } = {}) {
+  const timeZone = weather?.timeZone;
+  const now = new Date();
+  // Keyed by date so the plan moves on at midnight
+  const tomorrowKey = getLocalDateKey(addDays(now, 1, timeZone), timeZone);
+  const isOfferTime = getLocalHour(now, timeZone) >= TIME_CONFIG.TOMORROW_PLAN_HOUR;
+
+  const plan = useMemo(() => {
+    if (!weather || children.length === 0) return null;
+
+    // Needs tomorrow's daytime hours, not just the small hours at the end of the forecast
+    const daytime = getHoursOnDate(weather.hourly, addDays(new Date(), 1, timeZone), timeZone)
+      .find(h => getLocalHour(h.time, timeZone) >= TIME_CONFIG.MORNING_START);
+    if (!daytime) return null;
+
+    try {
+      const date = new Date(daytime.time);
+      return { outfits: generateAllOutfitRecommendations(children, weather, { planFor: { date }, wardrobes, comfortHistories, activity }), date };
+    } catch (err) {
+      console.error('Tomorrow outfit error:', err);
+      return null;
+    }
+  }, [weather, children, wardrobes, comfortHistories, activity, tomorrowKey, timeZone]);
+
+  return plan && { ...plan, isOfferTime };
+}
+
 // ============================================================================
 // ACTIVITY WINDOWS HOOK
 // ============================================================================
@@ -253,12 +640,15 @@ export function useOutfits(weather, children) {
 /**
  * Hook to get activity window analysis
  * @param {import('../types/index.js').WeatherData | null} weather
+ * @param {Object} [options]
+ * @param {Date | null} [options.date] - Day to plan for (today if omitted)
  * @returns {import('../types/index.js').UseActivityResult}
  */
-export function useActivityWindows(weather) {
+export function useActivityWindows(weather, { date = null } = {}) {
   const [analysis, setAnalysis] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  const dateMs = date ? date.getTime() : null;
 
   useEffect(() => {
     if (!weather) {
@@ -268,7 +658,7 @@ export function useActivityWindows(weather) {
     }
 
     try {
-      const result = analyzeActivityWindows(weather);
+      const result = analyzeActivityWindows(weather, dateMs !== null ? { date: new Date(dateMs) } : {});
       setAnalysis(result);
       setError(null);
     } catch (err) {
@@ -277,11 +667,45 @@ export function useActivityWindows(weather) {
     } finally {
       setIsLoading(false);
     }
-  }, [weather]);
+  }, [weather, dateMs]);
 
   return { analysis, isLoading, error };
 }
 
+// ============================================================================
+// FORECAST DAYS HOOK
+// ============================================================================
+
+/**
+ * Days the hourly forecast covers well enough to plan outfits and outdoor
+ * time for - i.e. with hours through the outdoor part of the day. Feeds a
+ * day picker; pass the chosen `date` to useTinyWeather.
+ * @param {import('../types/index.js').WeatherData | null} weather
+ * @returns {import('../types/index.js').ForecastDay[]}
+ */
+export function useForecastDays(weather) {
+  return useMemo(() => {
+    if (!weather?.hourly?.length) return [];
+
+    const { hourly, timeZone } = weather;
+    const days = [];
+    for (const hour of hourly) {
+      const key = getLocalDateKey(hour.time, timeZone);
+      const day = days.find(d => d.key === key);
+      if (day) {
+        day.lastHour = getLocalHour(hour.time, timeZone);
+      } else {
+        days.push({ key, date: new Date(hour.time), lastHour: getLocalHour(hour.time, timeZone) });
+      }
+    }
+
+    // Today always counts, however late it is; later days need their afternoon
+    return days
+      .filter((day, i) => i === 0 || day.lastHour >= TIME_CONFIG.AFTERNOON_END)
+      .map(({ key, date }) => ({ key, date, label: getRelativeDayLabel(date, timeZone) }));
+  }, [weather]);
+}
+
 // ============================================================================
 // SMART TIPS HOOK
 // ============================================================================
@@ -318,6 +742,94 @@ export function useSmartTips(weather) {
   return { tips, isLoading, error };
 }
 
+// ============================================================================
+// NOWCAST HOOK
+// ============================================================================
+
+/**
+ * Hook for minute-level rain timing. Re-evaluates on a timer so countdowns
+ * stay current between weather refreshes.
+ * @param {import('../types/index.js').WeatherData | null} weather
+ * @param {Object} [options]
+ * @param {number} [options.tickMs=30000] - How often to re-check
+ * @returns {import('../types/index.js').UseNowcastResult}
+ */
+export function useNowcast(weather, { tickMs = 30 * 1000 } = {}) {
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), tickMs);
+    return () => clearInterval(timer);
+  }, [tickMs]);
+
+  const forecast = weather?.nowcast ?? null;
+  const timeZone = weather?.timeZone;
+
+  const findDryWindow = useCallback((at = new Date()) => getNextDryWindow(forecast, at), [forecast]);
+  const dryWindow = useMemo(() => findDryWindow(now), [findDryWindow, now]);
+
+  return {
+    // A cached nowcast that has run out says nothing about now
+    nowcast: isNowcastCurrent(forecast, now) ? forecast : null,
+    dryWindow,
+    schoolRun: getSchoolRunWindow(now, timeZone),
+    getNextDryWindow: findDryWindow,
+  };
+}
+
+// ============================================================================
+// ALERT DISMISSAL HOOK
+// ============================================================================
+
+/** How long to hide a dismissed alert that has no end time */
+const DISMISS_WITHOUT_EXPIRY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Hook to remember which official alerts the user has dismissed.
+ * A dismissal lasts until the alert expires, so the same alert doesn't come
+ * back on every refresh but a new one (a new id) still shows.
+ * @returns {import('../types/index.js').UseDismissedAlertsResult}
+ */
+export function useDismissedAlerts() {
+  // Alert id → time (ms) the dismissal can be forgotten
+  const [dismissed, setDismissed] = useState(() => {
+    const saved = getItem(STORES.PREFERENCES, STORAGE_KEYS.DISMISSED_ALERTS) ?? {};
+    const now = Date.now();
+    return Object.fromEntries(Object.entries(saved).filter(([, until]) => until > now));
+  });
+
+  // Persist to storage
+  useEffect(() => {
+    setItem(STORES.PREFERENCES, STORAGE_KEYS.DISMISSED_ALERTS, dismissed);
+  }, [dismissed]);
+
+  const dismissAlert = useCallback((alert) => {
+    const until = alert.expires ? new Date(alert.expires).getTime() : Date.now() + DISMISS_WITHOUT_EXPIRY_MS;
+    setDismissed(prev => ({ ...prev, [alert.id]: until }));
+  }, []);
+
+  const isDismissed = useCallback((alertId) => alertId in dismissed, [dismissed]);
+
+  return { dismissAlert, isDismissed };
+}
+
+// ============================================================================
+// SAVE ERROR HOOK
+// ============================================================================
+
+/**
+ * Hook to tell the user when changes aren't being kept on this device
+ * (usually because it's full), so they don't find out on the next launch
+ * @returns {Error | null} The last failed save, until one succeeds
+ */
+export function useSaveError() {
+  const [saveError, setSaveError] = useState(getSaveError);
+
+  useEffect(() => onSaveError(setSaveError), []);
+
+  return saveError;
+}
+
 // ============================================================================
 // MASTER HOOK - COMBINES EVERYTHING
 // ============================================================================
@@ -325,41 +837,130 @@ export function useSmartTips(weather) {
 /**
  * Master hook that combines all Tiny Weather functionality
  * 
+ * Weather, activities and tips are for the active saved place (or GPS).
+ * Outfits are for the dropoff place if one is set - `outfitLocationName`
+ * says so when that differs from the place being viewed.
+ * 
  * @param {Object} config
- * @param {string} config.apiKey - Google Maps Weather API key
+ * @param {string} config.apiKey - API key for the selected provider
+ * @param {string} [config.provider] - Weather provider id (defaults to API_CONFIG.PROVIDER)
  * @param {boolean} [config.useMockData=false] - Use mock data for development
+ * @param {string} [config.mockScenario] - Use mock data in this weather pattern (see MOCK_SCENARIOS).
+ *   A `?scenario=<id>&seed=<n>` page URL overrides it, so a review link shows the same weather.
+ * @param {number} [config.mockSeed] - Seed for repeatable mock data
+ * @param {import('../services/fixtures.js').WeatherFixture} [config.fixture] - Replay a recorded fixture (offline, no API key)
+ * @param {ReturnType<import('../services/fixtures.js').createFixtureRecorder>} [config.recorder] - Record raw provider responses as fixtures
+ * @param {Date | null} [config.date] - Day outfits and activity windows are for (today if omitted); tips and the nowcast stay on now
+ * @param {number} [config.hourlyHours] - Hourly forecast horizon (defaults to API_CONFIG.HOURLY_HOURS)
+ * @param {string | null} [config.activity] - Dress today's and tomorrow's outfits for an outing (an ACTIVITY_PROFILES id)
+ *   instead of daycare or school
  * @returns {import('../types/index.js').TinyWeatherState & {
  *   children: import('../types/index.js').Child[],
  *   addChild: (name: string, ageMonths: number) => void,
  *   removeChild: (id: string) => void,
  *   location: {lat: number, lng: number} | null,
  *   locationError: Error | null,
+ *   gpsLocation: {lat: number, lng: number} | null,
+ *   setManualLocation: (coords: {lat: number, lng: number}) => void,
+ *   places: import('../types/index.js').UseSavedLocationsResult,
+ *   outfitLocationName: string | null,
  * }}
  */
-export function useTinyWeather({ apiKey, useMockData = false }) {
+export function useTinyWeather({
+  apiKey,
+  provider,
+  useMockData = false,
+  mockScenario,
+  mockSeed,
+  fixture,
+  recorder,
+  date = null,
+  hourlyHours,
+  activity = null,
+}) {
+  // Naming a scenario switches to mock data
+  const urlScenario = useMemo(() => getMockScenarioFromUrl(), []);
+  const scenario = urlScenario?.scenario ?? mockScenario;
+  const seed = urlScenario ? urlScenario.seed : mockSeed;
+  const isMock = useMockData || scenario !== undefined;
+  const mockOptions = { mockScenario: scenario, mockSeed: seed };
+
   // Get location
-  const { location, error: locationError, isLoading: locationLoading } = useGeolocation();
+  const {
+    location: gpsLocation,
+    error: locationError,
+    isLoading: locationLoading,
+    setManualLocation,
+  } = useGeolocation();
+  const places = useSavedLocations();
+  const { activeLocation, dropoffLocation } = places;
+
+  // A saved place overrides GPS; keep the object stable so the fetch doesn't re-run every render
+  const activeLat = activeLocation?.lat;
+  const activeLng = activeLocation?.lng;
+  const location = useMemo(
+    () => (activeLat !== undefined ? { lat: activeLat, lng: activeLng } : gpsLocation),
+    [activeLat, activeLng, gpsLocation]
+  );
+
+  // Outfits follow the dropoff place when it's somewhere other than the one being viewed
+  const dropoffLat = dropoffLocation?.lat;
+  const dropoffLng = dropoffLocation?.lng;
+  const outfitLocation = useMemo(() => {
+    if (dropoffLat === undefined) return null;
+    if (location && getLocationCacheKey(dropoffLat, dropoffLng) === getLocationCacheKey(location.lat, location.lng)) {
+      return null;
+    }
+    return { lat: dropoffLat, lng: dropoffLng };
+  }, [dropoffLat, dropoffLng, location]);
 
   // Manage children
-  const { children, addChild, removeChild, updateChild } = useChildren();
+  const { children, addChild, removeChild: removeChildProfile, updateChild } = useChildren();
+  const wardrobe = useWardrobe();
+  const comfort = useComfortFeedback();
+  const { clearWardrobe } = wardrobe;
+  const { clearFeedback } = comfort;
+  const removeChild = useCallback((id) => {
+    removeChildProfile(id);
+    clearWardrobe(id);
+    clearFeedback(id);
+  }, [removeChildProfile, clearWardrobe, clearFeedback]);
 
   // Fetch weather
   const { 
     data: weather, 
     isLoading: weatherLoading, 
     error: weatherError, 
+    errorKind,
     refresh,
     lastUpdated,
     isStale,
-  } = useWeather(apiKey, location, { useMockData });
+    isRevalidating,
+  } = useWeather(apiKey, location, { useMockData: isMock, ...mockOptions, provider, hourlyHours, fixture, recorder });
+
+  // Dropoff weather has its own fetch and cache entry; idle when not needed
+  const { data: dropoffWeather, isLoading: dropoffLoading } = useWeather(apiKey, outfitLocation, {
+    useMockData: isMock && outfitLocation !== null,
+    ...mockOptions,
+    provider,
+    hourlyHours,
+    fixture,
+    recorder,
+  });
+  const outfitWeather = outfitLocation ? dropoffWeather : weather;
 
   // Generate recommendations (these run automatically when weather updates)
-  const { outfits, isLoading: outfitsLoading } = useOutfits(weather, children);
-  const { analysis: activities, isLoading: activitiesLoading } = useActivityWindows(weather);
+  const personal = { wardrobes: wardrobe.wardrobes, comfortHistories: comfort.histories, activity };
+  const { outfits, isLoading: outfitsLoading } = useOutfits(outfitWeather, children, { date, ...personal });
+  const tomorrowOutfits = useTomorrowOutfits(outfitWeather, children, personal);
+  const { analysis: activities, isLoading: activitiesLoading } = useActivityWindows(weather, { date });
+  const days = useForecastDays(weather);
   const { tips, isLoading: tipsLoading } = useSmartTips(weather);
+  const nowcast = useNowcast(weather);
+  const saveError = useSaveError();
 
   // Combined loading state
-  const isLoading = locationLoading || weatherLoading || outfitsLoading || activitiesLoading || tipsLoading;
+  const isLoading = locationLoading || weatherLoading || dropoffLoading || outfitsLoading || activitiesLoading || tipsLoading;
 
   // Combined error state
   const error = locationError || weatherError;
@@ -372,23 +973,35 @@ export function useTinyWeather({ apiKey, useMockData = false }) {
     outfits,
     activities,
     tips,
+    nowcast,
+    days,
+    tomorrowOutfits,
     
     // State
     isLoading,
     error,
+    errorKind,
     refresh,
     lastUpdated,
     isStale,
+    isRevalidating,
+    saveError,
     
     // Children management
     children,
     addChild,
     removeChild,
     updateChild,
+    wardrobe,
+    comfort,
     
     // Location
     location,
     locationError,
+    gpsLocation,
+    setManualLocation,
+    places,
+    outfitLocationName: outfitLocation ? dropoffLocation.name : null,
   };
 }
 
@@ -421,22 +1034,24 @@ export function useTemperatureFormatter(useCelsius = false) {
 
 /**
  * Hook to format time
+ * @param {string} [timeZone] - Show times in this zone, e.g. `weather.timeZone` (device zone if omitted)
  */
-export function useTimeFormatter() {
+export function useTimeFormatter(timeZone) {
   const formatHour = useCallback((date) => {
-    const hours = date.getHours();
+    const hours = getLocalHour(date, timeZone);
     const ampm = hours >= 12 ? 'pm' : 'am';
     const hour12 = hours > 12 ? hours - 12 : hours === 0 ? 12 : hours;
     return `${hour12}${ampm}`;
-  }, []);
+  }, [timeZone]);
 
   const formatTime = useCallback((date) => {
     return date.toLocaleTimeString('en-US', { 
       hour: 'numeric', 
       minute: '2-digit',
-      hour12: true 
+      hour12: true,
+      timeZone: isValidTimeZone(timeZone) ? timeZone : undefined,
     });
-  }, []);
+  }, [timeZone]);
 
   const formatRelative = useCallback((date) => {
     const now = new Date();
@@ -31,10 +31,19 @@ export {
   // Individual hooks if you need more control
   useWeather,
   useOutfits,
+  useTomorrowOutfits,
   useActivityWindows,
+  useForecastDays,
   useSmartTips,
+  useNowcast,
+  useDismissedAlerts,
+  useSaveError,
   useGeolocation,
   useChildren,
+  useWardrobe,
+  useComfortFeedback,
+  useSavedLocations,
+  useLocationSearch,
   
   // Utility hooks for formatting and gestures
   useTemperatureFormatter,
@@ -52,8 +61,74 @@ export {
   getCachedWeather,
   setCachedWeather,
   clearWeatherCache,
+  getLocationCacheKey,
+  isWeatherExpired,
 } from './services/weatherApi.js';
 
+export {
+  MOCK_SCENARIOS,
+  getMockScenario,
+  listMockScenarios,
+  getMockScenarioFromUrl,
+} from './services/mockScenarios.js';
+
+export {
+  FIXTURE_VERSION,
+  createFixtureRecorder,
+  createReplayFetch,
+  parseFixture,
+  redactUrl,
+  shiftToToday,
+  downloadFixture,
+} from './services/fixtures.js';
+
+export {
+  WEATHER_PROVIDERS,
+  createProvider,
+  providerRequiresApiKey,
+} from './services/providers/index.js';
+
+export {
+  WeatherError,
+  AuthError,
+  QuotaError,
+  NetworkError,
+  ProviderError,
+  ParseError,
+  getErrorKind,
+  describeWeatherError,
+} from './services/errors.js';
+
+export {
+  createRefreshScheduler,
+  getRefreshDelay,
+} from './services/refreshScheduler.js';
+
+export {
+  STORES,
+  initStorage,
+  getItem,
+  getAllItems,
+  setItem,
+  removeItem,
+  clearStore,
+  replaceItems,
+  getChildren,
+  replaceChildren,
+  flushStorage,
+  getSaveError,
+  onSaveError,
+} from './services/storage.js';
+
+export { registerServiceWorker } from './services/serviceWorker.js';
+
+export {
+  createPlaceSearch,
+  searchGazetteer,
+  findNearestPlace,
+  describeLocation,
+} from './services/geocoding.js';
+
 export {
   generateOutfitRecommendation,
   generateAllOutfitRecommendations,
@@ -61,6 +136,24 @@ export {
   analyzeDayTemperatures,
 } from './services/outfitEngine.js';
 
+export {
+  applyWardrobe,
+  createWardrobeItem,
+  getClothingType,
+  listWardrobeTypes,
+} from './services/wardrobe.js';
+
+export {
+  COMFORT_RATINGS,
+  addComfortFeedback,
+  getComfortAdjustment,
+} from './services/comfort.js';
+
+export {
+  getActivityProfile,
+  dressForActivity,
+} from './services/activityProfiles.js';
+
 export {
   analyzeActivityWindows,
   getActivitySummary,
@@ -71,29 +164,93 @@ export {
   getPrimaryTipMessage,
 } from './services/smartTips.js';
 
+export {
+  createMockNowcast,
+  getNextDryWindow,
+  getIntensityLevel,
+  getSchoolRunWindow,
+  isNowcastCurrent,
+} from './services/nowcast.js';
+
 // ============================================================================
 // CONSTANTS - Configuration and thresholds
 // ============================================================================
 
 export {
   API_CONFIG,
+  PROVIDER_CONFIG,
+  GEOCODER_CONFIG,
   TEMP_THRESHOLDS,
   UV_THRESHOLDS,
   RAIN_THRESHOLDS,
   HUMIDITY_THRESHOLDS,
   WIND_THRESHOLDS,
+  PRECIPITATION_THRESHOLDS,
+  SKY_THRESHOLDS,
+  VISIBILITY_THRESHOLDS,
+  AIR_QUALITY_THRESHOLDS,
+  AQI_CATEGORIES,
+  POLLEN_THRESHOLDS,
+  ALERT_SEVERITIES,
+  NOWCAST_CONFIG,
   AGE_GROUPS,
   ACTIVITY_WEIGHTS,
   ACTIVITY_QUALITY_THRESHOLDS,
   TIME_CONFIG,
+  OUTFIT_TIMELINE,
+  ACTIVITY_PROFILES,
   WEATHER_CONDITIONS,
   CLOTHING_ITEMS,
+  COMFORT_CONFIG,
+  WARDROBE_CONFIG,
+  WARDROBE_SLOT_LABELS,
+  APPARENT_CONFIG,
   STORAGE_KEYS,
+  LOCATION_KINDS,
   getAgeGroup,
   getExtraLayers,
   mapCondition,
+  getPrecipitationType,
 } from './utils/constants.js';
 
+export {
+  getDeviceTimeZone,
+  estimateTimeZone,
+  resolveTimeZone,
+  getZonedParts,
+  getLocalHour,
+  getLocalWeekday,
+  getLocalDateKey,
+  isSameLocalDate,
+  getHoursOnDate,
+  addDays,
+  getRelativeDayLabel,
+} from './utils/time.js';
+
+export {
+  createSeededRandom,
+  hashString,
+} from './utils/random.js';
+
+export {
+  pm25ToUsAqi,
+  getAqiCategory,
+  getPeakPollen,
+} from './utils/airQuality.js';
+
+export {
+  getActiveAlerts,
+  getAlertEmoji,
+} from './utils/alerts.js';
+
+export {
+  getApparentTemperature,
+  getOutdoorFeelsLike,
+  getWindChill,
+  getHeatIndex,
+  getSunAdjustment,
+} from './utils/apparentTemperature.js';
+
 // ============================================================================
 // TYPES - For TypeScript users or documentation
 // ============================================================================
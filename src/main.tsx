@@ -2,6 +2,12 @@
   import { createRoot } from "react-dom/client";
   import App from "./App.tsx";
   import "./index.css";
+  import { initStorage } from "./services/storage.js";
+  import { registerServiceWorker } from "./services/serviceWorker.js";
 
-  createRoot(document.getElementById("root")!).render(<App />);
+  // Load saved children, places and the last forecast before the first render
+  initStorage().then(() => {
+    createRoot(document.getElementById("root")!).render(<App />);
+    registerServiceWorker();
+  });
   
\ No newline at end of file
@@ -5,11 +5,16 @@
  * Scores each hour and groups them into activity windows.
  * 
  * Scoring factors:
- * - Temperature (35% weight) - ideal 60-75°F
+ * - Temperature (35% weight) - ideal 60-75°F as it feels outdoors, with wind,
+ *   humidity and some sun (see utils/apparentTemperature.js)
  * - Rain probability (30% weight) - lower is better
  * - UV index (15% weight) - moderate is ideal
  * - Humidity (10% weight) - 40-60% is comfortable
- * - Wind (10% weight) - calm to light is best
+ * - Wind (10% weight) - calm to light is best, strong gusts cap it
+ * 
+ * Poor air quality is a penalty on top of the weighted score rather than a
+ * weight of its own: a perfect-weather hour with smoke in the air is still
+ * a bad hour to run around outside.
  */
 
 import {
@@ -18,11 +23,15 @@ import {
   RAIN_THRESHOLDS,
   HUMIDITY_THRESHOLDS,
   WIND_THRESHOLDS,
+  AIR_QUALITY_THRESHOLDS,
   ACTIVITY_WEIGHTS,
   ACTIVITY_QUALITY_THRESHOLDS,
   TIME_CONFIG,
   WEATHER_CONDITIONS,
+  APPARENT_CONFIG,
 } from '../utils/constants.js';
+import { getOutdoorFeelsLike } from '../utils/apparentTemperature.js';
+import { getLocalHour, getHoursOnDate, getRelativeDayLabel } from '../utils/time.js';
 
 // ============================================================================
 // SCORING FUNCTIONS
@@ -126,30 +135,50 @@ function scoreHumidity(humidity) {
 
 /**
  * Score wind speed (0-100)
- * Calm to light is best
+ * Calm to light is best; strong gusts cap the score however calm the
+ * average wind is
  * @param {number} windSpeed 
+ * @param {number | null} [windGust] - Peak gust, or null if not reported
  * @returns {number}
  */
-function scoreWind(windSpeed) {
-  if (windSpeed <= WIND_THRESHOLDS.CALM) return 100;
-  if (windSpeed <= WIND_THRESHOLDS.LIGHT) return 90;
-  if (windSpeed <= WIND_THRESHOLDS.MODERATE) return 75;
-  if (windSpeed <= WIND_THRESHOLDS.BREEZY) return 50;
-  if (windSpeed <= WIND_THRESHOLDS.WINDY) return 30;
-  return 10;
+function scoreWind(windSpeed, windGust = null) {
+  let score = 10;
+  if (windSpeed <= WIND_THRESHOLDS.CALM) score = 100;
+  else if (windSpeed <= WIND_THRESHOLDS.LIGHT) score = 90;
+  else if (windSpeed <= WIND_THRESHOLDS.MODERATE) score = 75;
+  else if (windSpeed <= WIND_THRESHOLDS.BREEZY) score = 50;
+  else if (windSpeed <= WIND_THRESHOLDS.WINDY) score = 30;
+  
+  if (windGust >= WIND_THRESHOLDS.DAMAGING_GUSTS) return Math.min(score, 10);
+  if (windGust >= WIND_THRESHOLDS.GUSTY) return Math.min(score, 50);
+  return score;
+}
+
+/**
+ * Points taken off an hour's score for its air quality
+ * @param {number | null | undefined} aqi - US AQI, or null if unknown
+ * @returns {number}
+ */
+function airQualityPenalty(aqi) {
+  if (aqi === null || aqi === undefined || aqi <= AIR_QUALITY_THRESHOLDS.GOOD) return 0;
+  if (aqi <= AIR_QUALITY_THRESHOLDS.MODERATE) return 5;
+  if (aqi <= AIR_QUALITY_THRESHOLDS.SENSITIVE) return 20;
+  if (aqi <= AIR_QUALITY_THRESHOLDS.UNHEALTHY) return 40;
+  return 60;
 }
 
 /**
  * Calculate overall activity score for an hour
  * @param {import('../types/index.js').HourlyForecast} hour 
+ * @param {number} feelsLike - Apparent temperature outdoors
  * @returns {number}
  */
-function calculateHourScore(hour) {
-  const tempScore = scoreTemperature(hour.temperature);
+function calculateHourScore(hour, feelsLike) {
+  const tempScore = scoreTemperature(feelsLike);
   const rainScore = scoreRainProbability(hour.precipitationProbability);
   const uvScore = scoreUVIndex(hour.uvIndex);
   const humidityScore = scoreHumidity(hour.humidity);
-  const windScore = scoreWind(hour.windSpeed);
+  const windScore = scoreWind(hour.windSpeed, hour.windGust);
   
   const weightedScore = 
     tempScore * ACTIVITY_WEIGHTS.TEMPERATURE +
@@ -158,7 +187,7 @@ function calculateHourScore(hour) {
     humidityScore * ACTIVITY_WEIGHTS.HUMIDITY +
     windScore * ACTIVITY_WEIGHTS.WIND;
   
-  return Math.round(weightedScore);
+  return Math.max(0, Math.round(weightedScore - airQualityPenalty(hour.aqi)));
 }
 
 /**
@@ -191,20 +220,21 @@ function getQualityEmoji(quality) {
 /**
  * Get reason for hour rating
  * @param {import('../types/index.js').HourlyForecast} hour 
+ * @param {number} feelsLike - Apparent temperature outdoors
  * @param {number} score 
  * @returns {string}
  */
-function getHourReason(hour, score) {
+function getHourReason(hour, feelsLike, score) {
   const issues = [];
   
   // Temperature issues
-  if (hour.temperature < TEMP_THRESHOLDS.TOO_COLD_FOR_PLAYGROUND) {
+  if (feelsLike < TEMP_THRESHOLDS.TOO_COLD_FOR_PLAYGROUND) {
     issues.push('Too cold');
-  } else if (hour.temperature < TEMP_THRESHOLDS.COOL) {
+  } else if (feelsLike < TEMP_THRESHOLDS.COOL) {
     issues.push('Chilly');
-  } else if (hour.temperature > TEMP_THRESHOLDS.HOT) {
+  } else if (feelsLike > TEMP_THRESHOLDS.HOT) {
     issues.push('Too hot');
-  } else if (hour.temperature > TEMP_THRESHOLDS.WARM) {
+  } else if (feelsLike > TEMP_THRESHOLDS.WARM) {
     issues.push('Warm');
   }
   
@@ -232,8 +262,19 @@ function getHourReason(hour, score) {
   // Wind issues
   if (hour.windSpeed >= WIND_THRESHOLDS.WINDY) {
     issues.push('Very windy');
+  } else if (hour.windGust >= WIND_THRESHOLDS.DAMAGING_GUSTS) {
+    issues.push('Strong gusts');
   } else if (hour.windSpeed >= WIND_THRESHOLDS.BREEZY) {
     issues.push('Breezy');
+  } else if (hour.windGust >= WIND_THRESHOLDS.GUSTY) {
+    issues.push('Gusty');
+  }
+  
+  // Air quality issues
+  if (hour.aqi > AIR_QUALITY_THRESHOLDS.SENSITIVE) {
+    issues.push('Unhealthy air');
+  } else if (hour.aqi > AIR_QUALITY_THRESHOLDS.MODERATE) {
+    issues.push('Poor air quality');
   }
   
   if (issues.length === 0) {
@@ -253,9 +294,10 @@ function getHourReason(hour, score) {
 /**
  * Group consecutive hours into activity windows
  * @param {import('../types/index.js').ActivityHour[]} hours 
+ * @param {string} [timeZone] - Forecast location's zone (device zone if omitted)
  * @returns {import('../types/index.js').ActivityWindow[]}
  */
-function groupIntoWindows(hours) {
+function groupIntoWindows(hours, timeZone) {
   if (hours.length === 0) return [];
   
   const windows = [];
@@ -263,7 +305,7 @@ function groupIntoWindows(hours) {
   
   for (const hour of hours) {
     // Skip hours outside of typical outdoor activity times
-    const hourOfDay = hour.time.getHours();
+    const hourOfDay = getLocalHour(hour.time, timeZone);
     if (hourOfDay < TIME_CONFIG.OUTDOOR_HOURS_START || hourOfDay > TIME_CONFIG.OUTDOOR_HOURS_END) {
       if (currentWindow) {
         windows.push(currentWindow);
@@ -308,9 +350,10 @@ function groupIntoWindows(hours) {
   return windows.map(w => {
     const avgScore = Math.round(w.hours.reduce((sum, h) => sum + h.score, 0) / w.hours.length);
     const avgTemp = Math.round(w.hours.reduce((sum, h) => sum + h.temperature, 0) / w.hours.length);
+    const avgFeelsLike = Math.round(w.hours.reduce((sum, h) => sum + h.feelsLike, 0) / w.hours.length);
     
-    const startHour = w.startTime.getHours();
-    const endHour = w.endTime.getHours() + 1;
+    const startHour = getLocalHour(w.startTime, timeZone);
+    const endHour = getLocalHour(w.endTime, timeZone) + 1;
     
     const formatHour = (h) => {
       const ampm = h >= 12 ? 'pm' : 'am';
@@ -324,8 +367,9 @@ function groupIntoWindows(hours) {
       quality: w.quality,
       avgScore,
       avgTemp,
+      avgFeelsLike,
       label: `${formatHour(startHour)} - ${formatHour(endHour)}`,
-      description: getWindowDescription(w.quality, avgTemp, w.hours),
+      description: getWindowDescription(w.quality, avgTemp, avgFeelsLike, w.hours),
     };
   });
 }
@@ -334,33 +378,41 @@ function groupIntoWindows(hours) {
  * Get description for a window
  * @param {import('../types/index.js').ActivityQuality} quality 
  * @param {number} avgTemp 
+ * @param {number} avgFeelsLike 
  * @param {import('../types/index.js').ActivityHour[]} hours 
  * @returns {string}
  */
-function getWindowDescription(quality, avgTemp, hours) {
+function getWindowDescription(quality, avgTemp, avgFeelsLike, hours) {
+  // Thresholds go by the feel; the number shown is the thermometer's, plus the feel if it's far off
+  const temp = Math.abs(avgFeelsLike - avgTemp) >= APPARENT_CONFIG.NOTABLE_DIFF_F
+    ? `${avgTemp}°, feels like ${avgFeelsLike}°`
+    : `${avgTemp}°`;
   const hasRain = hours.some(h => h.rainChance >= RAIN_THRESHOLDS.LIKELY);
   const hasHighUV = hours.some(h => h.uvIndex >= UV_THRESHOLDS.HIGH);
+  const hasPoorAir = hours.some(h => h.aqi > AIR_QUALITY_THRESHOLDS.MODERATE);
   
   switch (quality) {
     case 'perfect':
-      return `Perfect for outdoor play (${avgTemp}°)`;
+      return `Perfect for outdoor play (${temp})`;
     case 'good':
-      if (hasHighUV) return `Good with sun protection (${avgTemp}°, high UV)`;
-      if (avgTemp > TEMP_THRESHOLDS.WARM) return `Good but warm (${avgTemp}°)`;
-      if (avgTemp < TEMP_THRESHOLDS.COOL) return `Good but cool (${avgTemp}°)`;
-      return `Good for outdoor activities (${avgTemp}°)`;
+      if (hasHighUV) return `Good with sun protection (${temp}, high UV)`;
+      if (avgFeelsLike > TEMP_THRESHOLDS.WARM) return `Good but warm (${temp})`;
+      if (avgFeelsLike < TEMP_THRESHOLDS.COOL) return `Good but cool (${temp})`;
+      return `Good for outdoor activities (${temp})`;
     case 'fair':
-      if (hasRain) return `Possible but rain risk (${avgTemp}°)`;
-      if (avgTemp > TEMP_THRESHOLDS.HOT) return `Hot - limit time outdoors (${avgTemp}°)`;
-      if (avgTemp < TEMP_THRESHOLDS.TOO_COLD_FOR_PLAYGROUND) return `Cold - bundle up well (${avgTemp}°)`;
-      return `Fair conditions (${avgTemp}°)`;
+      if (hasPoorAir) return `Possible but poor air quality (${temp})`;
+      if (hasRain) return `Possible but rain risk (${temp})`;
+      if (avgFeelsLike > TEMP_THRESHOLDS.HOT) return `Hot - limit time outdoors (${temp})`;
+      if (avgFeelsLike < TEMP_THRESHOLDS.TOO_COLD_FOR_PLAYGROUND) return `Cold - bundle up well (${temp})`;
+      return `Fair conditions (${temp})`;
     case 'skip':
+      if (hasPoorAir) return 'Skip - unhealthy air';
       if (hasRain) return 'Skip - rain likely';
-      if (avgTemp > TEMP_THRESHOLDS.VERY_HOT) return 'Skip - too hot';
-      if (avgTemp < TEMP_THRESHOLDS.FREEZING) return 'Skip - too cold';
+      if (avgFeelsLike > TEMP_THRESHOLDS.VERY_HOT) return 'Skip - too hot';
+      if (avgFeelsLike < TEMP_THRESHOLDS.FREEZING) return 'Skip - too cold';
       return 'Not recommended';
     default:
-      return `${avgTemp}°`;
+      return temp;
   }
 }
 
@@ -368,34 +420,54 @@ function getWindowDescription(quality, avgTemp, hours) {
 // MAIN ANALYSIS FUNCTION
 // ============================================================================
 
+/**
+ * "today", "tomorrow" or "on Saturday", for the end of a sentence
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @param {Date} [now]
+ * @returns {string}
+ */
+function describeDay(date, timeZone, now) {
+  const label = getRelativeDayLabel(date, timeZone, now);
+  return label === 'Today' || label === 'Tomorrow' ? label.toLowerCase() : `on ${label}`;
+}
+
 /**
  * Analyze weather data for activity windows
  * @param {import('../types/index.js').WeatherData} weather 
+ * @param {Object} [options]
+ * @param {Date} [options.date] - Day to plan for (today if omitted); only that day's hours are scored
+ * @param {Date} [options.now] - Clock used for "today" (defaults to now)
  * @returns {import('../types/index.js').ActivityAnalysis}
  */
-export function analyzeActivityWindows(weather) {
-  const { hourly } = weather;
+export function analyzeActivityWindows(weather, { date, now = new Date() } = {}) {
+  const { timeZone } = weather;
+  date = date ?? now;
+  const hourly = getHoursOnDate(weather.hourly, date, timeZone);
+  const day = describeDay(date, timeZone, now);
   
   // Score each hour
   const hours = hourly.map(h => {
-    const score = calculateHourScore(h);
+    const feelsLike = getOutdoorFeelsLike(h);
+    const score = calculateHourScore(h, feelsLike);
     const quality = getQualityFromScore(score);
     
     return {
       time: h.time,
       temperature: h.temperature,
-      feelsLike: h.feelsLike,
+      feelsLike,
       quality,
       score,
-      reason: getHourReason(h, score),
+      reason: getHourReason(h, feelsLike, score),
       rainChance: h.precipitationProbability,
       uvIndex: h.uvIndex,
+      aqi: h.aqi ?? null,
       emoji: getQualityEmoji(quality),
     };
   });
   
   // Group into windows
-  const windows = groupIntoWindows(hours);
+  const windows = groupIntoWindows(hours, timeZone);
   
   // Find best window
   const goodWindows = windows.filter(w => w.quality === 'perfect' || w.quality === 'good');
@@ -412,9 +484,9 @@ export function analyzeActivityWindows(weather) {
   if (perfectCount >= 4) {
     daySummary = 'Great day for outdoor activities!';
   } else if (perfectCount + goodCount >= 4) {
-    daySummary = 'Good opportunities for outdoor time today';
+    daySummary = `Good opportunities for outdoor time ${day}`;
   } else if (perfectCount + goodCount >= 2) {
-    daySummary = 'Limited outdoor windows today';
+    daySummary = `Limited outdoor windows ${day}`;
   } else if (skipCount > hours.length / 2) {
     daySummary = 'Challenging day - plan indoor activities';
   } else {
@@ -427,17 +499,23 @@ export function analyzeActivityWindows(weather) {
     bestWindow,
     daySummary,
     hasGoodWindows: goodWindows.length > 0,
+    timeZone,
+    date,
   };
 }
 
 /**
  * Get a simple text summary of best outdoor times
  * @param {import('../types/index.js').ActivityAnalysis} analysis 
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Clock used for "today" (defaults to now)
  * @returns {string}
  */
-export function getActivitySummary(analysis) {
+export function getActivitySummary(analysis, { now = new Date() } = {}) {
+  const day = describeDay(analysis.date ?? now, analysis.timeZone, now);
+
   if (!analysis.hasGoodWindows) {
-    return 'No ideal outdoor windows today';
+    return `No ideal outdoor windows ${day}`;
   }
   
   if (analysis.bestWindow) {
@@ -449,5 +527,5 @@ export function getActivitySummary(analysis) {
     return `Good window: ${goodWindows[0].label}`;
   }
   
-  return `${goodWindows.length} good windows today`;
+  return `${goodWindows.length} good windows ${day}`;
 }
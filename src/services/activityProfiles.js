@@ -0,0 +1,257 @@
+/**
+ * Tiny Weather - Activity Profiles
+ *
+ * Everyday outfits are for daycare or school. For an outing the right answer
+ * can be completely different, so a profile re-dresses the everyday outfit:
+ * - Playground: closed-toe shoes, nothing that can catch on equipment
+ * - Swimming & splash pad: swimsuit, rash guard, water shoes and a towel;
+ *   too cold for outdoor water, an indoor pool in the everyday outfit
+ * - Soccer: cleats, shin guards and water, dressed lighter for running
+ * - Hiking: hiking boots, long pants, water and a rain jacket in the pack
+ * - Snow play: snow pants, waterproof mittens, a proper coat and dry clothes for after
+ *
+ * Rules start from the everyday outfit, so sun, rain, air quality and the
+ * child's comfort still count where the activity doesn't override them.
+ */
+
+import {
+  ACTIVITY_PROFILES,
+  CLOTHING_ITEMS,
+  TEMP_THRESHOLDS,
+  UV_THRESHOLDS,
+  RAIN_THRESHOLDS,
+} from '../utils/constants.js';
+
+/** Profiles by id */
+const PROFILES = new Map(Object.values(ACTIVITY_PROFILES).map(profile => [profile.id, profile]));
+
+/**
+ * @param {string} id - An ACTIVITY_PROFILES id
+ * @returns {typeof ACTIVITY_PROFILES[keyof typeof ACTIVITY_PROFILES] | null}
+ */
+export function getActivityProfile(id) {
+  return PROFILES.get(id) ?? null;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * A catalogue item as a recommendation
+ * @param {typeof CLOTHING_ITEMS[keyof typeof CLOTHING_ITEMS]} item
+ * @param {boolean} required
+ * @param {string} [reason]
+ * @returns {import('../types/index.js').ClothingItem}
+ */
+function recommend(item, required, reason) {
+  return { ...item, required, reason };
+}
+
+/**
+ * Put an item in, replacing whatever filled its slot (supplies by id, since
+ * there can be several). New slots go after the rest of their layer.
+ * @param {import('../types/index.js').ClothingItem[]} items
+ * @param {import('../types/index.js').ClothingItem} item
+ * @returns {import('../types/index.js').ClothingItem[]}
+ */
+function put(items, item) {
+  const sameSlot = item.slot === 'supplies'
+    ? (existing) => existing.id === item.id
+    : (existing) => existing.slot === item.slot;
+  const at = items.findIndex(sameSlot);
+  if (at >= 0) {
+    return [...items.slice(0, at), item, ...items.slice(at + 1).filter(existing => !sameSlot(existing))];
+  }
+  const afterLayer = items.map(existing => existing.layer).lastIndexOf(item.layer) + 1;
+  return afterLayer > 0
+    ? [...items.slice(0, afterLayer), item, ...items.slice(afterLayer)]
+    : [...items, item];
+}
+
+/**
+ * @param {import('../types/index.js').ClothingItem[]} items
+ * @param {...string} ids
+ */
+function without(items, ...ids) {
+  return items.filter(item => !ids.includes(item.id));
+}
+
+/**
+ * @param {import('../types/index.js').ClothingItem[]} items
+ * @param {string} slot
+ */
+function inSlot(items, slot) {
+  return items.find(item => item.slot === slot) ?? null;
+}
+
+// ============================================================================
+// PROFILE RULES
+// ============================================================================
+
+/**
+ * @typedef {Object} ActivityConditions
+ * @property {number} feelsLike - How the start feels, shifted for the child's comfort
+ * @property {number} feelsHigh - How the warmest part feels, likewise
+ * @property {number} rainChance - Peak chance of rain, %
+ * @property {number} uvIndex - Peak UV index
+ * @property {string} ageGroup
+ */
+
+/**
+ * @type {Record<string, (items: import('../types/index.js').ClothingItem[], conditions: ActivityConditions) => {items: import('../types/index.js').ClothingItem[], tips: string[]}>}
+ */
+const RULES = {
+  playground(items) {
+    const tips = [];
+    let dressed = items;
+    if (inSlot(dressed, 'footwear')?.id === CLOTHING_ITEMS.SANDALS.id) {
+      dressed = put(dressed, recommend(CLOTHING_ITEMS.SNEAKERS, true, 'Closed toes for climbing'));
+    }
+    if (inSlot(dressed, 'neck')) {
+      dressed = put(dressed, recommend(CLOTHING_ITEMS.NECK_WARMER, true, 'Scarves can catch on slides'));
+    }
+    if (dressed.some(item => item.layer === 'mid' || item.layer === 'outer')) {
+      tips.push('Tuck in hood and jacket drawstrings - they can catch on play equipment');
+    }
+    return { items: dressed, tips };
+  },
+
+  swimming(items, { feelsLike, feelsHigh, rainChance, uvIndex, ageGroup }) {
+    const tips = [];
+    const little = ageGroup === 'baby' || ageGroup === 'toddler';
+
+    // Too cold to be wet outdoors: an indoor pool at most, getting there in the everyday outfit
+    if (feelsHigh < TEMP_THRESHOLDS.TOO_COLD_TO_SWIM_OUTDOORS) {
+      let dressed = put(items, recommend(CLOTHING_ITEMS.SWIMSUIT, true, 'For an indoor pool only'));
+      if (little) {
+        dressed = put(dressed, recommend(CLOTHING_ITEMS.SWIM_DIAPER, true, 'Needed at most pools'));
+      }
+      dressed = put(dressed, recommend(CLOTHING_ITEMS.TOWEL, true));
+      tips.push('Too cold for outdoor water play - indoor pools only, and dry hair fully before heading out');
+      if (little) {
+        tips.push('Stay within arm\'s reach in and around water');
+      }
+      return { items: dressed, tips };
+    }
+
+    // Sun protection and packed things carry over; clothes, umbrellas and masks don't
+    const kept = items.filter(item => item.layer === 'accessory'
+      && (item.slot === 'head' || item.slot === 'eyes' || item.slot === 'supplies')
+      && ![CLOTHING_ITEMS.WINTER_HAT.id, CLOTHING_ITEMS.UMBRELLA.id, CLOTHING_ITEMS.FACE_MASK.id].includes(item.id));
+
+    let dressed = [
+      recommend(CLOTHING_ITEMS.SWIMSUIT, true),
+      uvIndex >= UV_THRESHOLDS.SUNSCREEN_NEEDED
+        ? recommend(CLOTHING_ITEMS.RASH_GUARD, true, 'Sun protection in the water')
+        : recommend(CLOTHING_ITEMS.RASH_GUARD, false, 'Keeps the chill off between dips'),
+      ...(little ? [recommend(CLOTHING_ITEMS.SWIM_DIAPER, true, 'Needed at most pools and splash pads')] : []),
+      ...(feelsLike < TEMP_THRESHOLDS.COMFORTABLE_LOW ? [recommend(CLOTHING_ITEMS.HOODIE, true, 'To warm up after')] : []),
+      recommend(CLOTHING_ITEMS.WATER_SHOES, true, 'Hot, slippery ground'),
+      ...kept,
+    ];
+    dressed = put(dressed, recommend(CLOTHING_ITEMS.TOWEL, true));
+    dressed = put(dressed, recommend(CLOTHING_ITEMS.CHANGE_OF_CLOTHES, true, 'Dry clothes for the trip home'));
+
+    if (feelsHigh < TEMP_THRESHOLDS.COOL) {
+      tips.push('Chilly for water play - keep dips short and wrap up in between');
+    }
+    if (rainChance >= RAIN_THRESHOLDS.LIKELY) {
+      tips.push('Out of the water at the first rumble of thunder');
+    }
+    if (little) {
+      tips.push('Stay within arm\'s reach in and around water');
+    }
+    return { items: dressed, tips };
+  },
+
+  soccer(items, { feelsLike, feelsHigh }) {
+    const tips = [];
+    // Hands free, nothing to tangle in
+    let dressed = without(items, CLOTHING_ITEMS.UMBRELLA.id);
+    dressed = put(dressed, recommend(CLOTHING_ITEMS.CLEATS, true, 'Grip on grass'));
+    dressed = put(dressed, recommend(CLOTHING_ITEMS.SHIN_GUARDS, true, 'Needed for most games and practices'));
+    dressed = put(dressed, recommend(CLOTHING_ITEMS.WATER_BOTTLE, true, feelsHigh >= TEMP_THRESHOLDS.WARM ? 'Drink at every break' : 'For breaks'));
+    if (inSlot(dressed, 'neck')) {
+      dressed = put(dressed, recommend(CLOTHING_ITEMS.NECK_WARMER, true, 'Scarves get in the way of play'));
+    }
+    if (feelsLike < TEMP_THRESHOLDS.COOL && !inSlot(dressed, 'mid')) {
+      dressed = put(dressed, recommend(CLOTHING_ITEMS.HOODIE, false, 'For warm-ups and the sidelines'));
+    }
+
+    if (feelsHigh >= TEMP_THRESHOLDS.HOT) {
+      tips.push('Hot for running - water breaks every 15-20 minutes');
+    }
+    return { items: dressed, tips };
+  },
+
+  hiking(items, { feelsLike, feelsHigh, rainChance }) {
+    const tips = ['Carry spare layers in a small backpack - trails can be cooler and windier'];
+    let dressed = without(items, CLOTHING_ITEMS.UMBRELLA.id);
+    if (inSlot(dressed, 'footwear')?.id !== CLOTHING_ITEMS.WINTER_BOOTS.id) {
+      dressed = put(dressed, recommend(CLOTHING_ITEMS.HIKING_BOOTS, true, 'Ankle support and grip on trails'));
+    }
+    if (feelsHigh < TEMP_THRESHOLDS.HOT) {
+      dressed = put(dressed, recommend(CLOTHING_ITEMS.PANTS, true, 'Guards against ticks and scratches'));
+    } else {
+      tips.push('Check for ticks after, especially on bare legs');
+    }
+    if (feelsLike < TEMP_THRESHOLDS.COMFORTABLE_LOW && !inSlot(dressed, 'mid')) {
+      dressed = put(dressed, recommend(CLOTHING_ITEMS.FLEECE, false, 'In the pack for breezy stretches'));
+    }
+    // A shell in the pack, on top of any warm outer layer
+    if (rainChance >= RAIN_THRESHOLDS.PACK_UMBRELLA && !dressed.some(item => item.id === CLOTHING_ITEMS.RAIN_JACKET.id)) {
+      dressed = [...dressed, recommend(CLOTHING_ITEMS.RAIN_JACKET, false, 'In the pack in case of rain')];
+    }
+    dressed = put(dressed, recommend(CLOTHING_ITEMS.WATER_BOTTLE, true));
+    return { items: dressed, tips };
+  },
+
+  'snow-play'(items, { feelsLike, feelsHigh, uvIndex }) {
+    const tips = [];
+    if (feelsLike > TEMP_THRESHOLDS.TOO_WARM_FOR_SNOW_PLAY) {
+      tips.push('Too warm for snow to play in - dress for the day and save the snow gear for a colder one');
+      return { items, tips };
+    }
+
+    let dressed = without(items, CLOTHING_ITEMS.UMBRELLA.id);
+    dressed = put(dressed, recommend(CLOTHING_ITEMS.LONG_SLEEVE, true, 'Base layer under it all'));
+    dressed = put(dressed, recommend(CLOTHING_ITEMS.LEGGINGS, true, 'Under snow pants'));
+    if ((inSlot(dressed, 'mid')?.warmth ?? 0) < CLOTHING_ITEMS.FLEECE.warmth) {
+      dressed = put(dressed, recommend(CLOTHING_ITEMS.FLEECE, true, 'Insulating layer'));
+    }
+    if ((inSlot(dressed, 'outer')?.warmth ?? 0) < CLOTHING_ITEMS.PUFFER.warmth) {
+      dressed = put(dressed, recommend(CLOTHING_ITEMS.PUFFER, true, 'Warm enough for rolling in snow'));
+    }
+    dressed = put(dressed, recommend(CLOTHING_ITEMS.SNOW_PANTS, true, 'Keeps legs dry in the snow'));
+    dressed = put(dressed, recommend(CLOTHING_ITEMS.WINTER_BOOTS, true, 'Warm and waterproof'));
+    dressed = put(dressed, recommend(CLOTHING_ITEMS.WINTER_HAT, true));
+    dressed = put(dressed, recommend(CLOTHING_ITEMS.WATERPROOF_MITTENS, true, 'Snow soaks through ordinary mittens'));
+    dressed = put(dressed, recommend(CLOTHING_ITEMS.NECK_WARMER, true, 'Scarves can catch on sleds'));
+    if (uvIndex >= UV_THRESHOLDS.SUNSCREEN_NEEDED) {
+      dressed = put(dressed, recommend(CLOTHING_ITEMS.SUNGLASSES, false, 'Snow glare'));
+    }
+    dressed = put(dressed, recommend(CLOTHING_ITEMS.CHANGE_OF_CLOTHES, true, 'Dry layers and socks for after'));
+
+    if (feelsLike < TEMP_THRESHOLDS.FREEZING) {
+      tips.push('Warm-up breaks indoors every 20-30 minutes');
+    }
+    if (feelsHigh >= TEMP_THRESHOLDS.VERY_COLD) {
+      tips.push('Wet, slushy snow soaks through - change into dry clothes promptly');
+    }
+    return { items: dressed, tips };
+  },
+};
+
+/**
+ * Re-dress an everyday outfit for an activity
+ * @param {import('../types/index.js').ClothingItem[]} items - The everyday outfit
+ * @param {string} activity - An ACTIVITY_PROFILES id
+ * @param {ActivityConditions} conditions
+ * @returns {{items: import('../types/index.js').ClothingItem[], tips: string[]}}
+ */
+export function dressForActivity(items, activity, conditions) {
+  const rule = RULES[activity];
+  if (!rule) throw new Error(`Unknown activity: ${activity}`);
+  return rule(items, conditions);
+}
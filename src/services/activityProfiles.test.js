@@ -0,0 +1,137 @@
+import { describe, it, expect } from 'vitest';
+import { dressForActivity, getActivityProfile } from './activityProfiles.js';
+import { CLOTHING_ITEMS } from '../utils/constants.js';
+
+/** Catalogue items as required recommendations */
+const outfit = (...items) => items.map(item => ({ ...item, required: true }));
+const ids = (items) => items.map(item => item.id);
+
+/** An everyday outfit for a freezing morning */
+const winterOutfit = outfit(
+  CLOTHING_ITEMS.LONG_SLEEVE,
+  CLOTHING_ITEMS.PANTS,
+  CLOTHING_ITEMS.FLEECE,
+  CLOTHING_ITEMS.WINTER_COAT,
+  CLOTHING_ITEMS.WINTER_BOOTS,
+  CLOTHING_ITEMS.WINTER_HAT,
+  CLOTHING_ITEMS.MITTENS,
+);
+
+/** An everyday outfit for a hot, sunny afternoon */
+const summerOutfit = outfit(
+  CLOTHING_ITEMS.TSHIRT,
+  CLOTHING_ITEMS.SHORTS,
+  CLOTHING_ITEMS.SANDALS,
+  CLOTHING_ITEMS.SUN_HAT,
+  CLOTHING_ITEMS.SUNSCREEN,
+  CLOTHING_ITEMS.UMBRELLA,
+);
+
+const conditions = (overrides) => ({ feelsLike: 80, feelsHigh: 85, rainChance: 0, uvIndex: 0, ageGroup: 'school-age', ...overrides });
+
+describe('playground', () => {
+  it('swaps sandals for closed toes and scarves for a neck warmer', () => {
+    const { items } = dressForActivity(summerOutfit, 'playground', conditions());
+    expect(ids(items)).toContain('sneakers');
+    expect(ids(items)).not.toContain('sandals');
+
+    const winter = dressForActivity(outfit(...winterOutfit, CLOTHING_ITEMS.SCARF), 'playground', conditions({ feelsLike: 20, feelsHigh: 25 }));
+    expect(ids(winter.items)).toContain('neck-warmer');
+    expect(ids(winter.items)).not.toContain('scarf');
+    expect(winter.tips).toContain('Tuck in hood and jacket drawstrings - they can catch on play equipment');
+  });
+});
+
+describe('swimming', () => {
+  it('trades clothes for swim gear, keeping sun protection', () => {
+    const { items, tips } = dressForActivity(summerOutfit, 'swimming', conditions({ uvIndex: 8, ageGroup: 'toddler' }));
+
+    expect(ids(items)).toEqual(['swimsuit', 'rash-guard', 'swim-diaper', 'water-shoes', 'sun-hat', 'sunscreen', 'towel', 'change-of-clothes']);
+    expect(items.find(item => item.id === 'rash-guard')).toMatchObject({ required: true, reason: 'Sun protection in the water' });
+    expect(tips).toContain('Stay within arm\'s reach in and around water');
+  });
+
+  it('sends a freezing swim indoors, keeping the warm clothes for the trip', () => {
+    const { items, tips } = dressForActivity(winterOutfit, 'swimming', conditions({ feelsLike: 0, feelsHigh: 0 }));
+
+    expect(ids(items)).toEqual(expect.arrayContaining(['winter-coat', 'winter-boots', 'winter-hat', 'swimsuit', 'towel']));
+    expect(ids(items)).not.toContain('water-shoes');
+    expect(tips[0]).toMatch(/^Too cold for outdoor water play/);
+  });
+
+  it('still dresses for outdoor water just above the cutoff', () => {
+    const { items, tips } = dressForActivity(winterOutfit, 'swimming', conditions({ feelsLike: 45, feelsHigh: 50 }));
+
+    expect(ids(items)).toEqual(expect.arrayContaining(['swimsuit', 'water-shoes', 'hoodie']));
+    expect(ids(items)).not.toContain('winter-coat');
+    expect(tips).toContain('Chilly for water play - keep dips short and wrap up in between');
+  });
+});
+
+describe('soccer', () => {
+  it('adds cleats, shin guards and water, and drops the umbrella', () => {
+    const { items, tips } = dressForActivity(summerOutfit, 'soccer', conditions({ feelsHigh: 88 }));
+
+    expect(ids(items)).toEqual(expect.arrayContaining(['cleats', 'shin-guards', 'water-bottle']));
+    expect(ids(items)).not.toContain('umbrella');
+    expect(items.find(item => item.id === 'water-bottle').reason).toBe('Drink at every break');
+    expect(tips).toContain('Hot for running - water breaks every 15-20 minutes');
+  });
+
+  it('is dressed lighter for the running around', () => {
+    expect(getActivityProfile('soccer').exertionF).toBe(10);
+    expect(getActivityProfile('hiking').exertionF).toBe(5);
+    expect(getActivityProfile('snow-play').exertionF).toBe(0);
+  });
+});
+
+describe('hiking', () => {
+  it('covers legs, packs a shell when rain is possible and keeps winter boots', () => {
+    const { items } = dressForActivity(summerOutfit, 'hiking', conditions({ feelsHigh: 80, rainChance: 40 }));
+    expect(ids(items)).toEqual(expect.arrayContaining(['hiking-boots', 'pants', 'rain-jacket', 'water-bottle']));
+    expect(ids(items)).not.toContain('shorts');
+
+    const winter = dressForActivity(winterOutfit, 'hiking', conditions({ feelsLike: 20, feelsHigh: 25 }));
+    expect(ids(winter.items)).toContain('winter-boots');
+    expect(ids(winter.items)).not.toContain('hiking-boots');
+  });
+});
+
+describe('snow play', () => {
+  it('dresses warm and waterproof from head to toe', () => {
+    const { items, tips } = dressForActivity(summerOutfit, 'snow-play', conditions({ feelsLike: 20, feelsHigh: 28 }));
+
+    expect(ids(items)).toEqual(expect.arrayContaining([
+      'long-sleeve', 'leggings', 'fleece', 'puffer', 'snow-pants', 'winter-boots', 'winter-hat', 'waterproof-mittens', 'neck-warmer', 'change-of-clothes',
+    ]));
+    expect(ids(items)).not.toContain('umbrella');
+    expect(tips).toEqual(['Warm-up breaks indoors every 20-30 minutes']);
+  });
+
+  it('keeps a warmer coat the outfit already has', () => {
+    const { items } = dressForActivity(winterOutfit, 'snow-play', conditions({ feelsLike: 10, feelsHigh: 15 }));
+
+    expect(ids(items)).toContain('winter-coat');
+    expect(ids(items)).not.toContain('puffer');
+  });
+
+  it('leaves the outfit alone when it is too warm for snow', () => {
+    const { items, tips } = dressForActivity(summerOutfit, 'snow-play', conditions({ feelsLike: 50, feelsHigh: 58 }));
+
+    expect(items).toEqual(summerOutfit);
+    expect(tips).toEqual(['Too warm for snow to play in - dress for the day and save the snow gear for a colder one']);
+  });
+
+  it('still dresses for snow right at the cutoff', () => {
+    const { items } = dressForActivity(summerOutfit, 'snow-play', conditions({ feelsLike: 45, feelsHigh: 50 }));
+
+    expect(ids(items)).toEqual(expect.arrayContaining(['snow-pants', 'winter-boots']));
+  });
+});
+
+describe('dressForActivity', () => {
+  it('rejects unknown activities', () => {
+    expect(() => dressForActivity(summerOutfit, 'ballet', conditions())).toThrow('Unknown activity: ballet');
+    expect(getActivityProfile('ballet')).toBeNull();
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Tiny Weather - Comfort Feedback
+ *
+ * Children run hot or cold whatever their age group says. After the day a
+ * parent rates each outfit "too cold", "just right" or "too hot", and each
+ * child gets a temperature offset the outfit engine dresses by:
+ * - Only the last few ratings count, so it follows a child as they change
+ * - It moves in small steps and never past COMFORT_CONFIG.MAX_OFFSET_F
+ * - It always comes with the reason ("Mia was cold 3 of the last 5 times")
+ */
+
+import { COMFORT_CONFIG } from '../utils/constants.js';
+
+/** @typedef {'too-cold' | 'just-right' | 'too-hot'} ComfortRating */
+
+export const COMFORT_RATINGS = ['too-cold', 'just-right', 'too-hot'];
+
+/**
+ * Add a rating to a child's history. A day has one rating; rating it again
+ * replaces the first.
+ * @param {import('../types/index.js').ComfortFeedback[]} history - Oldest first
+ * @param {import('../types/index.js').ComfortFeedback} feedback
+ * @returns {import('../types/index.js').ComfortFeedback[]} New history, trimmed to COMFORT_CONFIG.HISTORY
+ */
+export function addComfortFeedback(history, feedback) {
+  if (!COMFORT_RATINGS.includes(feedback.rating)) {
+    throw new Error(`Unknown comfort rating: ${feedback.rating}`);
+  }
+  return [...history.filter(entry => entry.date !== feedback.date), feedback]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .slice(-COMFORT_CONFIG.HISTORY);
+}
+
+/**
+ * How much warmer (or lighter) to dress a child, and why
+ * @param {import('../types/index.js').ComfortFeedback[] | null | undefined} history - Oldest first
+ * @param {string} [childName]
+ * @returns {import('../types/index.js').ComfortAdjustment}
+ */
+export function getComfortAdjustment(history, childName = 'They') {
+  const recent = (history ?? []).slice(-COMFORT_CONFIG.WINDOW);
+  const cold = recent.filter(entry => entry.rating === 'too-cold').length;
+  const hot = recent.filter(entry => entry.rating === 'too-hot').length;
+  const none = { offset: 0, explanation: null, cold, hot, total: recent.length };
+
+  if (recent.length < COMFORT_CONFIG.MIN_RATINGS || cold === hot) return none;
+
+  const max = COMFORT_CONFIG.MAX_OFFSET_F;
+  const offset = Math.min(Math.max((cold - hot) * COMFORT_CONFIG.STEP_F, -max), max);
+  const explanation = offset > 0
+    ? `Recommending warmer because ${childName} was cold ${cold} of the last ${recent.length} times`
+    : `Recommending lighter because ${childName} was hot ${hot} of the last ${recent.length} times`;
+  return { ...none, offset, explanation };
+}
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { addComfortFeedback, getComfortAdjustment } from './comfort.js';
+
+/** A history with one rating a day from Jan 1, oldest first */
+const history = (...ratings) => ratings.map((rating, i) => ({ date: `2025-01-${String(i + 1).padStart(2, '0')}`, rating }));
+
+describe('getComfortAdjustment', () => {
+  it('dresses warmer a step per net cold rating', () => {
+    const adjustment = getComfortAdjustment(history('too-cold', 'just-right', 'too-cold'), 'Mia');
+
+    expect(adjustment).toEqual({
+      offset: 6,
+      explanation: 'Recommending warmer because Mia was cold 2 of the last 3 times',
+      cold: 2,
+      hot: 0,
+      total: 3,
+    });
+  });
+
+  it('never shifts more than 9° either way', () => {
+    const cold = Array(5).fill('too-cold');
+    const hot = Array(5).fill('too-hot');
+
+    expect(getComfortAdjustment(history(...cold)).offset).toBe(9);
+    expect(getComfortAdjustment(history(...hot)).offset).toBe(-9);
+    expect(getComfortAdjustment(history('too-hot', 'too-hot', 'too-hot', 'just-right')).offset).toBe(-9);
+  });
+
+  it('only counts the last five ratings', () => {
+    const adjustment = getComfortAdjustment(history('too-hot', 'too-hot', 'too-hot', 'too-cold', 'just-right', 'just-right', 'just-right', 'too-cold'));
+
+    expect(adjustment).toMatchObject({ offset: 6, cold: 2, hot: 0, total: 5 });
+  });
+
+  it('changes nothing on one rating or an even split', () => {
+    expect(getComfortAdjustment(history('too-cold'))).toMatchObject({ offset: 0, explanation: null });
+    expect(getComfortAdjustment(history('too-cold', 'too-hot'))).toMatchObject({ offset: 0, explanation: null });
+    expect(getComfortAdjustment(null).offset).toBe(0);
+  });
+});
+
+describe('addComfortFeedback', () => {
+  it('keeps one rating a day, in date order', () => {
+    const updated = addComfortFeedback(history('too-cold', 'too-hot'), { date: '2025-01-01', rating: 'just-right' });
+
+    expect(updated).toEqual([
+      { date: '2025-01-01', rating: 'just-right' },
+      { date: '2025-01-02', rating: 'too-hot' },
+    ]);
+  });
+
+  it('rejects unknown ratings', () => {
+    expect(() => addComfortFeedback([], { date: '2025-01-01', rating: 'toasty' })).toThrow('Unknown comfort rating: toasty');
+  });
+});
@@ -0,0 +1,234 @@
+/**
+ * Tiny Weather - Request Errors
+ *
+ * Every failed provider request ends up as one of a few kinds, so retries
+ * and the UI can tell them apart:
+ * - AuthError: the API key is missing, wrong or not enabled for the API
+ * - QuotaError: rate or quota limit reached (may say when to come back)
+ * - NetworkError: no connection, DNS, CORS or a dropped request
+ * - ProviderError: the service failed (5xx) or refused the request (other 4xx)
+ * - ParseError: the response wasn't JSON, or had nothing usable in it
+ */
+
+/** @typedef {'auth' | 'quota' | 'network' | 'provider' | 'parse'} WeatherErrorKind */
+
+/**
+ * @typedef {Object} WeatherErrorOptions
+ * @property {number | null} [status] - HTTP status, when there was a response
+ * @property {boolean} [retryable] - Whether trying again could help (defaults per kind)
+ * @property {number | null} [retryAfterMs] - How long the service asked us to wait
+ * @property {unknown} [cause] - Underlying error
+ */
+
+// ============================================================================
+// ERROR CLASSES
+// ============================================================================
+
+export class WeatherError extends Error {
+  /**
+   * @param {WeatherErrorKind} kind
+   * @param {string} message
+   * @param {WeatherErrorOptions} [options]
+   */
+  constructor(kind, message, { status = null, retryable = false, retryAfterMs = null, cause } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = this.constructor.name;
+    /** @type {WeatherErrorKind} */
+    this.kind = kind;
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/** The API key is missing, invalid or not allowed to use this API. Never retried. */
+export class AuthError extends WeatherError {
+  /**
+   * @param {string} message
+   * @param {WeatherErrorOptions} [options]
+   */
+  constructor(message, options = {}) {
+    super('auth', message, { ...options, retryable: false });
+  }
+}
+
+/** Rate or quota limit hit. Retried only when the service says when (Retry-After). */
+export class QuotaError extends WeatherError {
+  /**
+   * @param {string} message
+   * @param {WeatherErrorOptions} [options]
+   */
+  constructor(message, options = {}) {
+    super('quota', message, { ...options, retryable: options.retryAfterMs != null });
+  }
+}
+
+/** The request never got a response. Retried. */
+export class NetworkError extends WeatherError {
+  /**
+   * @param {string} message
+   * @param {WeatherErrorOptions} [options]
+   */
+  constructor(message, options = {}) {
+    super('network', message, { retryable: true, ...options });
+  }
+}
+
+/** The service failed or rejected the request. Retried for 5xx only. */
+export class ProviderError extends WeatherError {
+  /**
+   * @param {string} message
+   * @param {WeatherErrorOptions} [options]
+   */
+  constructor(message, options = {}) {
+    super('provider', message, { retryable: options.status >= 500, ...options });
+  }
+}
+
+/** The response couldn't be read. Truncated bodies are retried; unusable data isn't. */
+export class ParseError extends WeatherError {
+  /**
+   * @param {string} message
+   * @param {WeatherErrorOptions} [options]
+   */
+  constructor(message, options = {}) {
+    super('parse', message, options);
+  }
+}
+
+/** @type {Record<WeatherErrorKind, new (message: string, options?: WeatherErrorOptions) => WeatherError>} */
+const ERROR_CLASSES = {
+  auth: AuthError,
+  quota: QuotaError,
+  network: NetworkError,
+  provider: ProviderError,
+  parse: ParseError,
+};
+
+/**
+ * Create an error of a given kind (e.g. when replaying a recorded failure)
+ * @param {WeatherErrorKind} kind
+ * @param {string} message
+ * @param {WeatherErrorOptions} [options]
+ * @returns {WeatherError}
+ */
+export function createWeatherError(kind, message, options) {
+  const ErrorClass = ERROR_CLASSES[kind] ?? ProviderError;
+  return new ErrorClass(message, options);
+}
+
+// ============================================================================
+// CLASSIFYING
+// ============================================================================
+
+/**
+ * Read a Retry-After header (seconds or an HTTP date)
+ * @param {string | null} header
+ * @param {number} [now] - Epoch ms
+ * @returns {number | null} Milliseconds to wait, or null if absent or unreadable
+ */
+export function parseRetryAfter(header, now = Date.now()) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * The message a provider put in its error body (Google, NWS and
+ * OpenWeatherMap each use a different field), or the start of the text
+ * @param {string} text
+ * @returns {string}
+ */
+function readErrorMessage(text) {
+  try {
+    const body = JSON.parse(text);
+    const message = body?.error?.message ?? body?.detail ?? body?.message ?? body?.reason;
+    if (typeof message === 'string' && message) return message;
+  } catch {
+    // Not JSON - fall through to the raw text
+  }
+  return text.trim().slice(0, 200) || 'no details';
+}
+
+/**
+ * Turn a non-2xx response into the right error
+ * @param {number} status
+ * @param {string} text - Response body
+ * @param {{get(name: string): string | null}} [headers]
+ * @returns {WeatherError}
+ */
+export function createHttpError(status, text, headers) {
+  const message = `API error ${status}: ${readErrorMessage(text)}`;
+  const options = { status, retryAfterMs: parseRetryAfter(headers?.get('Retry-After') ?? null) };
+
+  if (status === 429) return new QuotaError(message, options);
+  // Google sends quota exhaustion as 403 and a bad key as 400
+  if (status === 403 && /quota|rate.?limit|RESOURCE_EXHAUSTED/i.test(text)) return new QuotaError(message, options);
+  if (status === 401 || status === 403) return new AuthError(message, options);
+  if (status === 400 && /api.?key|API_KEY_INVALID/i.test(text)) return new AuthError(message, options);
+  return new ProviderError(message, options);
+}
+
+/**
+ * Make any thrown value a WeatherError: fetch's TypeError is a network
+ * failure, a SyntaxError a bad body. Aborts pass through untouched.
+ * @param {unknown} error
+ * @returns {WeatherError | Error}
+ */
+export function toWeatherError(error) {
+  if (error instanceof WeatherError) return error;
+  if (error?.name === 'AbortError') return error;
+  if (error instanceof TypeError) return new NetworkError(`Network error: ${error.message}`, { cause: error });
+  if (error instanceof SyntaxError) return new ParseError(`Unreadable response: ${error.message}`, { retryable: true, cause: error });
+  return new ProviderError(error?.message ?? String(error), { cause: error });
+}
+
+/**
+ * Kind of a failure, for the UI
+ * @param {unknown} error
+ * @returns {WeatherErrorKind | null} Null for no error or one that isn't from a request
+ */
+export function getErrorKind(error) {
+  return error instanceof WeatherError ? error.kind : null;
+}
+
+// ============================================================================
+// DESCRIBING
+// ============================================================================
+
+const ERROR_SUMMARIES = {
+  auth: 'Weather API key invalid',
+  quota: 'Weather service busy',
+  network: "You're offline",
+  provider: 'Weather service unavailable',
+  parse: "Couldn't read the weather service's reply",
+};
+
+/**
+ * @param {number} ms
+ * @returns {string} e.g. '5 min', '2h', '3 days'
+ */
+function formatAge(ms) {
+  const minutes = Math.max(1, Math.round(ms / 60000));
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return `${hours}h`;
+  return `${Math.round(hours / 24)} days`;
+}
+
+/**
+ * One line for the UI, e.g. "You're offline, showing 2h-old data"
+ * @param {unknown} error
+ * @param {Object} [options]
+ * @param {Date | null} [options.lastUpdated] - When the data still on screen was fetched (null if none)
+ * @param {Date} [options.now]
+ * @returns {string | null} Null when there's no error
+ */
+export function describeWeatherError(error, { lastUpdated = null, now = new Date() } = {}) {
+  if (!error) return null;
+  const summary = ERROR_SUMMARIES[getErrorKind(error)] ?? "Couldn't update the weather";
+  if (!lastUpdated) return summary;
+  return `${summary}, showing ${formatAge(now.getTime() - new Date(lastUpdated).getTime())}-old data`;
+}
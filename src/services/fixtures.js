@@ -0,0 +1,268 @@
+/**
+ * Tiny Weather - Recorded Weather Fixtures
+ *
+ * Captures the raw provider responses behind one fetchFreshWeather call so
+ * an odd recommendation can be replayed offline, byte for byte, through the
+ * same provider transformers and engines.
+ * - A recorder wraps the provider's requests and keeps each response with
+ *   its request (API keys stripped)
+ * - A fixture is plain JSON: save it, attach it to a bug, commit it
+ * - Replay serves the recorded responses back (see the 'replay' provider),
+ *   so no network or API key is needed
+ */
+
+import { fetchWithRetry } from './http.js';
+import { createWeatherError, getErrorKind } from './errors.js';
+
+/** Bumped when the fixture format changes incompatibly */
+export const FIXTURE_VERSION = 1;
+
+/** Query parameters that carry credentials; never written to a fixture */
+const SECRET_PARAMS = ['key', 'appid', 'apikey', 'api_key', 'token'];
+
+/**
+ * @typedef {Object} RecordedRequest
+ * @property {string} method - HTTP method
+ * @property {string} url - Request URL, credentials removed
+ * @property {any} [body] - Parsed JSON request body, if any
+ * @property {any} [response] - Parsed JSON response (absent when the request failed)
+ * @property {string} [error] - Error message when the request failed
+ * @property {import('./errors.js').WeatherErrorKind} [errorKind] - Kind of failure, so replay fails the same way
+ * @property {number | null} [status] - HTTP status of the failure, if there was a response
+ * @property {number} durationMs - Time taken, including retries
+ */
+
+/**
+ * @typedef {Object} WeatherFixture
+ * @property {number} version - FIXTURE_VERSION when recorded
+ * @property {string} provider - Provider the responses came from
+ * @property {{lat: number, lng: number}} location
+ * @property {{hours: number, days: number}} horizon - Forecast lengths requested
+ * @property {string} recordedAt - ISO timestamp
+ * @property {RecordedRequest[]} requests - In the order they were made
+ */
+
+// ============================================================================
+// REQUEST KEYS
+// ============================================================================
+
+/**
+ * Remove credentials from a URL
+ * @param {string} url
+ * @returns {string}
+ */
+export function redactUrl(url) {
+  const parsed = new URL(url);
+  for (const param of SECRET_PARAMS) parsed.searchParams.delete(param);
+  return parsed.toString();
+}
+
+/**
+ * Method, URL and body of a request, credentials removed
+ * @param {string} url
+ * @param {RequestInit} [options]
+ */
+function describeRequest(url, options = {}) {
+  let body;
+  if (typeof options.body === 'string') {
+    try {
+      body = JSON.parse(options.body);
+    } catch {
+      body = options.body;
+    }
+  }
+  return { method: (options.method || 'GET').toUpperCase(), url: redactUrl(url), body };
+}
+
+/** Exact identity of a request */
+const requestKey = ({ method, url, body }) => `${method} ${url} ${JSON.stringify(body ?? null)}`;
+
+/**
+ * Same kind of request, whatever the values: numbers in the path (NWS puts
+ * coordinates there) and query values are ignored, query names kept - so a
+ * fixture replays at other coordinates without mixing up, say, Open-Meteo's
+ * hourly and daily calls to the same endpoint
+ */
+const shapeKey = ({ method, url }) => {
+  const { origin, pathname, searchParams } = new URL(url);
+  const params = [...new Set(searchParams.keys())].sort().join(',');
+  return `${method} ${origin}${pathname.replace(/-?\d+(\.\d+)?/g, '#')}?${params}`;
+};
+
+// ============================================================================
+// RECORDING
+// ============================================================================
+
+/**
+ * @typedef {Object} FixtureRecording
+ * @property {typeof fetchWithRetry} fetchJson - Drop-in for fetchWithRetry that records into this fixture
+ * @property {() => WeatherFixture} finish - Close the fixture once every request has settled
+ */
+
+/**
+ * Create a fixture recorder. Pass it to createWeatherService as `recorder`;
+ * each fetchFreshWeather then produces one fixture. Fetches can overlap (a
+ * background revalidation, a second location), so each records through its
+ * own FixtureRecording and never into another's.
+ * @param {Object} [options]
+ * @param {(fixture: WeatherFixture) => void} [options.onFixture] - Called with each finished fixture (e.g. to save it)
+ */
+export function createFixtureRecorder({ onFixture } = {}) {
+  /** @type {WeatherFixture | null} */
+  let latest = null;
+
+  return {
+    /**
+     * Start a fixture for one fetch (called by the weather service)
+     * @param {Omit<WeatherFixture, 'version' | 'recordedAt' | 'requests'>} meta
+     * @returns {FixtureRecording}
+     */
+    start(meta) {
+      /** @type {WeatherFixture} */
+      const fixture = { version: FIXTURE_VERSION, ...meta, recordedAt: new Date().toISOString(), requests: [] };
+      let finished = false;
+      const record = (entry) => {
+        if (!finished) fixture.requests.push(entry);
+      };
+
+      return {
+        async fetchJson(url, options = {}, retries) {
+          const request = describeRequest(url, options);
+          const startedAt = Date.now();
+          try {
+            const response = await fetchWithRetry(url, options, retries);
+            record({ ...request, response, durationMs: Date.now() - startedAt });
+            return response;
+          } catch (error) {
+            record({
+              ...request,
+              error: error.message,
+              errorKind: getErrorKind(error) ?? undefined,
+              status: error.status ?? undefined,
+              durationMs: Date.now() - startedAt,
+            });
+            throw error;
+          }
+        },
+
+        finish() {
+          if (!finished) {
+            finished = true;
+            latest = fixture;
+            onFixture?.(fixture);
+          }
+          return fixture;
+        },
+      };
+    },
+
+    /** The last finished fixture, if any */
+    get latest() {
+      return latest;
+    },
+  };
+}
+
+// ============================================================================
+// REPLAY
+// ============================================================================
+
+/**
+ * Check a fixture (object or JSON text) is one this version can replay
+ * @param {WeatherFixture | string} fixture
+ * @returns {WeatherFixture}
+ */
+export function parseFixture(fixture) {
+  const parsed = typeof fixture === 'string' ? JSON.parse(fixture) : fixture;
+  if (!parsed || !Array.isArray(parsed.requests) || !parsed.provider) {
+    throw new Error('Not a weather fixture: expected provider and requests');
+  }
+  if (parsed.version !== FIXTURE_VERSION) {
+    throw new Error(`Unsupported fixture version ${parsed.version} (expected ${FIXTURE_VERSION})`);
+  }
+  return parsed;
+}
+
+/**
+ * Create a fetchWithRetry stand-in that answers from a fixture.
+ *
+ * Requests match exactly (method, URL without credentials, body) where
+ * possible; otherwise the next unused recording of the same shape is
+ * served, so a fixture still replays at other coordinates or horizons.
+ * Recorded failures fail again with the same kind and message.
+ *
+ * @param {WeatherFixture} fixture
+ * @returns {typeof fetchWithRetry}
+ */
+export function createReplayFetch(fixture) {
+  const used = new Set();
+
+  return async function fetchJson(url, options = {}) {
+    const request = describeRequest(url, options);
+    const key = requestKey(request);
+    const shape = shapeKey(request);
+
+    // Unused recordings first, so paged and repeated requests come back in order
+    const pick = (matches) => matches.find(r => !used.has(r)) ?? matches[0];
+    const recorded = pick(fixture.requests.filter(r => requestKey(r) === key))
+      ?? pick(fixture.requests.filter(r => shapeKey(r) === shape));
+
+    if (!recorded) {
+      throw new Error(`No recorded response for ${request.method} ${request.url}`);
+    }
+    used.add(recorded);
+
+    if (recorded.error) {
+      // Fixtures from before error kinds were recorded fail as plain errors
+      throw recorded.errorKind
+        ? createWeatherError(recorded.errorKind, recorded.error, { status: recorded.status ?? null })
+        : new Error(recorded.error);
+    }
+    // Hand out a copy so transformers can't change the fixture between replays
+    return structuredClone(recorded.response);
+  };
+}
+
+/**
+ * Move every Date in replayed weather data forward by whole days, so an old
+ * fixture lines up with today but keeps its times of day
+ * @template T
+ * @param {T} data
+ * @param {Date} recordedAt
+ * @param {Date} [now]
+ * @returns {T}
+ */
+export function shiftToToday(data, recordedAt, now = new Date()) {
+  const dayMs = 24 * 60 * 60 * 1000;
+  const offset = Math.round((now.getTime() - recordedAt.getTime()) / dayMs) * dayMs;
+  if (offset === 0) return data;
+
+  const shift = (value) => {
+    if (value instanceof Date) return new Date(value.getTime() + offset);
+    if (Array.isArray(value)) return value.map(shift);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, shift(v)]));
+    }
+    return value;
+  };
+  return shift(data);
+}
+
+// ============================================================================
+// SAVING
+// ============================================================================
+
+/**
+ * Save a fixture as a .json download (browser only)
+ * @param {WeatherFixture} fixture
+ * @param {string} [filename]
+ */
+export function downloadFixture(fixture, filename) {
+  const name = filename ?? `weather-${fixture.provider}-${fixture.recordedAt.replace(/[:.]/g, '-')}.json`;
+  const url = URL.createObjectURL(new Blob([JSON.stringify(fixture, null, 2)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  link.click();
+  URL.revokeObjectURL(url);
+}
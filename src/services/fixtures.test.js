@@ -0,0 +1,81 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import fixture from './providers/__fixtures__/open-meteo.json';
+import { createFixtureRecorder, createReplayFetch } from './fixtures.js';
+import { createWeatherService, isWeatherExpired } from './weatherApi.js';
+
+const { lat, lng } = fixture.location;
+
+/**
+ * Answer the network from the recording. Requests matching `fail` get a 400;
+ * ones matching `hold` wait until released.
+ */
+const stubNetwork = ({ fail, hold } = {}) => {
+  const replay = createReplayFetch(fixture);
+  const held = [];
+  vi.stubGlobal('fetch', async (url, options) => {
+    if (hold?.test(url)) await new Promise(resolve => held.push(resolve));
+    if (fail?.test(url)) return new Response('{"reason":"Bad request"}', { status: 400 });
+    return new Response(JSON.stringify(await replay(url, options)));
+  });
+  return { release: () => held.splice(0).forEach(resolve => resolve()) };
+};
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe('createFixtureRecorder', () => {
+  it('keeps fetches that overlap in their own fixtures', async () => {
+    stubNetwork();
+    const fixtures = [];
+    const recorder = createFixtureRecorder({ onFixture: recorded => fixtures.push(recorded) });
+    const service = createWeatherService('', { provider: 'open-meteo', recorder });
+
+    await Promise.all([
+      service.fetchFreshWeather(lat, lng, { useCache: false }),
+      service.fetchFreshWeather(40.71, -74.01, { useCache: false }),
+    ]);
+
+    expect(fixtures.map(recorded => recorded.location)).toEqual([{ lat, lng }, { lat: 40.71, lng: -74.01 }]);
+    for (const recorded of fixtures) {
+      expect(recorded.requests).toHaveLength(5);
+      expect(recorded.requests.every(request => request.url.includes(`latitude=${recorded.location.lat}&`))).toBe(true);
+    }
+  });
+
+  it('finishes a failed fetch only once every request has settled', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const network = stubNetwork({ fail: /current=/, hold: /daily=/ });
+    const recorder = createFixtureRecorder();
+    const service = createWeatherService('', { provider: 'open-meteo', recorder });
+
+    const fetching = service.fetchFreshWeather(lat, lng, { useCache: false });
+    const failed = expect(fetching).rejects.toMatchObject({ status: 400 });
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(recorder.latest).toBeNull();
+    network.release();
+    await failed;
+
+    const requests = recorder.latest.requests;
+    expect(requests).toHaveLength(5);
+    expect(requests.find(request => request.url.includes('current='))).toMatchObject({ status: 400, errorKind: expect.any(String) });
+    expect(requests.find(request => request.url.includes('daily=')).response).toBeDefined();
+  });
+});
+
+describe('replaying a fixture shifted to today', () => {
+  it('is fresh as of when it was replayed, at any time of day', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    // Recorded at 13:00 UTC; opened days later, late in the evening
+    vi.setSystemTime(new Date('2026-03-02T22:40:00Z'));
+
+    const data = await createWeatherService('', { fixture, shiftFixtureToToday: true }).fetchFreshWeather(lat, lng);
+
+    expect(data.fetchedAt).toEqual(new Date('2026-03-02T22:40:00Z'));
+    expect(isWeatherExpired(data)).toBe(false);
+    expect(data.hourly[0].time.getUTCHours()).toBe(13);
+  });
+});
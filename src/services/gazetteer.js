@@ -0,0 +1,249 @@
+/**
+ * Tiny Weather - Offline Gazetteer
+ *
+ * A trimmed place list (derived from GeoNames cities, CC BY 4.0) bundled so
+ * city search works with no network and no API key. It covers large US
+ * cities plus major cities worldwide; anything else falls through to the
+ * provider-backed geocoder.
+ *
+ * Rows are compact tuples to keep the bundle small:
+ * [name, region, countryCode, lat, lng, population (thousands), US ZIP prefixes]
+ * ZIP prefixes are the 3-digit prefixes that resolve to the city; postal
+ * code search matches on them.
+ */
+
+/** Country names for labels outside the US and Canada */
+export const COUNTRY_NAMES = {
+  US: 'United States',
+  CA: 'Canada',
+  MX: 'Mexico',
+  GB: 'United Kingdom',
+  IE: 'Ireland',
+  FR: 'France',
+  DE: 'Germany',
+  NL: 'Netherlands',
+  BE: 'Belgium',
+  ES: 'Spain',
+  PT: 'Portugal',
+  IT: 'Italy',
+  CH: 'Switzerland',
+  AT: 'Austria',
+  DK: 'Denmark',
+  SE: 'Sweden',
+  NO: 'Norway',
+  FI: 'Finland',
+  PL: 'Poland',
+  CZ: 'Czechia',
+  GR: 'Greece',
+  TR: 'Turkey',
+  AU: 'Australia',
+  NZ: 'New Zealand',
+  JP: 'Japan',
+  KR: 'South Korea',
+  CN: 'China',
+  HK: 'Hong Kong',
+  SG: 'Singapore',
+  IN: 'India',
+  AE: 'United Arab Emirates',
+  IL: 'Israel',
+  ZA: 'South Africa',
+  KE: 'Kenya',
+  NG: 'Nigeria',
+  EG: 'Egypt',
+  BR: 'Brazil',
+  AR: 'Argentina',
+  CL: 'Chile',
+  CO: 'Colombia',
+  PE: 'Peru',
+};
+
+export const GAZETTEER = [
+  // United States
+  ['New York', 'NY', 'US', 40.71, -74.01, 1630, '100,101,102'],
+  ['Brooklyn', 'NY', 'US', 40.65, -73.95, 2560, '112'],
+  ['Queens', 'NY', 'US', 40.73, -73.79, 2270, '113,114,116'],
+  ['Bronx', 'NY', 'US', 40.84, -73.87, 1420, '104'],
+  ['Staten Island', 'NY', 'US', 40.58, -74.15, 490, '103'],
+  ['Buffalo', 'NY', 'US', 42.89, -78.88, 280, '140,142'],
+  ['Rochester', 'NY', 'US', 43.16, -77.61, 210, '144,146'],
+  ['Albany', 'NY', 'US', 42.65, -73.76, 100, '120,122'],
+  ['Los Angeles', 'CA', 'US', 34.05, -118.24, 3820, '900,901'],
+  ['Long Beach', 'CA', 'US', 33.77, -118.19, 450, '907,908'],
+  ['Pasadena', 'CA', 'US', 34.15, -118.14, 135, '910,911'],
+  ['San Diego', 'CA', 'US', 32.72, -117.16, 1380, '919,920,921'],
+  ['Riverside', 'CA', 'US', 33.95, -117.40, 315, '925'],
+  ['Santa Ana', 'CA', 'US', 33.75, -117.87, 310, '926,927'],
+  ['Santa Barbara', 'CA', 'US', 34.42, -119.70, 88, '931'],
+  ['Bakersfield', 'CA', 'US', 35.37, -119.02, 410, '932,933'],
+  ['Fresno', 'CA', 'US', 36.74, -119.79, 545, '936,937'],
+  ['San Francisco', 'CA', 'US', 37.77, -122.42, 810, '941'],
+  ['Palo Alto', 'CA', 'US', 37.44, -122.14, 68, '943'],
+  ['Oakland', 'CA', 'US', 37.80, -122.27, 430, '945,946'],
+  ['Berkeley', 'CA', 'US', 37.87, -122.27, 120, '947'],
+  ['San Jose', 'CA', 'US', 37.34, -121.89, 970, '950,951'],
+  ['Sacramento', 'CA', 'US', 38.58, -121.49, 525, '942,956,957,958'],
+  ['Seattle', 'WA', 'US', 47.61, -122.33, 750, '980,981'],
+  ['Tacoma', 'WA', 'US', 47.25, -122.44, 220, '983,984'],
+  ['Spokane', 'WA', 'US', 47.66, -117.43, 230, '990,992'],
+  ['Portland', 'OR', 'US', 45.52, -122.68, 635, '970,971,972'],
+  ['Eugene', 'OR', 'US', 44.05, -123.09, 178, '974'],
+  ['Boise', 'ID', 'US', 43.62, -116.20, 235, '836,837'],
+  ['Las Vegas', 'NV', 'US', 36.17, -115.14, 660, '889,890,891'],
+  ['Reno', 'NV', 'US', 39.53, -119.81, 265, '894,895'],
+  ['Phoenix', 'AZ', 'US', 33.45, -112.07, 1650, '850'],
+  ['Tucson', 'AZ', 'US', 32.22, -110.97, 545, '856,857'],
+  ['Salt Lake City', 'UT', 'US', 40.76, -111.89, 200, '840,841'],
+  ['Denver', 'CO', 'US', 39.74, -104.99, 715, '800,802'],
+  ['Colorado Springs', 'CO', 'US', 38.83, -104.82, 480, '808,809'],
+  ['Albuquerque', 'NM', 'US', 35.08, -106.65, 560, '870,871'],
+  ['Santa Fe', 'NM', 'US', 35.69, -105.94, 88, '875'],
+  ['Cheyenne', 'WY', 'US', 41.14, -104.82, 65, '820'],
+  ['Billings', 'MT', 'US', 45.78, -108.50, 117, '590,591'],
+  ['Anchorage', 'AK', 'US', 61.22, -149.90, 290, '995'],
+  ['Honolulu', 'HI', 'US', 21.31, -157.86, 350, '967,968'],
+  ['Dallas', 'TX', 'US', 32.78, -96.80, 1300, '752,753'],
+  ['Fort Worth', 'TX', 'US', 32.76, -97.33, 920, '760,761'],
+  ['Houston', 'TX', 'US', 29.76, -95.37, 2300, '770,772'],
+  ['Austin', 'TX', 'US', 30.27, -97.74, 960, '786,787'],
+  ['San Antonio', 'TX', 'US', 29.42, -98.49, 1430, '780,782'],
+  ['El Paso', 'TX', 'US', 31.76, -106.49, 680, '798,799'],
+  ['Oklahoma City', 'OK', 'US', 35.47, -97.52, 680, '730,731'],
+  ['Tulsa', 'OK', 'US', 36.15, -95.99, 410, '740,741'],
+  ['Little Rock', 'AR', 'US', 34.75, -92.29, 200, '720,722'],
+  ['New Orleans', 'LA', 'US', 29.95, -90.07, 385, '700,701'],
+  ['Baton Rouge', 'LA', 'US', 30.45, -91.19, 225, '707,708'],
+  ['Omaha', 'NE', 'US', 41.26, -95.93, 485, '680,681'],
+  ['Kansas City', 'MO', 'US', 39.10, -94.58, 510, '640,641'],
+  ['St. Louis', 'MO', 'US', 38.63, -90.20, 300, '630,631'],
+  ['Des Moines', 'IA', 'US', 41.59, -93.62, 215, '500,503'],
+  ['Minneapolis', 'MN', 'US', 44.98, -93.27, 430, '553,554'],
+  ['St. Paul', 'MN', 'US', 44.95, -93.09, 310, '550,551'],
+  ['Fargo', 'ND', 'US', 46.88, -96.79, 125, '580,581'],
+  ['Sioux Falls', 'SD', 'US', 43.54, -96.73, 190, '570,571'],
+  ['Milwaukee', 'WI', 'US', 43.04, -87.91, 575, '530,532'],
+  ['Madison', 'WI', 'US', 43.07, -89.40, 270, '535,537'],
+  ['Chicago', 'IL', 'US', 41.88, -87.63, 2700, '606,607,608'],
+  ['Indianapolis', 'IN', 'US', 39.77, -86.16, 880, '460,461,462'],
+  ['Detroit', 'MI', 'US', 42.33, -83.05, 640, '481,482'],
+  ['Grand Rapids', 'MI', 'US', 42.96, -85.67, 200, '493,495'],
+  ['Columbus', 'OH', 'US', 39.96, -83.00, 905, '430,431,432'],
+  ['Cleveland', 'OH', 'US', 41.50, -81.69, 370, '440,441'],
+  ['Cincinnati', 'OH', 'US', 39.10, -84.51, 310, '450,451,452'],
+  ['Louisville', 'KY', 'US', 38.25, -85.76, 625, '400,402'],
+  ['Nashville', 'TN', 'US', 36.16, -86.78, 690, '370,371,372'],
+  ['Memphis', 'TN', 'US', 35.15, -90.05, 630, '380,381'],
+  ['Birmingham', 'AL', 'US', 33.52, -86.80, 200, '350,352'],
+  ['Jackson', 'MS', 'US', 32.30, -90.18, 150, '390,392'],
+  ['Atlanta', 'GA', 'US', 33.75, -84.39, 500, '300,303'],
+  ['Savannah', 'GA', 'US', 32.08, -81.09, 148, '313,314'],
+  ['Miami', 'FL', 'US', 25.76, -80.19, 445, '331,332'],
+  ['Orlando', 'FL', 'US', 28.54, -81.38, 310, '327,328'],
+  ['Tampa', 'FL', 'US', 27.95, -82.46, 400, '335,336'],
+  ['Jacksonville', 'FL', 'US', 30.33, -81.66, 970, '320,322'],
+  ['Charlotte', 'NC', 'US', 35.23, -80.84, 880, '280,282'],
+  ['Raleigh', 'NC', 'US', 35.78, -78.64, 470, '275,276'],
+  ['Charleston', 'SC', 'US', 32.78, -79.93, 155, '294'],
+  ['Columbia', 'SC', 'US', 34.00, -81.03, 137, '290,292'],
+  ['Richmond', 'VA', 'US', 37.54, -77.44, 230, '230,232'],
+  ['Virginia Beach', 'VA', 'US', 36.85, -75.98, 455, '234'],
+  ['Washington', 'DC', 'US', 38.91, -77.04, 690, '200,202,203,204,205'],
+  ['Baltimore', 'MD', 'US', 39.29, -76.61, 575, '210,212'],
+  ['Philadelphia', 'PA', 'US', 39.95, -75.17, 1580, '190,191'],
+  ['Pittsburgh', 'PA', 'US', 40.44, -80.00, 300, '150,151,152'],
+  ['Newark', 'NJ', 'US', 40.74, -74.17, 310, '070,071'],
+  ['Jersey City', 'NJ', 'US', 40.73, -74.08, 290, '073'],
+  ['Hartford', 'CT', 'US', 41.77, -72.67, 120, '060,061'],
+  ['New Haven', 'CT', 'US', 41.31, -72.92, 135, '064,065'],
+  ['Providence', 'RI', 'US', 41.82, -71.41, 190, '028,029'],
+  ['Boston', 'MA', 'US', 42.36, -71.06, 675, '021,022'],
+  ['Cambridge', 'MA', 'US', 42.37, -71.11, 118, '021'],
+  ['Worcester', 'MA', 'US', 42.26, -71.80, 205, '015,016'],
+  ['Burlington', 'VT', 'US', 44.48, -73.21, 45, '054'],
+  ['Manchester', 'NH', 'US', 42.99, -71.46, 115, '031'],
+  ['Portland', 'ME', 'US', 43.66, -70.26, 68, '040,041'],
+
+  // Canada
+  ['Toronto', 'ON', 'CA', 43.65, -79.38, 2790, ''],
+  ['Ottawa', 'ON', 'CA', 45.42, -75.70, 1020, ''],
+  ['Montreal', 'QC', 'CA', 45.50, -73.57, 1760, ''],
+  ['Quebec City', 'QC', 'CA', 46.81, -71.21, 550, ''],
+  ['Vancouver', 'BC', 'CA', 49.28, -123.12, 660, ''],
+  ['Victoria', 'BC', 'CA', 48.43, -123.37, 92, ''],
+  ['Calgary', 'AB', 'CA', 51.05, -114.07, 1310, ''],
+  ['Edmonton', 'AB', 'CA', 53.55, -113.49, 1010, ''],
+  ['Winnipeg', 'MB', 'CA', 49.90, -97.14, 750, ''],
+  ['Halifax', 'NS', 'CA', 44.65, -63.58, 440, ''],
+
+  // Latin America
+  ['Mexico City', 'CDMX', 'MX', 19.43, -99.13, 9210, ''],
+  ['Guadalajara', 'Jalisco', 'MX', 20.66, -103.35, 1385, ''],
+  ['Monterrey', 'Nuevo León', 'MX', 25.69, -100.32, 1140, ''],
+  ['São Paulo', 'SP', 'BR', -23.55, -46.63, 12330, ''],
+  ['Rio de Janeiro', 'RJ', 'BR', -22.91, -43.17, 6750, ''],
+  ['Buenos Aires', '', 'AR', -34.60, -58.38, 3075, ''],
+  ['Santiago', '', 'CL', -33.45, -70.67, 6160, ''],
+  ['Bogotá', '', 'CO', 4.71, -74.07, 7410, ''],
+  ['Lima', '', 'PE', -12.05, -77.04, 8850, ''],
+
+  // Europe
+  ['London', 'England', 'GB', 51.51, -0.13, 8980, ''],
+  ['Manchester', 'England', 'GB', 53.48, -2.24, 550, ''],
+  ['Birmingham', 'England', 'GB', 52.49, -1.89, 1140, ''],
+  ['Bristol', 'England', 'GB', 51.45, -2.59, 470, ''],
+  ['Edinburgh', 'Scotland', 'GB', 55.95, -3.19, 525, ''],
+  ['Glasgow', 'Scotland', 'GB', 55.86, -4.25, 635, ''],
+  ['Cardiff', 'Wales', 'GB', 51.48, -3.18, 360, ''],
+  ['Belfast', 'Northern Ireland', 'GB', 54.60, -5.93, 345, ''],
+  ['Dublin', '', 'IE', 53.35, -6.26, 590, ''],
+  ['Paris', 'Île-de-France', 'FR', 48.86, 2.35, 2160, ''],
+  ['Lyon', '', 'FR', 45.76, 4.84, 520, ''],
+  ['Marseille', '', 'FR', 43.30, 5.37, 870, ''],
+  ['Berlin', '', 'DE', 52.52, 13.40, 3650, ''],
+  ['Hamburg', '', 'DE', 53.55, 9.99, 1850, ''],
+  ['Munich', 'Bavaria', 'DE', 48.14, 11.58, 1490, ''],
+  ['Frankfurt', '', 'DE', 50.11, 8.68, 760, ''],
+  ['Amsterdam', '', 'NL', 52.37, 4.90, 870, ''],
+  ['Brussels', '', 'BE', 50.85, 4.35, 1210, ''],
+  ['Madrid', '', 'ES', 40.42, -3.70, 3270, ''],
+  ['Barcelona', 'Catalonia', 'ES', 41.39, 2.17, 1640, ''],
+  ['Lisbon', '', 'PT', 38.72, -9.14, 545, ''],
+  ['Rome', '', 'IT', 41.90, 12.50, 2870, ''],
+  ['Milan', '', 'IT', 45.46, 9.19, 1370, ''],
+  ['Zurich', '', 'CH', 47.38, 8.54, 420, ''],
+  ['Vienna', '', 'AT', 48.21, 16.37, 1900, ''],
+  ['Copenhagen', '', 'DK', 55.68, 12.57, 640, ''],
+  ['Stockholm', '', 'SE', 59.33, 18.07, 975, ''],
+  ['Oslo', '', 'NO', 59.91, 10.75, 700, ''],
+  ['Helsinki', '', 'FI', 60.17, 24.94, 655, ''],
+  ['Warsaw', '', 'PL', 52.23, 21.01, 1790, ''],
+  ['Prague', '', 'CZ', 50.08, 14.44, 1310, ''],
+  ['Athens', '', 'GR', 37.98, 23.73, 665, ''],
+  ['Istanbul', '', 'TR', 41.01, 28.98, 15460, ''],
+
+  // Africa & Middle East
+  ['Cairo', '', 'EG', 30.04, 31.24, 9540, ''],
+  ['Lagos', '', 'NG', 6.52, 3.38, 15390, ''],
+  ['Nairobi', '', 'KE', -1.29, 36.82, 4400, ''],
+  ['Johannesburg', 'Gauteng', 'ZA', -26.20, 28.05, 5640, ''],
+  ['Cape Town', 'Western Cape', 'ZA', -33.92, 18.42, 4620, ''],
+  ['Dubai', '', 'AE', 25.20, 55.27, 3330, ''],
+  ['Tel Aviv', '', 'IL', 32.09, 34.78, 460, ''],
+
+  // Asia & Pacific
+  ['Tokyo', '', 'JP', 35.68, 139.69, 13960, ''],
+  ['Osaka', '', 'JP', 34.69, 135.50, 2750, ''],
+  ['Seoul', '', 'KR', 37.57, 126.98, 9730, ''],
+  ['Beijing', '', 'CN', 39.90, 116.41, 21540, ''],
+  ['Shanghai', '', 'CN', 31.23, 121.47, 24870, ''],
+  ['Hong Kong', '', 'HK', 22.32, 114.17, 7500, ''],
+  ['Singapore', '', 'SG', 1.35, 103.82, 5690, ''],
+  ['Mumbai', 'Maharashtra', 'IN', 19.08, 72.88, 12440, ''],
+  ['Delhi', '', 'IN', 28.70, 77.10, 16790, ''],
+  ['Bangalore', 'Karnataka', 'IN', 12.97, 77.59, 8440, ''],
+  ['Sydney', 'NSW', 'AU', -33.87, 151.21, 5310, ''],
+  ['Melbourne', 'VIC', 'AU', -37.81, 144.96, 5080, ''],
+  ['Brisbane', 'QLD', 'AU', -27.47, 153.03, 2560, ''],
+  ['Perth', 'WA', 'AU', -31.95, 115.86, 2090, ''],
+  ['Auckland', '', 'NZ', -36.85, 174.76, 1660, ''],
+  ['Wellington', '', 'NZ', -41.29, 174.78, 215, ''],
+];
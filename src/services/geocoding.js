@@ -0,0 +1,328 @@
+/**
+ * Tiny Weather - Place Search
+ *
+ * Resolves city names and postal codes to coordinates so a location can be
+ * typed in when GPS is denied or the family wants somewhere else.
+ * - The bundled gazetteer answers instantly and offline
+ * - An optional online geocoder (Open-Meteo or Google) fills in anything
+ *   the gazetteer doesn't know; if it fails, offline results still stand
+ * - Reverse lookup names a GPS fix ("Near Oakland, CA") without a request
+ */
+
+import { GEOCODER_CONFIG } from '../utils/constants.js';
+import { fetchWithRetry } from './http.js';
+import { GAZETTEER, COUNTRY_NAMES } from './gazetteer.js';
+
+/** Online results closer than this to an offline one are the same place */
+const DUPLICATE_DISTANCE_KM = 10;
+
+// ============================================================================
+// PLACE RECORDS
+// ============================================================================
+
+/**
+ * Build the display label for a place: "City, ST" in the US and Canada,
+ * "City, Country" elsewhere
+ * @param {string} name
+ * @param {string} region
+ * @param {string} countryCode
+ * @returns {string}
+ */
+function formatPlaceLabel(name, region, countryCode) {
+  if ((countryCode === 'US' || countryCode === 'CA') && region) {
+    return `${name}, ${region}`;
+  }
+  const country = COUNTRY_NAMES[countryCode] || countryCode;
+  return country ? `${name}, ${country}` : name;
+}
+
+/**
+ * Lowercase, strip accents and punctuation so "São Paulo" matches "sao paulo"
+ * @param {string} text
+ * @returns {string}
+ */
+function normalize(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9, ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/** Gazetteer rows expanded into place results (built on first search) */
+let offlinePlaces = null;
+
+/**
+ * @returns {Array<import('../types/index.js').PlaceResult & {search: string, population: number, zipPrefixes: string[]}>}
+ */
+function getOfflinePlaces() {
+  if (!offlinePlaces) {
+    offlinePlaces = GAZETTEER.map(([name, region, countryCode, lat, lng, population, zips]) => ({
+      id: `offline:${countryCode}:${region}:${name}`,
+      name,
+      region,
+      countryCode,
+      label: formatPlaceLabel(name, region, countryCode),
+      lat,
+      lng,
+      source: 'offline',
+      search: normalize(name),
+      population,
+      zipPrefixes: zips ? zips.split(',') : [],
+    }));
+  }
+  return offlinePlaces;
+}
+
+/**
+ * Drop the internal search fields before handing a place out
+ * @returns {import('../types/index.js').PlaceResult}
+ */
+function toResult({ search, population, zipPrefixes, ...place }) {
+  return place;
+}
+
+/**
+ * Great-circle distance between two points
+ * @param {number} lat1
+ * @param {number} lng1
+ * @param {number} lat2
+ * @param {number} lng2
+ * @returns {number} Kilometers
+ */
+export function distanceKm(lat1, lng1, lat2, lng2) {
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// ============================================================================
+// OFFLINE SEARCH
+// ============================================================================
+
+/**
+ * Search the bundled gazetteer.
+ *
+ * Accepts "Portland", "portland, me", "São Paulo" or a US ZIP code
+ * ("94110", "94110-1234"; matched on its 3-digit prefix). Name matches rank
+ * exact > starts with > word starts with > contains, then by population.
+ *
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {number} [options.limit=5] - Most results to return
+ * @returns {import('../types/index.js').PlaceResult[]}
+ */
+export function searchGazetteer(query, { limit = 5 } = {}) {
+  const text = normalize(query || '');
+  if (text.length < 2) return [];
+
+  const places = getOfflinePlaces();
+
+  const zip = text.match(/^(\d{3})\d{0,2}(?: ?\d{4})?$/);
+  if (zip) {
+    return places
+      .filter(p => p.zipPrefixes.includes(zip[1]))
+      .sort((a, b) => b.population - a.population)
+      .slice(0, limit)
+      .map(toResult);
+  }
+
+  // "portland, me" - the part after the comma narrows by region or country
+  const [namePart, qualifier = ''] = text.split(',').map(s => s.trim());
+  if (!namePart) return [];
+
+  const rank = (place) => {
+    if (place.search === namePart) return 0;
+    if (place.search.startsWith(namePart)) return 1;
+    if (place.search.split(' ').some(word => word.startsWith(namePart))) return 2;
+    if (place.search.includes(namePart)) return 3;
+    return -1;
+  };
+
+  const matchesQualifier = (place) => !qualifier ||
+    normalize(place.region).startsWith(qualifier) ||
+    place.countryCode.toLowerCase() === qualifier ||
+    normalize(COUNTRY_NAMES[place.countryCode] || '').startsWith(qualifier);
+
+  return places
+    .map(place => ({ place, rank: rank(place) }))
+    .filter(({ place, rank }) => rank >= 0 && matchesQualifier(place))
+    .sort((a, b) => a.rank - b.rank || b.place.population - a.place.population)
+    .slice(0, limit)
+    .map(({ place }) => toResult(place));
+}
+
+/**
+ * Find the gazetteer place closest to a point
+ * @param {number} lat
+ * @param {number} lng
+ * @param {Object} [options]
+ * @param {number} [options.maxDistanceKm=100] - Ignore places further than this
+ * @returns {{place: import('../types/index.js').PlaceResult, distanceKm: number} | null}
+ */
+export function findNearestPlace(lat, lng, { maxDistanceKm = 100 } = {}) {
+  let nearest = null;
+
+  for (const place of getOfflinePlaces()) {
+    const distance = distanceKm(lat, lng, place.lat, place.lng);
+    if (distance <= maxDistanceKm && (!nearest || distance < nearest.distanceKm)) {
+      nearest = { place, distanceKm: distance };
+    }
+  }
+
+  return nearest && { place: toResult(nearest.place), distanceKm: nearest.distanceKm };
+}
+
+/**
+ * Name a coordinate for display, offline.
+ * "Oakland, CA" when within the city, "Near Oakland, CA" within 100 km,
+ * otherwise the coordinates themselves.
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {string}
+ */
+export function describeLocation(lat, lng) {
+  const nearest = findNearestPlace(lat, lng);
+  if (!nearest) return `${lat.toFixed(2)}°, ${lng.toFixed(2)}°`;
+  return nearest.distanceKm <= 15 ? nearest.place.label : `Near ${nearest.place.label}`;
+}
+
+// ============================================================================
+// ONLINE GEOCODERS
+// ============================================================================
+
+/**
+ * Open-Meteo geocoding (free, no key; understands names and postal codes)
+ * @param {Object} config
+ * @param {string} [config.baseUrl]
+ */
+function createOpenMeteoGeocoder({ baseUrl = GEOCODER_CONFIG['open-meteo'].baseUrl }) {
+  return {
+    id: 'open-meteo',
+
+    async search(query, limit) {
+      const params = new URLSearchParams({ name: query, count: String(limit), language: 'en', format: 'json' });
+      const response = await fetchWithRetry(`${baseUrl}/search?${params}`);
+
+      return (response.results || []).map(result => ({
+        id: `open-meteo:${result.id}`,
+        name: result.name,
+        region: result.admin1 || '',
+        countryCode: result.country_code || '',
+        label: formatPlaceLabel(result.name, result.admin1 || '', result.country_code || ''),
+        lat: result.latitude,
+        lng: result.longitude,
+        timeZone: result.timezone,
+        source: 'open-meteo',
+      }));
+    },
+  };
+}
+
+/**
+ * Google Geocoding API
+ * @param {Object} config
+ * @param {string} config.apiKey
+ * @param {string} [config.baseUrl]
+ */
+function createGoogleGeocoder({ apiKey, baseUrl = GEOCODER_CONFIG.google.baseUrl }) {
+  return {
+    id: 'google',
+
+    async search(query, limit) {
+      const params = new URLSearchParams({ address: query, key: apiKey });
+      const response = await fetchWithRetry(`${baseUrl}/json?${params}`);
+      if (response.status !== 'OK' && response.status !== 'ZERO_RESULTS') {
+        throw new Error(`Google geocoding error: ${response.status}`);
+      }
+
+      return (response.results || []).slice(0, limit).map(result => {
+        const component = (type) => result.address_components?.find(c => c.types.includes(type));
+        const name = component('locality')?.long_name
+          || component('postal_town')?.long_name
+          || result.formatted_address.split(',')[0];
+        const region = component('administrative_area_level_1')?.short_name || '';
+        const countryCode = component('country')?.short_name || '';
+
+        return {
+          id: `google:${result.place_id}`,
+          name,
+          region,
+          countryCode,
+          label: formatPlaceLabel(name, region, countryCode),
+          lat: result.geometry.location.lat,
+          lng: result.geometry.location.lng,
+          source: 'google',
+        };
+      });
+    },
+  };
+}
+
+const GEOCODERS = {
+  'open-meteo': createOpenMeteoGeocoder,
+  google: createGoogleGeocoder,
+};
+
+// ============================================================================
+// PLACE SEARCH
+// ============================================================================
+
+/**
+ * Create a place search: offline gazetteer first, topped up by an online
+ * geocoder when one is configured
+ * @param {Object} [options]
+ * @param {string | null} [options.geocoder] - Online geocoder id (see GEOCODER_CONFIG), or null for offline only
+ * @param {string} [options.apiKey] - Key for geocoders that need one
+ * @param {string} [options.baseUrl] - Override the geocoder's base URL
+ */
+export function createPlaceSearch({ geocoder = null, apiKey, baseUrl } = {}) {
+  const config = geocoder ? GEOCODER_CONFIG[geocoder] : null;
+  if (geocoder && !config) {
+    throw new Error(`Unknown geocoder "${geocoder}". Available: ${Object.keys(GEOCODERS).join(', ')}`);
+  }
+  const online = config && (!config.requiresApiKey || apiKey)
+    ? GEOCODERS[geocoder]({ apiKey, baseUrl })
+    : null;
+
+  return {
+    /** Whether results may be topped up by an online lookup */
+    hasOnline: online !== null,
+
+    /**
+     * Offline results only (synchronous)
+     * @param {string} query
+     * @param {number} [limit=5]
+     */
+    searchOffline(query, limit = 5) {
+      return searchGazetteer(query, { limit });
+    },
+
+    /**
+     * Offline results, then online ones that aren't duplicates.
+     * Online failures are logged and the offline results returned.
+     * @param {string} query
+     * @param {number} [limit=5]
+     * @returns {Promise<import('../types/index.js').PlaceResult[]>}
+     */
+    async search(query, limit = 5) {
+      const offline = searchGazetteer(query, { limit });
+      if (!online || offline.length >= limit || query.trim().length < 2) return offline;
+
+      try {
+        const remote = await online.search(query.trim(), limit);
+        const fresh = remote.filter(r => !offline.some(o =>
+          distanceKm(o.lat, o.lng, r.lat, r.lng) < DUPLICATE_DISTANCE_KM
+        ));
+        return [...offline, ...fresh].slice(0, limit);
+      } catch (error) {
+        console.warn('Online place search failed, using offline results:', error.message);
+        return offline;
+      }
+    },
+  };
+}
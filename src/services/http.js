@@ -0,0 +1,102 @@
+/**
+ * Tiny Weather - HTTP Utilities
+ *
+ * Shared request helpers used by every weather provider adapter.
+ */
+
+import { API_CONFIG } from '../utils/constants.js';
+import { NetworkError, createHttpError, toWeatherError } from './errors.js';
+
+/**
+ * Sleep for retry delays
+ * @param {number} ms
+ * @param {AbortSignal} [signal] - Wake early, rejecting with the abort reason
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * How long to wait before the next attempt, or null to give up.
+ * Exponential backoff with jitter (half fixed, half random) so clients
+ * that failed together don't retry together; a Retry-After wins when the
+ * service sends one, unless it's longer than we're willing to wait.
+ * @param {import('./errors.js').WeatherError} error
+ * @param {number} attempt - Zero-based attempt that just failed
+ * @param {() => number} [random] - Source of jitter, like Math.random
+ * @returns {number | null}
+ */
+export function getRetryDelay(error, attempt, random = Math.random) {
+  if (!error.retryable) return null;
+  if (error.retryAfterMs != null) {
+    return error.retryAfterMs <= API_CONFIG.RETRY_MAX_DELAY_MS ? error.retryAfterMs : null;
+  }
+  const backoff = Math.min(API_CONFIG.RETRY_DELAY_MS * 2 ** attempt, API_CONFIG.RETRY_MAX_DELAY_MS);
+  return backoff / 2 + random() * backoff / 2;
+}
+
+/**
+ * Fetch JSON once, turning every failure into a typed error
+ * @param {string} url
+ * @param {RequestInit} options
+ * @returns {Promise<any>}
+ */
+async function fetchJsonOnce(url, options) {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    throw new NetworkError('Network error: offline', { retryable: false });
+  }
+
+  let response;
+  let text;
+  try {
+    response = await fetch(url, options);
+    text = await response.text();
+  } catch (error) {
+    throw toWeatherError(error);
+  }
+
+  if (!response.ok) {
+    throw createHttpError(response.status, text, response.headers);
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw toWeatherError(error);
+  }
+}
+
+/**
+ * Fetch JSON, retrying failures that might go away: network errors, 5xx,
+ * truncated bodies and 429s with a Retry-After. Other 4xx (bad key,
+ * quota, bad request) fail straight away, and so does an abort.
+ * @param {string} url
+ * @param {RequestInit} options
+ * @param {number} retries - Attempts in total
+ * @returns {Promise<any>}
+ * @throws {import('./errors.js').WeatherError} AuthError, QuotaError, NetworkError, ProviderError or ParseError
+ */
+export async function fetchWithRetry(url, options = {}, retries = API_CONFIG.RETRY_ATTEMPTS) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fetchJsonOnce(url, options);
+    } catch (error) {
+      const delay = attempt < retries - 1 ? getRetryDelay(error, attempt) : null;
+      if (delay === null) throw error;
+
+      console.warn(`Fetch attempt ${attempt + 1} failed (${error.name}), retrying in ${Math.round(delay)}ms:`, error.message);
+      await sleep(delay, options.signal);
+    }
+  }
+}
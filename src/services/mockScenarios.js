@@ -0,0 +1,372 @@
+/**
+ * Tiny Weather - Mock Weather Scenarios
+ *
+ * Named weather patterns for the mock generator (getMockWeatherData), for
+ * design reviews and for checking the engines against days that matter:
+ * heat, snow, storms at pickup, big swings. Each scenario describes a
+ * typical day as functions of the local hour; the generator adds seeded
+ * jitter and builds hourly, daily, current, air quality, alerts and nowcast.
+ *
+ * Pick one with `useTinyWeather({ mockScenario })` or `?scenario=blizzard`
+ * (plus `&seed=7` for a different but repeatable draw).
+ */
+
+import { TIME_CONFIG } from '../utils/constants.js';
+
+/**
+ * @typedef {Object} MockSky
+ * @property {string} condition - WEATHER_CONDITIONS key
+ * @property {number} cloudCover - Percent
+ * @property {number} precipitationProbability - Percent
+ * @property {import('../types/index.js').PrecipitationType} precipitationType
+ * @property {number} precipitationAmount - Inches of liquid this hour
+ * @property {number} snowfall - Inches of snow this hour
+ * @property {number} visibility - Miles
+ */
+
+/**
+ * @typedef {Object} MockScenario
+ * @property {string} label - Name for pickers
+ * @property {string} description - What the day is like, and what it should exercise
+ * @property {(hourOfDay: number, day: number) => number} temperature - °F before jitter; `day` counts from today (0)
+ * @property {number} feelsLikeOffset - Feels-like minus actual, °F
+ * @property {number} dewPointSpread - Actual minus dew point, °F
+ * @property {[number, number]} humidity - Range, percent
+ * @property {[number, number]} wind - Sustained range, mph
+ * @property {number} gust - Gusts run this far above the sustained wind, mph
+ * @property {number} uvPeak - Midday UV index
+ * @property {(hourOfDay: number, day: number) => MockSky} sky
+ * @property {(hourOfDay: number) => number} aqi - US AQI
+ * @property {{tree: number, grass: number, weed: number}} pollen - Universal Pollen Index (0-5)
+ * @property {Array<Omit<import('../types/index.js').WeatherAlert, 'id' | 'onset' | 'expires' | 'source'> & {hours: number}>} alerts - Active from now for `hours`
+ * @property {Array<number> | null} nowcast - Rain intensity (mm/h) every 5 minutes from now, or null to estimate from the hourly rain chance
+ */
+
+// ============================================================================
+// BUILDING BLOCKS
+// ============================================================================
+
+/**
+ * Temperature through the day: coolest at 6am, warmest at 3pm
+ * @param {number} low
+ * @param {number} high
+ * @param {(day: number) => number} [shift] - Degrees to move the whole day by
+ * @returns {MockScenario['temperature']}
+ */
+function diurnal(low, high, shift = () => 0) {
+  return (hourOfDay, day) => {
+    // 0 at the 6am low, 1 at the 3pm high; 9 hours up, 15 hours down
+    const phase = hourOfDay >= 6 && hourOfDay <= 15
+      ? (hourOfDay - 6) / 9
+      : 1 - ((hourOfDay + 9) % 24) / 15;
+    return low + shift(day) + (high - low) * (1 - Math.cos(Math.PI * phase)) / 2;
+  };
+}
+
+/**
+ * A dry sky
+ * @param {string} condition
+ * @param {number} cloudCover
+ * @returns {MockSky}
+ */
+function dry(condition, cloudCover) {
+  return {
+    condition,
+    cloudCover,
+    precipitationProbability: 5,
+    precipitationType: 'none',
+    precipitationAmount: 0,
+    snowfall: 0,
+    visibility: 10,
+  };
+}
+
+/** Ozone builds through the afternoon */
+const afternoonOzone = (good, bad) => (hourOfDay) => (hourOfDay >= 13 && hourOfDay <= 18 ? bad : good);
+
+const NO_POLLEN = { tree: 0, grass: 0, weed: 0 };
+
+// ============================================================================
+// SCENARIOS
+// ============================================================================
+
+/** @type {Record<string, MockScenario>} */
+export const MOCK_SCENARIOS = {
+  default: {
+    label: 'Partly cloudy',
+    description: 'A mild partly cloudy day around 65° with afternoon showers',
+    temperature: diurnal(57, 73),
+    feelsLikeOffset: -2,
+    dewPointSpread: 12,
+    humidity: [50, 80],
+    wind: [5, 15],
+    gust: 10,
+    uvPeak: 7,
+    sky: (hourOfDay) => hourOfDay >= 14 && hourOfDay <= 17
+      ? { ...dry('PARTLY_CLOUDY', 40), precipitationProbability: 40, precipitationType: 'rain', precipitationAmount: 0.03 }
+      : { ...dry('PARTLY_CLOUDY', 40), precipitationProbability: 10 },
+    aqi: afternoonOzone(38, 72),
+    pollen: { tree: 2, grass: 4, weed: 0 },
+    alerts: [],
+    // A passing shower: wet for 20 minutes, dry, then another at the 70 minute mark
+    nowcast: Array.from({ length: 24 }, (_, i) => (i < 4 ? 1.8 : i >= 14 && i < 18 ? 3.2 : 0)),
+  },
+
+  'heat-wave': {
+    label: 'Heat wave',
+    description: 'Clear and 100°+ by afternoon, warm nights, smoggy air',
+    temperature: diurnal(80, 103),
+    feelsLikeOffset: 6,
+    dewPointSpread: 30,
+    humidity: [30, 50],
+    wind: [3, 8],
+    gust: 5,
+    uvPeak: 10,
+    sky: () => dry('CLEAR', 5),
+    aqi: afternoonOzone(55, 118),
+    pollen: { tree: 1, grass: 4, weed: 2 },
+    alerts: [{
+      event: 'Excessive Heat Warning',
+      headline: 'Dangerously hot conditions with highs up to 105',
+      description: 'Temperatures well above 100 each afternoon, with little relief overnight.',
+      instruction: 'Stay in air conditioning, check on children often, and never leave them in a vehicle.',
+      severity: 'severe',
+      area: 'Local area',
+      hours: 72,
+    }],
+    nowcast: null,
+  },
+
+  blizzard: {
+    label: 'Blizzard',
+    description: 'Heavy snow all day in a howling wind, near-zero visibility',
+    temperature: diurnal(17, 24),
+    feelsLikeOffset: -16,
+    dewPointSpread: 2,
+    humidity: [85, 95],
+    wind: [25, 35],
+    gust: 18,
+    uvPeak: 1,
+    sky: (hourOfDay, day) => day > 1
+      ? dry('CLOUDY', 80)
+      : {
+        condition: 'SNOW',
+        cloudCover: 100,
+        precipitationProbability: 95,
+        precipitationType: 'snow',
+        precipitationAmount: 0.12,
+        snowfall: 1.2,
+        visibility: 0.2,
+      },
+    aqi: () => 20,
+    pollen: NO_POLLEN,
+    alerts: [{
+      event: 'Blizzard Warning',
+      headline: 'Whiteout conditions with 18-30 inches of snow',
+      description: 'Heavy snow and wind gusts over 50 mph will make travel very dangerous to impossible.',
+      instruction: 'Stay off the roads. If you must go out, pack blankets, food and water.',
+      severity: 'extreme',
+      area: 'Local area',
+      hours: 36,
+    }],
+    nowcast: null,
+  },
+
+  'pickup-thunderstorm': {
+    label: 'Thunderstorm at pickup',
+    description: 'A warm, sunny morning, then storms right around school pickup',
+    temperature: (hourOfDay, day) => {
+      const temp = diurnal(68, 88)(hourOfDay, day);
+      // Rain-cooled air behind the storm
+      return hourOfDay >= TIME_CONFIG.PICKUP_HOUR && hourOfDay <= TIME_CONFIG.PICKUP_HOUR + 3 ? temp - 12 : temp;
+    },
+    feelsLikeOffset: 3,
+    dewPointSpread: 12,
+    humidity: [55, 85],
+    wind: [5, 12],
+    gust: 10,
+    uvPeak: 8,
+    sky: (hourOfDay) => {
+      const fromPickup = hourOfDay - TIME_CONFIG.PICKUP_HOUR;
+      if (fromPickup >= -1 && fromPickup <= 1) {
+        return {
+          condition: 'THUNDERSTORM',
+          cloudCover: 100,
+          precipitationProbability: fromPickup === 0 ? 90 : 65,
+          precipitationType: 'rain',
+          precipitationAmount: fromPickup === 0 ? 0.6 : 0.2,
+          snowfall: 0,
+          visibility: 2,
+        };
+      }
+      return fromPickup === -2 ? dry('CLOUDY', 80) : dry('MOSTLY_CLEAR', 20);
+    },
+    aqi: afternoonOzone(40, 65),
+    pollen: { tree: 1, grass: 3, weed: 1 },
+    alerts: [{
+      event: 'Severe Thunderstorm Watch',
+      headline: 'Severe storms possible this afternoon',
+      description: 'Storms may bring damaging wind gusts, hail and frequent lightning.',
+      instruction: 'Be ready to get indoors quickly when thunder is heard.',
+      severity: 'moderate',
+      area: 'Local area',
+      hours: 8,
+    }],
+    nowcast: null,
+  },
+
+  'big-swing': {
+    label: 'Big 30° swing',
+    description: 'Frosty at dropoff, T-shirt weather by pickup',
+    temperature: diurnal(42, 72),
+    feelsLikeOffset: -2,
+    dewPointSpread: 20,
+    humidity: [30, 65],
+    wind: [3, 10],
+    gust: 8,
+    uvPeak: 6,
+    sky: () => dry('CLEAR', 10),
+    aqi: () => 30,
+    pollen: { tree: 3, grass: 1, weed: 0 },
+    alerts: [],
+    nowcast: null,
+  },
+
+  'humid-tropical': {
+    label: 'Humid tropical',
+    description: 'Sticky heat, a high UV index and a pop-up shower after lunch',
+    temperature: diurnal(79, 90),
+    feelsLikeOffset: 12,
+    dewPointSpread: 5,
+    humidity: [78, 95],
+    wind: [5, 10],
+    gust: 8,
+    uvPeak: 11,
+    sky: (hourOfDay) => hourOfDay >= 13 && hourOfDay <= 14
+      ? { ...dry('LIGHT_RAIN', 70), precipitationProbability: 60, precipitationType: 'rain', precipitationAmount: 0.15, visibility: 5 }
+      : { ...dry('PARTLY_CLOUDY', 50), precipitationProbability: 20 },
+    aqi: () => 35,
+    pollen: { tree: 1, grass: 3, weed: 2 },
+    alerts: [],
+    nowcast: null,
+  },
+
+  'windy-cold-snap': {
+    label: 'Windy cold snap',
+    description: 'A sharp drop over a few days with a biting wind',
+    // Each of the next three days is colder than the last
+    temperature: diurnal(30, 44, (day) => -6 * Math.min(day, 3)),
+    feelsLikeOffset: -12,
+    dewPointSpread: 14,
+    humidity: [35, 55],
+    wind: [18, 28],
+    gust: 20,
+    uvPeak: 3,
+    sky: () => dry('PARTLY_CLOUDY', 30),
+    aqi: () => 25,
+    pollen: NO_POLLEN,
+    alerts: [{
+      event: 'Wind Advisory',
+      headline: 'Northwest winds 20 to 30 mph with gusts to 50 mph',
+      description: 'Gusty winds will blow around unsecured objects and may bring down tree limbs.',
+      instruction: null,
+      severity: 'moderate',
+      area: 'Local area',
+      hours: 24,
+    }],
+    nowcast: null,
+  },
+
+  'all-day-drizzle': {
+    label: 'All-day drizzle',
+    description: 'Grey, cool and damp from dropoff to bedtime',
+    temperature: diurnal(50, 56),
+    feelsLikeOffset: -3,
+    dewPointSpread: 2,
+    humidity: [90, 98],
+    wind: [5, 10],
+    gust: 6,
+    uvPeak: 1,
+    sky: () => ({
+      condition: 'LIGHT_RAIN',
+      cloudCover: 100,
+      precipitationProbability: 80,
+      precipitationType: 'rain',
+      precipitationAmount: 0.02,
+      snowfall: 0,
+      visibility: 3,
+    }),
+    aqi: () => 20,
+    pollen: NO_POLLEN,
+    alerts: [],
+    nowcast: null,
+  },
+
+  'polar-vortex': {
+    label: 'Polar vortex',
+    description: 'Clear skies, well below zero, dangerous wind chills',
+    temperature: diurnal(-18, -4),
+    feelsLikeOffset: -24,
+    dewPointSpread: 6,
+    humidity: [60, 70],
+    wind: [15, 25],
+    gust: 12,
+    uvPeak: 2,
+    sky: () => dry('CLEAR', 5),
+    aqi: () => 30,
+    pollen: NO_POLLEN,
+    alerts: [{
+      event: 'Wind Chill Warning',
+      headline: 'Wind chills as low as 45 below zero',
+      description: 'Frostbite can develop on exposed skin in as little as 10 minutes.',
+      instruction: 'Avoid going outside. If you must, cover all exposed skin.',
+      severity: 'severe',
+      area: 'Local area',
+      hours: 48,
+    }],
+    nowcast: null,
+  },
+};
+
+// ============================================================================
+// LOOKUP
+// ============================================================================
+
+/**
+ * Get a scenario by id
+ * @param {string} id - Key of MOCK_SCENARIOS
+ * @returns {MockScenario}
+ */
+export function getMockScenario(id) {
+  const scenario = MOCK_SCENARIOS[id];
+  if (!scenario) {
+    throw new Error(`Unknown mock scenario "${id}". Available: ${Object.keys(MOCK_SCENARIOS).join(', ')}`);
+  }
+  return scenario;
+}
+
+/**
+ * Scenarios for a picker
+ * @returns {Array<{id: string, label: string, description: string}>}
+ */
+export function listMockScenarios() {
+  return Object.entries(MOCK_SCENARIOS).map(([id, { label, description }]) => ({ id, label, description }));
+}
+
+/**
+ * Read `?scenario=<id>&seed=<n>` from the page URL
+ * @param {string} [search] - Query string (defaults to the current page's)
+ * @returns {{scenario: string, seed: number | undefined} | null} Null when no known scenario is named
+ */
+export function getMockScenarioFromUrl(search = typeof window !== 'undefined' ? window.location.search : '') {
+  const params = new URLSearchParams(search);
+  const scenario = params.get('scenario');
+  if (!scenario) return null;
+  if (!MOCK_SCENARIOS[scenario]) {
+    console.warn(`Ignoring unknown mock scenario "${scenario}". Available: ${Object.keys(MOCK_SCENARIOS).join(', ')}`);
+    return null;
+  }
+
+  const seed = Number(params.get('seed'));
+  return { scenario, seed: params.has('seed') && Number.isFinite(seed) ? seed : undefined };
+}
@@ -0,0 +1,173 @@
+/**
+ * Tiny Weather - Precipitation Nowcast
+ *
+ * Hourly data can say "rain at pickup" but not "rain stops at 3:20". The
+ * nowcast is a minute-level intensity series for the next couple of hours:
+ * - Providers with minutely data (OpenWeatherMap, Open-Meteo) supply it
+ * - Everyone else gets a mock built by interpolating the hourly rain chance,
+ *   flagged with source 'mock' so the UI can say it's an estimate
+ */
+
+import { NOWCAST_CONFIG, RAIN_THRESHOLDS, TIME_CONFIG } from '../utils/constants.js';
+import { getZonedParts } from '../utils/time.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// ============================================================================
+// MOCK GENERATOR
+// ============================================================================
+
+/**
+ * Build a stand-in nowcast from hourly forecasts.
+ * The rain chance is interpolated between hours; minutes at or above
+ * RAIN_THRESHOLDS.LIKELY are wet, with intensity scaled by the chance.
+ * @param {import('../types/index.js').HourlyForecast[]} hourly
+ * @param {Object} [options]
+ * @param {Date} [options.start] - First point (defaults to now)
+ * @param {number} [options.minutes] - How far ahead to generate
+ * @param {number} [options.stepMinutes] - Spacing between points
+ * @returns {import('../types/index.js').Nowcast | null} Null if there's no hourly data to go on
+ */
+export function createMockNowcast(hourly, {
+  start = new Date(),
+  minutes = NOWCAST_CONFIG.MINUTES,
+  stepMinutes = NOWCAST_CONFIG.MOCK_STEP_MINUTES,
+} = {}) {
+  if (!hourly || hourly.length === 0) return null;
+
+  /** Rain chance at a moment, interpolated between the hours either side */
+  const chanceAt = (time) => {
+    const nextIndex = hourly.findIndex(h => h.time.getTime() > time);
+    if (nextIndex === -1) return hourly[hourly.length - 1].precipitationProbability;
+    if (nextIndex === 0) return hourly[0].precipitationProbability;
+
+    const before = hourly[nextIndex - 1];
+    const after = hourly[nextIndex];
+    const fraction = (time - before.time.getTime()) / (after.time.getTime() - before.time.getTime());
+    return before.precipitationProbability + (after.precipitationProbability - before.precipitationProbability) * fraction;
+  };
+
+  const points = [];
+  for (let offset = 0; offset < minutes; offset += stepMinutes) {
+    const time = start.getTime() + offset * MINUTE_MS;
+    const chance = chanceAt(time);
+    points.push({
+      time: new Date(time),
+      // Likely → light rain, certain → moderate
+      intensity: chance >= RAIN_THRESHOLDS.LIKELY
+        ? Math.round((chance / 100) * NOWCAST_CONFIG.LIGHT_INTENSITY * 2 * 10) / 10
+        : 0,
+    });
+  }
+
+  return { source: 'mock', points };
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * Is this intensity rain (or snow) worth waiting out?
+ * @param {number} intensity - mm/h
+ * @returns {boolean}
+ */
+export function isWet(intensity) {
+  return intensity > NOWCAST_CONFIG.DRY_INTENSITY;
+}
+
+/**
+ * Describe an intensity in words
+ * @param {number} intensity - mm/h
+ * @returns {'none' | 'light' | 'moderate' | 'heavy'}
+ */
+export function getIntensityLevel(intensity) {
+  if (!isWet(intensity)) return 'none';
+  if (intensity <= NOWCAST_CONFIG.LIGHT_INTENSITY) return 'light';
+  if (intensity <= NOWCAST_CONFIG.HEAVY_INTENSITY) return 'moderate';
+  return 'heavy';
+}
+
+/**
+ * When a series stops covering: one step after its last point
+ * @param {import('../types/index.js').NowcastPoint[]} points - At least one
+ * @returns {Date}
+ */
+function getSeriesEnd(points) {
+  const step = points.length > 1 ? points[1].time - points[0].time : MINUTE_MS;
+  return new Date(points[points.length - 1].time.getTime() + step);
+}
+
+/**
+ * Does the nowcast cover this moment? A cached one served offline or while
+ * revalidating can have run out, and then it says nothing about now.
+ * @param {import('../types/index.js').Nowcast | null} nowcast
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isNowcastCurrent(nowcast, now = new Date()) {
+  const points = nowcast?.points ?? [];
+  if (points.length === 0) return false;
+  return points[0].time <= now && now < getSeriesEnd(points);
+}
+
+/**
+ * Find the next dry stretch at or after `now`.
+ *
+ * A stretch counts if it lasts at least `minDryMinutes`, or runs to the end
+ * of the nowcast. Short gaps between showers are skipped.
+ *
+ * @param {import('../types/index.js').Nowcast | null} nowcast
+ * @param {Date} [now]
+ * @param {Object} [options]
+ * @param {number} [options.minDryMinutes]
+ * @returns {import('../types/index.js').DryWindow | null} Null if it stays wet for
+ *   the whole nowcast, or the nowcast doesn't cover `now` (see isNowcastCurrent)
+ */
+export function getNextDryWindow(nowcast, now = new Date(), { minDryMinutes = NOWCAST_CONFIG.MIN_DRY_MINUTES } = {}) {
+  if (!isNowcastCurrent(nowcast, now)) return null;
+  const { points } = nowcast;
+  // Start from the point covering `now`
+  const upcoming = points.slice(points.findLastIndex(p => p.time <= now));
+
+  const seriesEnd = getSeriesEnd(points);
+  const isRaining = isWet(upcoming[0].intensity);
+
+  for (let i = 0; i < upcoming.length; i++) {
+    if (isWet(upcoming[i].intensity)) continue;
+
+    const dryStart = i === 0 ? now : upcoming[i].time;
+    const nextWet = upcoming.slice(i).find(p => isWet(p.intensity));
+    const dryEnd = nextWet ? nextWet.time : null;
+    const length = ((dryEnd ?? seriesEnd) - dryStart) / MINUTE_MS;
+
+    if (dryEnd === null || length >= minDryMinutes) {
+      return {
+        isRaining,
+        start: dryStart,
+        end: dryEnd,
+        minutesUntil: Math.max(0, Math.round((dryStart - now) / MINUTE_MS)),
+      };
+    }
+
+    // Too short - carry on from the end of this gap
+    i = upcoming.indexOf(nextWet);
+  }
+
+  return null;
+}
+
+/**
+ * Which school run (if any) a moment falls in, in the location's zone.
+ * Windows are DROPOFF_HOUR / PICKUP_HOUR ± SCHOOL_RUN_MARGIN_HOURS.
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @returns {'dropoff' | 'pickup' | null}
+ */
+export function getSchoolRunWindow(date, timeZone) {
+  const { hour } = getZonedParts(date, timeZone);
+  const margin = TIME_CONFIG.SCHOOL_RUN_MARGIN_HOURS;
+  if (Math.abs(hour - TIME_CONFIG.DROPOFF_HOUR) <= margin) return 'dropoff';
+  if (Math.abs(hour - TIME_CONFIG.PICKUP_HOUR) <= margin) return 'pickup';
+  return null;
+}
@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { getNextDryWindow, isNowcastCurrent } from './nowcast.js';
+
+/** A 15-minute series from 07:00 UTC with these intensities (mm/h) */
+const series = (...intensities) => ({
+  source: 'provider',
+  points: intensities.map((intensity, i) => ({ time: new Date(Date.UTC(2025, 0, 15, 7, i * 15)), intensity })),
+});
+const at = (hour, minute = 0) => new Date(Date.UTC(2025, 0, 15, hour, minute));
+
+describe('getNextDryWindow', () => {
+  it('finds when the rain stops', () => {
+    const window = getNextDryWindow(series(2, 2, 0, 0, 0, 0), at(7, 5));
+
+    expect(window).toEqual({ isRaining: true, start: at(7, 30), end: null, minutesUntil: 25 });
+  });
+
+  it('is null when it rains for the whole nowcast', () => {
+    expect(getNextDryWindow(series(2, 2, 2, 2), at(7, 5))).toBeNull();
+  });
+
+  it('is null once the nowcast has run out', () => {
+    const nowcast = series(2, 0, 0, 0);
+
+    expect(getNextDryWindow(nowcast, at(7, 59))).not.toBeNull();
+    expect(getNextDryWindow(nowcast, at(8, 0))).toBeNull();
+    expect(getNextDryWindow(nowcast, at(15, 0))).toBeNull();
+  });
+
+  it('is null before the nowcast starts', () => {
+    expect(getNextDryWindow(series(0, 0), at(6, 59))).toBeNull();
+  });
+});
+
+describe('isNowcastCurrent', () => {
+  it('covers from the first point until a step after the last', () => {
+    const nowcast = series(0, 0, 0, 0);
+
+    expect(isNowcastCurrent(nowcast, at(7))).toBe(true);
+    expect(isNowcastCurrent(nowcast, at(7, 59))).toBe(true);
+    expect(isNowcastCurrent(nowcast, at(8))).toBe(false);
+    expect(isNowcastCurrent(null, at(7))).toBe(false);
+  });
+});
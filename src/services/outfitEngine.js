@@ -3,10 +3,19 @@
  * 
  * Smart outfit recommendations based on:
  * - Child's age (babies need +1 layer, toddlers need backup clothes)
- * - Temperature throughout the day (morning vs afternoon)
+ * - Temperature throughout the day (morning vs afternoon), as it feels with
+ *   wind, humidity and sun (see utils/apparentTemperature.js)
  * - Rain probability and timing
  * - UV index and sun protection
  * - Humidity and comfort
+ * - Air quality and pollen
+ * - How the child has felt in past outfits (see services/comfort.js)
+ * - What the child owns (see services/wardrobe.js), when a wardrobe is given
+ * - What they're doing, for an outing like swimming or sledding (see
+ *   services/activityProfiles.js)
+ *
+ * Besides the item list, each outfit has a timeline: what's worn at dropoff,
+ * midday, pickup and in the evening, and what goes on or comes off between.
  */
 
 import {
@@ -14,11 +23,22 @@ import {
   UV_THRESHOLDS,
   RAIN_THRESHOLDS,
   HUMIDITY_THRESHOLDS,
+  AIR_QUALITY_THRESHOLDS,
+  POLLEN_THRESHOLDS,
+  PRECIPITATION_THRESHOLDS,
   CLOTHING_ITEMS,
   getAgeGroup,
   getExtraLayers,
   TIME_CONFIG,
+  APPARENT_CONFIG,
+  OUTFIT_TIMELINE,
 } from '../utils/constants.js';
+import { getOutdoorFeelsLike } from '../utils/apparentTemperature.js';
+import { getLocalHour, getLocalDateKey, getHoursOnDate, isSameLocalDate } from '../utils/time.js';
+import { getPeakPollen } from '../utils/airQuality.js';
+import { applyWardrobe } from './wardrobe.js';
+import { getComfortAdjustment } from './comfort.js';
+import { getActivityProfile, dressForActivity } from './activityProfiles.js';
 
 // ============================================================================
 // TEMPERATURE ANALYSIS
@@ -38,41 +58,64 @@ export function getTempCategory(temp) {
 }
 
 /**
- * Calculate morning and afternoon temperatures
+ * Calculate morning and afternoon temperatures for one day
  * @param {import('../types/index.js').HourlyForecast[]} hourly 
- * @returns {{morning: number, afternoon: number, swing: number}}
+ * @param {string} [timeZone] - Forecast location's zone (device zone if omitted)
+ * @param {Date} [date] - Day to analyze (today if omitted)
+ * @param {Object} [options]
+ * @param {boolean} [options.planned=false] - Go by the forecast alone: don't swap
+ *   morning for the current temperature when today is already past midday
+ * @param {Date} [options.now] - Clock used to tell whether `date` is today (defaults to now)
+ * @returns {{morning: number, afternoon: number, swing: number, feelsMorning: number, feelsAfternoon: number}}
+ *   Air temperatures, and how they feel outdoors (see getOutdoorFeelsLike)
  */
-export function analyzeDayTemperatures(hourly) {
-  const now = new Date();
-  const currentHour = now.getHours();
+export function analyzeDayTemperatures(hourly, timeZone, date, { planned = false, now = new Date() } = {}) {
+  date = date ?? now;
+  const isToday = !planned && isSameLocalDate(date, now, timeZone);
+  const currentHour = getLocalHour(now, timeZone);
+  
+  // Only that day's hours; fall back to everything if the forecast doesn't reach it
+  const dayHours = getHoursOnDate(hourly, date, timeZone);
+  const hours = dayHours.length > 0 ? dayHours : hourly;
   
   // Filter to relevant hours
-  const morningHours = hourly.filter(h => {
-    const hour = h.time.getHours();
+  const morningHours = hours.filter(h => {
+    const hour = getLocalHour(h.time, timeZone);
     return hour >= TIME_CONFIG.MORNING_START && hour <= TIME_CONFIG.MORNING_END;
   });
   
-  const afternoonHours = hourly.filter(h => {
-    const hour = h.time.getHours();
+  const afternoonHours = hours.filter(h => {
+    const hour = getLocalHour(h.time, timeZone);
     return hour >= TIME_CONFIG.AFTERNOON_START && hour <= TIME_CONFIG.AFTERNOON_END;
   });
   
+  const average = (list, value) => Math.round(list.reduce((sum, h) => sum + value(h), 0) / list.length);
+  
   // Calculate averages (or use current if no data)
   const morningTemp = morningHours.length > 0
-    ? Math.round(morningHours.reduce((sum, h) => sum + h.temperature, 0) / morningHours.length)
-    : hourly[0]?.temperature || 65;
+    ? average(morningHours, h => h.temperature)
+    : hours[0]?.temperature ?? 65;
+  const feelsMorning = morningHours.length > 0
+    ? average(morningHours, getOutdoorFeelsLike)
+    : hours[0] ? getOutdoorFeelsLike(hours[0]) : morningTemp;
   
   const afternoonTemp = afternoonHours.length > 0
-    ? Math.round(afternoonHours.reduce((sum, h) => sum + h.temperature, 0) / afternoonHours.length)
-    : hourly[hourly.length - 1]?.temperature || 70;
+    ? average(afternoonHours, h => h.temperature)
+    : hours[hours.length - 1]?.temperature ?? 70;
+  const feelsAfternoon = afternoonHours.length > 0
+    ? average(afternoonHours, getOutdoorFeelsLike)
+    : hours.length > 0 ? getOutdoorFeelsLike(hours[hours.length - 1]) : afternoonTemp;
   
-  // If it's already afternoon, use current as morning
-  const effectiveMorning = currentHour >= TIME_CONFIG.MIDDAY_START ? hourly[0]?.temperature || morningTemp : morningTemp;
+  // If it's already afternoon today, use current as morning
+  const currentHourData = isToday && currentHour >= TIME_CONFIG.MIDDAY_START && hours[0]?.temperature != null ? hours[0] : null;
+  const effectiveMorning = currentHourData ? currentHourData.temperature : morningTemp;
   
   return {
     morning: effectiveMorning,
     afternoon: afternoonTemp,
     swing: Math.abs(afternoonTemp - effectiveMorning),
+    feelsMorning: currentHourData ? getOutdoorFeelsLike(currentHourData) : feelsMorning,
+    feelsAfternoon,
   };
 }
 
@@ -193,10 +236,21 @@ function getOuterLayers(temp, rainChance, ageGroup) {
  * Get footwear recommendation
  * @param {number} temp 
  * @param {number} rainChance 
- * @param {boolean} recentRain 
+ * @param {Object} [precipitation]
+ * @param {import('../types/index.js').PrecipitationType} [precipitation.type] - What's expected to fall
+ * @param {number} [precipitation.snowfall] - Inches of snow expected today
+ * @param {boolean} [precipitation.recentRain] - Whether rain has just fallen
  * @returns {import('../types/index.js').ClothingItem}
  */
-function getFootwear(temp, rainChance, recentRain = false) {
+function getFootwear(temp, rainChance, { type = 'none', snowfall = 0, recentRain = false } = {}) {
+  // Snow and slush want warm waterproof boots, not rain boots
+  if (snowfall >= PRECIPITATION_THRESHOLDS.SNOW_BOOTS) {
+    return { ...CLOTHING_ITEMS.WINTER_BOOTS, required: true, reason: `${snowfall}" of snow expected` };
+  }
+  if ((type === 'snow' || type === 'mixed') && rainChance >= RAIN_THRESHOLDS.RAIN_BOOTS_NEEDED) {
+    return { ...CLOTHING_ITEMS.WINTER_BOOTS, required: true, reason: type === 'snow' ? 'Snow expected' : 'Slush expected' };
+  }
+  
   if (temp < TEMP_THRESHOLDS.FREEZING) {
     return { ...CLOTHING_ITEMS.WINTER_BOOTS, required: true };
   }
@@ -226,9 +280,11 @@ function getFootwear(temp, rainChance, recentRain = false) {
  * @param {number} uvIndex 
  * @param {number} rainChance 
  * @param {string} ageGroup 
+ * @param {number | null} aqi - Worst US AQI today, or null if unknown
+ * @param {number} pollenIndex - Today's peak pollen index (0-5)
  * @returns {import('../types/index.js').ClothingItem[]}
  */
-function getAccessories(temp, uvIndex, rainChance, ageGroup) {
+function getAccessories(temp, uvIndex, rainChance, ageGroup, aqi, pollenIndex) {
   const items = [];
   
   // Cold weather accessories
@@ -269,6 +325,20 @@ function getAccessories(temp, uvIndex, rainChance, ageGroup) {
     items.push({ ...CLOTHING_ITEMS.UMBRELLA, required: false, reason: 'Rain possible' });
   }
   
+  // Air quality - masks aren't safe under 2, so little ones just stay in
+  if (aqi !== null && aqi > AIR_QUALITY_THRESHOLDS.MODERATE && (ageGroup === 'preschool' || ageGroup === 'school-age')) {
+    items.push({
+      ...CLOTHING_ITEMS.FACE_MASK,
+      required: aqi > AIR_QUALITY_THRESHOLDS.SENSITIVE,
+      reason: `AQI ${aqi} - a well-fitted mask helps outdoors`,
+    });
+  }
+  
+  // Pollen clings to clothes - swap them after outdoor play
+  if (pollenIndex >= POLLEN_THRESHOLDS.HIGH) {
+    items.push({ ...CLOTHING_ITEMS.CHANGE_OF_CLOTHES, required: false, reason: 'High pollen - change after outdoor play' });
+  }
+  
   return items;
 }
 
@@ -276,21 +346,34 @@ function getAccessories(temp, uvIndex, rainChance, ageGroup) {
 // TIP GENERATION
 // ============================================================================
 
+/** What an outfit's "+ rain gear" refers to */
+const RAIN_GEAR = new Set([CLOTHING_ITEMS.RAIN_JACKET.id, CLOTHING_ITEMS.RAIN_BOOTS.id, CLOTHING_ITEMS.UMBRELLA.id]);
+
 /**
- * Generate outfit-specific tips
+ * Generate outfit-specific tips. Tips about pieces (the car seat and a
+ * puffy coat) only come with those pieces, and school-run timing only with
+ * an everyday outfit, since an outing can be dressed completely differently.
  * @param {Object} context
  * @returns {string[]}
  */
 function generateOutfitTips(context) {
   const { 
+    items,
+    isOuting,
+    precipitationType,
     morningTemp, 
     afternoonTemp, 
+    feelsMorning,
+    feelsAfternoon,
     tempSwing, 
     uvIndex, 
     rainChance, 
     humidity, 
     ageGroup,
     maxRainHour,
+    timeZone,
+    aqi,
+    pollen,
   } = context;
   
   const tips = [];
@@ -305,10 +388,10 @@ function generateOutfitTips(context) {
   // Baby/toddler specific
   if (ageGroup === 'baby') {
     tips.push('Babies can\'t regulate temperature well - check often');
-    if (morningTemp < TEMP_THRESHOLDS.BABY_TOO_COLD) {
+    if (feelsMorning < TEMP_THRESHOLDS.BABY_TOO_COLD) {
       tips.push('Bundle up! Add blanket for stroller');
     }
-    if (afternoonTemp > TEMP_THRESHOLDS.BABY_TOO_HOT) {
+    if (feelsAfternoon > TEMP_THRESHOLDS.BABY_TOO_HOT) {
       tips.push('Watch for overheating - keep in shade');
     }
   }
@@ -320,13 +403,14 @@ function generateOutfitTips(context) {
     }
   }
   
-  // Rain timing tips
-  if (rainChance >= RAIN_THRESHOLDS.LIKELY && maxRainHour) {
-    const rainHour = maxRainHour.getHours();
+  // Rain timing tips, for the school run
+  if (!isOuting && rainChance >= RAIN_THRESHOLDS.LIKELY && maxRainHour) {
+    const rainHour = getLocalHour(maxRainHour, timeZone);
+    const falling = precipitationType === 'snow' ? 'Snow' : 'Rain';
     if (rainHour >= 14 && rainHour <= 16) {
-      tips.push('Rain likely during pickup time - have gear in car');
+      tips.push(`${falling} likely during pickup time - have gear in car`);
     } else if (rainHour >= 7 && rainHour <= 9) {
-      tips.push('Morning rain - dress ready or plan to change');
+      tips.push(`Morning ${falling.toLowerCase()} - dress ready or plan to change`);
     }
   }
   
@@ -337,86 +421,326 @@ function generateOutfitTips(context) {
     tips.push('High UV - seek shade during midday');
   }
   
-  // Car seat safety
-  if (morningTemp < TEMP_THRESHOLDS.COLD) {
+  // Air quality tips
+  if (aqi !== null && aqi > AIR_QUALITY_THRESHOLDS.MODERATE) {
+    tips.push(ageGroup === 'baby' || ageGroup === 'toddler'
+      ? `Poor air (AQI ${aqi}) - too young for a mask, keep outdoor time short`
+      : `Poor air (AQI ${aqi}) - keep play calm, less running`);
+  }
+  
+  if (pollen && pollen.index >= POLLEN_THRESHOLDS.HIGH) {
+    tips.push(`High ${pollen.type} pollen - wash hands and face after being outside`);
+  }
+  
+  // Car seat safety, when there's a puffy coat to take off
+  if (items.some(item => item.layer === 'outer' && item.warmth >= CLOTHING_ITEMS.PUFFER.warmth)) {
     tips.push('Remove puffy jacket before car seat for safety');
   }
   
-  // Humidity tips
-  if (humidity >= HUMIDITY_THRESHOLDS.OPPRESSIVE && afternoonTemp >= TEMP_THRESHOLDS.WARM) {
-    tips.push('Very humid - feels hotter than it is');
+  // Wind, humidity or sun making it feel well off the thermometer
+  if (morningTemp - feelsMorning >= APPARENT_CONFIG.NOTABLE_DIFF_F) {
+    tips.push(`${morningTemp}° this morning but feels like ${feelsMorning}° - dressed for how it feels`);
+  }
+  if (feelsAfternoon - afternoonTemp >= APPARENT_CONFIG.NOTABLE_DIFF_F && feelsAfternoon >= TEMP_THRESHOLDS.WARM) {
+    tips.push(`${afternoonTemp}° this afternoon but feels like ${feelsAfternoon}° - light clothes and extra water`);
   }
   
   return tips;
 }
 
+// ============================================================================
+// OUTFIT TIMELINE
+// ============================================================================
+
+/** Worn all day, so never part of a timeline change */
+const ALL_DAY_LAYERS = new Set(['base', 'footwear']);
+
+/**
+ * Layers and accessories worn for one stretch of the day (base layers and
+ * shoes stay on all day; supplies like sunscreen aren't worn)
+ * @param {number} temp - How it feels, shifted for the child's comfort
+ * @param {number} feelsLike - How it feels
+ * @param {number} rainChance 
+ * @param {number} uvIndex 
+ * @param {string} ageGroup 
+ * @returns {import('../types/index.js').ClothingItem[]}
+ */
+function getWornLayers(temp, feelsLike, rainChance, uvIndex, ageGroup) {
+  const seenLayers = new Set();
+  const layers = [
+    ...getMidLayers(temp, temp, ageGroup),
+    ...getOuterLayers(temp, rainChance, ageGroup),
+  ]
+    // A rain jacket packed just in case isn't being worn
+    .filter(item => item.required || item.id !== CLOTHING_ITEMS.RAIN_JACKET.id)
+    .filter(item => !seenLayers.has(item.layer) && seenLayers.add(item.layer));
+  
+  const accessories = getAccessories(feelsLike, uvIndex, rainChance, ageGroup, null, 0)
+    .filter(item => item.slot !== 'supplies');
+  
+  return [...layers, ...accessories];
+}
+
+/**
+ * What's worn at each OUTFIT_TIMELINE point that has forecast hours. Worn
+ * layers map onto the outfit's own (its mid layer, its outer layer, the same
+ * accessory); anything the outfit lacks is added to it, to pack.
+ * @param {import('../types/index.js').ClothingItem[]} items - The outfit; extras are appended
+ * @param {import('../types/index.js').HourlyForecast[]} dayHours - The day's forecast hours
+ * @param {Object} context
+ * @param {string} [context.timeZone]
+ * @param {string} context.ageGroup
+ * @param {number} context.comfortOffset - See getComfortAdjustment
+ * @returns {Array<{segment: typeof OUTFIT_TIMELINE[number], temperature: number, feelsLike: number, wornIds: string[]}>}
+ */
+function planTimeline(items, dayHours, { timeZone, ageGroup, comfortOffset }) {
+  const steps = [];
+  
+  for (const segment of OUTFIT_TIMELINE) {
+    const hours = dayHours.filter(h => {
+      const hour = getLocalHour(h.time, timeZone);
+      return hour >= segment.startHour && hour <= segment.endHour;
+    });
+    if (hours.length === 0) continue;
+    
+    const average = (value) => Math.round(hours.reduce((sum, h) => sum + value(h), 0) / hours.length);
+    const temperature = average(h => h.temperature);
+    const feelsLike = average(getOutdoorFeelsLike);
+    const rainChance = Math.max(...hours.map(h => h.precipitationProbability));
+    const uvIndex = Math.max(...hours.map(h => h.uvIndex));
+    
+    const wornIds = getWornLayers(feelsLike - comfortOffset, feelsLike, rainChance, uvIndex, ageGroup).map(worn => {
+      const own = worn.layer === 'accessory'
+        ? items.find(item => item.id === worn.id)
+        : items.find(item => item.layer === worn.layer);
+      if (own) return own.id;
+      
+      items.push({ ...worn, required: false, reason: `Pack for ${segment.label.toLowerCase()} - feels like ${feelsLike}°` });
+      return worn.id;
+    });
+    
+    steps.push({ segment, temperature, feelsLike, wornIds: [...new Set(wornIds)] });
+  }
+  
+  return steps;
+}
+
+/**
+ * Turn planned timeline steps into what's worn and what changes at each
+ * @param {ReturnType<typeof planTimeline>} steps 
+ * @param {import('../types/index.js').ClothingItem[]} items - The final outfit (wardrobe applied)
+ * @returns {import('../types/index.js').OutfitTimelineStep[]}
+ */
+function describeTimeline(steps, items) {
+  const byId = new Map(items.map(item => [item.id, item]));
+  const allDay = items.filter(item => ALL_DAY_LAYERS.has(item.layer)).map(item => item.id);
+  const change = (action, id) => {
+    const { name, emoji, layer } = byId.get(id);
+    return { action, itemId: id, name, emoji, layer };
+  };
+  
+  let previous = null;
+  return steps.map(({ segment, temperature, feelsLike, wornIds }) => {
+    const wearing = [...allDay, ...wornIds];
+    const changes = previous
+      ? [
+        // Outer things off first, then inner; on in the opposite order
+        ...previous.filter(id => !wearing.includes(id)).reverse().map(id => change('remove', id)),
+        ...wearing.filter(id => !previous.includes(id)).map(id => change('add', id)),
+      ]
+      : [];
+    previous = wearing;
+    
+    return {
+      id: segment.id,
+      label: segment.label,
+      startHour: segment.startHour,
+      endHour: segment.endHour,
+      temperature,
+      feelsLike,
+      wearing,
+      changes,
+    };
+  });
+}
+
 // ============================================================================
 // MAIN RECOMMENDATION FUNCTION
 // ============================================================================
 
+/**
+ * Forecast hours for a planned outfit: the planned day, between its start
+ * and end hours
+ * @param {import('../types/index.js').WeatherData} weather
+ * @param {import('../types/index.js').OutfitPlan} planFor
+ * @returns {import('../types/index.js').HourlyForecast[]}
+ */
+function getPlannedHours(weather, { date, startHour = TIME_CONFIG.MORNING_START, endHour = TIME_CONFIG.AFTERNOON_END }) {
+  const { timeZone } = weather;
+  const hours = getHoursOnDate(weather.hourly, date, timeZone).filter(h => {
+    const hour = getLocalHour(h.time, timeZone);
+    return hour >= startHour && hour <= endHour;
+  });
+  if (hours.length === 0) {
+    throw new Error(`No forecast hours between ${startHour}:00 and ${endHour}:00 on ${getLocalDateKey(date, timeZone)}`);
+  }
+  return hours;
+}
+
 /**
  * Generate outfit recommendation for a child
+ * 
+ * By default this dresses for the rest of today (or `date`), mixing in current
+ * conditions. `planFor` instead builds the outfit from a day's forecast hours
+ * alone - for laying clothes out the night before.
+ * 
  * @param {import('../types/index.js').Child} child 
  * @param {import('../types/index.js').WeatherData} weather 
+ * @param {Object} [options]
+ * @param {Date} [options.date] - Day to dress for (today if omitted), within the hourly forecast
+ * @param {import('../types/index.js').OutfitPlan} [options.planFor] - Plan ahead for these hours of a day (overrides `date`)
+ * @param {Date} [options.now] - Clock used for "today" (defaults to now)
+ * @param {import('../types/index.js').WardrobeItem[] | null} [options.wardrobe] - The child's clothes;
+ *   items are swapped for what they own and the rest flagged as gaps (null = recommend freely)
+ * @param {import('../types/index.js').ComfortFeedback[] | null} [options.comfortHistory] - The child's
+ *   past outfit ratings; layers shift warmer or lighter for a child who runs cold or hot
+ * @param {string | null} [options.activity] - Dress for an outing (an ACTIVITY_PROFILES id) instead of
+ *   daycare or school; defaults to the plan's
  * @returns {import('../types/index.js').OutfitRecommendation}
  */
-export function generateOutfitRecommendation(child, weather) {
-  const { current, hourly } = weather;
+export function generateOutfitRecommendation(child, weather, {
+  date,
+  planFor = null,
+  now = new Date(),
+  wardrobe = null,
+  comfortHistory = null,
+  activity = planFor?.activity ?? null,
+} = {}) {
+  const { timeZone } = weather;
+  date = planFor ? planFor.date : date ?? now;
+  const profile = activity ? getActivityProfile(activity) : null;
+  if (activity && !profile) throw new Error(`Unknown activity: ${activity}`);
+  
+  // Current conditions only speak for an unplanned today; other days go by their forecast hours
+  const current = !planFor && isSameLocalDate(date, now, timeZone) ? weather.current : null;
+  let hourly;
+  if (planFor) {
+    hourly = getPlannedHours(weather, planFor);
+  } else {
+    const dayHours = getHoursOnDate(weather.hourly, date, timeZone);
+    hourly = dayHours.length > 0 ? dayHours : weather.hourly;
+  }
   
   // Analyze temperatures
-  const temps = analyzeDayTemperatures(hourly);
+  const temps = analyzeDayTemperatures(planFor ? hourly : weather.hourly, timeZone, date, { planned: !!planFor, now });
   const ageGroup = getAgeGroup(child.ageMonths);
   
   // Find peak rain probability and when
   const maxRainHour = hourly.reduce((max, h) => 
-    h.precipitationProbability > (max?.precipitationProbability || 0) ? h : max, 
+    h.precipitationProbability > (max?.precipitationProbability ?? 0) ? h : max, 
     null
   );
-  const maxRainChance = maxRainHour?.precipitationProbability || current.precipitationProbability;
+  const maxRainChance = maxRainHour?.precipitationProbability ?? current?.precipitationProbability ?? 0;
+  
+  // Snow vs. rain: what the wettest hour brings, how much snow, and whether it just rained
+  const precipitation = {
+    type: maxRainHour?.precipitationType ?? current?.precipitationType ?? 'none',
+    snowfall: Math.round(hourly.reduce((total, h) => total + (h.snowfall ?? 0), 0) * 10) / 10,
+    recentRain: current?.precipitationAmount >= PRECIPITATION_THRESHOLDS.WET_SURFACES,
+  };
   
   // Get max UV
-  const maxUV = Math.max(current.uvIndex, ...hourly.map(h => h.uvIndex));
+  const maxUV = Math.max(current?.uvIndex ?? 0, ...hourly.map(h => h.uvIndex));
+  const humidity = current?.humidity ?? Math.round(hourly.reduce((sum, h) => sum + h.humidity, 0) / hourly.length);
+  
+  // Worst air quality and pollen that day (null when the provider has none)
+  const aqiValues = [current ? weather.airQuality?.current?.aqi : null, ...hourly.map(h => h.aqi)]
+    .filter(aqi => typeof aqi === 'number');
+  const maxAqi = aqiValues.length > 0 ? Math.max(...aqiValues) : null;
+  const pollen = getPeakPollen(weather.airQuality, timeZone, date);
+  
+  // Dress for how it feels outdoors, and layer for how this child feels it (positive offset = runs cold)
+  // and for how much running around the outing involves
+  const comfort = getComfortAdjustment(comfortHistory, child.name);
+  const exertion = profile?.exertionF ?? 0;
+  const feltMorning = temps.feelsMorning - comfort.offset + exertion;
+  const feltAfternoon = temps.feelsAfternoon - comfort.offset + exertion;
   
   // Build outfit
   const allItems = [
-    ...getBaseLayers(temps.morning, ageGroup),
-    ...getMidLayers(temps.morning, temps.afternoon, ageGroup),
-    ...getOuterLayers(temps.morning, maxRainChance, ageGroup),
-    getFootwear(temps.morning, maxRainChance),
-    ...getAccessories(temps.morning, maxUV, maxRainChance, ageGroup),
+    ...getBaseLayers(feltMorning, ageGroup),
+    ...getMidLayers(feltMorning, feltAfternoon, ageGroup),
+    ...getOuterLayers(feltMorning, maxRainChance, ageGroup),
+    getFootwear(temps.feelsMorning, maxRainChance, precipitation),
+    ...getAccessories(temps.feelsMorning, maxUV, maxRainChance, ageGroup, maxAqi, pollen?.index ?? 0),
   ];
   
   // Deduplicate by layer (keep first of each layer type, except accessories)
   const seenLayers = new Set();
-  const items = allItems.filter(item => {
+  let recommended = allItems.filter(item => {
     if (item.layer === 'accessory') return true;
     if (seenLayers.has(item.layer)) return false;
     seenLayers.add(item.layer);
     return true;
   });
   
+  // Re-dress for the outing
+  let activityTips = [];
+  if (profile) {
+    const feltStart = temps.feelsMorning - comfort.offset;
+    ({ items: recommended, tips: activityTips } = dressForActivity(recommended, profile.id, {
+      feelsLike: feltStart,
+      feelsHigh: Math.max(feltStart, temps.feelsAfternoon - comfort.offset),
+      rainChance: maxRainChance,
+      uvIndex: maxUV,
+      ageGroup,
+    }));
+  }
+  
+  // Follow a school day through; layers needed later go in the bag. An outing is one stretch
+  const timelineSteps = profile ? [] : planTimeline(recommended, getHoursOnDate(weather.hourly, date, timeZone), {
+    timeZone,
+    ageGroup,
+    comfortOffset: comfort.offset,
+  });
+  
+  // Dress from what the child owns
+  const { items, gaps } = wardrobe ? applyWardrobe(recommended, wardrobe) : { items: recommended, gaps: [] };
+  const timeline = describeTimeline(timelineSteps, items);
+  
   // Generate tips
-  const tips = generateOutfitTips({
+  const tips = [...activityTips, ...generateOutfitTips({
+    items,
+    isOuting: !!profile,
+    precipitationType: precipitation.type,
     morningTemp: temps.morning,
     afternoonTemp: temps.afternoon,
-    tempSwing: temps.swing,
+    feelsMorning: temps.feelsMorning,
+    feelsAfternoon: temps.feelsAfternoon,
+    tempSwing: profile ? 0 : temps.swing, // An outing is one stretch, not the whole day
     uvIndex: maxUV,
     rainChance: maxRainChance,
-    humidity: current.humidity,
+    humidity,
     ageGroup,
     maxRainHour: maxRainHour?.time,
-  });
+    timeZone,
+    aqi: maxAqi,
+    pollen,
+  })];
+  if (comfort.explanation) tips.unshift(comfort.explanation);
   
   // Build summary
-  const tempCategory = getTempCategory(temps.morning);
+  const tempCategory = getTempCategory(temps.feelsMorning);
   const requiredItems = items.filter(i => i.required);
   const topItem = requiredItems.find(i => i.layer === 'base' && !['shorts', 'pants', 'leggings'].includes(i.id));
   
-  let summary = `${topItem?.name || 'Comfortable clothes'}`;
-  if (temps.swing >= 15) {
+  let summary = `${profile ? `${profile.name}: ` : ''}${topItem?.name || 'Comfortable clothes'}`;
+  if (temps.swing >= 15 && !profile) {
     summary += ` + layers for ${temps.swing}° swing`;
   }
-  if (maxRainChance >= RAIN_THRESHOLDS.PACK_UMBRELLA) {
+  // By what's in the outfit - an outing may have swapped the rain gear for snow pants or a swimsuit
+  const hasRainGear = items.some(item => RAIN_GEAR.has(item.id));
+  if (hasRainGear) {
     summary += ' + rain gear';
   }
   
@@ -425,14 +749,22 @@ export function generateOutfitRecommendation(child, weather) {
     childName: child.name,
     ageGroup,
     items,
+    gaps,
+    timeline,
+    activity: profile?.id ?? null,
     tips,
     summary,
+    comfort: { offset: comfort.offset, explanation: comfort.explanation },
     tempCategory,
-    needsRainGear: maxRainChance >= RAIN_THRESHOLDS.PACK_UMBRELLA,
+    needsRainGear: hasRainGear,
     needsSunProtection: maxUV >= UV_THRESHOLDS.SUNSCREEN_NEEDED,
     morningTemp: temps.morning,
     afternoonTemp: temps.afternoon,
+    morningFeelsLike: temps.feelsMorning,
+    afternoonFeelsLike: temps.feelsAfternoon,
     tempSwing: temps.swing,
+    date,
+    isPlanned: !!planFor,
   };
 }
 
@@ -440,8 +772,19 @@ export function generateOutfitRecommendation(child, weather) {
  * Generate outfit recommendations for all children
  * @param {import('../types/index.js').Child[]} children 
  * @param {import('../types/index.js').WeatherData} weather 
+ * @param {Object} [options] - See generateOutfitRecommendation
+ * @param {Date} [options.date]
+ * @param {import('../types/index.js').OutfitPlan} [options.planFor]
+ * @param {Date} [options.now]
+ * @param {Record<string, import('../types/index.js').WardrobeItem[]>} [options.wardrobes] - Each child's clothes, by child id
+ * @param {Record<string, import('../types/index.js').ComfortFeedback[]>} [options.comfortHistories] - Each child's outfit ratings, by child id
+ * @param {string | null} [options.activity]
  * @returns {import('../types/index.js').OutfitRecommendation[]}
  */
-export function generateAllOutfitRecommendations(children, weather) {
-  return children.map(child => generateOutfitRecommendation(child, weather));
+export function generateAllOutfitRecommendations(children, weather, { wardrobes = {}, comfortHistories = {}, ...options } = {}) {
+  return children.map(child => generateOutfitRecommendation(child, weather, {
+    ...options,
+    wardrobe: wardrobes[child.id] ?? null,
+    comfortHistory: comfortHistories[child.id] ?? null,
+  }));
 }
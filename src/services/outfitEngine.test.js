@@ -0,0 +1,133 @@
+import { describe, it, expect } from 'vitest';
+import { analyzeDayTemperatures, generateOutfitRecommendation } from './outfitEngine.js';
+
+/** A still, overcast hour in UTC */
+const hour = (iso, temperature) => ({
+  time: new Date(iso),
+  temperature,
+  feelsLike: temperature,
+  humidity: 50,
+  windSpeed: 0,
+  uvIndex: 0,
+  precipitationProbability: 0,
+});
+
+/** 06:00-21:00 UTC at these conditions, seen from 07:00; rain (or snow) peaks at 08:00 */
+const day = (conditions, peakChance = conditions.precipitationProbability ?? 0) => {
+  const hourly = Array.from({ length: 16 }, (_, i) => ({
+    ...hour(`2025-01-15T${String(6 + i).padStart(2, '0')}:00:00Z`, conditions.temperature),
+    ...conditions,
+    ...(i === 2 ? { precipitationProbability: peakChance } : {}),
+  }));
+  return { timeZone: 'UTC', current: hourly[1], hourly, daily: [], airQuality: null, alerts: [] };
+};
+/** A still day at 55°, except these temperatures by UTC hour */
+const dayOf = (temperatures) => {
+  const weather = day({ temperature: 55 });
+  const hourly = weather.hourly.map(h => ({ ...h, temperature: temperatures[h.time.getUTCHours()] ?? h.temperature }));
+  return { ...weather, current: hourly[1], hourly };
+};
+/** The same temperature for each hour of a timeline segment */
+const segments = ({ dropoff, midday, pickup, evening }) => ({
+  7: dropoff, 8: dropoff, 9: dropoff,
+  11: midday, 12: midday, 13: midday,
+  14: pickup, 15: pickup, 16: pickup,
+  17: evening, 18: evening, 19: evening,
+});
+const now = new Date('2025-01-15T07:00:00Z');
+const child = { id: 'child-1', name: 'Sam', ageMonths: 72 };
+
+describe('analyzeDayTemperatures', () => {
+  it('keeps a real 0° when there are no morning or afternoon hours', () => {
+    const evening = [hour('2025-01-15T20:00:00Z', 0), hour('2025-01-15T21:00:00Z', 0)];
+
+    const temps = analyzeDayTemperatures(evening, 'UTC', new Date('2025-01-15T12:00:00Z'), { planned: true });
+
+    expect(temps).toMatchObject({ morning: 0, afternoon: 0, swing: 0, feelsMorning: 0, feelsAfternoon: 0 });
+  });
+
+  it('uses a current 0° as the morning once today is past midday', () => {
+    const now = new Date('2025-01-15T13:00:00Z');
+    const hours = [hour('2025-01-15T13:00:00Z', 0), hour('2025-01-15T14:00:00Z', 4), hour('2025-01-15T15:00:00Z', 6)];
+
+    const temps = analyzeDayTemperatures(hours, 'UTC', now, { now });
+
+    expect(temps.morning).toBe(0);
+    expect(temps.swing).toBe(5);
+  });
+});
+
+describe('generateOutfitRecommendation', () => {
+  const blizzard = day({ temperature: 20, windSpeed: 20, precipitationProbability: 60, precipitationType: 'snow', snowfall: 0.5 }, 90);
+
+  it('says snow, not rain, for a snowy school run', () => {
+    const outfit = generateOutfitRecommendation(child, blizzard, { now });
+
+    expect(outfit.tips).toContain('Morning snow - dress ready or plan to change');
+  });
+
+  it('leaves school-run and rain-gear talk out of a snow-play outfit', () => {
+    const outfit = generateOutfitRecommendation(child, blizzard, { now, activity: 'snow-play' });
+
+    expect(outfit.tips.some(tip => /morning (rain|snow)/i.test(tip))).toBe(false);
+    expect(outfit.summary).not.toContain('rain gear');
+    expect(outfit.needsRainGear).toBe(false);
+    // It does have a puffy coat to take off
+    expect(outfit.tips).toContain('Remove puffy jacket before car seat for safety');
+  });
+
+  it('dresses a child who runs cold warmer, by at most 9°', () => {
+    const comfortHistory = Array.from({ length: 5 }, (_, i) => ({ date: `2025-01-0${i + 1}`, rating: 'too-cold' }));
+    // 62° needs no jacket; dressed as 53° it does
+    const mild = day({ temperature: 62 });
+
+    expect(generateOutfitRecommendation(child, mild, { now }).items.map(item => item.id)).not.toContain('light-jacket');
+    const outfit = generateOutfitRecommendation(child, mild, { now, comfortHistory });
+    expect(outfit.comfort.offset).toBe(9);
+    expect(outfit.items.map(item => item.id)).toContain('light-jacket');
+  });
+
+  it('only mentions the car seat when there is a puffy coat', () => {
+    // 45° dresses a soccer player for 55°: a light jacket at most
+    const outfit = generateOutfitRecommendation(child, day({ temperature: 45 }), { now, activity: 'soccer' });
+
+    expect(outfit.items.some(item => item.layer === 'outer' && item.warmth >= 4)).toBe(false);
+    expect(outfit.tips).not.toContain('Remove puffy jacket before car seat for safety');
+  });
+});
+
+describe('outfit timeline', () => {
+  const changes = (step) => step.changes.map(({ action, itemId }) => `${action} ${itemId}`);
+
+  it('takes layers off as it warms and puts them back on, outermost off first', () => {
+    const { timeline } = generateOutfitRecommendation(child, dayOf(segments({ dropoff: 45, midday: 72, pickup: 60, evening: 40 })), { now });
+
+    expect(timeline.map(step => [step.id, step.feelsLike])).toEqual([['dropoff', 45], ['midday', 72], ['pickup', 60], ['evening', 40]]);
+    expect(timeline[0].changes).toEqual([]);
+    expect(changes(timeline[1])).toEqual(['remove winter-hat', 'remove light-jacket', 'remove light-sweater']);
+    expect(changes(timeline[2])).toEqual([]);
+    expect(changes(timeline[3])).toEqual(['add light-sweater', 'add light-jacket', 'add winter-hat']);
+  });
+
+  it('keeps base layers and shoes on all day', () => {
+    const { timeline } = generateOutfitRecommendation(child, dayOf(segments({ dropoff: 45, midday: 72, pickup: 60, evening: 40 })), { now });
+
+    for (const step of timeline) {
+      expect(step.wearing).toEqual(expect.arrayContaining(['long-sleeve', 'boots']));
+    }
+    expect(timeline.flatMap(changes).some(change => /long-sleeve|boots/.test(change))).toBe(false);
+  });
+
+  it('packs layers only needed later', () => {
+    const outfit = generateOutfitRecommendation(child, dayOf(segments({ dropoff: 70, midday: 74, pickup: 72, evening: 40 })), { now });
+
+    expect(outfit.items.find(item => item.id === 'light-jacket')).toMatchObject({ required: false, reason: 'Pack for evening - feels like 40°' });
+    expect(changes(outfit.timeline[3])).toEqual(['add light-sweater', 'add light-jacket', 'add winter-hat']);
+  });
+
+  it('has no timeline for an outing', () => {
+    const outfit = generateOutfitRecommendation(child, dayOf(segments({ dropoff: 45, midday: 72, pickup: 60, evening: 40 })), { now, activity: 'playground' });
+
+    expect(outfit.timeline).toEqual([]);
+  });
+});
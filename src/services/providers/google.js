@@ -0,0 +1,498 @@
+/**
+ * Tiny Weather - Google Weather Provider
+ *
+ * Adapter for the Google Maps Weather API (WeatherNeXT 2), plus the Air
+ * Quality and Pollen APIs under the same key.
+ * Weather and air quality requests are POSTs with a JSON body; pollen and
+ * public alerts are GETs. The API key always goes in the query string.
+ * Forecasts longer than one page are followed page by page.
+ */
+
+import { API_CONFIG, PROVIDER_CONFIG, mapCondition, getPrecipitationType, WEATHER_CONDITIONS } from '../../utils/constants.js';
+import { celsiusToFahrenheit, mpsToMph, kmhToMph, mmToInches, metersToMiles, snowWaterToInches } from '../../utils/units.js';
+import { pm25ToUsAqi, createAqiReading } from '../../utils/airQuality.js';
+import { normalizeAlertSeverity, inferAlertSeverity } from '../../utils/alerts.js';
+import { fetchWithRetry } from '../http.js';
+import { ParseError } from '../errors.js';
+import { createQualityReport, validateRecord, reportUnavailable } from '../validation.js';
+
+// ============================================================================
+// RESPONSE SCHEMAS
+// ============================================================================
+
+/** Current conditions record (METRIC units) */
+const CURRENT_SCHEMA = {
+  temperature: { paths: ['temperature.degrees', 'temperature'], type: 'number', required: true, min: -90, max: 60 },
+  feelsLike: { paths: ['feelsLikeTemperature.degrees', 'apparentTemperature.degrees', 'feelsLike'], type: 'number', min: -100, max: 70, fallbackField: 'temperature' },
+  humidity: { paths: ['relativeHumidity', 'humidity.percent', 'humidity'], type: 'number', min: 0, max: 100, fallback: 50 },
+  windSpeed: { paths: ['wind.speed.value', 'windSpeed'], type: 'number', min: 0, max: 400, fallback: 0 },
+  uvIndex: { paths: ['uvIndex.index', 'uvIndex'], type: 'number', min: 0, max: 20, fallback: 0 },
+  precipitationProbability: { paths: ['precipitation.probability.percent', 'precipitationProbability.percent', 'precipitationProbability'], type: 'number', min: 0, max: 100, fallback: 0 },
+  condition: { paths: ['weatherCondition.type', 'weatherCondition', 'condition'], type: 'string', fallback: 'CLEAR' },
+  observationTime: { paths: ['currentTime', 'observationTime', 'dateTime'], type: 'date' },
+  // Extra detail - older payloads and some regions leave these out
+  windGust: { paths: ['wind.gust.value'], type: 'number', min: 0, max: 500, reportMissing: false },
+  dewPoint: { paths: ['dewPoint.degrees'], type: 'number', min: -90, max: 40, reportMissing: false },
+  cloudCover: { paths: ['cloudCover'], type: 'number', min: 0, max: 100, reportMissing: false },
+  precipitationAmount: { paths: ['precipitation.qpf.quantity'], type: 'number', min: 0, max: 500, reportMissing: false },
+  precipitationType: { paths: ['precipitation.probability.type'], type: 'string', reportMissing: false },
+  snowfall: { paths: ['precipitation.snowQpf.quantity'], type: 'number', min: 0, max: 500, reportMissing: false },
+  visibility: { paths: ['visibility.distance'], type: 'number', min: 0, max: 500, reportMissing: false },
+};
+
+/** One entry of hourlyForecasts */
+const HOURLY_SCHEMA = {
+  time: { paths: ['interval.startTime', 'dateTime', 'time'], type: 'date', required: true },
+  temperature: { paths: ['temperature.degrees', 'temperature'], type: 'number', required: true, min: -90, max: 60 },
+  feelsLike: { paths: ['feelsLikeTemperature.degrees', 'apparentTemperature.degrees', 'feelsLike'], type: 'number', min: -100, max: 70, fallbackField: 'temperature' },
+  humidity: { paths: ['relativeHumidity', 'humidity.percent', 'humidity'], type: 'number', min: 0, max: 100, fallback: 50 },
+  precipitationProbability: { paths: ['precipitation.probability.percent', 'precipitationProbability.percent', 'precipitationProbability'], type: 'number', min: 0, max: 100, fallback: 0 },
+  uvIndex: { paths: ['uvIndex.index', 'uvIndex'], type: 'number', min: 0, max: 20, fallback: 0 },
+  windSpeed: { paths: ['wind.speed.value', 'windSpeed'], type: 'number', min: 0, max: 400, fallback: 0 },
+  condition: { paths: ['weatherCondition.type', 'weatherCondition', 'condition'], type: 'string', fallback: 'CLEAR' },
+  // Extra detail - older payloads and some regions leave these out
+  windGust: { paths: ['wind.gust.value'], type: 'number', min: 0, max: 500, reportMissing: false },
+  dewPoint: { paths: ['dewPoint.degrees'], type: 'number', min: -90, max: 40, reportMissing: false },
+  cloudCover: { paths: ['cloudCover'], type: 'number', min: 0, max: 100, reportMissing: false },
+  precipitationAmount: { paths: ['precipitation.qpf.quantity'], type: 'number', min: 0, max: 500, reportMissing: false },
+  precipitationType: { paths: ['precipitation.probability.type'], type: 'string', reportMissing: false },
+  snowfall: { paths: ['precipitation.snowQpf.quantity'], type: 'number', min: 0, max: 500, reportMissing: false },
+  visibility: { paths: ['visibility.distance'], type: 'number', min: 0, max: 500, reportMissing: false },
+};
+
+/** One entry of forecastDays (dailyForecasts in older payloads) */
+const DAILY_SCHEMA = {
+  date: { paths: ['interval.startTime', 'dateTime', 'date'], type: 'date', required: true },
+  tempHigh: { paths: ['maxTemperature.degrees', 'temperature.max.degrees', 'maxTemperature', 'tempHigh'], type: 'number', required: true, min: -90, max: 60 },
+  tempLow: { paths: ['minTemperature.degrees', 'temperature.min.degrees', 'minTemperature', 'tempLow'], type: 'number', required: true, min: -90, max: 60 },
+  precipitationProbability: { paths: ['daytimeForecast.precipitation.probability.percent', 'precipitationProbability.percent', 'precipitationProbability'], type: 'number', min: 0, max: 100, fallback: 0 },
+  condition: { paths: ['daytimeForecast.weatherCondition.type', 'weatherCondition.type', 'weatherCondition', 'condition'], type: 'string', fallback: 'CLEAR' },
+  uvIndexMax: { paths: ['daytimeForecast.uvIndex', 'uvIndex.max.index', 'uvIndexMax'], type: 'number', min: 0, max: 20, fallback: 0 },
+  sunrise: { paths: ['sunEvents.sunriseTime', 'sun.rise', 'sunrise'], type: 'string', fallback: '' },
+  sunset: { paths: ['sunEvents.sunsetTime', 'sun.set', 'sunset'], type: 'string', fallback: '' },
+  // Daytime half of the day; Google has no daily dew point or visibility
+  windGust: { paths: ['daytimeForecast.wind.gust.value'], type: 'number', min: 0, max: 500, reportMissing: false },
+  cloudCover: { paths: ['daytimeForecast.cloudCover'], type: 'number', min: 0, max: 100, reportMissing: false },
+  precipitationAmount: { paths: ['daytimeForecast.precipitation.qpf.quantity'], type: 'number', min: 0, max: 1000, reportMissing: false },
+  precipitationType: { paths: ['daytimeForecast.precipitation.probability.type'], type: 'string', reportMissing: false },
+  snowfall: { paths: ['daytimeForecast.precipitation.snowQpf.quantity'], type: 'number', min: 0, max: 1000, reportMissing: false },
+};
+
+/** One entry of weatherAlerts from publicAlerts:lookup */
+const ALERT_SCHEMA = {
+  id: { paths: ['alertId'], type: 'string', required: true },
+  event: { paths: ['alertTitle.text', 'eventType'], type: 'string', required: true },
+  description: { paths: ['description'], type: 'string', fallback: '', reportMissing: false },
+  severity: { paths: ['severity'], type: 'string', reportMissing: false },
+  area: { paths: ['areaName'], type: 'string', fallback: '', reportMissing: false },
+  onset: { paths: ['startTime'], type: 'date', reportMissing: false },
+  expires: { paths: ['expirationTime'], type: 'date', reportMissing: false },
+  source: { paths: ['dataSource.name', 'dataSource.publisher'], type: 'string', fallback: 'Google Weather', reportMissing: false },
+};
+
+/** Air quality record (current conditions or one hourlyForecasts entry), after flattenAirQuality */
+const AIR_QUALITY_SCHEMA = {
+  time: { paths: ['dateTime'], type: 'date', required: true },
+  aqi: { paths: ['usaAqi', 'pm25Aqi'], type: 'number', min: 0, max: 500 },
+  dominantPollutant: { paths: ['dominantPollutant'], type: 'string', reportMissing: false },
+};
+
+/** One entry of pollen dailyInfo, after flattenPollenDay (Universal Pollen Index) */
+const POLLEN_SCHEMA = {
+  date: { paths: ['date'], type: 'date', required: true },
+  // Out-of-season types come back without an index
+  tree: { paths: ['TREE'], type: 'number', min: 0, max: 5, fallback: 0, reportMissing: false },
+  grass: { paths: ['GRASS'], type: 'number', min: 0, max: 5, fallback: 0, reportMissing: false },
+  weed: { paths: ['WEED'], type: 'number', min: 0, max: 5, fallback: 0, reportMissing: false },
+};
+
+/**
+ * Pull the US AQI out of an air quality record's index list. Outside the US
+ * only the universal/local index may come back, so fall back to PM2.5.
+ * @param {Object} record
+ * @returns {Object}
+ */
+function flattenAirQuality(record) {
+  const usaIndex = record.indexes?.find(index => index.code === 'usa_epa');
+  const pm25 = record.pollutants?.find(p => p.code === 'pm25')?.concentration?.value;
+
+  return {
+    dateTime: record.dateTime,
+    usaAqi: usaIndex?.aqi,
+    pm25Aqi: pm25 === undefined ? undefined : pm25ToUsAqi(pm25),
+    dominantPollutant: usaIndex?.dominantPollutant ?? record.indexes?.[0]?.dominantPollutant,
+  };
+}
+
+/**
+ * Key a pollen day's index values by type code, with an ISO date
+ * @param {Object} day
+ * @returns {Object}
+ */
+function flattenPollenDay(day) {
+  const { year, month, day: dayOfMonth } = day.date || {};
+  return {
+    // Midday UTC keeps the calendar date in almost every zone
+    date: year ? `${year}-${String(month).padStart(2, '0')}-${String(dayOfMonth).padStart(2, '0')}T12:00:00Z` : undefined,
+    ...Object.fromEntries((day.pollenTypeInfo || []).map(type => [type.code, type.indexInfo?.value])),
+  };
+}
+
+/**
+ * Convert a wind speed using the unit Google reports alongside it
+ * (METRIC requests come back in km/h; older payloads used m/s)
+ * @param {number} value 
+ * @param {Object} record - Raw record the value came from
+ * @returns {number}
+ */
+function windToMph(value, record) {
+  return record.wind?.speed?.unit === 'KILOMETERS_PER_HOUR' ? kmhToMph(value) : mpsToMph(value);
+}
+
+/**
+ * Convert the optional detail fields shared by current conditions, hours
+ * and days (METRIC units: km/h or m/s, °C, mm of liquid, km)
+ * @param {Record<string, any>} values - Validated values
+ * @param {Object} record - Raw record whose `wind` block sets the speed unit
+ * @param {keyof typeof WEATHER_CONDITIONS} conditionCode
+ * @returns {Pick<import('../../types/index.js').HourlyForecast, 'windGust' | 'dewPoint' | 'cloudCover' | 'precipitationAmount' | 'precipitationType' | 'snowfall' | 'visibility'>}
+ */
+function transformDetails(values, record, conditionCode) {
+  const precipitationAmount = values.precipitationAmount == null ? null : mmToInches(values.precipitationAmount);
+  const snowfall = values.snowfall == null ? null : snowWaterToInches(values.snowfall);
+
+  return {
+    windGust: values.windGust == null ? null : windToMph(values.windGust, record),
+    dewPoint: values.dewPoint == null ? null : celsiusToFahrenheit(values.dewPoint),
+    cloudCover: values.cloudCover ?? null,
+    precipitationAmount,
+    precipitationType: getPrecipitationType({
+      condition: conditionCode,
+      reportedType: values.precipitationType,
+      precipitationAmount,
+      snowfall,
+    }),
+    snowfall,
+    visibility: values.visibility == null ? null : metersToMiles(values.visibility * 1000),
+  };
+}
+
+// ============================================================================
+// API RESPONSE TRANSFORMERS
+// ============================================================================
+
+/**
+ * Transform current conditions API response
+ * @param {Object} apiResponse
+ * @param {import('../validation.js').QualityReport} [report] - Collects data quality issues
+ * @returns {import('../../types/index.js').CurrentConditions}
+ */
+export function transformCurrentConditions(apiResponse, report = createQualityReport()) {
+  const current = apiResponse.currentConditions || apiResponse;
+  const { values, valid } = validateRecord(current, CURRENT_SCHEMA, { section: 'current', report });
+  if (!valid) {
+    throw new ParseError('Google current conditions response has no usable temperature');
+  }
+  
+  const conditionCode = mapCondition(values.condition);
+
+  return {
+    temperature: celsiusToFahrenheit(values.temperature),
+    feelsLike: celsiusToFahrenheit(values.feelsLike),
+    humidity: values.humidity,
+    windSpeed: windToMph(values.windSpeed, current),
+    uvIndex: values.uvIndex,
+    precipitationProbability: values.precipitationProbability,
+    ...transformDetails(values, current, conditionCode),
+    condition: conditionCode,
+    conditionText: WEATHER_CONDITIONS[conditionCode].label,
+    icon: current.iconCode || 'clear',
+    observationTime: values.observationTime ? new Date(values.observationTime) : new Date(),
+    timeZone: apiResponse.timeZone?.id,
+  };
+}
+
+/**
+ * Transform hourly forecast API response
+ * @param {Object} apiResponse
+ * @param {number} hours - How many hours to return
+ * @param {import('../validation.js').QualityReport} [report] - Collects data quality issues
+ * @returns {import('../../types/index.js').HourlyForecast[]}
+ */
+export function transformHourlyForecast(apiResponse, hours = API_CONFIG.HOURLY_HOURS, report = createQualityReport()) {
+  const hourlyData = apiResponse.hourlyForecasts || apiResponse.hourly || [];
+
+  return hourlyData.slice(0, hours).flatMap((hour, index) => {
+    const { values, valid } = validateRecord(hour, HOURLY_SCHEMA, { section: 'hourly', index, report });
+    if (!valid) return [];
+    
+    const conditionCode = mapCondition(values.condition);
+
+    return [{
+      time: new Date(values.time),
+      temperature: celsiusToFahrenheit(values.temperature),
+      feelsLike: celsiusToFahrenheit(values.feelsLike),
+      humidity: values.humidity,
+      precipitationProbability: values.precipitationProbability,
+      uvIndex: values.uvIndex,
+      windSpeed: windToMph(values.windSpeed, hour),
+      ...transformDetails(values, hour, conditionCode),
+      condition: conditionCode,
+      conditionText: WEATHER_CONDITIONS[conditionCode].label,
+    }];
+  });
+}
+
+/**
+ * Transform daily forecast API response
+ * @param {Object} apiResponse
+ * @param {number} days - How many days to return
+ * @param {import('../validation.js').QualityReport} [report] - Collects data quality issues
+ * @returns {import('../../types/index.js').DailyForecast[]}
+ */
+export function transformDailyForecast(apiResponse, days = API_CONFIG.DAILY_DAYS, report = createQualityReport()) {
+  const dailyData = apiResponse.forecastDays || apiResponse.dailyForecasts || apiResponse.daily || [];
+
+  return dailyData.slice(0, days).flatMap((day, index) => {
+    const { values, valid } = validateRecord(day, DAILY_SCHEMA, { section: 'daily', index, report });
+    if (!valid) return [];
+    
+    const conditionCode = mapCondition(values.condition);
+
+    return [{
+      date: new Date(values.date),
+      tempHigh: celsiusToFahrenheit(values.tempHigh),
+      tempLow: celsiusToFahrenheit(values.tempLow),
+      precipitationProbability: values.precipitationProbability,
+      condition: conditionCode,
+      conditionText: WEATHER_CONDITIONS[conditionCode].label,
+      uvIndexMax: values.uvIndexMax,
+      ...transformDetails(values, day.daytimeForecast || day, conditionCode),
+      sunrise: values.sunrise,
+      sunset: values.sunset,
+    }];
+  });
+}
+
+/**
+ * Transform a publicAlerts:lookup response
+ * @param {Object} apiResponse
+ * @param {import('../validation.js').QualityReport} [report] - Collects data quality issues
+ * @returns {import('../../types/index.js').WeatherAlert[]}
+ */
+export function transformAlerts(apiResponse, report = createQualityReport()) {
+  return (apiResponse.weatherAlerts || []).flatMap((alert, index) => {
+    const { values, valid } = validateRecord(alert, ALERT_SCHEMA, { section: 'alerts', index, report });
+    if (!valid) return [];
+
+    return [{
+      id: values.id,
+      event: values.event,
+      headline: values.event,
+      description: values.description,
+      instruction: Array.isArray(alert.instruction) ? alert.instruction.join(' ') : alert.instruction ?? null,
+      severity: values.severity ? normalizeAlertSeverity(values.severity) : inferAlertSeverity(values.event),
+      area: values.area,
+      onset: values.onset ? new Date(values.onset) : null,
+      expires: values.expires ? new Date(values.expires) : null,
+      source: values.source,
+    }];
+  });
+}
+
+/**
+ * Transform Air Quality API current conditions + hourly forecast and a
+ * Pollen API forecast. Any response may be null if its request failed.
+ * @param {Object | null} currentResponse - currentConditions:lookup response
+ * @param {Object | null} forecastResponse - forecast:lookup response
+ * @param {Object | null} pollenResponse - Pollen forecast:lookup response
+ * @param {number} hours - How many hours to return
+ * @param {import('../validation.js').QualityReport} [report] - Collects data quality issues
+ * @returns {import('../../types/index.js').AirQualityData}
+ */
+export function transformAirQuality(currentResponse, forecastResponse, pollenResponse, hours = API_CONFIG.HOURLY_HOURS, report = createQualityReport()) {
+  let current = null;
+  if (currentResponse) {
+    const { values, valid } = validateRecord(flattenAirQuality(currentResponse), AIR_QUALITY_SCHEMA, { section: 'airQuality', report });
+    if (valid && values.aqi !== null) {
+      current = createAqiReading(values.aqi, values.dominantPollutant);
+    }
+  }
+
+  const hourly = (forecastResponse?.hourlyForecasts || []).slice(0, hours).flatMap((hour, index) => {
+    const { values, valid } = validateRecord(flattenAirQuality(hour), AIR_QUALITY_SCHEMA, { section: 'airQuality', index, report });
+    if (!valid || values.aqi === null) return [];
+    return [{ time: new Date(values.time), aqi: values.aqi }];
+  });
+
+  const pollen = (pollenResponse?.dailyInfo || []).flatMap((day, index) => {
+    const { values, valid } = validateRecord(flattenPollenDay(day), POLLEN_SCHEMA, { section: 'pollen', index, report });
+    if (!valid) return [];
+    return [{ date: new Date(values.date), tree: values.tree, grass: values.grass, weed: values.weed }];
+  });
+
+  return { current, hourly, pollen };
+}
+
+// ============================================================================
+// PAGING
+// ============================================================================
+
+/**
+ * Fetch pages until `limit` items are collected or there are no more.
+ * Google caps forecast page sizes (24 hours, 10 days) and hands back a
+ * nextPageToken for the rest.
+ * @param {(pageToken?: string) => Promise<Object>} fetchPage
+ * @param {string[]} itemsKeys - Response fields that may hold the items
+ * @param {number} limit
+ * @returns {Promise<Object>} The first page, with every page's items under its items key
+ */
+async function fetchPages(fetchPage, itemsKeys, limit) {
+  const first = await fetchPage();
+  const itemsKey = itemsKeys.find(key => Array.isArray(first[key])) || itemsKeys[0];
+  const items = [...(first[itemsKey] || [])];
+
+  let pageToken = first.nextPageToken;
+  while (pageToken && items.length < limit) {
+    const page = await fetchPage(pageToken);
+    const pageItems = page[itemsKey] || [];
+    if (pageItems.length === 0) break;
+    items.push(...pageItems);
+    pageToken = page.nextPageToken;
+  }
+
+  return { ...first, [itemsKey]: items };
+}
+
+// ============================================================================
+// PROVIDER
+// ============================================================================
+
+/**
+ * Create the Google Weather provider
+ * @param {Object} config
+ * @param {string} config.apiKey - Google Maps Weather API key
+ * @param {string} [config.baseUrl] - Override the API base URL
+ * @param {string} [config.airQualityUrl] - Override the Air Quality API base URL
+ * @param {string} [config.pollenUrl] - Override the Pollen API base URL
+ * @param {typeof fetchWithRetry} [config.fetchJson] - Makes the requests (swapped out to record and replay fixtures)
+ * @returns {import('../../types/index.js').WeatherProvider}
+ */
+export function createGoogleProvider({
+  apiKey,
+  baseUrl = PROVIDER_CONFIG.google.baseUrl,
+  airQualityUrl = PROVIDER_CONFIG.google.airQualityUrl,
+  pollenUrl = PROVIDER_CONFIG.google.pollenUrl,
+  fetchJson = fetchWithRetry,
+}) {
+  /**
+   * POST a lookup request
+   * @param {string} endpoint
+   * @param {Object} body
+   * @param {string} [url] - API base URL (defaults to the Weather API)
+   */
+  function lookup(endpoint, body, url = baseUrl) {
+    return fetchJson(`${url}/${endpoint}?key=${apiKey}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+  }
+
+  return {
+    id: 'google',
+
+    async fetchCurrentConditions(lat, lng, report) {
+      const response = await lookup('currentConditions:lookup', {
+        location: { latitude: lat, longitude: lng },
+        unitsSystem: 'METRIC', // We'll convert to Fahrenheit
+      });
+
+      return transformCurrentConditions(response, report);
+    },
+
+    async fetchHourlyForecast(lat, lng, hours = API_CONFIG.HOURLY_HOURS, report) {
+      const response = await fetchPages((pageToken) => lookup('forecast/hours:lookup', {
+        location: { latitude: lat, longitude: lng },
+        hours: hours,
+        pageSize: Math.min(hours, PROVIDER_CONFIG.google.hourlyPageSize),
+        pageToken,
+        unitsSystem: 'METRIC',
+      }), ['hourlyForecasts', 'hourly'], hours);
+
+      return transformHourlyForecast(response, hours, report);
+    },
+
+    async fetchDailyForecast(lat, lng, days = API_CONFIG.DAILY_DAYS, report) {
+      const response = await fetchPages((pageToken) => lookup('forecast/days:lookup', {
+        location: { latitude: lat, longitude: lng },
+        days: days,
+        pageSize: Math.min(days, PROVIDER_CONFIG.google.dailyPageSize),
+        pageToken,
+        unitsSystem: 'METRIC',
+      }), ['forecastDays', 'dailyForecasts', 'daily'], days);
+
+      return transformDailyForecast(response, days, report);
+    },
+
+    async fetchAlerts(lat, lng, report) {
+      const query = new URLSearchParams({
+        key: apiKey,
+        'location.latitude': String(lat),
+        'location.longitude': String(lng),
+      });
+      const response = await fetchJson(`${baseUrl}/publicAlerts:lookup?${query}`);
+      return transformAlerts(response, report);
+    },
+
+    async fetchAirQuality(lat, lng, hours = API_CONFIG.HOURLY_HOURS, report) {
+      const location = { latitude: lat, longitude: lng };
+      const extraComputations = ['LOCAL_AQI', 'POLLUTANT_CONCENTRATION'];
+      const now = Date.now();
+
+      const [current, forecast, pollen] = await Promise.allSettled([
+        lookup('currentConditions:lookup', { location, extraComputations }, airQualityUrl),
+        fetchPages((pageToken) => lookup('forecast:lookup', {
+          location,
+          extraComputations,
+          period: {
+            startTime: new Date(now).toISOString(),
+            endTime: new Date(now + hours * 60 * 60 * 1000).toISOString(),
+          },
+          pageSize: Math.min(hours, PROVIDER_CONFIG.google.hourlyPageSize),
+          pageToken,
+        }, airQualityUrl), ['hourlyForecasts'], hours),
+        fetchJson(`${pollenUrl}/forecast:lookup?${new URLSearchParams({
+          key: apiKey,
+          'location.latitude': String(lat),
+          'location.longitude': String(lng),
+          days: String(API_CONFIG.POLLEN_DAYS),
+          plantsDescription: 'false',
+        })}`),
+      ]);
+
+      if (current.status === 'rejected' && forecast.status === 'rejected') {
+        throw current.reason;
+      }
+      // Either half alone still fills in what it can
+      if (current.status === 'rejected') {
+        reportUnavailable(report, 'airQuality', current.reason, 'current');
+      }
+      if (forecast.status === 'rejected') {
+        reportUnavailable(report, 'airQuality', forecast.reason, 'forecast');
+      }
+      // Pollen is a separate API that may not be enabled for the key
+      if (pollen.status === 'rejected') {
+        reportUnavailable(report, 'pollen', pollen.reason);
+      }
+
+      return transformAirQuality(
+        current.status === 'fulfilled' ? current.value : null,
+        forecast.status === 'fulfilled' ? forecast.value : null,
+        pollen.status === 'fulfilled' ? pollen.value : null,
+        hours,
+        report
+      );
+    },
+  };
+}
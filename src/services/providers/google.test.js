@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest';
+import fixture from './__fixtures__/google.json';
+import { createGoogleProvider, transformCurrentConditions, transformHourlyForecast, transformDailyForecast, transformAlerts } from './google.js';
+import { createWeatherService } from '../weatherApi.js';
+import { createQualityReport } from '../validation.js';
+import { createReplayFetch } from '../fixtures.js';
+
+const { lat, lng } = fixture.location;
+
+/** A copy of the recorded response for the first request whose URL matches */
+const recorded = (pattern) => structuredClone(fixture.requests.find(request => pattern.test(request.url)).response);
+
+describe('google provider', () => {
+  it('replays the recording into WeatherData', async () => {
+    const data = await createWeatherService('', { fixture }).fetchFreshWeather(lat, lng, { useCache: false });
+
+    expect(data.timeZone).toBe('America/Chicago');
+    expect(data.fetchedAt).toEqual(new Date(fixture.recordedAt));
+    expect(data.hourly).toHaveLength(fixture.horizon.hours);
+    expect(data.daily).toHaveLength(fixture.horizon.days);
+    expect(data.hourly.map(hour => hour.aqi)).toEqual([22, 23, 24, 25, 26, 27]);
+    expect(data.airQuality.current).toMatchObject({ aqi: 22, category: 'good', dominantPollutant: 'pm25' });
+    expect(data.airQuality.pollen).toHaveLength(3);
+    expect(data.alerts).toEqual([expect.objectContaining({
+      event: 'Cold Weather Advisory',
+      severity: 'moderate',
+      instruction: 'Wear appropriate clothing, a hat, and gloves.',
+      expires: new Date('2025-01-15T16:00:00Z'),
+    })]);
+    // Google has no minutely data, so the nowcast is estimated from the hours
+    expect(data.nowcast.source).toBe('mock');
+  });
+
+  it('converts metric values to °F, mph, inches and miles', () => {
+    const current = transformCurrentConditions(recorded(/weather\.googleapis\.com.*currentConditions/));
+    expect(current).toMatchObject({
+      feelsLike: -14, // -25.6 °C
+      windSpeed: 10, // 16 km/h
+      windGust: 20, // 32 km/h
+      dewPoint: -6, // -21.3 °C
+      visibility: 9.9, // 16 km
+      condition: 'CLEAR',
+      observationTime: new Date('2025-01-15T13:07:00Z'),
+      timeZone: 'America/Chicago',
+    });
+
+    const [, snowyDay] = transformDailyForecast(recorded(/forecast\/days/));
+    expect(snowyDay).toMatchObject({
+      tempHigh: 21, // -6.1 °C
+      tempLow: 5, // -15 °C
+      precipitationAmount: 0.1, // 2.5 mm
+      snowfall: 1, // 2.5 mm of melted snow
+      precipitationType: 'snow',
+      windGust: 25, // 40 km/h
+    });
+  });
+
+  it('keeps real zero values', () => {
+    const current = transformCurrentConditions(recorded(/weather\.googleapis\.com.*currentConditions/));
+    expect(current).toMatchObject({
+      temperature: 0, // -17.7 °C
+      uvIndex: 0,
+      precipitationProbability: 0,
+      precipitationAmount: 0,
+      cloudCover: 0,
+    });
+
+    const hours = transformHourlyForecast(recorded(/forecast\/hours/));
+    expect(hours[0]).toMatchObject({ temperature: 0, uvIndex: 0 });
+    expect(hours[5].windSpeed).toBe(0);
+  });
+
+  it('reports gaps in the recording as data quality issues', async () => {
+    const data = await createWeatherService('', { fixture }).fetchFreshWeather(lat, lng, { useCache: false });
+
+    expect(data.dataQuality.level).toBe('partial');
+    expect(data.dataQuality.issues).toEqual([
+      expect.objectContaining({ section: 'hourly', index: 3, field: 'humidity', issue: 'missing', severity: 'warning', fallback: 50 }),
+    ]);
+    expect(data.hourly[3].humidity).toBe(50);
+  });
+
+  it('drops hours without a temperature and reports them as errors', () => {
+    const response = recorded(/forecast\/hours/);
+    delete response.hourlyForecasts[2].temperature;
+    const report = createQualityReport();
+
+    const hours = transformHourlyForecast(response, 6, report);
+
+    expect(hours).toHaveLength(5);
+    expect(report.issues).toContainEqual(expect.objectContaining({ section: 'hourly', index: 2, field: 'temperature', severity: 'error' }));
+  });
+
+  it('reports the half of air quality that failed, keeping the other', async () => {
+    const replay = createReplayFetch(fixture);
+    const fetchJson = (url, options) => (/airquality.*forecast:lookup/.test(url)
+      ? Promise.reject(new Error('HTTP 403'))
+      : replay(url, options));
+    const report = createQualityReport();
+
+    const airQuality = await createGoogleProvider({ apiKey: '', fetchJson }).fetchAirQuality(lat, lng, fixture.horizon.hours, report);
+
+    expect(airQuality.current).toMatchObject({ aqi: 22 });
+    expect(report.issues).toEqual([expect.objectContaining({
+      section: 'airQuality',
+      field: 'airQuality',
+      issue: 'unavailable',
+      message: 'airQuality forecast request failed: HTTP 403',
+    })]);
+  });
+
+  it('keeps alerts without a severity, inferring it from the title', () => {
+    const response = recorded(/publicAlerts/);
+    delete response.weatherAlerts[0].severity;
+
+    expect(transformAlerts(response)[0].severity).toBe('minor');
+  });
+});
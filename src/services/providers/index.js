@@ -0,0 +1,76 @@
+/**
+ * Tiny Weather - Weather Provider Registry
+ *
+ * Every provider implements the same WeatherProvider interface and returns
+ * data in the app's WeatherData shape, so the rest of the app never needs to
+ * know which upstream API is in use. Pick one with API_CONFIG.PROVIDER or the
+ * `provider` option of createWeatherService.
+ *
+ * The 'replay' provider answers from a recorded fixture instead of the
+ * network (see services/fixtures.js).
+ */
+
+import { PROVIDER_CONFIG } from '../../utils/constants.js';
+import { createGoogleProvider } from './google.js';
+import { createOpenMeteoProvider } from './openMeteo.js';
+import { createNwsProvider } from './nws.js';
+import { createOpenWeatherMapProvider } from './openWeatherMap.js';
+import { parseFixture, createReplayFetch } from '../fixtures.js';
+
+/**
+ * Provider factories keyed by provider id
+ * @type {Record<string, (config: {apiKey?: string, baseUrl?: string, fetchJson?: Function, fixture?: import('../fixtures.js').WeatherFixture}) => import('../../types/index.js').WeatherProvider>}
+ */
+export const WEATHER_PROVIDERS = {
+  google: createGoogleProvider,
+  'open-meteo': createOpenMeteoProvider,
+  nws: createNwsProvider,
+  openweathermap: createOpenWeatherMapProvider,
+  replay: createReplayProvider,
+};
+
+/**
+ * Replay a recorded fixture through the provider that recorded it, so the
+ * same transformers run on the same raw responses - offline, without a key
+ * @param {Object} config
+ * @param {import('../fixtures.js').WeatherFixture | string} config.fixture - Recorded fixture (object or JSON text)
+ * @returns {import('../../types/index.js').WeatherProvider & {source: string, fixture: import('../fixtures.js').WeatherFixture}}
+ */
+function createReplayProvider({ fixture }) {
+  if (!fixture) {
+    throw new Error('The replay provider needs a recorded fixture');
+  }
+  const recorded = parseFixture(fixture);
+  const factory = WEATHER_PROVIDERS[recorded.provider];
+  if (!factory || factory === createReplayProvider) {
+    throw new Error(`Fixture was recorded from an unknown provider: ${recorded.provider}`);
+  }
+
+  const source = factory({ apiKey: 'replay', fetchJson: createReplayFetch(recorded) });
+  return { ...source, id: 'replay', source: recorded.provider, fixture: recorded };
+}
+
+/**
+ * Does this provider need an API key to make requests?
+ * @param {string} providerId
+ * @returns {boolean}
+ */
+export function providerRequiresApiKey(providerId) {
+  return PROVIDER_CONFIG[providerId]?.requiresApiKey ?? true;
+}
+
+/**
+ * Create a weather provider by id
+ * @param {string} providerId
+ * @param {{apiKey?: string, baseUrl?: string, fetchJson?: Function, fixture?: import('../fixtures.js').WeatherFixture}} [config]
+ * @returns {import('../../types/index.js').WeatherProvider}
+ */
+export function createProvider(providerId, config = {}) {
+  const factory = WEATHER_PROVIDERS[providerId];
+  if (!factory) {
+    throw new Error(`Unknown weather provider: ${providerId}`);
+  }
+  return factory(config);
+}
+
+export { createGoogleProvider, createOpenMeteoProvider, createNwsProvider, createOpenWeatherMapProvider };
@@ -0,0 +1,350 @@
+/**
+ * Tiny Weather - National Weather Service Provider
+ *
+ * Adapter for api.weather.gov (US locations only, no API key required).
+ * NWS is a two-step API: a /points lookup resolves coordinates to the
+ * forecast office grid and nearest observation stations, which are then
+ * queried for the actual data. The points lookup is memoized per location.
+ * Active alerts come straight from /alerts/active by point.
+ *
+ * NWS does not publish a UV index, so UV fields are always 0 and reported
+ * as unsupported in the data quality report.
+ */
+
+import { API_CONFIG, PROVIDER_CONFIG, mapCondition, getPrecipitationType, WEATHER_CONDITIONS } from '../../utils/constants.js';
+import { celsiusToFahrenheit, kmhToMph, mmToInches, metersToMiles } from '../../utils/units.js';
+import { normalizeAlertSeverity } from '../../utils/alerts.js';
+import { fetchWithRetry } from '../http.js';
+import { ParseError } from '../errors.js';
+import { createQualityReport, validateRecord, reportUnsupported } from '../validation.js';
+
+// ============================================================================
+// VALUE HELPERS
+// ============================================================================
+
+/**
+ * Convert a forecast temperature to Fahrenheit based on its unit
+ * @param {number} value
+ * @param {string} unit - 'F' or 'C'
+ * @returns {number}
+ */
+function toFahrenheit(value, unit) {
+  return unit === 'C' ? celsiusToFahrenheit(value) : Math.round(value);
+}
+
+/**
+ * Parse an NWS wind string like "5 to 10 mph" (uses the upper bound)
+ * @param {string} windSpeed
+ * @returns {number | null}
+ */
+function parseWindSpeed(windSpeed) {
+  const numbers = String(windSpeed || '').match(/\d+/g);
+  if (!numbers) return null;
+  return Math.max(...numbers.map(Number));
+}
+
+/** METAR sky cover codes → approximate cloud cover % */
+const CLOUD_AMOUNTS = { SKC: 0, CLR: 0, FEW: 20, SCT: 45, BKN: 75, OVC: 100, VV: 100 };
+
+/**
+ * Cloud cover from an observation's cloud layers (the most covered layer)
+ * @param {Array<{amount: string}> | undefined} layers
+ * @returns {number | null}
+ */
+function parseCloudCover(layers) {
+  const amounts = (layers || []).map(layer => CLOUD_AMOUNTS[layer.amount]).filter(a => a !== undefined);
+  return amounts.length > 0 ? Math.max(...amounts) : null;
+}
+
+// ============================================================================
+// RESPONSE SCHEMAS
+// ============================================================================
+
+/** Latest observation `properties` (SI units) */
+const OBSERVATION_SCHEMA = {
+  temperature: { paths: ['temperature.value'], type: 'number', required: true, min: -90, max: 60 },
+  // Only reported when they apply, so absence isn't a data problem
+  heatIndex: { paths: ['heatIndex.value'], type: 'number', min: -90, max: 80, reportMissing: false },
+  windChill: { paths: ['windChill.value'], type: 'number', min: -100, max: 60, reportMissing: false },
+  humidity: { paths: ['relativeHumidity.value'], type: 'number', min: 0, max: 100, fallback: 50 },
+  windSpeed: { paths: ['windSpeed.value'], type: 'number', min: 0, max: 400, fallback: 0 },
+  condition: { paths: ['textDescription'], type: 'string', fallback: 'CLEAR' },
+  observationTime: { paths: ['timestamp'], type: 'date' },
+  // Stations often leave these null
+  windGust: { paths: ['windGust.value'], type: 'number', min: 0, max: 500, reportMissing: false },
+  dewPoint: { paths: ['dewpoint.value'], type: 'number', min: -90, max: 40, reportMissing: false },
+  precipitationAmount: { paths: ['precipitationLastHour.value'], type: 'number', min: 0, max: 500, reportMissing: false },
+  visibility: { paths: ['visibility.value'], type: 'number', min: 0, max: 200000, reportMissing: false },
+};
+
+/** One forecast period (hourly or 12-hour) */
+const PERIOD_SCHEMA = {
+  time: { paths: ['startTime'], type: 'date', required: true },
+  temperature: { paths: ['temperature'], type: 'number', required: true, min: -140, max: 140 },
+  temperatureUnit: { paths: ['temperatureUnit'], type: 'string', fallback: 'F' },
+  humidity: { paths: ['relativeHumidity.value'], type: 'number', min: 0, max: 100, fallback: 50 },
+  precipitationProbability: { paths: ['probabilityOfPrecipitation.value'], type: 'number', min: 0, max: 100, fallback: 0 },
+  windSpeed: { paths: ['windSpeedMph'], type: 'number', min: 0, max: 250, fallback: 0 },
+  condition: { paths: ['shortForecast'], type: 'string', fallback: 'CLEAR' },
+  dewPoint: { paths: ['dewpoint.value'], type: 'number', min: -90, max: 40, reportMissing: false },
+};
+
+/** One alert feature's `properties` (CAP fields; issuers often leave the optional ones out) */
+const ALERT_SCHEMA = {
+  id: { paths: ['id'], type: 'string', required: true },
+  event: { paths: ['event'], type: 'string', required: true },
+  headline: { paths: ['headline', 'event'], type: 'string', fallback: '', reportMissing: false },
+  description: { paths: ['description'], type: 'string', fallback: '', reportMissing: false },
+  instruction: { paths: ['instruction'], type: 'string', reportMissing: false },
+  severity: { paths: ['severity'], type: 'string', fallback: 'Unknown', reportMissing: false },
+  area: { paths: ['areaDesc'], type: 'string', fallback: '', reportMissing: false },
+  onset: { paths: ['onset', 'effective'], type: 'date', reportMissing: false },
+  // `ends` is when the hazard ends; `expires` only when this message does
+  expires: { paths: ['ends', 'expires'], type: 'date', reportMissing: false },
+  source: { paths: ['senderName'], type: 'string', fallback: 'National Weather Service', reportMissing: false },
+};
+
+/**
+ * Validate a forecast period, pre-parsing its free-text wind speed
+ * @param {Object} period
+ * @param {{section: 'hourly' | 'daily', index: number, report: import('../validation.js').QualityReport}} context
+ */
+function validatePeriod(period, context) {
+  return validateRecord({ ...period, windSpeedMph: parseWindSpeed(period.windSpeed) }, PERIOD_SCHEMA, context);
+}
+
+// ============================================================================
+// API RESPONSE TRANSFORMERS
+// ============================================================================
+
+/**
+ * Transform a latest-observation response
+ * @param {Object} apiResponse
+ * @param {import('../validation.js').QualityReport} [report] - Collects data quality issues
+ * @returns {import('../../types/index.js').CurrentConditions}
+ */
+export function transformCurrentConditions(apiResponse, report = createQualityReport()) {
+  const obs = apiResponse.properties || {};
+  const { values, valid } = validateRecord(obs, OBSERVATION_SCHEMA, { section: 'current', report });
+  if (!valid) {
+    throw new ParseError('NWS observation has no usable temperature');
+  }
+  reportUnsupported(report, 'current', { uvIndex: 0, precipitationProbability: 0 });
+
+  const conditionCode = mapCondition(values.condition);
+  const precipitationAmount = values.precipitationAmount === null ? null : mmToInches(values.precipitationAmount);
+
+  return {
+    temperature: celsiusToFahrenheit(values.temperature),
+    feelsLike: celsiusToFahrenheit(values.heatIndex ?? values.windChill ?? values.temperature),
+    humidity: Math.round(values.humidity),
+    windSpeed: kmhToMph(values.windSpeed),
+    uvIndex: 0,
+    precipitationProbability: 0,
+    windGust: values.windGust === null ? null : kmhToMph(values.windGust),
+    dewPoint: values.dewPoint === null ? null : celsiusToFahrenheit(values.dewPoint),
+    cloudCover: parseCloudCover(obs.cloudLayers),
+    precipitationAmount,
+    precipitationType: getPrecipitationType({ condition: conditionCode, precipitationAmount }),
+    snowfall: null,
+    visibility: values.visibility === null ? null : metersToMiles(values.visibility),
+    condition: conditionCode,
+    conditionText: WEATHER_CONDITIONS[conditionCode].label,
+    icon: obs.icon || 'clear',
+    observationTime: values.observationTime ? new Date(values.observationTime) : new Date(),
+  };
+}
+
+/**
+ * Transform a forecastHourly response
+ * @param {Object} apiResponse
+ * @param {number} hours - How many hours to return
+ * @param {import('../validation.js').QualityReport} [report] - Collects data quality issues
+ * @returns {import('../../types/index.js').HourlyForecast[]}
+ */
+export function transformHourlyForecast(apiResponse, hours = API_CONFIG.HOURLY_HOURS, report = createQualityReport()) {
+  const periods = apiResponse.properties?.periods || [];
+  if (periods.length > 0) {
+    reportUnsupported(report, 'hourly', { uvIndex: 0, feelsLike: 'temperature' });
+  }
+
+  return periods.slice(0, hours).flatMap((period, index) => {
+    const { values, valid } = validatePeriod(period, { section: 'hourly', index, report });
+    if (!valid) return [];
+
+    const conditionCode = mapCondition(values.condition);
+    const temperature = toFahrenheit(values.temperature, values.temperatureUnit);
+
+    return [{
+      time: new Date(values.time),
+      temperature,
+      feelsLike: temperature,
+      humidity: values.humidity,
+      precipitationProbability: values.precipitationProbability,
+      uvIndex: 0,
+      windSpeed: values.windSpeed,
+      // The forecast periods carry no gusts, cloud cover, totals or visibility
+      windGust: null,
+      dewPoint: values.dewPoint === null ? null : celsiusToFahrenheit(values.dewPoint),
+      cloudCover: null,
+      precipitationAmount: null,
+      precipitationType: getPrecipitationType({ condition: conditionCode }),
+      snowfall: null,
+      visibility: null,
+      condition: conditionCode,
+      conditionText: WEATHER_CONDITIONS[conditionCode].label,
+    }];
+  });
+}
+
+/**
+ * Transform a 12-hour-period forecast response into calendar days.
+ * Day periods supply the high, night periods the low.
+ * @param {Object} apiResponse
+ * @param {number} days - How many days to return
+ * @param {import('../validation.js').QualityReport} [report] - Collects data quality issues
+ * @returns {import('../../types/index.js').DailyForecast[]}
+ */
+export function transformDailyForecast(apiResponse, days = API_CONFIG.DAILY_DAYS, report = createQualityReport()) {
+  const periods = apiResponse.properties?.periods || [];
+  if (periods.length > 0) {
+    reportUnsupported(report, 'daily', { uvIndexMax: 0, sunrise: '', sunset: '' });
+  }
+
+  // Group valid periods by the local calendar date in their ISO timestamp
+  const byDate = new Map();
+  periods.forEach((period, index) => {
+    const { values, valid } = validatePeriod(period, { section: 'daily', index, report });
+    if (!valid) return;
+    const key = String(values.time).slice(0, 10);
+    if (!byDate.has(key)) byDate.set(key, []);
+    byDate.get(key).push({ ...values, isDaytime: period.isDaytime });
+  });
+
+  return [...byDate.values()].slice(0, days).map(dayPeriods => {
+    const dayPeriod = dayPeriods.find(p => p.isDaytime);
+    const nightPeriod = dayPeriods.find(p => !p.isDaytime);
+    const high = dayPeriod || nightPeriod;
+    const low = nightPeriod || dayPeriod;
+    const conditionCode = mapCondition(high.condition);
+
+    return {
+      date: new Date(dayPeriods[0].time),
+      tempHigh: toFahrenheit(high.temperature, high.temperatureUnit),
+      tempLow: toFahrenheit(low.temperature, low.temperatureUnit),
+      precipitationProbability: Math.max(...dayPeriods.map(p => p.precipitationProbability)),
+      condition: conditionCode,
+      conditionText: WEATHER_CONDITIONS[conditionCode].label,
+      uvIndexMax: 0,
+      windGust: null,
+      dewPoint: null,
+      cloudCover: null,
+      precipitationAmount: null,
+      precipitationType: getPrecipitationType({ condition: conditionCode }),
+      snowfall: null,
+      visibility: null,
+      sunrise: '',
+      sunset: '',
+    };
+  });
+}
+
+/**
+ * Transform an /alerts/active response. Test, exercise and cancellation
+ * messages are skipped.
+ * @param {Object} apiResponse
+ * @param {import('../validation.js').QualityReport} [report] - Collects data quality issues
+ * @returns {import('../../types/index.js').WeatherAlert[]}
+ */
+export function transformAlerts(apiResponse, report = createQualityReport()) {
+  const alerts = (apiResponse.features || [])
+    .map(feature => feature.properties || {})
+    .filter(alert => alert.status === 'Actual' && alert.messageType !== 'Cancel');
+
+  return alerts.flatMap((alert, index) => {
+    const { values, valid } = validateRecord(alert, ALERT_SCHEMA, { section: 'alerts', index, report });
+    if (!valid) return [];
+
+    return [{
+      id: values.id,
+      event: values.event,
+      headline: values.headline,
+      description: values.description,
+      instruction: values.instruction,
+      severity: normalizeAlertSeverity(values.severity),
+      area: values.area,
+      onset: values.onset ? new Date(values.onset) : null,
+      expires: values.expires ? new Date(values.expires) : null,
+      source: values.source,
+    }];
+  });
+}
+
+// ============================================================================
+// PROVIDER
+// ============================================================================
+
+/**
+ * Create the National Weather Service provider
+ * @param {Object} [config]
+ * @param {string} [config.baseUrl] - Override the API base URL
+ * @param {typeof fetchWithRetry} [config.fetchJson] - Makes the requests (swapped out to record and replay fixtures)
+ * @returns {import('../../types/index.js').WeatherProvider}
+ */
+export function createNwsProvider({ baseUrl = PROVIDER_CONFIG.nws.baseUrl, fetchJson = fetchWithRetry } = {}) {
+  const headers = { Accept: 'application/geo+json' };
+  const pointsCache = new Map();
+
+  /**
+   * Resolve coordinates to forecast grid metadata (memoized)
+   * @param {number} lat
+   * @param {number} lng
+   */
+  function getPoint(lat, lng) {
+    const key = `${lat.toFixed(4)},${lng.toFixed(4)}`;
+    if (!pointsCache.has(key)) {
+      const request = fetchJson(`${baseUrl}/points/${key}`, { headers })
+        .then(response => response.properties)
+        .catch(error => {
+          pointsCache.delete(key);
+          throw error;
+        });
+      pointsCache.set(key, request);
+    }
+    return pointsCache.get(key);
+  }
+
+  return {
+    id: 'nws',
+
+    async fetchCurrentConditions(lat, lng, report) {
+      const point = await getPoint(lat, lng);
+      const stations = await fetchJson(point.observationStations, { headers });
+      const stationId = stations.features?.[0]?.properties?.stationIdentifier;
+      if (!stationId) {
+        throw new Error('No NWS observation station near this location');
+      }
+
+      const response = await fetchJson(`${baseUrl}/stations/${stationId}/observations/latest`, { headers });
+      // Observations don't carry a zone; the points lookup does
+      return { ...transformCurrentConditions(response, report), timeZone: point.timeZone };
+    },
+
+    async fetchHourlyForecast(lat, lng, hours = API_CONFIG.HOURLY_HOURS, report) {
+      const point = await getPoint(lat, lng);
+      const response = await fetchJson(point.forecastHourly, { headers });
+      return transformHourlyForecast(response, hours, report);
+    },
+
+    async fetchDailyForecast(lat, lng, days = API_CONFIG.DAILY_DAYS, report) {
+      const point = await getPoint(lat, lng);
+      const response = await fetchJson(point.forecast, { headers });
+      return transformDailyForecast(response, days, report);
+    },
+
+    async fetchAlerts(lat, lng, report) {
+      const response = await fetchJson(`${baseUrl}/alerts/active?point=${lat.toFixed(4)},${lng.toFixed(4)}`, { headers });
+      return transformAlerts(response, report);
+    },
+  };
+}
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import fixture from './__fixtures__/nws.json';
+import { transformCurrentConditions, transformHourlyForecast, transformDailyForecast, transformAlerts } from './nws.js';
+import { createWeatherService } from '../weatherApi.js';
+import { createQualityReport } from '../validation.js';
+
+const { lat, lng } = fixture.location;
+
+/** A copy of the recorded response for the first request whose URL matches */
+const recorded = (pattern) => structuredClone(fixture.requests.find(request => pattern.test(request.url)).response);
+
+describe('nws provider', () => {
+  it('replays the recording into WeatherData', async () => {
+    const data = await createWeatherService('', { fixture }).fetchFreshWeather(lat, lng, { useCache: false });
+
+    // Observations carry no zone; it comes from the points lookup
+    expect(data.timeZone).toBe('America/Chicago');
+    expect(data.current.timeZone).toBe('America/Chicago');
+    expect(data.fetchedAt).toEqual(new Date(fixture.recordedAt));
+    expect(data.hourly).toHaveLength(fixture.horizon.hours);
+    expect(data.daily).toHaveLength(fixture.horizon.days);
+    expect(data.airQuality).toBeNull();
+    expect(data.alerts).toEqual([expect.objectContaining({
+      event: 'Cold Weather Advisory',
+      severity: 'moderate',
+      area: 'Hennepin; Ramsey',
+      // When the hazard ends, not when the message does
+      expires: new Date('2025-01-15T16:00:00Z'),
+    })]);
+    expect(data.nowcast.source).toBe('mock');
+  });
+
+  it('converts SI observations and text wind speeds', () => {
+    const current = transformCurrentConditions(recorded(/observations\/latest/));
+    expect(current).toMatchObject({
+      humidity: 75, // 74.61 %
+      dewPoint: -6, // -21.1 °C
+      visibility: 10, // 16,090 m
+      condition: 'CLEAR',
+      observationTime: new Date('2025-01-15T12:53:00Z'),
+    });
+
+    const hours = transformHourlyForecast(recorded(/forecast\/hourly$/));
+    expect(hours[1]).toMatchObject({ temperature: -2, windSpeed: 10 }); // "5 to 10 mph"
+    expect(hours[0].time).toEqual(new Date('2025-01-15T13:00:00Z'));
+
+    // Day periods give the high, night periods the low
+    const days = transformDailyForecast(recorded(/forecast$/));
+    expect(days.map(day => [day.tempHigh, day.tempLow, day.precipitationProbability])).toEqual([[12, -4, 0], [25, 15, 60], [32, 19, 0]]);
+  });
+
+  it('keeps real zero values', () => {
+    const current = transformCurrentConditions(recorded(/observations\/latest/));
+    expect(current).toMatchObject({
+      temperature: 0, // -17.7 °C
+      feelsLike: 0, // No wind chill reported
+      windSpeed: 0,
+      cloudCover: 0, // Clear
+    });
+
+    const hours = transformHourlyForecast(recorded(/forecast\/hourly$/));
+    expect(hours[0]).toMatchObject({ temperature: 0, windSpeed: 0, precipitationProbability: 0 });
+  });
+
+  it('reports what NWS never provides and gaps in the recording', async () => {
+    const data = await createWeatherService('', { fixture }).fetchFreshWeather(lat, lng, { useCache: false });
+    const { issues } = data.dataQuality;
+
+    expect(data.dataQuality.level).toBe('partial');
+    expect(issues).toContainEqual(expect.objectContaining({ section: 'hourly', index: 4, field: 'precipitationProbability', issue: 'missing', fallback: 0 }));
+    expect(issues.filter(issue => issue.issue === 'unsupported').map(issue => `${issue.section}.${issue.field}`).sort()).toEqual([
+      'airQuality.airQuality',
+      'airQuality.pollen',
+      'current.precipitationProbability',
+      'current.uvIndex',
+      'daily.sunrise',
+      'daily.sunset',
+      'daily.uvIndexMax',
+      'hourly.feelsLike',
+      'hourly.uvIndex',
+    ]);
+    expect(issues.some(issue => issue.severity === 'error')).toBe(false);
+  });
+
+  it('drops periods without a temperature and reports them as errors', () => {
+    const response = recorded(/forecast\/hourly$/);
+    response.properties.periods[1].temperature = null;
+    const report = createQualityReport();
+
+    const hours = transformHourlyForecast(response, 6, report);
+
+    expect(hours).toHaveLength(5);
+    expect(hours[1].temperature).toBe(3);
+    expect(report.issues).toContainEqual(expect.objectContaining({ section: 'hourly', index: 1, field: 'temperature', severity: 'error' }));
+  });
+
+  it('skips test messages', () => {
+    const alerts = transformAlerts(recorded(/alerts\/active/));
+    expect(alerts.map(alert => alert.event)).toEqual(['Cold Weather Advisory']);
+  });
+});
@@ -0,0 +1,450 @@
+/**
+ * Tiny Weather - Open-Meteo Provider
+ *
+ * Adapter for the free Open-Meteo forecast and air quality APIs (no API key
+ * required). Pollen is only modelled for Europe; the nowcast uses 15-minute
+ * data. Open-Meteo returns column-oriented arrays, so the transformers zip them
+ * back into one object per hour/day.
+ */
+
+import { API_CONFIG, PROVIDER_CONFIG, NOWCAST_CONFIG, mapCondition, getPrecipitationType, WEATHER_CONDITIONS } from '../../utils/constants.js';
+import { celsiusToFahrenheit, mpsToMph, mmToInches, cmToInches, metersToMiles } from '../../utils/units.js';
+import { createAqiReading, pollenGrainsToIndex } from '../../utils/airQuality.js';
+import { getLocalDateKey } from '../../utils/time.js';
+import { fetchWithRetry } from '../http.js';
+import { ParseError } from '../errors.js';
+import { createQualityReport, validateRecord, reportUnsupported } from '../validation.js';
+
+// ============================================================================
+// WMO WEATHER CODES
+// ============================================================================
+
+/**
+ * WMO weather interpretation codes → condition strings understood by mapCondition
+ */
+const WMO_CONDITIONS = {
+  0: 'CLEAR',
+  1: 'MOSTLY_CLEAR',
+  2: 'PARTLY_CLOUDY',
+  3: 'OVERCAST',
+  45: 'FOG',
+  48: 'FOG',
+  51: 'LIGHT_DRIZZLE',
+  53: 'DRIZZLE',
+  55: 'DRIZZLE',
+  56: 'SLEET',
+  57: 'SLEET',
+  61: 'LIGHT_RAIN',
+  63: 'RAIN',
+  65: 'HEAVY_RAIN',
+  66: 'SLEET',
+  67: 'SLEET',
+  71: 'SNOW',
+  73: 'SNOW',
+  75: 'SNOW',
+  77: 'SNOW',
+  80: 'LIGHT_RAIN_SHOWERS',
+  81: 'RAIN_SHOWERS',
+  82: 'HEAVY_RAIN',
+  85: 'SNOW_SHOWERS',
+  86: 'SNOW_SHOWERS',
+  95: 'THUNDERSTORM',
+  96: 'THUNDERSTORM',
+  99: 'THUNDERSTORM',
+};
+
+/**
+ * Map a WMO weather code to our condition code
+ * @param {number} code
+ * @returns {keyof typeof WEATHER_CONDITIONS}
+ */
+function mapWmoCode(code) {
+  return mapCondition(WMO_CONDITIONS[code] || 'CLEAR');
+}
+
+const HOURLY_FIELDS = [
+  'temperature_2m',
+  'apparent_temperature',
+  'relative_humidity_2m',
+  'precipitation_probability',
+  'uv_index',
+  'wind_speed_10m',
+  'weather_code',
+  'wind_gusts_10m',
+  'dew_point_2m',
+  'cloud_cover',
+  'precipitation',
+  'snowfall',
+  'visibility',
+];
+
+const DAILY_FIELDS = [
+  'temperature_2m_max',
+  'temperature_2m_min',
+  'precipitation_probability_max',
+  'uv_index_max',
+  'weather_code',
+  'sunrise',
+  'sunset',
+  'wind_gusts_10m_max',
+  'precipitation_sum',
+  'snowfall_sum',
+];
+
+/** Pollen columns (grains/m³), grouped by the pollen type they count toward */
+const POLLEN_FIELDS = {
+  tree: ['alder_pollen', 'birch_pollen', 'olive_pollen'],
+  grass: ['grass_pollen'],
+  weed: ['mugwort_pollen', 'ragweed_pollen'],
+};
+
+const AIR_QUALITY_FIELDS = ['us_aqi', ...Object.values(POLLEN_FIELDS).flat()];
+
+// ============================================================================
+// RESPONSE SCHEMAS
+// ============================================================================
+
+/** `current` block, and one zipped row of the `hourly` block */
+const HOUR_SCHEMA = {
+  time: { paths: ['time'], type: 'number', required: true, min: 0 },
+  temperature: { paths: ['temperature_2m'], type: 'number', required: true, min: -90, max: 60 },
+  feelsLike: { paths: ['apparent_temperature'], type: 'number', min: -100, max: 70, fallbackField: 'temperature' },
+  humidity: { paths: ['relative_humidity_2m'], type: 'number', min: 0, max: 100, fallback: 50 },
+  precipitationProbability: { paths: ['precipitation_probability'], type: 'number', min: 0, max: 100, fallback: 0 },
+  uvIndex: { paths: ['uv_index'], type: 'number', min: 0, max: 20, fallback: 0 },
+  windSpeed: { paths: ['wind_speed_10m'], type: 'number', min: 0, max: 120, fallback: 0 },
+  condition: { paths: ['weather_code'], type: 'number', min: 0, max: 99, fallback: 0 },
+  // Extra detail (precipitation in mm and snowfall in cm over the preceding hour)
+  windGust: { paths: ['wind_gusts_10m'], type: 'number', min: 0, max: 200, reportMissing: false },
+  dewPoint: { paths: ['dew_point_2m'], type: 'number', min: -90, max: 40, reportMissing: false },
+  cloudCover: { paths: ['cloud_cover'], type: 'number', min: 0, max: 100, reportMissing: false },
+  precipitationAmount: { paths: ['precipitation'], type: 'number', min: 0, max: 500, reportMissing: false },
+  snowfall: { paths: ['snowfall'], type: 'number', min: 0, max: 500, reportMissing: false },
+  visibility: { paths: ['visibility'], type: 'number', min: 0, max: 200000, reportMissing: false },
+};
+
+/** One zipped row of the `daily` block */
+const DAILY_SCHEMA = {
+  date: { paths: ['time'], type: 'number', required: true, min: 0 },
+  tempHigh: { paths: ['temperature_2m_max'], type: 'number', required: true, min: -90, max: 60 },
+  tempLow: { paths: ['temperature_2m_min'], type: 'number', required: true, min: -90, max: 60 },
+  precipitationProbability: { paths: ['precipitation_probability_max'], type: 'number', min: 0, max: 100, fallback: 0 },
+  condition: { paths: ['weather_code'], type: 'number', min: 0, max: 99, fallback: 0 },
+  uvIndexMax: { paths: ['uv_index_max'], type: 'number', min: 0, max: 20, fallback: 0 },
+  sunrise: { paths: ['sunrise'], type: 'number', min: 0 },
+  sunset: { paths: ['sunset'], type: 'number', min: 0 },
+  windGust: { paths: ['wind_gusts_10m_max'], type: 'number', min: 0, max: 200, reportMissing: false },
+  precipitationAmount: { paths: ['precipitation_sum'], type: 'number', min: 0, max: 2000, reportMissing: false },
+  snowfall: { paths: ['snowfall_sum'], type: 'number', min: 0, max: 2000, reportMissing: false },
+};
+
+/** One zipped row of the `minutely_15` block (precipitation in mm per 15 minutes) */
+const MINUTE_SCHEMA = {
+  time: { paths: ['time'], type: 'number', required: true, min: 0 },
+  precipitation: { paths: ['precipitation'], type: 'number', required: true, min: 0, max: 200 },
+};
+
+/** `current` block, and one zipped row of the air quality `hourly` block */
+const AIR_QUALITY_SCHEMA = {
+  time: { paths: ['time'], type: 'number', required: true, min: 0 },
+  aqi: { paths: ['us_aqi'], type: 'number', min: 0, max: 500 },
+};
+
+/**
+ * Pick row `index` out of a column-oriented block
+ * @param {Record<string, any[]>} block
+ * @param {number} index
+ * @returns {Record<string, any>}
+ */
+function zipRow(block, index) {
+  return Object.fromEntries(Object.entries(block).map(([key, column]) => [key, column?.[index]]));
+}
+
+/**
+ * Convert the optional detail fields shared by current conditions, hours
+ * and days (m/s, °C, mm, cm, m). Daily rows have no dew point, cloud cover
+ * or visibility.
+ * @param {Record<string, any>} values - Validated values
+ * @param {keyof typeof WEATHER_CONDITIONS} conditionCode
+ * @returns {Pick<import('../../types/index.js').HourlyForecast, 'windGust' | 'dewPoint' | 'cloudCover' | 'precipitationAmount' | 'precipitationType' | 'snowfall' | 'visibility'>}
+ */
+function transformDetails(values, conditionCode) {
+  const precipitationAmount = values.precipitationAmount == null ? null : mmToInches(values.precipitationAmount);
+  const snowfall = values.snowfall == null ? null : cmToInches(values.snowfall);
+
+  return {
+    windGust: values.windGust == null ? null : mpsToMph(values.windGust),
+    dewPoint: values.dewPoint == null ? null : celsiusToFahrenheit(values.dewPoint),
+    cloudCover: values.cloudCover ?? null,
+    precipitationAmount,
+    precipitationType: getPrecipitationType({ condition: conditionCode, precipitationAmount, snowfall }),
+    snowfall,
+    visibility: values.visibility == null ? null : metersToMiles(values.visibility),
+  };
+}
+
+/**
+ * Convert a unix timestamp (seconds) to an ISO string, or '' if absent
+ * @param {number | null} seconds
+ * @returns {string}
+ */
+function unixToIso(seconds) {
+  return seconds === null ? '' : new Date(seconds * 1000).toISOString();
+}
+
+// ============================================================================
+// API RESPONSE TRANSFORMERS
+// ============================================================================
+
+/**
+ * Transform the `current` block of an Open-Meteo response
+ * @param {Object} apiResponse
+ * @param {import('../validation.js').QualityReport} [report] - Collects data quality issues
+ * @returns {import('../../types/index.js').CurrentConditions}
+ */
+export function transformCurrentConditions(apiResponse, report = createQualityReport()) {
+  const current = apiResponse.current || {};
+  const { values, valid } = validateRecord(current, HOUR_SCHEMA, { section: 'current', report });
+  if (!valid) {
+    throw new ParseError('Open-Meteo current block has no usable temperature');
+  }
+
+  const conditionCode = mapWmoCode(values.condition);
+
+  return {
+    temperature: celsiusToFahrenheit(values.temperature),
+    feelsLike: celsiusToFahrenheit(values.feelsLike),
+    humidity: values.humidity,
+    windSpeed: mpsToMph(values.windSpeed),
+    uvIndex: values.uvIndex,
+    precipitationProbability: values.precipitationProbability,
+    ...transformDetails(values, conditionCode),
+    condition: conditionCode,
+    conditionText: WEATHER_CONDITIONS[conditionCode].label,
+    icon: `wmo_${values.condition}`,
+    observationTime: new Date(values.time * 1000),
+    timeZone: apiResponse.timezone,
+  };
+}
+
+/**
+ * Transform the `hourly` block of an Open-Meteo response
+ * @param {Object} apiResponse
+ * @param {number} hours - How many hours to return
+ * @param {import('../validation.js').QualityReport} [report] - Collects data quality issues
+ * @returns {import('../../types/index.js').HourlyForecast[]}
+ */
+export function transformHourlyForecast(apiResponse, hours = API_CONFIG.HOURLY_HOURS, report = createQualityReport()) {
+  const hourly = apiResponse.hourly || {};
+  const count = Math.min(hourly.time?.length ?? 0, hours);
+
+  return Array.from({ length: count }).flatMap((_, index) => {
+    const { values, valid } = validateRecord(zipRow(hourly, index), HOUR_SCHEMA, { section: 'hourly', index, report });
+    if (!valid) return [];
+
+    const conditionCode = mapWmoCode(values.condition);
+
+    return [{
+      time: new Date(values.time * 1000),
+      temperature: celsiusToFahrenheit(values.temperature),
+      feelsLike: celsiusToFahrenheit(values.feelsLike),
+      humidity: values.humidity,
+      precipitationProbability: values.precipitationProbability,
+      uvIndex: values.uvIndex,
+      windSpeed: mpsToMph(values.windSpeed),
+      ...transformDetails(values, conditionCode),
+      condition: conditionCode,
+      conditionText: WEATHER_CONDITIONS[conditionCode].label,
+    }];
+  });
+}
+
+/**
+ * Transform the `daily` block of an Open-Meteo response
+ * @param {Object} apiResponse
+ * @param {number} days - How many days to return
+ * @param {import('../validation.js').QualityReport} [report] - Collects data quality issues
+ * @returns {import('../../types/index.js').DailyForecast[]}
+ */
+export function transformDailyForecast(apiResponse, days = API_CONFIG.DAILY_DAYS, report = createQualityReport()) {
+  const daily = apiResponse.daily || {};
+  const count = Math.min(daily.time?.length ?? 0, days);
+
+  return Array.from({ length: count }).flatMap((_, index) => {
+    const { values, valid } = validateRecord(zipRow(daily, index), DAILY_SCHEMA, { section: 'daily', index, report });
+    if (!valid) return [];
+
+    const conditionCode = mapWmoCode(values.condition);
+
+    return [{
+      date: new Date(values.date * 1000),
+      tempHigh: celsiusToFahrenheit(values.tempHigh),
+      tempLow: celsiusToFahrenheit(values.tempLow),
+      precipitationProbability: values.precipitationProbability,
+      condition: conditionCode,
+      conditionText: WEATHER_CONDITIONS[conditionCode].label,
+      uvIndexMax: values.uvIndexMax,
+      ...transformDetails(values, conditionCode),
+      sunrise: unixToIso(values.sunrise),
+      sunset: unixToIso(values.sunset),
+    }];
+  });
+}
+
+/**
+ * Transform the `minutely_15` block of an Open-Meteo response
+ * @param {Object} apiResponse
+ * @param {import('../validation.js').QualityReport} [report] - Collects data quality issues
+ * @returns {import('../../types/index.js').Nowcast | null} Null if the block is empty
+ */
+export function transformNowcast(apiResponse, report = createQualityReport()) {
+  const block = apiResponse.minutely_15 || {};
+  const count = block.time?.length ?? 0;
+
+  const points = Array.from({ length: count }).flatMap((_, index) => {
+    const { values, valid } = validateRecord(zipRow(block, index), MINUTE_SCHEMA, { section: 'nowcast', index, report });
+    if (!valid) return [];
+    // 15-minute totals → hourly rate
+    return [{ time: new Date(values.time * 1000), intensity: values.precipitation * 4 }];
+  });
+
+  return points.length > 0 ? { source: 'provider', points } : null;
+}
+
+/**
+ * Transform an Open-Meteo air quality response. Hourly pollen counts are
+ * reduced to each day's peak per type, on the Universal Pollen Index.
+ * @param {Object} apiResponse
+ * @param {number} hours - How many hours of AQI to return
+ * @param {import('../validation.js').QualityReport} [report] - Collects data quality issues
+ * @returns {import('../../types/index.js').AirQualityData}
+ */
+export function transformAirQuality(apiResponse, hours = API_CONFIG.HOURLY_HOURS, report = createQualityReport()) {
+  let current = null;
+  if (apiResponse.current) {
+    const { values, valid } = validateRecord(apiResponse.current, AIR_QUALITY_SCHEMA, { section: 'airQuality', report });
+    if (valid && values.aqi !== null) {
+      current = createAqiReading(values.aqi);
+    }
+  }
+
+  const block = apiResponse.hourly || {};
+  const rows = Array.from({ length: block.time?.length ?? 0 }, (_, index) => zipRow(block, index));
+
+  // Rows start at local midnight; the forecast starts at the current hour
+  const firstHour = (apiResponse.current?.time ?? 0) - 60 * 60;
+  const upcoming = rows.filter(row => typeof row.time !== 'number' || row.time > firstHour);
+
+  const hourly = upcoming.slice(0, hours).flatMap((row, index) => {
+    const { values, valid } = validateRecord(row, AIR_QUALITY_SCHEMA, { section: 'airQuality', index, report });
+    if (!valid || values.aqi === null) return [];
+    return [{ time: new Date(values.time * 1000), aqi: values.aqi }];
+  });
+
+  const hasPollen = rows.some(row => Object.values(POLLEN_FIELDS).flat().some(field => row[field] != null));
+  if (!hasPollen) {
+    reportUnsupported(report, 'pollen', { pollen: 0 });
+    return { current, hourly, pollen: [] };
+  }
+
+  const days = new Map();
+  for (const row of rows) {
+    if (typeof row.time !== 'number') continue;
+    const date = new Date(row.time * 1000);
+    const key = getLocalDateKey(date, apiResponse.timezone);
+    if (!days.has(key)) {
+      days.set(key, { date, tree: 0, grass: 0, weed: 0 });
+    }
+    const day = days.get(key);
+    for (const [type, fields] of Object.entries(POLLEN_FIELDS)) {
+      for (const field of fields) {
+        day[type] = Math.max(day[type], pollenGrainsToIndex(type, row[field]));
+      }
+    }
+  }
+
+  return { current, hourly, pollen: [...days.values()] };
+}
+
+// ============================================================================
+// PROVIDER
+// ============================================================================
+
+/**
+ * Create the Open-Meteo provider
+ * @param {Object} [config]
+ * @param {string} [config.baseUrl] - Override the API base URL
+ * @param {string} [config.airQualityUrl] - Override the air quality API base URL
+ * @param {typeof fetchWithRetry} [config.fetchJson] - Makes the requests (swapped out to record and replay fixtures)
+ * @returns {import('../../types/index.js').WeatherProvider}
+ */
+export function createOpenMeteoProvider({
+  baseUrl = PROVIDER_CONFIG['open-meteo'].baseUrl,
+  airQualityUrl = PROVIDER_CONFIG['open-meteo'].airQualityUrl,
+  fetchJson = fetchWithRetry,
+} = {}) {
+  /**
+   * GET a forecast with the given query params
+   * @param {number} lat
+   * @param {number} lng
+   * @param {Record<string, string | number>} params
+   */
+  function forecast(lat, lng, params) {
+    const query = new URLSearchParams({
+      latitude: String(lat),
+      longitude: String(lng),
+      wind_speed_unit: 'ms', // We'll convert to mph
+      timeformat: 'unixtime',
+      timezone: 'auto', // Daily rows split at local midnight; also reports the zone
+      ...params,
+    });
+    return fetchJson(`${baseUrl}/forecast?${query}`);
+  }
+
+  return {
+    id: 'open-meteo',
+
+    async fetchCurrentConditions(lat, lng, report) {
+      const response = await forecast(lat, lng, { current: HOURLY_FIELDS.join(',') });
+      return transformCurrentConditions(response, report);
+    },
+
+    async fetchHourlyForecast(lat, lng, hours = API_CONFIG.HOURLY_HOURS, report) {
+      const response = await forecast(lat, lng, {
+        hourly: HOURLY_FIELDS.join(','),
+        forecast_hours: hours,
+      });
+      return transformHourlyForecast(response, hours, report);
+    },
+
+    async fetchDailyForecast(lat, lng, days = API_CONFIG.DAILY_DAYS, report) {
+      const response = await forecast(lat, lng, {
+        daily: DAILY_FIELDS.join(','),
+        forecast_days: days,
+      });
+      return transformDailyForecast(response, days, report);
+    },
+
+    async fetchNowcast(lat, lng, report) {
+      const response = await forecast(lat, lng, {
+        minutely_15: 'precipitation',
+        forecast_minutely_15: Math.ceil(NOWCAST_CONFIG.MINUTES / 15),
+      });
+      return transformNowcast(response, report);
+    },
+
+    async fetchAirQuality(lat, lng, hours = API_CONFIG.HOURLY_HOURS, report) {
+      const query = new URLSearchParams({
+        latitude: String(lat),
+        longitude: String(lng),
+        current: 'us_aqi',
+        hourly: AIR_QUALITY_FIELDS.join(','),
+        timeformat: 'unixtime',
+        timezone: 'auto',
+        forecast_days: String(API_CONFIG.POLLEN_DAYS),
+      });
+      const response = await fetchJson(`${airQualityUrl}/air-quality?${query}`);
+      return transformAirQuality(response, hours, report);
+    },
+  };
+}
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import fixture from './__fixtures__/open-meteo.json';
+import { transformCurrentConditions, transformHourlyForecast, transformDailyForecast, transformNowcast } from './openMeteo.js';
+import { createWeatherService } from '../weatherApi.js';
+import { createQualityReport } from '../validation.js';
+
+const { lat, lng } = fixture.location;
+
+/** A copy of the recorded response for the first request whose URL matches */
+const recorded = (pattern) => structuredClone(fixture.requests.find(request => pattern.test(request.url)).response);
+
+describe('open-meteo provider', () => {
+  it('replays the recording into WeatherData', async () => {
+    const data = await createWeatherService('', { fixture }).fetchFreshWeather(lat, lng, { useCache: false });
+
+    expect(data.timeZone).toBe('America/Chicago');
+    expect(data.fetchedAt).toEqual(new Date(fixture.recordedAt));
+    expect(data.current).toMatchObject({ temperature: 32, condition: 'OVERCAST', observationTime: new Date('2025-01-15T13:00:00Z') });
+    expect(data.hourly).toHaveLength(fixture.horizon.hours);
+    expect(data.hourly[0].time).toEqual(new Date('2025-01-15T13:00:00Z'));
+    expect(data.daily).toHaveLength(fixture.horizon.days);
+    // Air quality rows start at local midnight; the forecast starts at the current hour
+    expect(data.hourly.map(hour => hour.aqi)).toEqual([27, 28, 29, 30, 31, 20]);
+    expect(data.airQuality.current).toMatchObject({ aqi: 27, category: 'good' });
+    expect(data.airQuality.pollen).toEqual([]);
+    expect(data.alerts).toEqual([]);
+    expect(data.nowcast.source).toBe('provider');
+  });
+
+  it('converts metric values to °F, mph, inches and miles', () => {
+    const hours = transformHourlyForecast(recorded(/hourly=/));
+    expect(hours[3]).toMatchObject({
+      temperature: 36, // 2.2 °C
+      feelsLike: 28, // -2.4 °C
+      windSpeed: 10, // 4.5 m/s
+      windGust: 20, // 9.1 m/s
+      visibility: 11.2, // 18 km
+    });
+    expect(hours[5]).toMatchObject({
+      precipitationAmount: 0.03, // 0.8 mm
+      snowfall: 0.2, // 0.56 cm
+      precipitationType: 'snow',
+    });
+
+    const [today] = transformDailyForecast(recorded(/daily=/));
+    expect(today).toMatchObject({
+      date: new Date('2025-01-15T06:00:00Z'),
+      tempHigh: 38, // 3.1 °C
+      precipitationAmount: 0.04, // 1.1 mm
+      snowfall: 0.3, // 0.77 cm
+      sunrise: '2025-01-15T13:45:00.000Z',
+    });
+
+    // 15-minute totals become hourly rates
+    const nowcast = transformNowcast(recorded(/minutely_15=/));
+    expect(nowcast.points.map(point => point.intensity)).toEqual([0, 0, 0, 0, 0.4, 0.8, 1.2, 0.4]);
+  });
+
+  it('keeps real zero values', () => {
+    const current = transformCurrentConditions(recorded(/current=temperature/));
+    expect(current).toMatchObject({
+      temperature: 32, // 0 °C
+      windSpeed: 0,
+      uvIndex: 0,
+      precipitationProbability: 0,
+      precipitationAmount: 0,
+      snowfall: 0,
+    });
+
+    const hours = transformHourlyForecast(recorded(/hourly=/));
+    expect(hours[1].temperature).toBe(0); // -17.7 °C
+
+    const [, , dayAfter] = transformDailyForecast(recorded(/daily=/));
+    expect(dayAfter).toMatchObject({ tempHigh: 32, uvIndexMax: 0, precipitationProbability: 0 });
+  });
+
+  it('reports gaps in the recording as data quality issues', async () => {
+    const data = await createWeatherService('', { fixture }).fetchFreshWeather(lat, lng, { useCache: false });
+
+    expect(data.dataQuality.level).toBe('partial');
+    expect(data.dataQuality.issues).toEqual(expect.arrayContaining([
+      expect.objectContaining({ section: 'hourly', index: 2, field: 'humidity', issue: 'missing', fallback: 50 }),
+      expect.objectContaining({ section: 'pollen', field: 'pollen', issue: 'unsupported' }),
+      expect.objectContaining({ section: 'alerts', field: 'alerts', issue: 'unsupported' }),
+    ]));
+    expect(data.dataQuality.issues).toHaveLength(3);
+  });
+
+  it('drops hours without a temperature and reports them as errors', () => {
+    const response = recorded(/hourly=/);
+    response.hourly.temperature_2m[4] = null;
+    const report = createQualityReport();
+
+    const hours = transformHourlyForecast(response, 6, report);
+
+    expect(hours).toHaveLength(5);
+    expect(report.issues).toContainEqual(expect.objectContaining({ section: 'hourly', index: 4, field: 'temperature', severity: 'error' }));
+  });
+});
@@ -0,0 +1,375 @@
+/**
+ * Tiny Weather - OpenWeatherMap Provider
+ *
+ * Adapter for the OpenWeatherMap One Call API 3.0.
+ * One Call returns current, hourly and daily data from a single endpoint;
+ * each fetch excludes the blocks it doesn't need. Air quality comes from the
+ * separate Air Pollution API, which reports PM2.5 but no pollen.
+ */
+
+import { API_CONFIG, PROVIDER_CONFIG, mapCondition, getPrecipitationType, WEATHER_CONDITIONS } from '../../utils/constants.js';
+import { celsiusToFahrenheit, mpsToMph, mmToInches, metersToMiles, snowWaterToInches } from '../../utils/units.js';
+import { pm25ToUsAqi, createAqiReading } from '../../utils/airQuality.js';
+import { inferAlertSeverity } from '../../utils/alerts.js';
+import { fetchWithRetry } from '../http.js';
+import { ParseError } from '../errors.js';
+import { createQualityReport, validateRecord, reportUnsupported } from '../validation.js';
+
+const ONE_CALL_BLOCKS = ['current', 'minutely', 'hourly', 'daily', 'alerts'];
+
+/**
+ * OpenWeatherMap cloud condition ids → condition strings.
+ * Everything else falls back to the free-text description.
+ */
+const OWM_CLOUD_CONDITIONS = {
+  800: 'CLEAR',
+  801: 'MOSTLY_CLEAR',
+  802: 'PARTLY_CLOUDY',
+  803: 'CLOUDY',
+  804: 'OVERCAST',
+};
+
+/**
+ * Map an OpenWeatherMap condition to our condition code
+ * @param {number | null} id - OWM condition id
+ * @param {string} description - OWM free-text description
+ * @returns {keyof typeof WEATHER_CONDITIONS}
+ */
+function mapOwmCondition(id, description) {
+  return mapCondition(OWM_CLOUD_CONDITIONS[id] || description);
+}
+
+// ============================================================================
+// RESPONSE SCHEMAS
+// ============================================================================
+
+/** `current` block, or one entry of `hourly` (metric units, pop as 0-1) */
+const HOUR_SCHEMA = {
+  time: { paths: ['dt'], type: 'number', required: true, min: 0 },
+  temperature: { paths: ['temp'], type: 'number', required: true, min: -90, max: 60 },
+  feelsLike: { paths: ['feels_like'], type: 'number', min: -100, max: 70, fallbackField: 'temperature' },
+  humidity: { paths: ['humidity'], type: 'number', min: 0, max: 100, fallback: 50 },
+  windSpeed: { paths: ['wind_speed'], type: 'number', min: 0, max: 120, fallback: 0 },
+  uvIndex: { paths: ['uvi'], type: 'number', min: 0, max: 20, fallback: 0 },
+  pop: { paths: ['pop'], type: 'number', min: 0, max: 1, fallback: 0 },
+  conditionId: { paths: ['weather.0.id'], type: 'number', reportMissing: false },
+  condition: { paths: ['weather.0.description', 'weather.0.main'], type: 'string', fallback: 'CLEAR' },
+  windGust: { paths: ['wind_gust'], type: 'number', min: 0, max: 200, reportMissing: false },
+  dewPoint: { paths: ['dew_point'], type: 'number', min: -90, max: 40, reportMissing: false },
+  cloudCover: { paths: ['clouds'], type: 'number', min: 0, max: 100, reportMissing: false },
+  // `rain` and `snow` (mm of liquid over the hour) are only sent when something falls
+  rain: { paths: ['rain.1h'], type: 'number', min: 0, max: 500, fallback: 0, reportMissing: false },
+  snow: { paths: ['snow.1h'], type: 'number', min: 0, max: 500, fallback: 0, reportMissing: false },
+  visibility: { paths: ['visibility'], type: 'number', min: 0, max: 10000, reportMissing: false },
+};
+
+/** One entry of `daily` */
+const DAILY_SCHEMA = {
+  date: { paths: ['dt'], type: 'number', required: true, min: 0 },
+  tempHigh: { paths: ['temp.max'], type: 'number', required: true, min: -90, max: 60 },
+  tempLow: { paths: ['temp.min'], type: 'number', required: true, min: -90, max: 60 },
+  pop: { paths: ['pop'], type: 'number', min: 0, max: 1, fallback: 0 },
+  uvIndexMax: { paths: ['uvi'], type: 'number', min: 0, max: 20, fallback: 0 },
+  conditionId: { paths: ['weather.0.id'], type: 'number', reportMissing: false },
+  condition: { paths: ['weather.0.description', 'weather.0.main'], type: 'string', fallback: 'CLEAR' },
+  sunrise: { paths: ['sunrise'], type: 'number', min: 0 },
+  sunset: { paths: ['sunset'], type: 'number', min: 0 },
+  windGust: { paths: ['wind_gust'], type: 'number', min: 0, max: 200, reportMissing: false },
+  dewPoint: { paths: ['dew_point'], type: 'number', min: -90, max: 40, reportMissing: false },
+  cloudCover: { paths: ['clouds'], type: 'number', min: 0, max: 100, reportMissing: false },
+  rain: { paths: ['rain'], type: 'number', min: 0, max: 2000, fallback: 0, reportMissing: false },
+  snow: { paths: ['snow'], type: 'number', min: 0, max: 2000, fallback: 0, reportMissing: false },
+};
+
+/** One entry of the Air Pollution API `list` (OWM's own AQI is a 1-5 scale, so use PM2.5) */
+const AIR_QUALITY_SCHEMA = {
+  time: { paths: ['dt'], type: 'number', required: true, min: 0 },
+  pm25: { paths: ['components.pm2_5'], type: 'number', required: true, min: 0, max: 1000 },
+};
+
+/** One entry of `minutely` (precipitation in mm/h) */
+const MINUTE_SCHEMA = {
+  time: { paths: ['dt'], type: 'number', required: true, min: 0 },
+  intensity: { paths: ['precipitation'], type: 'number', required: true, min: 0, max: 500 },
+};
+
+/** One entry of `alerts` (no severity - it's inferred from the event name) */
+const ALERT_SCHEMA = {
+  event: { paths: ['event'], type: 'string', required: true },
+  start: { paths: ['start'], type: 'number', min: 0, reportMissing: false },
+  end: { paths: ['end'], type: 'number', min: 0, reportMissing: false },
+  description: { paths: ['description'], type: 'string', fallback: '', reportMissing: false },
+  source: { paths: ['sender_name'], type: 'string', fallback: 'OpenWeatherMap', reportMissing: false },
+};
+
+/**
+ * Convert the optional detail fields shared by current conditions, hours
+ * and days (m/s, °C, mm of liquid, m). Daily entries have no visibility.
+ * @param {Record<string, any>} values - Validated values
+ * @param {keyof typeof WEATHER_CONDITIONS} conditionCode
+ * @returns {Pick<import('../../types/index.js').HourlyForecast, 'windGust' | 'dewPoint' | 'cloudCover' | 'precipitationAmount' | 'precipitationType' | 'snowfall' | 'visibility'>}
+ */
+function transformDetails(values, conditionCode) {
+  const precipitationAmount = mmToInches(values.rain + values.snow);
+  const snowfall = snowWaterToInches(values.snow);
+
+  return {
+    windGust: values.windGust == null ? null : mpsToMph(values.windGust),
+    dewPoint: values.dewPoint == null ? null : celsiusToFahrenheit(values.dewPoint),
+    cloudCover: values.cloudCover ?? null,
+    precipitationAmount,
+    precipitationType: getPrecipitationType({ condition: conditionCode, precipitationAmount, snowfall }),
+    snowfall,
+    visibility: values.visibility == null ? null : metersToMiles(values.visibility),
+  };
+}
+
+/**
+ * Convert a unix timestamp (seconds) to an ISO string, or '' if absent
+ * @param {number | null} seconds
+ * @returns {string}
+ */
+function unixToIso(seconds) {
+  return seconds === null ? '' : new Date(seconds * 1000).toISOString();
+}
+
+// ============================================================================
+// API RESPONSE TRANSFORMERS
+// ============================================================================
+
+/**
+ * Transform the `current` block of a One Call response
+ * @param {Object} apiResponse
+ * @param {import('../validation.js').QualityReport} [report] - Collects data quality issues
+ * @returns {import('../../types/index.js').CurrentConditions}
+ */
+export function transformCurrentConditions(apiResponse, report = createQualityReport()) {
+  const current = apiResponse.current || {};
+  // One Call has no current precip probability; borrow the first hour's
+  const record = { ...current, pop: apiResponse.hourly?.[0]?.pop };
+  const { values, valid } = validateRecord(record, HOUR_SCHEMA, { section: 'current', report });
+  if (!valid) {
+    throw new ParseError('OpenWeatherMap current block has no usable temperature');
+  }
+
+  const conditionCode = mapOwmCondition(values.conditionId, values.condition);
+
+  return {
+    temperature: celsiusToFahrenheit(values.temperature),
+    feelsLike: celsiusToFahrenheit(values.feelsLike),
+    humidity: values.humidity,
+    windSpeed: mpsToMph(values.windSpeed),
+    uvIndex: values.uvIndex,
+    precipitationProbability: Math.round(values.pop * 100),
+    ...transformDetails(values, conditionCode),
+    condition: conditionCode,
+    conditionText: WEATHER_CONDITIONS[conditionCode].label,
+    icon: current.weather?.[0]?.icon || 'clear',
+    observationTime: new Date(values.time * 1000),
+    timeZone: apiResponse.timezone,
+  };
+}
+
+/**
+ * Transform the `hourly` block of a One Call response
+ * @param {Object} apiResponse
+ * @param {number} hours - How many hours to return
+ * @param {import('../validation.js').QualityReport} [report] - Collects data quality issues
+ * @returns {import('../../types/index.js').HourlyForecast[]}
+ */
+export function transformHourlyForecast(apiResponse, hours = API_CONFIG.HOURLY_HOURS, report = createQualityReport()) {
+  const hourlyData = apiResponse.hourly || [];
+
+  return hourlyData.slice(0, hours).flatMap((hour, index) => {
+    const { values, valid } = validateRecord(hour, HOUR_SCHEMA, { section: 'hourly', index, report });
+    if (!valid) return [];
+
+    const conditionCode = mapOwmCondition(values.conditionId, values.condition);
+
+    return [{
+      time: new Date(values.time * 1000),
+      temperature: celsiusToFahrenheit(values.temperature),
+      feelsLike: celsiusToFahrenheit(values.feelsLike),
+      humidity: values.humidity,
+      precipitationProbability: Math.round(values.pop * 100),
+      uvIndex: values.uvIndex,
+      windSpeed: mpsToMph(values.windSpeed),
+      ...transformDetails(values, conditionCode),
+      condition: conditionCode,
+      conditionText: WEATHER_CONDITIONS[conditionCode].label,
+    }];
+  });
+}
+
+/**
+ * Transform the `daily` block of a One Call response
+ * @param {Object} apiResponse
+ * @param {number} days - How many days to return
+ * @param {import('../validation.js').QualityReport} [report] - Collects data quality issues
+ * @returns {import('../../types/index.js').DailyForecast[]}
+ */
+export function transformDailyForecast(apiResponse, days = API_CONFIG.DAILY_DAYS, report = createQualityReport()) {
+  const dailyData = apiResponse.daily || [];
+
+  return dailyData.slice(0, days).flatMap((day, index) => {
+    const { values, valid } = validateRecord(day, DAILY_SCHEMA, { section: 'daily', index, report });
+    if (!valid) return [];
+
+    const conditionCode = mapOwmCondition(values.conditionId, values.condition);
+
+    return [{
+      date: new Date(values.date * 1000),
+      tempHigh: celsiusToFahrenheit(values.tempHigh),
+      tempLow: celsiusToFahrenheit(values.tempLow),
+      precipitationProbability: Math.round(values.pop * 100),
+      condition: conditionCode,
+      conditionText: WEATHER_CONDITIONS[conditionCode].label,
+      uvIndexMax: values.uvIndexMax,
+      ...transformDetails(values, conditionCode),
+      sunrise: unixToIso(values.sunrise),
+      sunset: unixToIso(values.sunset),
+    }];
+  });
+}
+
+/**
+ * Transform the `minutely` block of a One Call response (the next hour)
+ * @param {Object} apiResponse
+ * @param {import('../validation.js').QualityReport} [report] - Collects data quality issues
+ * @returns {import('../../types/index.js').Nowcast | null} Null if the block is absent
+ *   (OpenWeatherMap only has minutely data for some regions)
+ */
+export function transformNowcast(apiResponse, report = createQualityReport()) {
+  if (!apiResponse.minutely?.length) return null;
+
+  const points = apiResponse.minutely.flatMap((minute, index) => {
+    const { values, valid } = validateRecord(minute, MINUTE_SCHEMA, { section: 'nowcast', index, report });
+    if (!valid) return [];
+    return [{ time: new Date(values.time * 1000), intensity: values.intensity }];
+  });
+
+  return points.length > 0 ? { source: 'provider', points } : null;
+}
+
+/**
+ * Transform the `alerts` block of a One Call response
+ * @param {Object} apiResponse
+ * @param {import('../validation.js').QualityReport} [report] - Collects data quality issues
+ * @returns {import('../../types/index.js').WeatherAlert[]}
+ */
+export function transformAlerts(apiResponse, report = createQualityReport()) {
+  return (apiResponse.alerts || []).flatMap((alert, index) => {
+    const { values, valid } = validateRecord(alert, ALERT_SCHEMA, { section: 'alerts', index, report });
+    if (!valid) return [];
+
+    return [{
+      // One Call alerts have no id; event + start is unique per sender
+      id: `owm:${values.source}:${values.event}:${values.start ?? ''}`,
+      event: values.event,
+      headline: values.event,
+      description: values.description,
+      instruction: null,
+      severity: inferAlertSeverity(values.event),
+      area: '',
+      onset: values.start !== null ? new Date(values.start * 1000) : null,
+      expires: values.end !== null ? new Date(values.end * 1000) : null,
+      source: values.source,
+    }];
+  });
+}
+
+/**
+ * Transform an Air Pollution API forecast response. The first entry is the
+ * current hour.
+ * @param {Object} apiResponse
+ * @param {number} hours - How many hours to return
+ * @param {import('../validation.js').QualityReport} [report] - Collects data quality issues
+ * @returns {import('../../types/index.js').AirQualityData}
+ */
+export function transformAirQuality(apiResponse, hours = API_CONFIG.HOURLY_HOURS, report = createQualityReport()) {
+  const hourly = (apiResponse.list || []).slice(0, hours).flatMap((entry, index) => {
+    const { values, valid } = validateRecord(entry, AIR_QUALITY_SCHEMA, { section: 'airQuality', index, report });
+    if (!valid) return [];
+    return [{ time: new Date(values.time * 1000), aqi: pm25ToUsAqi(values.pm25) }];
+  });
+
+  reportUnsupported(report, 'pollen', { pollen: 0 });
+
+  return {
+    current: hourly.length > 0 ? createAqiReading(hourly[0].aqi, 'pm25') : null,
+    hourly,
+    pollen: [],
+  };
+}
+
+// ============================================================================
+// PROVIDER
+// ============================================================================
+
+/**
+ * Create the OpenWeatherMap provider
+ * @param {Object} config
+ * @param {string} config.apiKey - OpenWeatherMap API key (One Call 3.0 subscription)
+ * @param {string} [config.baseUrl] - Override the API base URL
+ * @param {string} [config.airQualityUrl] - Override the Air Pollution API base URL
+ * @param {typeof fetchWithRetry} [config.fetchJson] - Makes the requests (swapped out to record and replay fixtures)
+ * @returns {import('../../types/index.js').WeatherProvider}
+ */
+export function createOpenWeatherMapProvider({
+  apiKey,
+  baseUrl = PROVIDER_CONFIG.openweathermap.baseUrl,
+  airQualityUrl = PROVIDER_CONFIG.openweathermap.airQualityUrl,
+  fetchJson = fetchWithRetry,
+}) {
+  /**
+   * GET One Call data, keeping only the requested blocks
+   * @param {number} lat
+   * @param {number} lng
+   * @param {string[]} include
+   */
+  function oneCall(lat, lng, include) {
+    const query = new URLSearchParams({
+      lat: String(lat),
+      lon: String(lng),
+      appid: apiKey,
+      units: 'metric', // We'll convert to Fahrenheit
+      exclude: ONE_CALL_BLOCKS.filter(block => !include.includes(block)).join(','),
+    });
+    return fetchJson(`${baseUrl}/onecall?${query}`);
+  }
+
+  return {
+    id: 'openweathermap',
+
+    async fetchCurrentConditions(lat, lng, report) {
+      const response = await oneCall(lat, lng, ['current', 'hourly']);
+      return transformCurrentConditions(response, report);
+    },
+
+    async fetchHourlyForecast(lat, lng, hours = API_CONFIG.HOURLY_HOURS, report) {
+      const response = await oneCall(lat, lng, ['hourly']);
+      return transformHourlyForecast(response, hours, report);
+    },
+
+    async fetchDailyForecast(lat, lng, days = API_CONFIG.DAILY_DAYS, report) {
+      const response = await oneCall(lat, lng, ['daily']);
+      return transformDailyForecast(response, days, report);
+    },
+
+    async fetchNowcast(lat, lng, report) {
+      const response = await oneCall(lat, lng, ['minutely']);
+      return transformNowcast(response, report);
+    },
+
+    async fetchAlerts(lat, lng, report) {
+      const response = await oneCall(lat, lng, ['alerts']);
+      return transformAlerts(response, report);
+    },
+
+    async fetchAirQuality(lat, lng, hours = API_CONFIG.HOURLY_HOURS, report) {
+      const query = new URLSearchParams({ lat: String(lat), lon: String(lng), appid: apiKey });
+      const response = await fetchJson(`${airQualityUrl}/air_pollution/forecast?${query}`);
+      return transformAirQuality(response, hours, report);
+    },
+  };
+}
@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import fixture from './__fixtures__/openweathermap.json';
+import { transformCurrentConditions, transformHourlyForecast, transformDailyForecast, transformAirQuality } from './openWeatherMap.js';
+import { createWeatherService } from '../weatherApi.js';
+import { createQualityReport } from '../validation.js';
+
+const { lat, lng } = fixture.location;
+
+/** A copy of the recorded response for the first request whose URL matches */
+const recorded = (pattern) => structuredClone(fixture.requests.find(request => pattern.test(request.url)).response);
+
+/** One Call responses, by the blocks they kept */
+const oneCall = {
+  current: () => recorded(/exclude=minutely%2Cdaily%2Calerts$/),
+  hourly: () => recorded(/exclude=current%2Cminutely%2Cdaily%2Calerts$/),
+  daily: () => recorded(/exclude=current%2Cminutely%2Chourly%2Calerts$/),
+};
+
+describe('openweathermap provider', () => {
+  it('replays the recording into WeatherData', async () => {
+    const data = await createWeatherService('', { fixture }).fetchFreshWeather(lat, lng, { useCache: false });
+
+    expect(data.timeZone).toBe('America/Chicago');
+    expect(data.fetchedAt).toEqual(new Date(fixture.recordedAt));
+    expect(data.current).toMatchObject({ temperature: 32, condition: 'SNOW', icon: '13d' });
+    expect(data.hourly).toHaveLength(fixture.horizon.hours);
+    expect(data.daily).toHaveLength(fixture.horizon.days);
+    expect(data.airQuality.pollen).toEqual([]);
+    // No severity from One Call; an advisory is minor
+    expect(data.alerts).toEqual([expect.objectContaining({ event: 'Winter Weather Advisory', severity: 'minor', expires: new Date('2025-01-15T23:00:00Z') })]);
+    expect(data.nowcast).toMatchObject({ source: 'provider' });
+    expect(data.nowcast.points).toHaveLength(61);
+  });
+
+  it('converts metric values and 0-1 chances of rain', () => {
+    const hours = transformHourlyForecast(oneCall.hourly());
+    expect(hours[1]).toMatchObject({
+      feelsLike: -8, // -22.5 °C
+      windSpeed: 8, // 3.6 m/s
+      windGust: 16, // 7.2 m/s
+      precipitationProbability: 40, // 0.4
+      precipitationAmount: 0.02, // 0.5 mm
+      snowfall: 0.2, // 0.5 mm of melted snow
+      precipitationType: 'snow',
+      visibility: 6.2, // 10 km
+    });
+
+    const [today] = transformDailyForecast(oneCall.daily());
+    expect(today).toMatchObject({
+      date: new Date('2025-01-15T18:00:00Z'),
+      tempHigh: 34, // 1.2 °C
+      precipitationProbability: 80,
+      snowfall: 1.3, // 3.4 mm of melted snow
+      sunrise: '2025-01-15T13:45:00.000Z',
+    });
+
+    // PM2.5 µg/m³ on the US AQI scale
+    const airQuality = transformAirQuality(recorded(/air_pollution/));
+    expect(airQuality.hourly.map(hour => hour.aqi)).toEqual([0, 17, 24, 34, 50, 57, 52, 42]);
+  });
+
+  it('keeps real zero values', () => {
+    const current = transformCurrentConditions(oneCall.current());
+    expect(current).toMatchObject({
+      temperature: 32, // 0 °C
+      windSpeed: 0,
+      uvIndex: 0,
+      precipitationProbability: 0, // Borrowed from the first hour
+    });
+
+    const hours = transformHourlyForecast(oneCall.hourly());
+    expect(hours[1].temperature).toBe(0); // -17.7 °C
+    expect(hours[2]).toMatchObject({ cloudCover: 0, precipitationAmount: 0, snowfall: 0 });
+
+    const [, , clearDay] = transformDailyForecast(oneCall.daily());
+    expect(clearDay).toMatchObject({ uvIndexMax: 0, precipitationProbability: 0 });
+
+    expect(transformAirQuality(recorded(/air_pollution/)).current.aqi).toBe(0);
+  });
+
+  it('reports gaps in the recording as data quality issues', async () => {
+    const data = await createWeatherService('', { fixture }).fetchFreshWeather(lat, lng, { useCache: false });
+
+    expect(data.dataQuality.level).toBe('partial');
+    expect(data.dataQuality.issues).toEqual([
+      expect.objectContaining({ section: 'hourly', index: 3, field: 'feelsLike', issue: 'missing', severity: 'warning' }),
+      expect.objectContaining({ section: 'pollen', field: 'pollen', issue: 'unsupported' }),
+    ]);
+    // A missing feels-like falls back to the temperature
+    expect(data.hourly[3].feelsLike).toBe(data.hourly[3].temperature);
+  });
+
+  it('drops hours without a temperature and reports them as errors', () => {
+    const response = oneCall.hourly();
+    delete response.hourly[0].temp;
+    const report = createQualityReport();
+
+    const hours = transformHourlyForecast(response, 6, report);
+
+    expect(hours).toHaveLength(5);
+    expect(report.issues).toContainEqual(expect.objectContaining({ section: 'hourly', index: 0, field: 'temperature', severity: 'error' }));
+  });
+});
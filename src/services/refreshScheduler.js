@@ -0,0 +1,116 @@
+/**
+ * Tiny Weather - Refresh Scheduling
+ *
+ * Keeps the weather current on a screen left open all day (the kitchen
+ * tablet):
+ * - Refetch when the data expires
+ * - Not while the page is hidden or offline; catch up as soon as it's back
+ * - Less and less often while refreshes keep failing, and not at all for
+ *   failures that retrying won't fix (a bad API key)
+ */
+
+import { API_CONFIG } from '../utils/constants.js';
+
+/**
+ * How long to wait before the next automatic refresh
+ * @param {Object} state
+ * @param {Date | string | null} [state.expiresAt] - When the data on screen expires
+ * @param {number} [state.failures=0] - Refreshes that have failed in a row
+ * @param {import('./errors.js').WeatherError | Error | null} [state.error] - The last failure
+ * @param {Date} [state.now]
+ * @param {() => number} [state.random] - Source of jitter, like Math.random
+ * @returns {number | null} Milliseconds, or null for no automatic refresh
+ */
+export function getRefreshDelay({ expiresAt = null, failures = 0, error = null, now = new Date(), random = Math.random }) {
+  if (failures > 0) {
+    if (error?.kind === 'auth') return null;
+    const backoff = Math.min(API_CONFIG.REFRESH_BACKOFF_MS * 2 ** (failures - 1), API_CONFIG.REFRESH_BACKOFF_MAX_MS);
+    const delay = backoff / 2 + random() * backoff / 2;
+    return Math.max(delay, error?.retryAfterMs ?? 0);
+  }
+  if (!expiresAt) return null;
+  return Math.max(new Date(expiresAt).getTime() - now.getTime(), API_CONFIG.REFRESH_MIN_INTERVAL_MS);
+}
+
+/**
+ * Create a scheduler that calls `refresh` when planned, holding off while
+ * the page is hidden or offline and catching up when it's back
+ * @param {() => void} refresh
+ * @param {Object} [env] - Browser globals (swap in fakes for tests)
+ * @param {Document} [env.document]
+ * @param {Window} [env.window]
+ * @param {Navigator} [env.navigator]
+ */
+export function createRefreshScheduler(refresh, {
+  document = globalThis.document,
+  window = globalThis.window,
+  navigator = globalThis.navigator,
+} = {}) {
+  let timer = null;
+  /** When the planned refresh is due (ms), or null when none is planned */
+  let dueAt = null;
+  /** The plan is a retry after a failure - coming back online brings it forward */
+  let retrying = false;
+
+  const canRefresh = () => document?.visibilityState !== 'hidden' && navigator?.onLine !== false;
+
+  const clearTimer = () => {
+    clearTimeout(timer);
+    timer = null;
+  };
+
+  const run = () => {
+    clearTimer();
+    dueAt = null;
+    retrying = false;
+    refresh();
+  };
+
+  // Arm the timer for the plan, unless we're hidden or offline (then wake() picks it up)
+  const arm = () => {
+    clearTimer();
+    if (dueAt === null || !canRefresh()) return;
+    timer = setTimeout(run, Math.max(0, dueAt - Date.now()));
+  };
+
+  const wake = () => {
+    if (!canRefresh()) {
+      clearTimer();
+      return;
+    }
+    if (dueAt !== null && Date.now() >= dueAt) run();
+    else arm();
+  };
+
+  const onOnline = () => {
+    if (retrying && canRefresh()) run();
+    else wake();
+  };
+
+  document?.addEventListener('visibilitychange', wake);
+  window?.addEventListener('online', onOnline);
+  window?.addEventListener('offline', wake);
+
+  return {
+    /**
+     * Plan the next refresh, replacing any earlier plan
+     * @param {number | null} delay - Milliseconds from now, or null for none
+     * @param {Object} [options]
+     * @param {boolean} [options.afterError=false] - A retry: run it as soon as the connection returns
+     */
+    schedule(delay, { afterError = false } = {}) {
+      dueAt = delay === null ? null : Date.now() + delay;
+      retrying = afterError;
+      arm();
+    },
+
+    /** Cancel the plan and stop listening for page and network changes */
+    stop() {
+      clearTimer();
+      dueAt = null;
+      document?.removeEventListener('visibilitychange', wake);
+      window?.removeEventListener('online', onOnline);
+      window?.removeEventListener('offline', wake);
+    },
+  };
+}
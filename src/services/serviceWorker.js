@@ -0,0 +1,33 @@
+/**
+ * Tiny Weather - Service Worker Registration
+ *
+ * Production builds register /sw.js (src/sw.js, emitted by the plugin in
+ * vite.config.ts) so the app shell opens offline. Dev builds don't: a cached
+ * shell would hide code changes.
+ */
+
+/**
+ * Register the service worker once the page has loaded
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled] - Defaults to production builds only
+ * @returns {Promise<ServiceWorkerRegistration | null>} Null when not registered
+ */
+export function registerServiceWorker({ enabled = import.meta.env?.PROD ?? false } = {}) {
+  if (!enabled || typeof navigator === 'undefined' || !('serviceWorker' in navigator)) {
+    return Promise.resolve(null);
+  }
+
+  return new Promise((resolve) => {
+    const register = () => {
+      navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`)
+        .then(resolve)
+        .catch((error) => {
+          console.warn('Service worker registration failed:', error);
+          resolve(null);
+        });
+    };
+    // Don't compete with the first weather fetch for bandwidth
+    if (document.readyState === 'complete') register();
+    else window.addEventListener('load', register, { once: true });
+  });
+}
@@ -2,12 +2,16 @@
  * Tiny Weather - Smart Tips Generator
  * 
  * Generates parent-specific tips and alerts based on weather conditions.
+ * Official alerts from the provider (heat advisories, winter storm
+ * warnings...) outrank anything derived from thresholds here.
  * 
  * Tip categories:
+ * - Official weather alerts
  * - Temperature swing alerts
  * - Rain timing for pickup/dropoff
- * - Playground condition warnings
+ * - Playground condition warnings (heat, wet, snow, ice, gusts, fog)
  * - Weekend planning suggestions
+ * - Air quality and pollen
  * - Safety reminders
  */
 
@@ -17,21 +21,36 @@ import {
   RAIN_THRESHOLDS,
   HUMIDITY_THRESHOLDS,
   WIND_THRESHOLDS,
+  AIR_QUALITY_THRESHOLDS,
+  POLLEN_THRESHOLDS,
+  PRECIPITATION_THRESHOLDS,
+  SKY_THRESHOLDS,
+  VISIBILITY_THRESHOLDS,
   TIME_CONFIG,
+  ALERT_SEVERITIES,
+  APPARENT_CONFIG,
 } from '../utils/constants.js';
+import { getOutdoorFeelsLike, getHeatIndex, getWindChill } from '../utils/apparentTemperature.js';
+import { getLocalHour, getLocalWeekday } from '../utils/time.js';
+import { getPeakPollen } from '../utils/airQuality.js';
+import { getActiveAlerts, getAlertEmoji } from '../utils/alerts.js';
+import { hashString } from '../utils/random.js';
 
 // ============================================================================
 // TIP DEFINITIONS
 // ============================================================================
 
 /**
- * Create a tip object
+ * Create a tip object.
+ * The id comes from the category and wording, so the same tip keeps the same
+ * id across renders and refreshes (and works as a React key).
  * @param {Partial<import('../types/index.js').SmartTip>} tip 
  * @returns {import('../types/index.js').SmartTip}
  */
 function createTip(tip) {
+  const category = tip.category || 'general';
   return {
-    id: `tip-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    id: `tip-${category}-${hashString(`${tip.title}|${tip.message}`).toString(36)}`,
     type: 'info',
     priority: 'medium',
     emoji: '💡',
@@ -43,6 +62,36 @@ function createTip(tip) {
 // TIP GENERATORS
 // ============================================================================
 
+/**
+ * Turn an official alert into a tip
+ * @param {import('../types/index.js').WeatherAlert} alert 
+ * @returns {import('../types/index.js').SmartTip}
+ */
+function createAlertTip(alert) {
+  const { priority } = ALERT_SEVERITIES[alert.severity];
+  return createTip({
+    type: priority === 'high' ? 'alert' : 'warning',
+    priority,
+    title: alert.event,
+    message: alert.headline || alert.event,
+    emoji: getAlertEmoji(alert.event),
+    category: 'official',
+    alertId: alert.id,
+  });
+}
+
+/**
+ * "38°", or "38° (feels like 30°)" when the two differ noticeably
+ * @param {number} temperature
+ * @param {number} feelsLike
+ * @returns {string}
+ */
+function formatTemperature(temperature, feelsLike) {
+  return Math.abs(feelsLike - temperature) >= APPARENT_CONFIG.NOTABLE_DIFF_F
+    ? `${temperature}° (feels like ${feelsLike}°)`
+    : `${temperature}°`;
+}
+
 /**
  * Generate temperature-related tips
  * @param {import('../types/index.js').WeatherData} weather 
@@ -88,8 +137,11 @@ function generateTemperatureTips(weather) {
     }));
   }
   
+  // Warnings go by how it feels outdoors - the figure the outfit is picked by
+  const feelsLike = getOutdoorFeelsLike(current);
+  
   // Extreme cold warning
-  if (current.temperature < TEMP_THRESHOLDS.FREEZING) {
+  if (feelsLike < TEMP_THRESHOLDS.FREEZING) {
     tips.push(createTip({
       type: 'alert',
       priority: 'high',
@@ -98,19 +150,19 @@ function generateTemperatureTips(weather) {
       emoji: '🥶',
       category: 'temperature',
     }));
-  } else if (current.temperature < TEMP_THRESHOLDS.VERY_COLD) {
+  } else if (feelsLike < TEMP_THRESHOLDS.VERY_COLD) {
     tips.push(createTip({
       type: 'warning',
       priority: 'medium',
       title: 'Very Cold Outside',
-      message: `Only ${current.temperature}° right now. Add extra layer for little ones.`,
+      message: `Only ${formatTemperature(current.temperature, feelsLike)} right now. Add extra layer for little ones.`,
       emoji: '❄️',
       category: 'temperature',
     }));
   }
   
   // Extreme heat warning
-  if (current.temperature >= TEMP_THRESHOLDS.DANGEROUS) {
+  if (feelsLike >= TEMP_THRESHOLDS.DANGEROUS) {
     tips.push(createTip({
       type: 'alert',
       priority: 'high',
@@ -119,16 +171,16 @@ function generateTemperatureTips(weather) {
       emoji: '🔥',
       category: 'temperature',
     }));
-  } else if (current.temperature >= TEMP_THRESHOLDS.VERY_HOT) {
+  } else if (feelsLike >= TEMP_THRESHOLDS.VERY_HOT) {
     tips.push(createTip({
       type: 'warning',
       priority: 'high',
       title: 'Very Hot Today',
-      message: `${current.temperature}° - Plan activities for early morning or late afternoon only.`,
+      message: `${formatTemperature(current.temperature, feelsLike)} - Plan activities for early morning or late afternoon only.`,
       emoji: '☀️',
       category: 'temperature',
     }));
-  } else if (current.temperature >= TEMP_THRESHOLDS.HOT) {
+  } else if (feelsLike >= TEMP_THRESHOLDS.HOT) {
     tips.push(createTip({
       type: 'info',
       priority: 'medium',
@@ -149,7 +201,7 @@ function generateTemperatureTips(weather) {
  */
 function generateRainTips(weather) {
   const tips = [];
-  const { hourly } = weather;
+  const { hourly, timeZone } = weather;
   
   // Find hours with high rain probability
   const rainyHours = hourly.filter(h => h.precipitationProbability >= RAIN_THRESHOLDS.LIKELY);
@@ -176,7 +228,7 @@ function generateRainTips(weather) {
   
   // Find rain timing
   const firstRainyHour = rainyHours[0];
-  const rainStartHour = firstRainyHour.time.getHours();
+  const rainStartHour = getLocalHour(firstRainyHour.time, timeZone);
   
   // Rain during dropoff (7-9am)
   if (rainStartHour >= TIME_CONFIG.MORNING_START && rainStartHour <= TIME_CONFIG.MORNING_END) {
@@ -192,7 +244,7 @@ function generateRainTips(weather) {
   
   // Rain during pickup (2-4pm)
   const pickupRain = hourly.filter(h => {
-    const hour = h.time.getHours();
+    const hour = getLocalHour(h.time, timeZone);
     return hour >= TIME_CONFIG.PICKUP_HOUR - 1 && 
            hour <= TIME_CONFIG.PICKUP_HOUR + 1 && 
            h.precipitationProbability >= RAIN_THRESHOLDS.LIKELY;
@@ -213,7 +265,7 @@ function generateRainTips(weather) {
   
   // Afternoon rain (outdoor activity impact)
   const afternoonRain = hourly.filter(h => {
-    const hour = h.time.getHours();
+    const hour = getLocalHour(h.time, timeZone);
     return hour >= TIME_CONFIG.AFTERNOON_START && 
            hour <= TIME_CONFIG.AFTERNOON_END && 
            h.precipitationProbability >= RAIN_THRESHOLDS.LIKELY;
@@ -297,14 +349,15 @@ function generateComfortTips(weather) {
   const tips = [];
   const { current, hourly } = weather;
   
-  // High humidity + heat = feels hotter
+  // High humidity + heat = feels hotter. Humidity alone, so it's the shade
+  // figure - labelled, as it won't match the outdoor feels-like
   if (current.humidity >= HUMIDITY_THRESHOLDS.VERY_HUMID && 
       current.temperature >= TEMP_THRESHOLDS.WARM) {
     tips.push(createTip({
       type: 'warning',
       priority: 'medium',
       title: 'Humid & Hot',
-      message: `${current.humidity}% humidity makes ${current.temperature}° feel much hotter. Bring extra water and take breaks.`,
+      message: `${current.humidity}% humidity makes ${current.temperature}° feel like ${Math.round(getHeatIndex(current.temperature, current.humidity))}° in the shade. Bring extra water and take breaks.`,
       emoji: '💦',
       category: 'comfort',
     }));
@@ -332,11 +385,15 @@ function generateComfortTips(weather) {
       category: 'wind',
     }));
   } else if (maxWind >= WIND_THRESHOLDS.WINDY && current.temperature < TEMP_THRESHOLDS.COOL) {
+    // The strongest wind coming, in the shade - labelled, as it won't match the outdoor feels-like
+    const windChill = Math.round(getWindChill(current.temperature, maxWind));
     tips.push(createTip({
       type: 'info',
       priority: 'medium',
       title: 'Wind Chill Factor',
-      message: 'Wind makes it feel colder than the thermometer shows. Add a windbreaker layer.',
+      message: windChill < current.temperature
+        ? `Winds up to ${maxWind} mph make ${current.temperature}° feel like ${windChill}° in the shade. Add a windbreaker layer.`
+        : 'Wind makes it feel colder than the thermometer shows. Add a windbreaker layer.',
       emoji: '🌬️',
       category: 'wind',
     }));
@@ -353,9 +410,12 @@ function generateComfortTips(weather) {
 function generatePlaygroundTips(weather) {
   const tips = [];
   const { current, hourly } = weather;
+  const nextHours = hourly.slice(0, 4);
   
-  // Hot playground equipment
-  if (current.temperature >= TEMP_THRESHOLDS.HOT) {
+  // Hot playground equipment - metal in full sun heats well past the air
+  const inSun = typeof current.cloudCover !== 'number' || current.cloudCover < SKY_THRESHOLDS.SUNNY_BELOW;
+  if (current.temperature >= TEMP_THRESHOLDS.HOT ||
+      (current.temperature >= TEMP_THRESHOLDS.WARM && inSun)) {
     tips.push(createTip({
       type: 'warning',
       priority: 'high',
@@ -366,9 +426,24 @@ function generatePlaygroundTips(weather) {
     }));
   }
   
-  // Wet/slippery conditions
-  const recentRain = hourly.slice(0, 4).some(h => h.precipitationProbability >= RAIN_THRESHOLDS.VERY_LIKELY);
-  if (recentRain) {
+  // Wet/slippery conditions - measured totals when the provider has them,
+  // otherwise a guess from the rain chance
+  const amounts = [current, ...nextHours].map(h => h.precipitationAmount).filter(a => typeof a === 'number');
+  const wetEquipment = amounts.length > 0
+    ? amounts.some(a => a >= PRECIPITATION_THRESHOLDS.WET_SURFACES)
+    : nextHours.some(h => h.precipitationProbability >= RAIN_THRESHOLDS.VERY_LIKELY);
+  const snowfall = [current, ...nextHours].reduce((total, h) => total + (h.snowfall ?? 0), 0);
+  
+  if (snowfall >= PRECIPITATION_THRESHOLDS.SNOW_PLAY) {
+    tips.push(createTip({
+      type: 'tip',
+      priority: 'medium',
+      title: 'Snow Play',
+      message: `About ${Math.round(snowfall * 10) / 10}" of snow on the way. Snow pants, waterproof mittens and a dry change of clothes.`,
+      emoji: '⛄',
+      category: 'playground',
+    }));
+  } else if (wetEquipment) {
     tips.push(createTip({
       type: 'info',
       priority: 'medium',
@@ -379,32 +454,63 @@ function generatePlaygroundTips(weather) {
     }));
   }
   
-  // Frozen conditions
+  // Frozen conditions - ice from fresh precipitation, frost from a dew point near the temperature
+  const frosty = typeof current.dewPoint === 'number' &&
+    current.temperature - current.dewPoint <= SKY_THRESHOLDS.FROST_SPREAD;
   if (current.temperature < TEMP_THRESHOLDS.FREEZING) {
     tips.push(createTip({
       type: 'warning',
       priority: 'high',
       title: 'Icy Conditions',
-      message: 'Playground surfaces may be icy. Watch for slipping hazards.',
+      message: wetEquipment || frosty
+        ? 'Slides, steps and swings are likely icy or frosted. Watch for slipping hazards.'
+        : 'Playground surfaces may be icy. Watch for slipping hazards.',
       emoji: '🧊',
       category: 'playground',
     }));
   }
   
+  // Gusts - swings and loose hats
+  const maxGust = Math.max(0, ...nextHours.map(h => h.windGust ?? 0), current.windGust ?? 0);
+  if (maxGust >= WIND_THRESHOLDS.GUSTY) {
+    tips.push(createTip({
+      type: maxGust >= WIND_THRESHOLDS.DAMAGING_GUSTS ? 'warning' : 'info',
+      priority: maxGust >= WIND_THRESHOLDS.DAMAGING_GUSTS ? 'high' : 'low',
+      title: 'Gusty at the Park',
+      message: maxGust >= WIND_THRESHOLDS.DAMAGING_GUSTS
+        ? `Gusts up to ${maxGust} mph. Stay clear of trees and skip the park if you can.`
+        : `Gusts up to ${maxGust} mph. Hold on to hats and watch little ones on high equipment.`,
+      emoji: '🌬️',
+      category: 'wind',
+    }));
+  }
+  
+  // Fog - hard to keep sight of runners
+  if (typeof current.visibility === 'number' && current.visibility < VISIBILITY_THRESHOLDS.FOG) {
+    tips.push(createTip({
+      type: 'info',
+      priority: current.visibility < VISIBILITY_THRESHOLDS.DENSE_FOG ? 'high' : 'medium',
+      title: 'Foggy Park',
+      message: `Visibility is under ${current.visibility < VISIBILITY_THRESHOLDS.DENSE_FOG ? 'a quarter mile' : 'a mile'}. Bright clothes help you keep sight of them, and take care near roads.`,
+      emoji: '🌫️',
+      category: 'visibility',
+    }));
+  }
+  
   return tips;
 }
 
 /**
  * Generate weekend planning tips
  * @param {import('../types/index.js').WeatherData} weather 
+ * @param {Date} now
  * @returns {import('../types/index.js').SmartTip[]}
  */
-function generateWeekendTips(weather) {
+function generateWeekendTips(weather, now) {
   const tips = [];
-  const { daily } = weather;
+  const { daily, timeZone } = weather;
   
-  const today = new Date();
-  const dayOfWeek = today.getDay();
+  const dayOfWeek = getLocalWeekday(now, timeZone);
   
   // Only generate weekend tips on Thursday/Friday
   if (dayOfWeek !== 4 && dayOfWeek !== 5) {
@@ -412,8 +518,8 @@ function generateWeekendTips(weather) {
   }
   
   // Find Saturday and Sunday in the forecast
-  const saturday = daily.find(d => d.date.getDay() === 6);
-  const sunday = daily.find(d => d.date.getDay() === 0);
+  const saturday = daily.find(d => getLocalWeekday(d.date, timeZone) === 6);
+  const sunday = daily.find(d => getLocalWeekday(d.date, timeZone) === 0);
   
   if (!saturday || !sunday) return tips;
   
@@ -485,6 +591,77 @@ function scoreDay(day) {
   return Math.max(0, score);
 }
 
+/**
+ * Generate air quality and pollen tips
+ * @param {import('../types/index.js').WeatherData} weather 
+ * @param {Date} now
+ * @returns {import('../types/index.js').SmartTip[]}
+ */
+function generateAirQualityTips(weather, now) {
+  const tips = [];
+  const { airQuality, hourly, timeZone } = weather;
+  // Older cached data and some providers have none
+  if (!airQuality) return tips;
+  
+  const currentAqi = airQuality.current?.aqi ?? null;
+  const worstHour = hourly
+    .filter(h => h.aqi !== null && h.aqi !== undefined)
+    .reduce((worst, h) => (!worst || h.aqi > worst.aqi ? h : worst), null);
+  
+  if (currentAqi !== null && currentAqi > AIR_QUALITY_THRESHOLDS.SENSITIVE) {
+    tips.push(createTip({
+      type: 'alert',
+      priority: 'high',
+      title: 'Unhealthy Air',
+      message: `Air quality is ${airQuality.current.label.toLowerCase()} (AQI ${currentAqi}). Keep kids indoors and windows closed.`,
+      emoji: '😷',
+      category: 'air',
+    }));
+  } else if (currentAqi !== null && currentAqi > AIR_QUALITY_THRESHOLDS.MODERATE) {
+    tips.push(createTip({
+      type: 'warning',
+      priority: 'high',
+      title: 'Poor Air Quality',
+      message: `AQI ${currentAqi}. Keep outdoor play short and calm, especially for kids with asthma.`,
+      emoji: '😷',
+      category: 'air',
+    }));
+  } else if (worstHour && worstHour.aqi > AIR_QUALITY_THRESHOLDS.MODERATE) {
+    const when = getLocalHour(worstHour.time, timeZone) >= TIME_CONFIG.AFTERNOON_START ? 'this afternoon' : 'later';
+    tips.push(createTip({
+      type: 'warning',
+      priority: 'medium',
+      title: 'Air Quality Dropping',
+      message: `Air quality worsens ${when} (AQI up to ${worstHour.aqi}). Get outdoor play in early.`,
+      emoji: '🌫️',
+      category: 'air',
+    }));
+  }
+  
+  const pollen = getPeakPollen(airQuality, timeZone, now);
+  if (pollen && pollen.index >= POLLEN_THRESHOLDS.HIGH) {
+    tips.push(createTip({
+      type: 'warning',
+      priority: 'medium',
+      title: 'High Pollen',
+      message: `${pollen.index >= POLLEN_THRESHOLDS.VERY_HIGH ? 'Very high' : 'High'} ${pollen.type} pollen. Change clothes and wash hands and face after outdoor play.`,
+      emoji: '🤧',
+      category: 'pollen',
+    }));
+  } else if (pollen && pollen.index >= POLLEN_THRESHOLDS.MODERATE) {
+    tips.push(createTip({
+      type: 'info',
+      priority: 'low',
+      title: 'Moderate Pollen',
+      message: `Some ${pollen.type} pollen around. Allergy-prone kids may want their medicine before heading out.`,
+      emoji: '🌼',
+      category: 'pollen',
+    }));
+  }
+  
+  return tips;
+}
+
 /**
  * Generate car seat safety tips
  * @param {import('../types/index.js').WeatherData} weather 
@@ -493,9 +670,10 @@ function scoreDay(day) {
 function generateSafetyTips(weather) {
   const tips = [];
   const { current } = weather;
+  const feelsLike = getOutdoorFeelsLike(current);
   
-  // Car seat + puffy jacket warning
-  if (current.temperature < TEMP_THRESHOLDS.COLD) {
+  // Car seat + puffy jacket warning (puffy jackets come out when it feels cold)
+  if (feelsLike < TEMP_THRESHOLDS.COLD) {
     tips.push(createTip({
       type: 'tip',
       priority: 'medium',
@@ -507,7 +685,7 @@ function generateSafetyTips(weather) {
   }
   
   // Hot car warning
-  if (current.temperature >= TEMP_THRESHOLDS.WARM) {
+  if (feelsLike >= TEMP_THRESHOLDS.WARM) {
     tips.push(createTip({
       type: 'warning',
       priority: 'high',
@@ -528,9 +706,15 @@ function generateSafetyTips(weather) {
 /**
  * Generate all smart tips based on weather data
  * @param {import('../types/index.js').WeatherData} weather 
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Clock for weekday, pollen-day and alert-expiry checks (defaults to now)
  * @returns {import('../types/index.js').SmartTipsResult}
  */
-export function generateSmartTips(weather) {
+export function generateSmartTips(weather, { now = new Date() } = {}) {
+  // Tips are about the next few hours; the extended hourly forecast would
+  // otherwise have tomorrow's rain and UV talking over today's
+  weather = { ...weather, hourly: weather.hourly.slice(0, TIME_CONFIG.TIPS_LOOKAHEAD_HOURS) };
+
   // Collect all tips from generators
   const allTips = [
     ...generateTemperatureTips(weather),
@@ -538,7 +722,8 @@ export function generateSmartTips(weather) {
     ...generateUVTips(weather),
     ...generateComfortTips(weather),
     ...generatePlaygroundTips(weather),
-    ...generateWeekendTips(weather),
+    ...generateWeekendTips(weather, now),
+    ...generateAirQualityTips(weather, now),
     ...generateSafetyTips(weather),
   ];
   
@@ -559,16 +744,22 @@ export function generateSmartTips(weather) {
     }
   }
   
+  // Official alerts go first, all of them, most severe first
+  const officialAlerts = getActiveAlerts(weather.alerts, now);
+  const officialTips = officialAlerts.map(createAlertTip);
+  const tips = [...officialTips, ...dedupedTips];
+  
   // Get alerts only
-  const alerts = dedupedTips.filter(t => t.priority === 'high');
+  const alerts = tips.filter(t => t.priority === 'high');
   
-  // Get primary tip (highest priority)
-  const primaryTip = dedupedTips[0] || null;
+  // Get primary tip (an official alert always wins)
+  const primaryTip = tips[0] || null;
   
   return {
-    tips: dedupedTips,
+    tips,
     primaryTip,
     alerts,
+    officialAlerts,
   };
 }
 
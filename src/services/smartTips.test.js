@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { generateSmartTips } from './smartTips.js';
+import { getMockWeatherData } from './weatherApi.js';
+import { getOutdoorFeelsLike } from '../utils/apparentTemperature.js';
+
+const now = new Date('2025-06-15T15:00:00Z');
+
+/** Mock weather held at these conditions all day, without alerts */
+const weatherWith = (conditions) => {
+  const weather = getMockWeatherData({ seed: 1, now, timeZone: 'UTC' });
+  const steady = { windSpeed: 0, windGust: 0, humidity: 40, precipitationProbability: 0, ...conditions };
+  return {
+    ...weather,
+    current: { ...weather.current, ...steady },
+    hourly: weather.hourly.map(h => ({ ...h, ...steady })),
+    alerts: [],
+  };
+};
+const titles = (weather) => generateSmartTips(weather, { now }).tips.map(tip => tip.title);
+
+describe('generateSmartTips', () => {
+  it('goes by the same feels-like as the outfit and overview', () => {
+    // 46° in the shade, 51° outdoors with the sun
+    const sunny = weatherWith({ temperature: 46, uvIndex: 8 });
+    expect(getOutdoorFeelsLike(sunny.current)).toBe(51);
+    expect(titles(sunny)).not.toContain('Car Seat Reminder');
+
+    const overcast = weatherWith({ temperature: 46, uvIndex: 0 });
+    expect(titles(overcast)).toContain('Car Seat Reminder');
+  });
+
+  it('warns about hot cars by the outdoor feels-like', () => {
+    expect(titles(weatherWith({ temperature: 77, uvIndex: 8 }))).toContain('Hot Car Alert'); // Feels 82°
+    expect(titles(weatherWith({ temperature: 77, uvIndex: 0 }))).not.toContain('Hot Car Alert');
+  });
+
+  it('labels single-factor figures as shade temperatures', () => {
+    const { tips } = generateSmartTips(weatherWith({ temperature: 38, windSpeed: 30, uvIndex: 0 }), { now });
+    const wind = tips.find(tip => tip.title === 'Wind Chill Factor');
+
+    expect(wind.message).toMatch(/^Winds up to 30 mph make 38° feel like \d+° in the shade\./);
+  });
+});
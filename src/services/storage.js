@@ -0,0 +1,461 @@
+/**
+ * Tiny Weather - Persistent Storage
+ *
+ * Weather, children, their wardrobes and preferences live in IndexedDB, so the last forecast
+ * survives offline and isn't squeezed by localStorage's few megabytes.
+ * - Reads are synchronous, from an in-memory copy loaded once at startup
+ *   (call initStorage before rendering); writes update it straight away and
+ *   are saved in the background, in order
+ * - Versioned migrations bring older devices' data forward, starting with
+ *   what earlier versions kept in localStorage
+ * - Where IndexedDB isn't available (some private modes, Node) or doesn't
+ *   open in time, the same stores are kept in localStorage, or only in memory
+ * - When a save fails the device is usually full: cached forecasts are
+ *   dropped to make room, and a save that still fails is reported through
+ *   getSaveError / onSaveError
+ */
+
+import { STORAGE_KEYS } from '../utils/constants.js';
+
+const DB_NAME = 'tinyweather';
+/** Bump when the object stores change, and create them in openIndexedDb */
+const DB_VERSION = 3;
+/** Give up on IndexedDB after this long - it can hang without an error, and the first render waits on it */
+const DB_OPEN_TIMEOUT_MS = 3000;
+
+/**
+ * Object stores
+ * - weather: cache entries by location key ({data, lastAccessed})
+ * - children: children by id, with their list position
+ * - wardrobes: each child's clothes, by child id
+ * - comfort: each child's outfit ratings, by child id
+ * - preferences: everything else, by STORAGE_KEYS value
+ */
+export const STORES = {
+  WEATHER: 'weather',
+  CHILDREN: 'children',
+  WARDROBES: 'wardrobes',
+  COMFORT: 'comfort',
+  PREFERENCES: 'preferences',
+};
+
+/** Bookkeeping (the last migration run); not part of the public stores */
+const META_STORE = 'meta';
+const ALL_STORES = [...Object.values(STORES), META_STORE];
+
+/** @type {Map<string, Map<string, any>>} In-memory copy of every store */
+const snapshot = new Map(ALL_STORES.map(store => [store, new Map()]));
+
+/**
+ * @typedef {Object} StorageBackend
+ * @property {'indexeddb' | 'localStorage' | 'memory'} kind
+ * @property {(store: string) => Promise<Array<[string, any]>>} readAll
+ * @property {(store: string, changes: Array<[string, any]>) => Promise<void>} write - An undefined value deletes the key
+ */
+
+/** @type {StorageBackend | null} */
+let backend = null;
+/** @type {Promise<StorageBackend['kind']> | null} */
+let initializing = null;
+/** Saves run one after another so a later write never lands first */
+let writeQueue = Promise.resolve();
+/** @type {Error | null} The last save that failed, until one succeeds */
+let saveError = null;
+/** @type {Set<(error: Error | null) => void>} */
+const saveErrorListeners = new Set();
+
+// ============================================================================
+// BACKENDS
+// ============================================================================
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open (creating or upgrading) the database
+ * @param {IDBFactory} indexedDB
+ * @returns {Promise<StorageBackend>}
+ */
+async function openIndexedDb(indexedDB) {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    // Version 1: one store per kind of data, keyed out of line. Version 2: wardrobes. Version 3: comfort
+    for (const store of ALL_STORES) {
+      if (!db.objectStoreNames.contains(store)) db.createObjectStore(store);
+    }
+  };
+  const opening = requestToPromise(request);
+  const blocked = new Promise((_, reject) => {
+    request.onblocked = () => reject(new Error('Storage upgrade blocked by another open tab'));
+  });
+  let timer;
+  const timedOut = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Storage didn't open within ${DB_OPEN_TIMEOUT_MS}ms`)), DB_OPEN_TIMEOUT_MS);
+  });
+  let db;
+  try {
+    db = await Promise.race([opening, blocked, timedOut]);
+  } catch (error) {
+    // Don't hold the database open if it turns up after we've moved on
+    opening.then(late => late.close(), () => {});
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+  // Let a newer version in another tab upgrade; this tab's saves then fail (logged) until it reloads
+  db.onversionchange = () => db.close();
+
+  return {
+    kind: 'indexeddb',
+
+    async readAll(store) {
+      const tx = db.transaction(store, 'readonly');
+      const [keys, values] = await Promise.all([
+        requestToPromise(tx.objectStore(store).getAllKeys()),
+        requestToPromise(tx.objectStore(store).getAll()),
+      ]);
+      return keys.map((key, i) => [key, values[i]]);
+    },
+
+    write(store, changes) {
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(store, 'readwrite');
+        const objectStore = tx.objectStore(store);
+        for (const [key, value] of changes) {
+          if (value === undefined) objectStore.delete(key);
+          else objectStore.put(value, key);
+        }
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      });
+    },
+  };
+}
+
+/**
+ * Keep each store as one JSON object in localStorage
+ * @param {Storage} localStorage
+ * @returns {StorageBackend}
+ */
+function createLocalStorageBackend(localStorage) {
+  const itemKey = (store) => `${DB_NAME}:${store}`;
+  const read = (store) => JSON.parse(localStorage.getItem(itemKey(store)) || '{}');
+
+  return {
+    kind: 'localStorage',
+
+    async readAll(store) {
+      return Object.entries(read(store));
+    },
+
+    async write(store, changes) {
+      const items = read(store);
+      for (const [key, value] of changes) {
+        if (value === undefined) delete items[key];
+        else items[key] = value;
+      }
+      localStorage.setItem(itemKey(store), JSON.stringify(items));
+    },
+  };
+}
+
+/** @type {StorageBackend} */
+const memoryBackend = {
+  kind: 'memory',
+  readAll: async () => [],
+  write: async () => {},
+};
+
+// ============================================================================
+// MIGRATIONS
+// ============================================================================
+
+/**
+ * Data migrations, oldest first. Each runs once per device, in order; the
+ * last version run is kept in the meta store. They see the loaded stores
+ * through the same functions as the rest of the app, and return the legacy
+ * localStorage keys they copied from - those are only removed once the
+ * copies are saved.
+ * @type {Array<{version: number, description: string, run: (legacy: Storage | undefined) => string[]}>}
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Move weather, children and preferences out of localStorage',
+    run(legacy) {
+      const taken = [];
+      if (!legacy) return taken;
+      const take = (key) => {
+        const raw = legacy.getItem(key);
+        if (raw === null) return undefined;
+        taken.push(key);
+        try {
+          return JSON.parse(raw);
+        } catch {
+          return undefined;
+        }
+      };
+
+      const cache = take(STORAGE_KEYS.WEATHER_CACHE);
+      for (const [key, entry] of Object.entries(cache?.entries ?? {})) {
+        setItem(STORES.WEATHER, key, entry);
+      }
+
+      const children = take(STORAGE_KEYS.CHILDREN);
+      if (Array.isArray(children)) replaceChildren(children);
+
+      for (const key of [STORAGE_KEYS.USER_PREFERENCES, STORAGE_KEYS.LAST_LOCATION, STORAGE_KEYS.SAVED_LOCATIONS, STORAGE_KEYS.DISMISSED_ALERTS]) {
+        const value = take(key);
+        if (value !== undefined) setItem(STORES.PREFERENCES, key, value);
+      }
+      return taken;
+    },
+  },
+];
+
+/**
+ * Run the migrations this device hasn't had yet. Each waits for its writes;
+ * if any fail it stops there, leaving the legacy data and the version as
+ * they were so it runs again next time.
+ * @param {Storage | undefined} legacy - localStorage, for data from before IndexedDB
+ * @returns {Promise<void>}
+ */
+async function runMigrations(legacy) {
+  const current = snapshot.get(META_STORE).get('schemaVersion') ?? 0;
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= current) continue;
+    // A later write that works clears getSaveError, so catch any failure along the way
+    let failed = null;
+    const stopListening = onSaveError(error => { failed ??= error; });
+    const taken = migration.run(legacy);
+    await flushStorage();
+    stopListening();
+    if (failed ?? getSaveError()) {
+      console.warn(`Migration ${migration.version} couldn't be saved; will retry next time`);
+      return;
+    }
+
+    for (const key of taken) legacy.removeItem(key);
+    setItem(META_STORE, 'schemaVersion', migration.version);
+  }
+}
+
+// ============================================================================
+// SETUP
+// ============================================================================
+
+/**
+ * Open storage, load it into memory and migrate it. Call once before the
+ * app reads anything; later calls return the same promise. Never rejects:
+ * if IndexedDB fails, localStorage (or memory) takes over.
+ * @param {Object} [env] - Browser globals (swap in fakes for tests)
+ * @param {IDBFactory} [env.indexedDB]
+ * @param {Storage} [env.localStorage]
+ * @returns {Promise<StorageBackend['kind']>} Where data is being kept
+ */
+export function initStorage({ indexedDB = globalThis.indexedDB, localStorage = globalThis.localStorage } = {}) {
+  initializing ??= (async () => {
+    let opened = memoryBackend;
+    if (indexedDB) {
+      try {
+        opened = await openIndexedDb(indexedDB);
+      } catch (error) {
+        console.warn('IndexedDB unavailable, keeping data in localStorage:', error);
+      }
+    }
+    if (opened === memoryBackend && localStorage) opened = createLocalStorageBackend(localStorage);
+
+    for (const store of ALL_STORES) {
+      try {
+        for (const [key, value] of await opened.readAll(store)) snapshot.get(store).set(key, value);
+      } catch (error) {
+        console.warn(`Couldn't load stored ${store}:`, error);
+      }
+    }
+
+    backend = opened;
+    await runMigrations(localStorage);
+    return backend.kind;
+  })();
+  return initializing;
+}
+
+/**
+ * Whether a failed write ran out of space
+ * @param {unknown} error
+ */
+function isQuotaError(error) {
+  // Firefox's localStorage names it differently
+  return error?.name === 'QuotaExceededError' || error?.name === 'NS_ERROR_DOM_QUOTA_REACHED';
+}
+
+/**
+ * Write, and if the device is full drop cached forecasts (they can always
+ * be fetched again) and try once more
+ * @param {StorageBackend} target
+ * @param {string} store
+ * @param {Array<[string, any]>} changes
+ */
+async function writeMakingRoom(target, store, changes) {
+  try {
+    await target.write(store, changes);
+  } catch (error) {
+    if (!isQuotaError(error)) throw error;
+    const writing = new Set(store === STORES.WEATHER ? changes.map(([key]) => key) : []);
+    const cached = snapshot.get(STORES.WEATHER);
+    const evicted = [...cached.keys()].filter(key => !writing.has(key));
+    if (evicted.length === 0) throw error;
+
+    for (const key of evicted) cached.delete(key);
+    await target.write(STORES.WEATHER, evicted.map(key => [key, undefined]));
+    await target.write(store, changes);
+  }
+}
+
+/**
+ * @param {Error | null} error
+ */
+function setSaveError(error) {
+  if (error === saveError) return;
+  saveError = error;
+  for (const listener of saveErrorListeners) listener(error);
+}
+
+/**
+ * Save changes in the background
+ * @param {string} store
+ * @param {Array<[string, any]>} changes
+ */
+function persist(store, changes) {
+  if (!backend) return;
+  const target = backend;
+  writeQueue = writeQueue
+    .then(() => writeMakingRoom(target, store, changes))
+    .then(() => setSaveError(null), (error) => {
+      console.warn(`Couldn't save ${store}:`, error);
+      setSaveError(error);
+    });
+}
+
+// ============================================================================
+// READ / WRITE
+// ============================================================================
+
+/**
+ * @param {string} store - One of STORES
+ * @param {string} key
+ * @returns {any} The stored value, or undefined
+ */
+export function getItem(store, key) {
+  return snapshot.get(store).get(key);
+}
+
+/**
+ * @param {string} store - One of STORES
+ * @returns {Record<string, any>} Every key and value in the store
+ */
+export function getAllItems(store) {
+  return Object.fromEntries(snapshot.get(store));
+}
+
+/**
+ * @param {string} store - One of STORES
+ * @param {string} key
+ * @param {any} value - Anything structured-cloneable (JSON-able for the localStorage fallback)
+ */
+export function setItem(store, key, value) {
+  snapshot.get(store).set(key, value);
+  persist(store, [[key, value]]);
+}
+
+/**
+ * @param {string} store - One of STORES
+ * @param {string} key
+ */
+export function removeItem(store, key) {
+  snapshot.get(store).delete(key);
+  persist(store, [[key, undefined]]);
+}
+
+/**
+ * Remove everything in a store
+ * @param {string} store - One of STORES
+ */
+export function clearStore(store) {
+  const keys = [...snapshot.get(store).keys()];
+  snapshot.get(store).clear();
+  persist(store, keys.map(key => [key, undefined]));
+}
+
+/**
+ * Children in their saved order
+ * @returns {import('../types/index.js').Child[]}
+ */
+export function getChildren() {
+  return Object.values(getAllItems(STORES.CHILDREN))
+    .sort((a, b) => a.position - b.position)
+    .map(({ position, ...child }) => child);
+}
+
+/**
+ * Replace everything in a store
+ * @param {string} store - One of STORES
+ * @param {Record<string, any>} items - The new contents, by key
+ */
+export function replaceItems(store, items) {
+  const current = snapshot.get(store);
+  const removed = [...current.keys()].filter(key => !(key in items));
+  const records = Object.entries(items);
+
+  for (const key of removed) current.delete(key);
+  for (const [key, value] of records) current.set(key, value);
+  persist(store, [...removed.map(key => [key, undefined]), ...records]);
+}
+
+/**
+ * Save the whole list of children, in order
+ * @param {import('../types/index.js').Child[]} children
+ */
+export function replaceChildren(children) {
+  replaceItems(STORES.CHILDREN, Object.fromEntries(children.map((child, position) => [child.id, { ...child, position }])));
+}
+
+/**
+ * Wait for every write so far to be saved (e.g. before closing in tests).
+ * Never rejects; a failed save shows up in getSaveError.
+ * @returns {Promise<void>}
+ */
+export function flushStorage() {
+  return writeQueue;
+}
+
+/**
+ * The last save that failed (the in-memory copy still has the change, but
+ * it won't survive a reload), or null once a save works again
+ * @returns {Error | null}
+ */
+export function getSaveError() {
+  return saveError;
+}
+
+/**
+ * Hear when saves start or stop failing
+ * @param {(error: Error | null) => void} listener - Called with the new getSaveError value
+ * @returns {() => void} Stop listening
+ */
+export function onSaveError(listener) {
+  saveErrorListeners.add(listener);
+  return () => {
+    saveErrorListeners.delete(listener);
+  };
+}
@@ -0,0 +1,110 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { STORAGE_KEYS } from '../utils/constants.js';
+
+/** A fresh copy of the module - storage opens once per page */
+const loadStorage = async () => {
+  vi.resetModules();
+  return import('./storage.js');
+};
+
+/** localStorage that refuses to hold more than `limit` characters in all */
+const fakeLocalStorage = (limit = Infinity) => {
+  const items = new Map();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem(key, value) {
+      const others = [...items].reduce((sum, [k, v]) => (k === key ? sum : sum + v.length), 0);
+      if (others + value.length > limit) throw new DOMException('Storage is full', 'QuotaExceededError');
+      items.set(key, value);
+    },
+    removeItem: (key) => items.delete(key),
+  };
+};
+
+beforeEach(() => {
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe('initStorage', () => {
+  it('falls back to localStorage when IndexedDB never opens', async () => {
+    vi.useFakeTimers();
+    const { initStorage } = await loadStorage();
+    // A request that never succeeds, fails or reports being blocked
+    const indexedDB = { open: () => ({}) };
+
+    const kind = initStorage({ indexedDB, localStorage: fakeLocalStorage() });
+    await vi.advanceTimersByTimeAsync(3000);
+
+    await expect(kind).resolves.toBe('localStorage');
+  });
+});
+
+describe('migrating from localStorage', () => {
+  const children = [{ id: 'c1', name: 'Mia', ageMonths: 30 }];
+
+  it('removes the old keys once their new copies are saved', async () => {
+    const localStorage = fakeLocalStorage();
+    localStorage.setItem(STORAGE_KEYS.CHILDREN, JSON.stringify(children));
+    const storage = await loadStorage();
+
+    await storage.initStorage({ indexedDB: undefined, localStorage });
+
+    expect(storage.getChildren()).toEqual(children);
+    expect(localStorage.getItem(STORAGE_KEYS.CHILDREN)).toBeNull();
+    expect(JSON.parse(localStorage.getItem('tinyweather:meta'))).toEqual({ schemaVersion: 1 });
+  });
+
+  it('keeps the old keys, and tries again next time, when the copies fail to save', async () => {
+    // Room for the old copy but not a second one
+    const localStorage = fakeLocalStorage(JSON.stringify(children).length + 20);
+    localStorage.setItem(STORAGE_KEYS.CHILDREN, JSON.stringify(children));
+    const storage = await loadStorage();
+
+    await storage.initStorage({ indexedDB: undefined, localStorage });
+
+    expect(storage.getSaveError()).toMatchObject({ name: 'QuotaExceededError' });
+    expect(JSON.parse(localStorage.getItem(STORAGE_KEYS.CHILDREN))).toEqual(children);
+    expect(localStorage.getItem('tinyweather:meta')).toBeNull();
+  });
+});
+
+describe('saving', () => {
+  it('drops cached forecasts to make room when the device is full', async () => {
+    const storage = await loadStorage();
+    await storage.initStorage({ indexedDB: undefined, localStorage: fakeLocalStorage(1000) });
+    storage.setItem(storage.STORES.WEATHER, 'forecast', 'x'.repeat(600));
+    await storage.flushStorage();
+
+    storage.setItem(storage.STORES.PREFERENCES, 'settings', 'y'.repeat(600));
+    await storage.flushStorage();
+
+    expect(storage.getItem(storage.STORES.WEATHER, 'forecast')).toBeUndefined();
+    expect(storage.getItem(storage.STORES.PREFERENCES, 'settings')).toBe('y'.repeat(600));
+    expect(storage.getSaveError()).toBeNull();
+  });
+
+  it('reports saves that still fail until one works', async () => {
+    const storage = await loadStorage();
+    await storage.initStorage({ indexedDB: undefined, localStorage: fakeLocalStorage(1000) });
+    const heard = [];
+    storage.onSaveError(error => heard.push(error?.name ?? null));
+
+    storage.setItem(storage.STORES.PREFERENCES, 'settings', 'y'.repeat(2000));
+    await storage.flushStorage();
+
+    expect(storage.getSaveError()).toMatchObject({ name: 'QuotaExceededError' });
+    // Still readable until the app closes
+    expect(storage.getItem(storage.STORES.PREFERENCES, 'settings')).toHaveLength(2000);
+
+    storage.removeItem(storage.STORES.PREFERENCES, 'settings');
+    await storage.flushStorage();
+
+    expect(storage.getSaveError()).toBeNull();
+    expect(heard).toEqual(['QuotaExceededError', null]);
+  });
+});
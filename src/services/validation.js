@@ -0,0 +1,288 @@
+/**
+ * Tiny Weather - Response Validation
+ *
+ * Each provider declares a schema for the records it reads (current
+ * conditions, one hourly entry, one daily entry). Records are checked
+ * against that schema before transforming, so:
+ * - Real zero values (0 °C, UV 0, 0% humidity) are kept, never replaced
+ * - Missing or out-of-range fields are reported as structured issues
+ * - Fallback values are declared in the schema, not hidden in `||` chains
+ *
+ * Issues are collected into a report that ends up as `WeatherData.dataQuality`.
+ */
+
+// ============================================================================
+// SCHEMA TYPES
+// ============================================================================
+
+/**
+ * @typedef {Object} FieldSchema
+ * @property {string[]} paths - Dotted paths to try in order (first valid wins)
+ * @property {'number' | 'string' | 'date'} type - Expected value type
+ * @property {boolean} [required] - Record is unusable without this field
+ * @property {number} [min] - Minimum allowed value (numbers only)
+ * @property {number} [max] - Maximum allowed value (numbers only)
+ * @property {*} [fallback] - Value to use when missing (reported)
+ * @property {string} [fallbackField] - Use another field's value when missing (reported)
+ * @property {boolean} [reportMissing=true] - Set false when absence is normal (e.g. no heat index in winter)
+ */
+
+/**
+ * @typedef {Object} QualityReport
+ * @property {import('../types/index.js').DataQualityIssue[]} issues
+ */
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Create an empty report to collect issues into
+ * @returns {QualityReport}
+ */
+export function createQualityReport() {
+  return { issues: [] };
+}
+
+/**
+ * Read a dotted path from an object
+ * @param {Object} source
+ * @param {string} path
+ * @returns {*}
+ */
+function getPath(source, path) {
+  return path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), source);
+}
+
+/**
+ * Check a raw value against a field schema
+ * @param {*} value
+ * @param {FieldSchema} field
+ * @returns {boolean}
+ */
+function isValidValue(value, field) {
+  switch (field.type) {
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return false;
+      if (field.min !== undefined && value < field.min) return false;
+      if (field.max !== undefined && value > field.max) return false;
+      return true;
+    case 'string':
+      return typeof value === 'string' && value.length > 0;
+    case 'date':
+      return (typeof value === 'string' || typeof value === 'number') && !isNaN(new Date(value).getTime());
+    default:
+      return false;
+  }
+}
+
+/**
+ * Validate one payload record against a schema.
+ *
+ * Returns the raw (unconverted) values keyed by schema field name. Missing
+ * optional fields get their declared fallback, or null if none is declared.
+ * If a required field is missing the record is reported with severity
+ * 'error' and `valid` is false - callers should drop it.
+ *
+ * @param {Object} record - Raw provider record
+ * @param {Record<string, FieldSchema>} schema
+ * @param {Object} context
+ * @param {'current' | 'hourly' | 'daily' | 'airQuality' | 'pollen' | 'alerts' | 'nowcast'} context.section
+ * @param {number} [context.index] - Position of the record in its list
+ * @param {QualityReport} context.report - Where issues are collected
+ * @returns {{values: Record<string, *>, valid: boolean}}
+ */
+export function validateRecord(record, schema, { section, index, report }) {
+  const values = {};
+  const issues = [];
+  const where = `${section}${index !== undefined ? `[${index}]` : ''}`;
+  let valid = true;
+
+  for (const [name, field] of Object.entries(schema)) {
+    let value;
+    let sawInvalid = false;
+
+    for (const path of field.paths) {
+      const candidate = getPath(record, path);
+      if (candidate === undefined || candidate === null) continue;
+      if (isValidValue(candidate, field)) {
+        value = candidate;
+        break;
+      }
+      sawInvalid = true;
+    }
+
+    if (value !== undefined) {
+      values[name] = value;
+      continue;
+    }
+
+    const issue = sawInvalid ? 'invalid' : 'missing';
+    const fallback = field.fallbackField !== undefined
+      ? values[field.fallbackField]
+      : field.fallback ?? null;
+
+    if (issue === 'missing' && field.reportMissing === false) {
+      values[name] = fallback;
+      continue;
+    }
+
+    if (field.required) {
+      valid = false;
+      issues.push({
+        section,
+        index,
+        field: name,
+        issue,
+        severity: 'error',
+        message: `${where}.${name} is ${issue} - record skipped`,
+      });
+      values[name] = null;
+      continue;
+    }
+
+    issues.push({
+      section,
+      index,
+      field: name,
+      issue,
+      severity: 'warning',
+      fallback,
+      message: field.fallbackField !== undefined
+        ? `${where}.${name} is ${issue} - using ${field.fallbackField}`
+        : `${where}.${name} is ${issue}${fallback !== null && fallback !== '' ? ` - assuming ${fallback}` : ''}`,
+    });
+    values[name] = fallback;
+  }
+
+  // A dropped record's other gaps don't matter - only report why it was dropped
+  report.issues.push(...(valid ? issues : issues.filter(i => i.severity === 'error')));
+
+  return { values, valid };
+}
+
+/**
+ * Record a secondary request (air quality, alerts, nowcast...) that failed.
+ * The main forecast still stands, so this is a warning rather than an error.
+ * @param {QualityReport} report
+ * @param {'airQuality' | 'pollen' | 'alerts' | 'nowcast'} section
+ * @param {Error} error
+ * @param {string} [part] - Which of the section's requests failed, when it takes several
+ */
+export function reportUnavailable(report, section, error, part) {
+  report.issues.push({
+    section,
+    field: section,
+    issue: 'unavailable',
+    severity: 'warning',
+    message: `${part ? `${section} ${part}` : section} request failed: ${error.message}`,
+  });
+}
+
+/**
+ * Record fields a provider never supplies, so the UI can say so
+ * instead of presenting the stand-in value as real data
+ * @param {QualityReport} report
+ * @param {'current' | 'hourly' | 'daily' | 'airQuality' | 'pollen' | 'alerts' | 'nowcast'} section
+ * @param {Record<string, *>} fields - Field name → stand-in value used
+ */
+export function reportUnsupported(report, section, fields) {
+  for (const [field, fallback] of Object.entries(fields)) {
+    report.issues.push({
+      section,
+      field,
+      issue: 'unsupported',
+      severity: 'warning',
+      fallback,
+      message: `${section}.${field} is not provided by this source`,
+    });
+  }
+}
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+
+/**
+ * Human-readable names for fields in the quality summary
+ */
+const FIELD_LABELS = {
+  temperature: 'temperature',
+  feelsLike: 'feels-like',
+  humidity: 'humidity',
+  windSpeed: 'wind',
+  uvIndex: 'UV index',
+  precipitationProbability: 'rain chance',
+  condition: 'conditions',
+  time: 'time',
+  date: 'date',
+  observationTime: 'observation time',
+  tempHigh: 'high',
+  tempLow: 'low',
+  uvIndexMax: 'UV index',
+  sunrise: 'sunrise',
+  sunset: 'sunset',
+  windGust: 'wind gusts',
+  dewPoint: 'dew point',
+  cloudCover: 'cloud cover',
+  precipitationAmount: 'rainfall',
+  precipitationType: 'precipitation type',
+  rain: 'rainfall',
+  snow: 'snowfall',
+  snowfall: 'snowfall',
+  visibility: 'visibility',
+  aqi: 'air quality',
+  airQuality: 'air quality',
+  pm25: 'air quality',
+  pollen: 'pollen',
+  tree: 'tree pollen',
+  grass: 'grass pollen',
+  weed: 'weed pollen',
+  alerts: 'weather alerts',
+  event: 'alert type',
+  onset: 'alert start',
+  expires: 'alert end',
+  area: 'alert area',
+  nowcast: 'minute-by-minute rain',
+  intensity: 'rain intensity',
+  precipitation: 'precipitation',
+};
+
+/**
+ * Summarize collected issues into the report the UI shows
+ * @param {QualityReport} report
+ * @returns {import('../types/index.js').DataQuality}
+ */
+export function summarizeDataQuality(report) {
+  const { issues } = report;
+  const missingFields = [...new Set(issues.map(i => i.field))];
+  const labelsFor = (matches) => [...new Set(
+    issues.filter(matches).map(i => FIELD_LABELS[i.field] || i.field)
+  )];
+  const errorLabels = labelsFor(i => i.severity === 'error');
+  // Sent but out of range is a different problem from not sent at all
+  const invalidLabels = labelsFor(i => i.severity === 'warning' && i.issue === 'invalid');
+  const missingLabels = labelsFor(i => i.severity === 'warning' && i.issue !== 'invalid');
+
+  let level = 'good';
+  if (errorLabels.length > 0) level = 'poor';
+  else if (invalidLabels.length > 0 || missingLabels.length > 0) level = 'partial';
+
+  const parts = [];
+  if (errorLabels.length > 0) {
+    parts.push(`Some forecast entries were unusable (no ${errorLabels.join(', ')})`);
+  }
+  if (invalidLabels.length > 0) {
+    parts.push(`Unusable values from provider: ${invalidLabels.join(', ')}`);
+  }
+  if (missingLabels.length > 0) {
+    parts.push(`Not reported by provider: ${missingLabels.join(', ')}`);
+  }
+
+  return {
+    level,
+    issues,
+    missingFields,
+    summary: parts.length > 0 ? parts.join('. ') : 'All weather data available',
+  };
+}
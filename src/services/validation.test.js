@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import { createQualityReport, validateRecord, summarizeDataQuality } from './validation.js';
+
+const schema = {
+  temperature: { paths: ['temp'], type: 'number', required: true },
+  humidity: { paths: ['humidity'], type: 'number', min: 0, max: 100, fallback: 50 },
+  uvIndex: { paths: ['uv'], type: 'number', min: 0, fallback: 0 },
+};
+
+describe('summarizeDataQuality', () => {
+  it('tells values the provider sent but were unusable apart from ones it never sent', () => {
+    const report = createQualityReport();
+    validateRecord({ temp: 40, humidity: 140 }, schema, { section: 'current', report });
+
+    const quality = summarizeDataQuality(report);
+
+    expect(quality.level).toBe('partial');
+    expect(quality.issues.map(i => [i.field, i.issue])).toEqual([['humidity', 'invalid'], ['uvIndex', 'missing']]);
+    expect(quality.summary).toBe('Unusable values from provider: humidity. Not reported by provider: UV index');
+  });
+
+  it('says so when everything came through', () => {
+    const report = createQualityReport();
+    validateRecord({ temp: 0, humidity: 0, uv: 0 }, schema, { section: 'current', report });
+
+    expect(summarizeDataQuality(report)).toMatchObject({ level: 'good', summary: 'All weather data available' });
+  });
+});
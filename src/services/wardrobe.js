@@ -0,0 +1,197 @@
+/**
+ * Tiny Weather - Wardrobe
+ *
+ * Keeps outfits to clothes each child actually owns:
+ * - A wardrobe item has a type (a CLOTHING_ITEMS id), a warmth rating,
+ *   waterproofing, a size, and whether it's in the wash
+ * - Each recommended item becomes the best owned match for its slot: the
+ *   same type if there is one, otherwise a stand-in close enough in warmth
+ *   (and waterproof when keeping rain out is the point)
+ * - When nothing fits, the outfit keeps the recommendation and flags a gap,
+ *   e.g. "No waterproof outer layer - consider buying a rain jacket"
+ * - Slots with nothing recorded are left as recommended: an empty drawer
+ *   usually means it hasn't been filled in yet, not that it's empty
+ */
+
+import { CLOTHING_ITEMS, WARDROBE_CONFIG, WARDROBE_SLOT_LABELS } from '../utils/constants.js';
+
+/** Catalogue entries by id */
+const CLOTHING_TYPES = new Map(Object.values(CLOTHING_ITEMS).map(item => [item.id, item]));
+
+/** Slots that are packed for the day rather than owned per child */
+const UNTRACKED_SLOTS = new Set(['supplies']);
+
+/**
+ * Catalogue entry for a clothing type
+ * @param {string} type - A CLOTHING_ITEMS id
+ * @returns {typeof CLOTHING_ITEMS[keyof typeof CLOTHING_ITEMS] | null}
+ */
+export function getClothingType(type) {
+  return CLOTHING_TYPES.get(type) ?? null;
+}
+
+/**
+ * Clothing types that can go in a wardrobe (everything but supplies like sunscreen)
+ * @returns {Array<typeof CLOTHING_ITEMS[keyof typeof CLOTHING_ITEMS]>}
+ */
+export function listWardrobeTypes() {
+  return [...CLOTHING_TYPES.values()].filter(item => !UNTRACKED_SLOTS.has(item.slot));
+}
+
+/**
+ * Create a wardrobe item. Name, warmth and waterproofing default to the
+ * catalogue's for the type.
+ * @param {Object} fields
+ * @param {string} fields.type - A CLOTHING_ITEMS id
+ * @param {string} [fields.name] - What the family calls it ("Yellow raincoat")
+ * @param {number} [fields.warmth] - 0 to WARDROBE_CONFIG.MAX_WARMTH
+ * @param {boolean} [fields.waterproof]
+ * @param {string | null} [fields.size] - As on the label ("3T", "UK 8")
+ * @param {boolean} [fields.inWash=false]
+ * @param {string} [fields.id]
+ * @returns {import('../types/index.js').WardrobeItem}
+ */
+export function createWardrobeItem({ type, name, warmth, waterproof, size = null, inWash = false, id }) {
+  const catalogue = getClothingType(type);
+  if (!catalogue || UNTRACKED_SLOTS.has(catalogue.slot)) {
+    throw new Error(`Not a wardrobe clothing type: ${type}`);
+  }
+  return {
+    id: id ?? `item-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    type,
+    name: name?.trim() || catalogue.name,
+    warmth: Math.min(Math.max(Math.round(warmth ?? catalogue.warmth), 0), WARDROBE_CONFIG.MAX_WARMTH),
+    waterproof: waterproof ?? catalogue.waterproof,
+    size: size?.trim() || null,
+    inWash,
+  };
+}
+
+// ============================================================================
+// MATCHING
+// ============================================================================
+
+/**
+ * Can an owned item stand in for a recommended one?
+ * @param {import('../types/index.js').WardrobeItem} owned
+ * @param {{warmth: number, waterproof: boolean}} need
+ */
+function canStandIn(owned, need) {
+  if (need.waterproof && !owned.waterproof) return false;
+  return owned.warmth >= need.warmth - WARDROBE_CONFIG.WARMTH_SHORTFALL
+    && owned.warmth <= need.warmth + WARDROBE_CONFIG.WARMTH_EXCESS;
+}
+
+/**
+ * Closest in warmth, warmer winning a tie
+ * @param {import('../types/index.js').WardrobeItem[]} items
+ * @param {number} warmth
+ * @returns {import('../types/index.js').WardrobeItem | null}
+ */
+function pickClosest(items, warmth) {
+  return [...items].sort((a, b) =>
+    Math.abs(a.warmth - warmth) - Math.abs(b.warmth - warmth) || b.warmth - a.warmth
+  )[0] ?? null;
+}
+
+/**
+ * "a rain jacket", "rain boots"
+ * @param {string} name
+ */
+function withArticle(name) {
+  const lower = name.toLowerCase();
+  return lower.endsWith('s') ? lower : `a ${lower}`;
+}
+
+/**
+ * Why nothing owned fits, for the gap message
+ * @param {import('../types/index.js').ClothingItem} item - The recommendation
+ * @param {{slot: string, warmth: number, waterproof: boolean}} need
+ * @param {import('../types/index.js').WardrobeItem[]} inSlot - Everything owned for the slot, washing included
+ * @returns {import('../types/index.js').WardrobeGap}
+ */
+function describeGap(item, need, inSlot) {
+  const label = WARDROBE_SLOT_LABELS[need.slot] ?? need.slot;
+  const buy = withArticle(item.name);
+  const gap = { itemId: item.id, name: item.name, slot: need.slot, required: item.required };
+
+  const washing = inSlot.filter(owned => owned.inWash && (owned.type === item.id || canStandIn(owned, need)));
+  if (washing.length > 0) {
+    return { ...gap, kind: 'in-wash', message: `${washing[0].name} in the wash - nothing else will do` };
+  }
+  if (need.waterproof && !inSlot.some(owned => owned.waterproof)) {
+    return { ...gap, kind: 'not-waterproof', message: `No waterproof ${label} - consider buying ${buy}` };
+  }
+  if (inSlot.every(owned => owned.warmth < need.warmth - WARDROBE_CONFIG.WARMTH_SHORTFALL)) {
+    return { ...gap, kind: 'not-warm-enough', message: `No ${label} warm enough - consider buying ${buy}` };
+  }
+  const some = item.name.toLowerCase().endsWith('s') ? 'some' : 'one';
+  return { ...gap, kind: 'missing', message: `No ${item.name.toLowerCase()} - consider buying ${some}` };
+}
+
+/**
+ * Swap each recommended item for the best match the child owns, and list
+ * what they're missing. Items of the recommended type are matched first, so
+ * a stand-in never takes something another slot asked for by name.
+ * @param {import('../types/index.js').ClothingItem[]} items - Recommended items
+ * @param {import('../types/index.js').WardrobeItem[]} wardrobe - The child's clothes
+ * @returns {{items: import('../types/index.js').ClothingItem[], gaps: import('../types/index.js').WardrobeGap[]}}
+ */
+export function applyWardrobe(items, wardrobe) {
+  const used = new Set();
+  const gaps = [];
+  const tracked = items.map((item) => {
+    const need = getClothingType(item.id);
+    if (!need || UNTRACKED_SLOTS.has(need.slot)) return null;
+    const inSlot = wardrobe.filter(owned => getClothingType(owned.type)?.slot === need.slot);
+    return inSlot.length > 0 ? { need, inSlot } : null;
+  });
+
+  const available = ({ inSlot }) => inSlot.filter(owned => !owned.inWash && !used.has(owned.id));
+  const matches = items.map(() => null);
+  const claim = (i, match) => {
+    if (!match) return;
+    matches[i] = match;
+    used.add(match.id);
+  };
+
+  // Exact types first, then stand-ins for what's left
+  tracked.forEach((slot, i) => {
+    if (slot) claim(i, pickClosest(available(slot).filter(owned => owned.type === items[i].id), slot.need.warmth));
+  });
+  tracked.forEach((slot, i) => {
+    if (slot && !matches[i]) claim(i, pickClosest(available(slot).filter(owned => canStandIn(owned, slot.need)), slot.need.warmth));
+  });
+
+  const matched = items.map((item, i) => {
+    if (!tracked[i]) return item;
+    const { need, inSlot } = tracked[i];
+    const match = matches[i];
+
+    if (!match) {
+      gaps.push(describeGap(item, need, inSlot));
+      return { ...item, isMissing: true };
+    }
+
+    // Say why it isn't what was recommended
+    let note = null;
+    if (match.type !== item.id) {
+      const washing = inSlot.find(owned => owned.inWash && owned.type === item.id);
+      note = washing ? `${washing.name} in the wash` : `Instead of ${withArticle(item.name)}`;
+      if (match.warmth < need.warmth) note += ' - not as warm, so add a layer';
+    }
+    const reason = [note, item.reason].filter(Boolean).join('. ') || undefined;
+
+    return {
+      ...item,
+      name: match.name,
+      emoji: getClothingType(match.type).emoji,
+      reason,
+      wardrobeItemId: match.id,
+      size: match.size,
+      substituteFor: match.type !== item.id ? item.name : undefined,
+    };
+  });
+
+  return { items: matched, gaps };
+}
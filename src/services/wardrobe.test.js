@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { applyWardrobe, createWardrobeItem } from './wardrobe.js';
+import { CLOTHING_ITEMS } from '../utils/constants.js';
+
+/** A catalogue item as a recommendation */
+const recommend = (item, reason) => ({ ...item, required: true, reason });
+
+/** A wardrobe item with a predictable id */
+const owned = (type, fields = {}) => createWardrobeItem({ id: `${type}-${fields.name ?? 'plain'}`, type, ...fields });
+
+describe('applyWardrobe', () => {
+  it('uses an owned item of the same type, named as the family calls it', () => {
+    const wardrobe = [owned('puffer', { name: 'Blue puffer', size: '4T' })];
+
+    const { items, gaps } = applyWardrobe([recommend(CLOTHING_ITEMS.PUFFER)], wardrobe);
+
+    expect(items[0]).toMatchObject({ id: 'puffer', name: 'Blue puffer', size: '4T', wardrobeItemId: 'puffer-Blue puffer' });
+    expect(items[0].substituteFor).toBeUndefined();
+    expect(gaps).toEqual([]);
+  });
+
+  it('stands in something close in warmth, and says when it is less warm', () => {
+    // Winter coat is 5; a puffer (4) is within the shortfall allowance
+    const { items } = applyWardrobe([recommend(CLOTHING_ITEMS.WINTER_COAT, 'Essential for freezing temps')], [owned('puffer')]);
+
+    expect(items[0]).toMatchObject({
+      name: 'Puffer jacket',
+      substituteFor: 'Winter coat',
+      reason: 'Instead of a winter coat - not as warm, so add a layer. Essential for freezing temps',
+    });
+  });
+
+  it('names the recommended item when it is in the wash', () => {
+    const wardrobe = [owned('fleece', { name: 'Red fleece', inWash: true }), owned('hoodie')];
+
+    const { items } = applyWardrobe([recommend(CLOTHING_ITEMS.FLEECE)], wardrobe);
+
+    expect(items[0]).toMatchObject({ name: 'Hoodie', substituteFor: 'Fleece jacket' });
+    expect(items[0].reason).toBe('Red fleece in the wash - not as warm, so add a layer');
+  });
+
+  it("won't stand in something that isn't waterproof when rain is the point", () => {
+    const { items, gaps } = applyWardrobe([recommend(CLOTHING_ITEMS.RAIN_JACKET)], [owned('light-jacket')]);
+
+    expect(items[0]).toMatchObject({ name: 'Rain jacket', isMissing: true });
+    expect(gaps).toEqual([expect.objectContaining({
+      kind: 'not-waterproof',
+      message: 'No waterproof outer layer - consider buying a rain jacket',
+    })]);
+  });
+
+  it('flags a slot with nothing warm enough', () => {
+    const { gaps } = applyWardrobe([recommend(CLOTHING_ITEMS.WINTER_COAT)], [owned('light-jacket')]);
+
+    expect(gaps).toEqual([expect.objectContaining({ kind: 'not-warm-enough', message: 'No outer layer warm enough - consider buying a winter coat' })]);
+  });
+
+  it('uses each owned item once, on the slot that asked for it by name', () => {
+    const { items, gaps } = applyWardrobe(
+      [recommend(CLOTHING_ITEMS.LIGHT_SWEATER), recommend(CLOTHING_ITEMS.HOODIE)],
+      [owned('hoodie')]
+    );
+
+    expect(items.map(item => item.wardrobeItemId ?? null)).toEqual([null, 'hoodie-plain']);
+    expect(items[1].substituteFor).toBeUndefined();
+    expect(gaps).toEqual([expect.objectContaining({ itemId: 'light-sweater', kind: 'missing' })]);
+  });
+
+  it('leaves empty slots and packed supplies as recommended', () => {
+    const recommended = [recommend(CLOTHING_ITEMS.SNEAKERS), recommend(CLOTHING_ITEMS.SUNSCREEN)];
+
+    const { items, gaps } = applyWardrobe(recommended, [owned('hoodie')]);
+
+    expect(items).toEqual(recommended);
+    expect(gaps).toEqual([]);
+  });
+});
@@ -1,261 +1,383 @@
 /**
  * Tiny Weather - Weather API Service
  * 
- * Handles all communication with Google Weather API (WeatherNeXT 2).
+ * Handles all communication with the configured weather provider.
  * Features:
- * - Fetches current, hourly, and daily forecasts
- * - Caches responses for 30 minutes
- * - Transforms API responses into app-ready data
+ * - Fetches current, hourly, and daily forecasts, plus air quality, pollen,
+ *   official alerts and a minutely rain nowcast where the provider has them
+ *   (the nowcast is estimated from hourly data otherwise)
+ * - Caches responses per location for 30 minutes (LRU, stale-while-revalidate)
+ * - Pluggable providers (Google, Open-Meteo, NWS, OpenWeatherMap) that all
+ *   transform their API responses into app-ready data
+ * - Record-and-replay of raw provider responses as JSON fixtures
  * - Graceful error handling with retries
+ * - Cancellable requests; concurrent fetches for one place share a request
  */
 
-import { API_CONFIG, STORAGE_KEYS, mapCondition, WEATHER_CONDITIONS } from '../utils/constants.js';
+import { API_CONFIG, PROVIDER_CONFIG, WEATHER_CONDITIONS } from '../utils/constants.js';
+import { STORES, getItem, getAllItems, setItem, removeItem, clearStore } from './storage.js';
+import { createProvider } from './providers/index.js';
+import { fetchWithRetry } from './http.js';
+import { createQualityReport, summarizeDataQuality, reportUnavailable, reportUnsupported } from './validation.js';
+import { resolveTimeZone, getDeviceTimeZone, getLocalHour } from '../utils/time.js';
+import { createAqiReading } from '../utils/airQuality.js';
+import { getActiveAlerts } from '../utils/alerts.js';
+import { createMockNowcast } from './nowcast.js';
+import { shiftToToday } from './fixtures.js';
+import { getMockScenario } from './mockScenarios.js';
+import { createSeededRandom } from '../utils/random.js';
 
 // ============================================================================
 // CACHE MANAGEMENT
 // ============================================================================
 
 /**
- * Get cached weather data if still valid
- * @param {string} cacheKey 
- * @returns {import('../types/index.js').WeatherData | null}
+ * Build the cache key for a location. Coordinates are rounded so that
+ * small GPS jitter hits the same entry (2 decimals ≈ 1 km).
+ * @param {number} lat 
+ * @param {number} lng 
+ * @returns {string}
  */
-export function getCachedWeather(cacheKey = STORAGE_KEYS.WEATHER_CACHE) {
-  try {
-    const cached = localStorage.getItem(cacheKey);
-    if (!cached) return null;
-    
-    const data = JSON.parse(cached);
-    const expiresAt = new Date(data.expiresAt);
-    
-    if (expiresAt > new Date()) {
-      // Rehydrate dates
-      return {
-        ...data,
-        fetchedAt: new Date(data.fetchedAt),
-        expiresAt: new Date(data.expiresAt),
-        current: {
-          ...data.current,
-          observationTime: new Date(data.current.observationTime),
-        },
-        hourly: data.hourly.map(h => ({
-          ...h,
-          time: new Date(h.time),
-        })),
-        daily: data.daily.map(d => ({
-          ...d,
-          date: new Date(d.date),
-        })),
-      };
-    }
-    
-    // Cache expired
-    localStorage.removeItem(cacheKey);
-    return null;
-  } catch (e) {
-    console.warn('Cache read error:', e);
-    return null;
-  }
+export function getLocationCacheKey(lat, lng) {
+  const precision = API_CONFIG.CACHE_COORD_PRECISION;
+  return `${lat.toFixed(precision)},${lng.toFixed(precision)}`;
 }
 
 /**
- * Save weather data to cache
- * @param {import('../types/index.js').WeatherData} data 
- * @param {string} cacheKey 
+ * Rehydrate Date fields after a JSON round trip
+ * @param {Object} data 
+ * @returns {import('../types/index.js').WeatherData}
  */
-export function setCachedWeather(data, cacheKey = STORAGE_KEYS.WEATHER_CACHE) {
-  try {
-    localStorage.setItem(cacheKey, JSON.stringify(data));
-  } catch (e) {
-    console.warn('Cache write error:', e);
-  }
+function reviveWeatherData(data) {
+  return {
+    ...data,
+    fetchedAt: new Date(data.fetchedAt),
+    expiresAt: new Date(data.expiresAt),
+    current: {
+      ...data.current,
+      observationTime: new Date(data.current.observationTime),
+    },
+    hourly: data.hourly.map(h => ({
+      ...h,
+      time: new Date(h.time),
+    })),
+    daily: data.daily.map(d => ({
+      ...d,
+      date: new Date(d.date),
+    })),
+    airQuality: data.airQuality && {
+      ...data.airQuality,
+      hourly: data.airQuality.hourly.map(h => ({ ...h, time: new Date(h.time) })),
+      pollen: data.airQuality.pollen.map(p => ({ ...p, date: new Date(p.date) })),
+    },
+    nowcast: data.nowcast && {
+      ...data.nowcast,
+      points: data.nowcast.points.map(p => ({ ...p, time: new Date(p.time) })),
+    },
+    alerts: (data.alerts || []).map(a => ({
+      ...a,
+      onset: a.onset ? new Date(a.onset) : null,
+      expires: a.expires ? new Date(a.expires) : null,
+    })),
+  };
 }
 
 /**
- * Clear weather cache
+ * Copy hourly AQI onto the matching forecast hours
+ * @param {import('../types/index.js').HourlyForecast[]} hourly
+ * @param {import('../types/index.js').AirQualityData | null} airQuality
+ * @returns {import('../types/index.js').HourlyForecast[]}
  */
-export function clearWeatherCache() {
-  localStorage.removeItem(STORAGE_KEYS.WEATHER_CACHE);
+function mergeHourlyAqi(hourly, airQuality) {
+  const hourKey = (date) => Math.floor(date.getTime() / (60 * 60 * 1000));
+  const aqiByHour = new Map((airQuality?.hourly || []).map(h => [hourKey(h.time), h.aqi]));
+  return hourly.map(h => ({ ...h, aqi: aqiByHour.get(hourKey(h.time)) ?? null }));
 }
 
-// ============================================================================
-// API UTILITIES
-// ============================================================================
-
 /**
- * Sleep for retry delays
- * @param {number} ms 
+ * Has this weather data passed its expiry time?
+ * @param {import('../types/index.js').WeatherData} data 
+ * @returns {boolean}
  */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+export function isWeatherExpired(data) {
+  return new Date(data.expiresAt) <= new Date();
 }
 
 /**
- * Fetch with retry logic
- * @param {string} url 
- * @param {RequestInit} options 
- * @param {number} retries 
+ * Keys ordered from least to most recently used
+ * @param {Record<string, {lastAccessed: number}>} entries
+ * @returns {string[]}
  */
-async function fetchWithRetry(url, options = {}, retries = API_CONFIG.RETRY_ATTEMPTS) {
-  let lastError;
-  
-  for (let i = 0; i < retries; i++) {
-    try {
-      const response = await fetch(url, options);
-      
-      if (!response.ok) {
-        const errorBody = await response.text();
-        throw new Error(`API error ${response.status}: ${errorBody}`);
-      }
-      
-      return response.json();
-    } catch (error) {
-      lastError = error;
-      console.warn(`Fetch attempt ${i + 1} failed:`, error.message);
-      
-      if (i < retries - 1) {
-        await sleep(API_CONFIG.RETRY_DELAY_MS * (i + 1));
-      }
-    }
-  }
-  
-  throw lastError;
+function getLruOrder(entries) {
+  return Object.keys(entries)
+    .sort((a, b) => entries[a].lastAccessed - entries[b].lastAccessed);
 }
 
-// ============================================================================
-// API RESPONSE TRANSFORMERS
-// ============================================================================
-
 /**
- * Transform current conditions API response
- * @param {Object} apiResponse 
- * @returns {import('../types/index.js').CurrentConditions}
+ * Evict least recently used entries until the cache is within
+ * CACHE_MAX_ENTRIES / CACHE_MAX_BYTES, keeping the one just written
+ * @param {string} keep - Cache key of the entry just written
  */
-function transformCurrentConditions(apiResponse) {
-  const current = apiResponse.currentConditions || apiResponse;
-  
-  return {
-    temperature: celsiusToFahrenheit(current.temperature?.degrees || current.temperature),
-    feelsLike: celsiusToFahrenheit(current.apparentTemperature?.degrees || current.feelsLike || current.temperature?.degrees),
-    humidity: current.humidity?.percent || current.humidity || 50,
-    windSpeed: mpsToMph(current.wind?.speed?.value || current.windSpeed || 0),
-    uvIndex: current.uvIndex?.index || current.uvIndex || 0,
-    precipitationProbability: current.precipitationProbability?.percent || current.precipitationProbability || 0,
-    condition: mapCondition(current.weatherCondition || current.condition || 'CLEAR'),
-    conditionText: WEATHER_CONDITIONS[mapCondition(current.weatherCondition || current.condition || 'CLEAR')].label,
-    icon: current.iconCode || 'clear',
-    observationTime: new Date(current.observationTime || current.dateTime || Date.now()),
-  };
-}
+function evictCacheEntries(keep) {
+  const entries = getAllItems(STORES.WEATHER);
+  const lru = getLruOrder(entries).filter(key => key !== keep);
+  let bytes = Object.values(entries).reduce((total, entry) => total + JSON.stringify(entry).length, 0);
 
-/**
- * Transform hourly forecast API response
- * @param {Object} apiResponse 
- * @param {number} hours - How many hours to return
- * @returns {import('../types/index.js').HourlyForecast[]}
- */
-function transformHourlyForecast(apiResponse, hours = API_CONFIG.HOURLY_HOURS) {
-  const hourlyData = apiResponse.hourlyForecasts || apiResponse.hourly || [];
-  
-  return hourlyData.slice(0, hours).map(hour => {
-    const conditionCode = mapCondition(hour.weatherCondition || hour.condition || 'CLEAR');
-    
-    return {
-      time: new Date(hour.interval?.startTime || hour.dateTime || hour.time),
-      temperature: celsiusToFahrenheit(hour.temperature?.degrees || hour.temperature),
-      feelsLike: celsiusToFahrenheit(hour.apparentTemperature?.degrees || hour.feelsLike || hour.temperature?.degrees),
-      humidity: hour.humidity?.percent || hour.humidity || 50,
-      precipitationProbability: hour.precipitationProbability?.percent || hour.precipitationProbability || 0,
-      uvIndex: hour.uvIndex?.index || hour.uvIndex || 0,
-      windSpeed: mpsToMph(hour.wind?.speed?.value || hour.windSpeed || 0),
-      condition: conditionCode,
-      conditionText: WEATHER_CONDITIONS[conditionCode].label,
-    };
-  });
+  while (lru.length > 0 && (lru.length + 1 > API_CONFIG.CACHE_MAX_ENTRIES || bytes > API_CONFIG.CACHE_MAX_BYTES)) {
+    const key = lru.shift();
+    bytes -= JSON.stringify(entries[key]).length;
+    removeItem(STORES.WEATHER, key);
+  }
 }
 
 /**
- * Transform daily forecast API response
- * @param {Object} apiResponse 
- * @param {number} days - How many days to return
- * @returns {import('../types/index.js').DailyForecast[]}
+ * Get cached weather data for a location
+ * @param {number} lat 
+ * @param {number} lng 
+ * @param {Object} [options]
+ * @param {boolean} [options.allowStale=false] - Also return expired data that is
+ *   no older than maxAgeMs
+ * @param {number} [options.maxAgeMs] - Oldest stale data to return (default
+ *   API_CONFIG.CACHE_STALE_MAX_AGE_MS; CACHE_OFFLINE_MAX_AGE_MS when nothing fresher can be had)
+ * @returns {import('../types/index.js').WeatherData | null}
  */
-function transformDailyForecast(apiResponse, days = API_CONFIG.DAILY_DAYS) {
-  const dailyData = apiResponse.dailyForecasts || apiResponse.daily || [];
+export function getCachedWeather(lat, lng, { allowStale = false, maxAgeMs = API_CONFIG.CACHE_STALE_MAX_AGE_MS } = {}) {
+  const key = getLocationCacheKey(lat, lng);
+  const entry = getItem(STORES.WEATHER, key);
+  if (!entry) return null;
   
-  return dailyData.slice(0, days).map(day => {
-    const conditionCode = mapCondition(day.weatherCondition || day.condition || 'CLEAR');
+  try {
+    const data = reviveWeatherData(entry.data);
+    // Too old to be useful even as a fallback (kept until evicted, for offline use)
+    if (Date.now() - data.fetchedAt.getTime() > maxAgeMs) return null;
+    if (!allowStale && isWeatherExpired(data)) return null;
     
-    return {
-      date: new Date(day.interval?.startTime || day.dateTime || day.date),
-      tempHigh: celsiusToFahrenheit(day.temperature?.max?.degrees || day.maxTemperature || day.tempHigh),
-      tempLow: celsiusToFahrenheit(day.temperature?.min?.degrees || day.minTemperature || day.tempLow),
-      precipitationProbability: day.precipitationProbability?.percent || day.precipitationProbability || 0,
-      condition: conditionCode,
-      conditionText: WEATHER_CONDITIONS[conditionCode].label,
-      uvIndexMax: day.uvIndex?.max?.index || day.uvIndexMax || 0,
-      sunrise: day.sun?.rise || day.sunrise || '',
-      sunset: day.sun?.set || day.sunset || '',
-    };
-  });
+    setItem(STORES.WEATHER, key, { ...entry, lastAccessed: Date.now() });
+    return data;
+  } catch (e) {
+    console.warn('Cache read error:', e);
+    return null;
+  }
 }
 
-// ============================================================================
-// UNIT CONVERSIONS
-// ============================================================================
-
 /**
- * Convert Celsius to Fahrenheit
- * @param {number} celsius 
- * @returns {number}
+ * Save weather data to the cache entry for a location
+ * @param {import('../types/index.js').WeatherData} data 
+ * @param {number} lat 
+ * @param {number} lng 
  */
-function celsiusToFahrenheit(celsius) {
-  if (typeof celsius !== 'number' || isNaN(celsius)) return 70; // Default
-  return Math.round((celsius * 9/5) + 32);
+export function setCachedWeather(data, lat, lng) {
+  const key = getLocationCacheKey(lat, lng);
+  setItem(STORES.WEATHER, key, { data, lastAccessed: Date.now() });
+  evictCacheEntries(key);
 }
 
 /**
- * Convert meters per second to mph
- * @param {number} mps 
- * @returns {number}
+ * Clear the weather cache for one location, or all locations
+ * @param {number} [lat] 
+ * @param {number} [lng] 
  */
-function mpsToMph(mps) {
-  if (typeof mps !== 'number' || isNaN(mps)) return 0;
-  return Math.round(mps * 2.237);
+export function clearWeatherCache(lat, lng) {
+  if (lat === undefined || lng === undefined) {
+    clearStore(STORES.WEATHER);
+    return;
+  }
+  removeItem(STORES.WEATHER, getLocationCacheKey(lat, lng));
 }
 
 // ============================================================================
 // MAIN API FUNCTIONS
 // ============================================================================
 
+/**
+ * Wait on a shared in-flight request for one caller. The caller can stop
+ * waiting with its own signal; the request itself is only aborted once
+ * nobody is left waiting for it.
+ * @template T
+ * @param {{promise: Promise<T>, controller: AbortController, waiters: number}} request
+ * @param {AbortSignal} [signal]
+ * @param {() => void} onAbandoned - Called just before an abandoned request is aborted
+ * @returns {Promise<T>}
+ */
+function joinRequest(request, signal, onAbandoned) {
+  request.waiters += 1;
+
+  return new Promise((resolve, reject) => {
+    let waiting = true;
+    const leave = () => {
+      if (!waiting) return false;
+      waiting = false;
+      request.waiters -= 1;
+      signal?.removeEventListener('abort', onAbort);
+      return true;
+    };
+
+    function onAbort() {
+      if (!leave()) return;
+      const { reason } = signal;
+      // Let a caller that's about to ask for the same place (a remount, a refresh) take it over first
+      queueMicrotask(() => {
+        if (request.waiters > 0 || request.controller.signal.aborted) return;
+        onAbandoned();
+        request.controller.abort(reason);
+      });
+      reject(reason);
+    }
+
+    if (signal?.aborted) {
+      onAbort();
+      return;
+    }
+    signal?.addEventListener('abort', onAbort);
+    request.promise.then(
+      (data) => leave() && resolve(data),
+      (error) => leave() && reject(error),
+    );
+  });
+}
+
 /**
  * Create the weather API service
- * @param {string} apiKey - Google Maps Weather API key
+ * @param {string} apiKey - API key for the selected provider (unused by keyless providers)
+ * @param {Object} [options]
+ * @param {string} [options.provider] - Provider id (defaults to API_CONFIG.PROVIDER)
+ * @param {string} [options.baseUrl] - Override the provider's base URL
+ * @param {number} [options.hourlyHours] - Hours of hourly forecast to fetch (e.g. 24 or 48)
+ * @param {number} [options.dailyDays] - Days of daily forecast to fetch
+ * @param {ReturnType<import('./fixtures.js').createFixtureRecorder>} [options.recorder]
+ *   - Record the raw responses of each fresh fetch as a fixture
+ * @param {import('./fixtures.js').WeatherFixture | string} [options.fixture]
+ *   - Replay this recording instead of calling the provider (no API key needed). Data is
+ *   as of the recording, with the recorded horizon, and never cached.
+ * @param {boolean} [options.shiftFixtureToToday=false] - Move replayed data forward to today,
+ *   for offline development rather than debugging
  * @returns {WeatherApiService}
  */
-export function createWeatherService(apiKey) {
-  const baseUrl = API_CONFIG.BASE_URL;
+export function createWeatherService(apiKey, {
+  provider = API_CONFIG.PROVIDER,
+  baseUrl,
+  hourlyHours = API_CONFIG.HOURLY_HOURS,
+  dailyDays = API_CONFIG.DAILY_DAYS,
+  recorder,
+  fixture,
+  shiftFixtureToToday = false,
+} = {}) {
+  const weatherProvider = createProvider(fixture ? 'replay' : provider, { apiKey, baseUrl, fixture, fetchJson: fetchWithRetry });
+  const recording = weatherProvider.fixture ?? null;
+
+  // A copy of the provider per AbortSignal, so every request it makes can be cancelled,
+  // and per fixture being recorded, so its requests land in that fixture
+  const scopedProviders = new WeakMap();
+  /**
+   * @param {Object} [scope]
+   * @param {AbortSignal} [scope.signal]
+   * @param {import('./fixtures.js').FixtureRecording} [scope.fixtureRecording]
+   * @returns {import('../types/index.js').WeatherProvider}
+   */
+  const providerFor = ({ signal, fixtureRecording } = {}) => {
+    // Replays answer from memory; there's nothing to cancel or record
+    const key = fixtureRecording ?? signal;
+    if (!key || recording) return weatherProvider;
+    if (!scopedProviders.has(key)) {
+      const fetchJson = fixtureRecording?.fetchJson ?? fetchWithRetry;
+      scopedProviders.set(key, createProvider(provider, {
+        apiKey,
+        baseUrl,
+        fetchJson: (url, options = {}, retries) => fetchJson(url, signal ? { ...options, signal } : options, retries),
+      }));
+    }
+    return scopedProviders.get(key);
+  };
+
+  // Fresh fetches under way, by location, so callers asking for the same place share one
+  /** @type {Map<string, {promise: Promise<import('../types/index.js').WeatherData>, controller: AbortController, waiters: number}>} */
+  const inFlight = new Map();
+  // Ask for no more than the provider can give; a replay asks for what was recorded
+  const limits = PROVIDER_CONFIG[weatherProvider.id];
+  const horizon = recording ? { ...recording.horizon } : {
+    hours: Math.min(hourlyHours, limits?.maxHourlyHours ?? hourlyHours),
+    days: Math.min(dailyDays, limits?.maxDailyDays ?? dailyDays),
+  };
+  // Replayed data is judged as of when it was recorded
+  const clock = () => (recording ? new Date(recording.recordedAt) : new Date());
   
+  /**
+   * Fetch everything for a location from the provider, once
+   * @param {WeatherApiService} service
+   * @param {number} lat
+   * @param {number} lng
+   * @param {{useCache: boolean, signal: AbortSignal}} options
+   * @returns {Promise<import('../types/index.js').WeatherData>}
+   */
+  async function loadFreshWeather(service, lat, lng, { useCache, signal }) {
+    // Fetch all data in parallel, collecting data quality issues from each
+    const report = createQualityReport();
+    const fixtureRecording = recording ? undefined : recorder?.start({ provider: weatherProvider.id, location: { lat, lng }, horizon });
+    const scope = { signal, fixtureRecording };
+    const outcomes = await Promise.allSettled([
+      service.fetchCurrentConditions(lat, lng, report, scope),
+      service.fetchHourlyForecast(lat, lng, horizon.hours, report, scope),
+      service.fetchDailyForecast(lat, lng, horizon.days, report, scope),
+      service.fetchAirQuality(lat, lng, horizon.hours, report, scope),
+      service.fetchAlerts(lat, lng, report, scope),
+      service.fetchNowcast(lat, lng, report, scope),
+    ]);
+    // Only once every request has settled: failed fetches are recorded too -
+    // they're often the ones worth replaying - and so are the ones still running when another fails
+    fixtureRecording?.finish();
+    const failed = outcomes.find(outcome => outcome.status === 'rejected');
+    if (failed) throw failed.reason;
+    const [current, hourly, daily, airQuality, alerts, nowcast] = outcomes.map(outcome => outcome.value);
+    
+    const now = clock();
+    let weatherData = {
+      current,
+      hourly: mergeHourlyAqi(hourly, airQuality),
+      daily,
+      airQuality,
+      alerts,
+      nowcast: nowcast ?? createMockNowcast(hourly, { start: now }),
+      provider: weatherProvider.id,
+      timeZone: resolveTimeZone(current.timeZone, lat, lng),
+      dataQuality: summarizeDataQuality(report),
+      fetchedAt: now,
+      expiresAt: new Date(now.getTime() + API_CONFIG.CACHE_DURATION_MS),
+    };
+    
+    if (recording && shiftFixtureToToday) {
+      // Whole days keep the times of day; freshness goes by when it was replayed,
+      // or a replay opened at another time of day would already have expired
+      const replayedAt = new Date();
+      weatherData = {
+        ...shiftToToday(weatherData, new Date(recording.recordedAt), replayedAt),
+        fetchedAt: replayedAt,
+        expiresAt: new Date(replayedAt.getTime() + API_CONFIG.CACHE_DURATION_MS),
+      };
+    }
+    
+    if (useCache && !recording) {
+      setCachedWeather(weatherData, lat, lng);
+    }
+    
+    return weatherData;
+  }
+
   return {
+    /** Id of the provider backing this service */
+    provider: weatherProvider.id,
+    
+    /** Hours and days fetched by fetchFreshWeather, after provider limits */
+    horizon,
+    
     /**
      * Fetch current weather conditions
      * @param {number} lat 
      * @param {number} lng 
+     * @param {import('./validation.js').QualityReport} [report] - Collects data quality issues
+     * @param {{signal?: AbortSignal, fixtureRecording?: import('./fixtures.js').FixtureRecording}} [options]
      */
-    async fetchCurrentConditions(lat, lng) {
-      const url = `${baseUrl}/currentConditions:lookup?key=${apiKey}`;
-      const body = {
-        location: { latitude: lat, longitude: lng },
-        unitsSystem: 'METRIC', // We'll convert to Fahrenheit
-      };
-      
-      const response = await fetchWithRetry(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(body),
-      });
-      
-      return transformCurrentConditions(response);
+    fetchCurrentConditions(lat, lng, report = createQualityReport(), { signal, fixtureRecording } = {}) {
+      return providerFor({ signal, fixtureRecording }).fetchCurrentConditions(lat, lng, report);
     },
     
     /**
@@ -263,22 +385,11 @@ export function createWeatherService(apiKey) {
      * @param {number} lat 
      * @param {number} lng 
      * @param {number} hours 
+     * @param {import('./validation.js').QualityReport} [report] - Collects data quality issues
+     * @param {{signal?: AbortSignal, fixtureRecording?: import('./fixtures.js').FixtureRecording}} [options]
      */
-    async fetchHourlyForecast(lat, lng, hours = API_CONFIG.HOURLY_HOURS) {
-      const url = `${baseUrl}/forecast/hours:lookup?key=${apiKey}`;
-      const body = {
-        location: { latitude: lat, longitude: lng },
-        hours: hours,
-        unitsSystem: 'METRIC',
-      };
-      
-      const response = await fetchWithRetry(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(body),
-      });
-      
-      return transformHourlyForecast(response, hours);
+    fetchHourlyForecast(lat, lng, hours = API_CONFIG.HOURLY_HOURS, report = createQualityReport(), { signal, fixtureRecording } = {}) {
+      return providerFor({ signal, fixtureRecording }).fetchHourlyForecast(lat, lng, hours, report);
     },
     
     /**
@@ -286,65 +397,155 @@ export function createWeatherService(apiKey) {
      * @param {number} lat 
      * @param {number} lng 
      * @param {number} days 
+     * @param {import('./validation.js').QualityReport} [report] - Collects data quality issues
+     * @param {{signal?: AbortSignal, fixtureRecording?: import('./fixtures.js').FixtureRecording}} [options]
      */
-    async fetchDailyForecast(lat, lng, days = API_CONFIG.DAILY_DAYS) {
-      const url = `${baseUrl}/forecast/days:lookup?key=${apiKey}`;
-      const body = {
-        location: { latitude: lat, longitude: lng },
-        days: days,
-        unitsSystem: 'METRIC',
-      };
-      
-      const response = await fetchWithRetry(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(body),
-      });
-      
-      return transformDailyForecast(response, days);
+    fetchDailyForecast(lat, lng, days = API_CONFIG.DAILY_DAYS, report = createQualityReport(), { signal, fixtureRecording } = {}) {
+      return providerFor({ signal, fixtureRecording }).fetchDailyForecast(lat, lng, days, report);
+    },
+    
+    /**
+     * Fetch the provider's minutely precipitation, if it has any.
+     * Resolves to null when it doesn't or the request fails; callers fall
+     * back to createMockNowcast.
+     * @param {number} lat 
+     * @param {number} lng 
+     * @param {import('./validation.js').QualityReport} [report] - Collects data quality issues
+     * @param {{signal?: AbortSignal, fixtureRecording?: import('./fixtures.js').FixtureRecording}} [options]
+     * @returns {Promise<import('../types/index.js').Nowcast | null>}
+     */
+    async fetchNowcast(lat, lng, report = createQualityReport(), { signal, fixtureRecording } = {}) {
+      if (!weatherProvider.fetchNowcast) return null;
+      try {
+        return await providerFor({ signal, fixtureRecording }).fetchNowcast(lat, lng, report);
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        console.warn('Nowcast fetch failed:', error);
+        reportUnavailable(report, 'nowcast', error);
+        return null;
+      }
+    },
+    
+    /**
+     * Fetch official weather alerts (warnings, watches, advisories) in
+     * effect for the location. Like air quality, failures resolve to an
+     * empty list and are recorded in the report.
+     * @param {number} lat 
+     * @param {number} lng 
+     * @param {import('./validation.js').QualityReport} [report] - Collects data quality issues
+     * @param {{signal?: AbortSignal, fixtureRecording?: import('./fixtures.js').FixtureRecording}} [options]
+     * @returns {Promise<import('../types/index.js').WeatherAlert[]>}
+     */
+    async fetchAlerts(lat, lng, report = createQualityReport(), { signal, fixtureRecording } = {}) {
+      if (!weatherProvider.fetchAlerts) {
+        reportUnsupported(report, 'alerts', { alerts: [] });
+        return [];
+      }
+      try {
+        return getActiveAlerts(await providerFor({ signal, fixtureRecording }).fetchAlerts(lat, lng, report), clock());
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        console.warn('Alerts fetch failed:', error);
+        reportUnavailable(report, 'alerts', error);
+        return [];
+      }
+    },
+    
+    /**
+     * Fetch air quality and pollen. Resolves to null instead of failing:
+     * the forecast is still useful without it, and the report says why.
+     * @param {number} lat 
+     * @param {number} lng 
+     * @param {number} hours 
+     * @param {import('./validation.js').QualityReport} [report] - Collects data quality issues
+     * @param {{signal?: AbortSignal, fixtureRecording?: import('./fixtures.js').FixtureRecording}} [options]
+     * @returns {Promise<import('../types/index.js').AirQualityData | null>}
+     */
+    async fetchAirQuality(lat, lng, hours = API_CONFIG.HOURLY_HOURS, report = createQualityReport(), { signal, fixtureRecording } = {}) {
+      if (!weatherProvider.fetchAirQuality) {
+        reportUnsupported(report, 'airQuality', { airQuality: null, pollen: 0 });
+        return null;
+      }
+      try {
+        return await providerFor({ signal, fixtureRecording }).fetchAirQuality(lat, lng, hours, report);
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        console.warn('Air quality fetch failed:', error);
+        reportUnavailable(report, 'airQuality', error);
+        return null;
+      }
+    },
+    
+    /**
+     * Fetch all weather data (current + hourly + daily + air quality + alerts
+     * + nowcast) straight from the provider and cache it for the location.
+     * Callers asking for a location that's already being fetched with the
+     * same options share that fetch; it's cancelled only when every one of
+     * them has aborted.
+     * @param {number} lat 
+     * @param {number} lng 
+     * @param {Object} [options]
+     * @param {boolean} [options.useCache=true] - Write the result to the cache
+     * @param {AbortSignal} [options.signal] - Stop waiting; rejects with the abort reason
+     * @returns {Promise<import('../types/index.js').WeatherData>}
+     */
+    fetchFreshWeather(lat, lng, { useCache = true, signal } = {}) {
+      const key = `${getLocationCacheKey(lat, lng)}|${useCache ? 'cache' : 'no-cache'}`;
+      let request = inFlight.get(key);
+      if (!request) {
+        const controller = new AbortController();
+        request = { controller, waiters: 0, promise: null };
+        request.promise = loadFreshWeather(this, lat, lng, { useCache, signal: controller.signal })
+          .finally(() => {
+            if (inFlight.get(key) === request) inFlight.delete(key);
+          });
+        inFlight.set(key, request);
+      }
+      return joinRequest(request, signal, () => inFlight.delete(key));
     },
     
     /**
      * Fetch all weather data (current + hourly + daily)
+     * 
+     * Stale-while-revalidate: if the cached entry for this location has expired
+     * but is younger than CACHE_STALE_MAX_AGE_MS, it is returned immediately and
+     * a background refetch updates the cache. `onRevalidate` receives that
+     * refetch's promise so callers can swap in the fresh data (useWeather
+     * reports it as `isRevalidating`).
+     * 
      * @param {number} lat 
      * @param {number} lng 
      * @param {Object} options
      * @param {boolean} [options.useCache=true] - Use cached data if available
      * @param {boolean} [options.forceRefresh=false] - Ignore cache
+     * @param {(revalidation: Promise<import('../types/index.js').WeatherData>) => void} [options.onRevalidate]
+     *   - Called when stale data was served and a background refetch started
+     * @param {AbortSignal} [options.signal] - Cancel the fetch (and any background refetch)
      * @returns {Promise<import('../types/index.js').WeatherData>}
      */
-    async fetchAllWeather(lat, lng, { useCache = true, forceRefresh = false } = {}) {
+    async fetchAllWeather(lat, lng, { useCache = true, forceRefresh = false, onRevalidate, signal } = {}) {
       // Check cache first
       if (useCache && !forceRefresh) {
-        const cached = getCachedWeather();
-        if (cached) {
-          console.log('Using cached weather data');
+        const cached = getCachedWeather(lat, lng, { allowStale: true });
+        
+        if (cached && cached.provider === weatherProvider.id) {
+          if (!isWeatherExpired(cached)) {
+            return cached;
+          }
+          
+          const revalidation = this.fetchFreshWeather(lat, lng, { signal });
+          if (onRevalidate) {
+            onRevalidate(revalidation);
+          } else {
+            revalidation.catch(err => {
+              if (!signal?.aborted) console.warn('Background revalidation failed:', err);
+            });
+          }
           return cached;
         }
       }
       
-      // Fetch all data in parallel
-      const [current, hourly, daily] = await Promise.all([
-        this.fetchCurrentConditions(lat, lng),
-        this.fetchHourlyForecast(lat, lng),
-        this.fetchDailyForecast(lat, lng),
-      ]);
-      
-      const now = new Date();
-      const weatherData = {
-        current,
-        hourly,
-        daily,
-        fetchedAt: now,
-        expiresAt: new Date(now.getTime() + API_CONFIG.CACHE_DURATION_MS),
-      };
-      
-      // Cache the result
-      if (useCache) {
-        setCachedWeather(weatherData);
-      }
-      
-      return weatherData;
+      return this.fetchFreshWeather(lat, lng, { useCache, signal });
     },
   };
 }
@@ -354,73 +555,135 @@ export function createWeatherService(apiKey) {
 // ============================================================================
 
 /**
- * Generate realistic mock weather data for development/testing
+ * Generate realistic mock weather data for development/testing.
+ * Pass `now` and a `seed` (or your own seeded `random`) for the same data every time.
+ * @param {Object} [options]
+ * @param {string} [options.scenario='default'] - Weather pattern, a key of MOCK_SCENARIOS
+ * @param {Date} [options.now] - When the data was "fetched"; hours start here (defaults to now)
+ * @param {number | string} [options.seed] - Seed for the jitter (see createSeededRandom)
+ * @param {() => number} [options.random] - Source of jitter, like Math.random (the default when there's no seed)
+ * @param {string} [options.timeZone] - Zone the hours are shaped in (defaults to the device zone)
  * @returns {import('../types/index.js').WeatherData}
  */
-export function getMockWeatherData() {
-  const now = new Date();
-  const baseTemp = 65; // Base temperature
+export function getMockWeatherData({
+  scenario = 'default',
+  now = new Date(),
+  seed,
+  random = seed !== undefined ? createSeededRandom(seed) : Math.random,
+  timeZone = getDeviceTimeZone(),
+} = {}) {
+  const profile = getMockScenario(scenario);
+  const between = ([min, max]) => Math.round(min + random() * (max - min));
+  const uvAt = (hourOfDay) => {
+    if (hourOfDay >= 10 && hourOfDay <= 14) return profile.uvPeak;
+    if (hourOfDay >= 8 && hourOfDay <= 16) return Math.round(profile.uvPeak * 0.6);
+    return Math.min(profile.uvPeak, 1);
+  };
+  const startHour = getLocalHour(now, timeZone);
   
-  // Generate hourly data with realistic patterns
+  // Generate hourly data from the scenario's shape, with a little jitter
   const hourly = [];
-  for (let i = 0; i < 12; i++) {
+  for (let i = 0; i < API_CONFIG.HOURLY_HOURS; i++) {
     const hour = new Date(now.getTime() + i * 60 * 60 * 1000);
-    const hourOfDay = hour.getHours();
+    const hourOfDay = getLocalHour(hour, timeZone);
+    const day = Math.floor((startHour + i) / 24);
     
-    // Temperature curve: cooler morning, peaks afternoon
-    let tempOffset = 0;
-    if (hourOfDay < 8) tempOffset = -8;
-    else if (hourOfDay < 12) tempOffset = (hourOfDay - 8) * 2;
-    else if (hourOfDay < 16) tempOffset = 8;
-    else tempOffset = 8 - (hourOfDay - 16) * 2;
-    
-    const temp = baseTemp + tempOffset + (Math.random() * 4 - 2);
+    const temp = profile.temperature(hourOfDay, day) + (random() * 4 - 2);
+    const windSpeed = between(profile.wind);
+    const sky = profile.sky(hourOfDay, day);
     
     hourly.push({
       time: hour,
       temperature: Math.round(temp),
-      feelsLike: Math.round(temp - 2),
-      humidity: Math.round(50 + Math.random() * 30),
-      precipitationProbability: hourOfDay >= 14 && hourOfDay <= 17 ? 40 : 10,
-      uvIndex: hourOfDay >= 10 && hourOfDay <= 14 ? 7 : hourOfDay >= 8 && hourOfDay <= 16 ? 4 : 1,
-      windSpeed: Math.round(5 + Math.random() * 10),
-      condition: 'PARTLY_CLOUDY',
-      conditionText: 'Partly Cloudy',
+      feelsLike: Math.round(temp + profile.feelsLikeOffset),
+      humidity: between(profile.humidity),
+      precipitationProbability: sky.precipitationProbability,
+      uvIndex: sky.cloudCover >= 90 ? Math.min(uvAt(hourOfDay), 2) : uvAt(hourOfDay),
+      windSpeed,
+      windGust: windSpeed + between([profile.gust - 3, profile.gust + 3]),
+      dewPoint: Math.round(temp - profile.dewPointSpread),
+      cloudCover: sky.cloudCover,
+      precipitationAmount: sky.precipitationAmount,
+      precipitationType: sky.precipitationType,
+      snowfall: sky.snowfall,
+      visibility: sky.visibility,
+      condition: sky.condition,
+      conditionText: WEATHER_CONDITIONS[sky.condition].label,
+      aqi: profile.aqi(hourOfDay),
     });
   }
   
-  // Generate daily data
+  // Generate daily data from each whole day of the same shape
   const daily = [];
-  for (let i = 0; i < 7; i++) {
-    const day = new Date(now.getTime() + i * 24 * 60 * 60 * 1000);
+  for (let i = 0; i < API_CONFIG.DAILY_DAYS; i++) {
+    const hours = Array.from({ length: 24 }, (_, hourOfDay) => ({
+      hourOfDay,
+      temp: profile.temperature(hourOfDay, i),
+      sky: profile.sky(hourOfDay, i),
+    }));
+    const wettest = hours.reduce((worst, h) => (h.sky.precipitationProbability > worst.sky.precipitationProbability ? h : worst));
+    const { sky } = wettest.sky.precipitationType === 'none' ? hours[15] : wettest;
+    const total = (field) => Math.round(hours.reduce((sum, h) => sum + h.sky[field], 0) * 100) / 100;
+    const high = Math.max(...hours.map(h => h.temp));
+    const low = Math.min(...hours.map(h => h.temp));
+    
     daily.push({
-      date: day,
-      tempHigh: Math.round(baseTemp + 10 + (Math.random() * 6 - 3)),
-      tempLow: Math.round(baseTemp - 5 + (Math.random() * 4 - 2)),
-      precipitationProbability: Math.round(Math.random() * 40),
-      condition: ['CLEAR', 'MOSTLY_CLEAR', 'PARTLY_CLOUDY', 'CLOUDY'][Math.floor(Math.random() * 4)],
-      conditionText: 'Variable',
-      uvIndexMax: 6 + Math.floor(Math.random() * 3),
+      date: new Date(now.getTime() + i * 24 * 60 * 60 * 1000),
+      tempHigh: Math.round(high + (random() * 6 - 3)),
+      tempLow: Math.round(low + (random() * 4 - 2)),
+      precipitationProbability: wettest.sky.precipitationProbability,
+      condition: sky.condition,
+      conditionText: WEATHER_CONDITIONS[sky.condition].label,
+      uvIndexMax: Math.max(...hours.map(h => uvAt(h.hourOfDay))),
+      windGust: profile.wind[1] + profile.gust,
+      dewPoint: Math.round((high + low) / 2 - profile.dewPointSpread),
+      cloudCover: Math.round(hours.reduce((sum, h) => sum + h.sky.cloudCover, 0) / 24),
+      precipitationAmount: total('precipitationAmount'),
+      precipitationType: wettest.sky.precipitationType,
+      snowfall: total('snowfall'),
+      visibility: Math.min(...hours.map(h => h.sky.visibility)),
       sunrise: '6:45 AM',
       sunset: '7:30 PM',
     });
   }
   
+  const { time, aqi, ...currentHour } = hourly[0];
+  
   return {
     current: {
-      temperature: Math.round(baseTemp + 3),
-      feelsLike: Math.round(baseTemp + 1),
-      humidity: 55,
-      windSpeed: 8,
-      uvIndex: 5,
-      precipitationProbability: 15,
-      condition: 'PARTLY_CLOUDY',
-      conditionText: 'Partly Cloudy',
-      icon: 'partly_cloudy',
+      ...currentHour,
+      // Nothing measured has fallen yet, whatever the hour brings
+      precipitationAmount: 0,
+      icon: currentHour.condition.toLowerCase(),
       observationTime: now,
     },
     hourly,
     daily,
+    airQuality: {
+      current: createAqiReading(hourly[0].aqi, 'o3'),
+      hourly: hourly.map(h => ({ time: h.time, aqi: h.aqi })),
+      pollen: daily.slice(0, API_CONFIG.POLLEN_DAYS).map(d => ({ date: d.date, ...profile.pollen })),
+    },
+    alerts: profile.alerts.map(({ hours, ...alert }, i) => ({
+      ...alert,
+      id: `mock-${scenario}-${i}`,
+      onset: now,
+      expires: new Date(now.getTime() + hours * 60 * 60 * 1000),
+      source: 'Mock',
+    })),
+    nowcast: profile.nowcast
+      ? {
+        source: 'mock',
+        points: profile.nowcast.map((intensity, i) => ({
+          time: new Date(now.getTime() + i * 5 * 60 * 1000),
+          intensity,
+        })),
+      }
+      : createMockNowcast(hourly, { start: now }),
+    provider: 'mock',
+    scenario,
+    timeZone,
+    dataQuality: summarizeDataQuality(createQualityReport()),
     fetchedAt: now,
     expiresAt: new Date(now.getTime() + API_CONFIG.CACHE_DURATION_MS),
   };
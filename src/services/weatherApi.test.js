@@ -0,0 +1,47 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import fixture from './providers/__fixtures__/open-meteo.json';
+import { createWeatherService, clearWeatherCache } from './weatherApi.js';
+import { createReplayFetch } from './fixtures.js';
+
+const { lat, lng } = fixture.location;
+
+/** An Open-Meteo service answering from the recording, counting provider round trips */
+const countingService = () => {
+  const fetches = { count: 0 };
+  const recorder = {
+    start() {
+      fetches.count += 1;
+      return { fetchJson: createReplayFetch(fixture), finish: () => null };
+    },
+  };
+  const service = createWeatherService('', { provider: 'open-meteo', recorder, hourlyHours: fixture.horizon.hours, dailyDays: fixture.horizon.days });
+  return { service, fetches };
+};
+
+describe('fetchFreshWeather', () => {
+  afterEach(() => clearWeatherCache());
+
+  it('shares an in-flight fetch between callers with the same options', async () => {
+    const { service, fetches } = countingService();
+
+    const [first, second] = await Promise.all([
+      service.fetchFreshWeather(lat, lng),
+      service.fetchFreshWeather(lat, lng),
+    ]);
+
+    expect(fetches.count).toBe(1);
+    expect(second).toBe(first);
+  });
+
+  it("doesn't join a fetch started with different cache options", async () => {
+    const { service, fetches } = countingService();
+
+    const [cached, uncached] = await Promise.all([
+      service.fetchFreshWeather(lat, lng, { useCache: true }),
+      service.fetchFreshWeather(lat, lng, { useCache: false }),
+    ]);
+
+    expect(fetches.count).toBe(2);
+    expect(uncached).not.toBe(cached);
+  });
+});
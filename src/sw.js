@@ -0,0 +1,74 @@
+/**
+ * Tiny Weather - Service Worker
+ *
+ * Precaches the app shell so the app opens without a network; the last
+ * forecast and the children come from storage (services/storage.js).
+ * - Built files are served cache-first (their names change with their content)
+ * - Pages are network-first, falling back to the cached shell when offline
+ *   or when the network is too slow to wait for
+ * - Weather API requests are left alone: the app retries and caches those
+ *
+ * The service-worker plugin in vite.config.ts fills in the precache list and
+ * version below and emits this file as /sw.js.
+ */
+
+const CACHE_VERSION = __CACHE_VERSION__;
+const PRECACHE_URLS = __PRECACHE_URLS__;
+const SHELL_URL = __SHELL_URL__;
+
+const CACHE_PREFIX = 'tinyweather-shell-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+/** How long a page load waits for the network before using the cached shell */
+const NAVIGATION_TIMEOUT_MS = 3000;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop shells from earlier builds
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME).map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+/**
+ * Fetch, giving up after a while (an elevator's one bar of signal can hang for minutes)
+ * @param {Request} request
+ * @param {number} ms
+ * @returns {Promise<Response>}
+ */
+function fetchWithTimeout(request, ms) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('Network too slow')), ms);
+    fetch(request).then(resolve, reject).finally(() => clearTimeout(timer));
+  });
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetchWithTimeout(request, NAVIGATION_TIMEOUT_MS).catch(async (error) => {
+        const shell = await caches.match(SHELL_URL, { cacheName: CACHE_NAME });
+        if (shell) return shell;
+        throw error;
+      })
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request, { cacheName: CACHE_NAME }).then(cached => cached ?? fetch(request))
+  );
+});
@@ -25,10 +25,42 @@
  * @property {string} [locationName] - Human-readable location name
  */
 
+/**
+ * A place found by city name or postal code search
+ * @typedef {Object} PlaceResult
+ * @property {string} id - Stable id (prefixed with its source)
+ * @property {string} name - Place name (e.g. "Portland")
+ * @property {string} region - State/province/region ('' if unknown)
+ * @property {string} countryCode - ISO 3166-1 alpha-2 code
+ * @property {string} label - Display label (e.g. "Portland, ME")
+ * @property {number} lat - Latitude
+ * @property {number} lng - Longitude
+ * @property {string} [timeZone] - IANA zone, when the geocoder reports one
+ * @property {'offline' | 'open-meteo' | 'google'} source - Where the result came from
+ */
+
+/**
+ * @typedef {'home' | 'school' | 'daycare' | 'grandparents' | 'other'} LocationKind
+ */
+
+/**
+ * @typedef {Object} SavedLocation
+ * @property {string} id - Unique identifier
+ * @property {string} name - Family's name for the place (e.g. "Grandma's")
+ * @property {LocationKind} kind - What sort of place it is (see LOCATION_KINDS)
+ * @property {number} lat - Latitude
+ * @property {number} lng - Longitude
+ */
+
 // ============================================================================
 // WEATHER DATA TYPES (from WeatherNeXT 2 API)
 // ============================================================================
 
+/**
+ * @typedef {'none' | 'rain' | 'snow' | 'mixed'} PrecipitationType
+ * 'mixed' covers sleet, freezing rain and rain-snow mixes
+ */
+
 /**
  * @typedef {Object} CurrentConditions
  * @property {number} temperature - Temperature in Fahrenheit
@@ -37,10 +69,18 @@
  * @property {number} windSpeed - Wind speed in mph
  * @property {number} uvIndex - UV index (0-11+)
  * @property {number} precipitationProbability - Rain chance (0-100)
+ * @property {number | null} windGust - Peak gust in mph (null = not reported)
+ * @property {number | null} dewPoint - Dew point in Fahrenheit
+ * @property {number | null} cloudCover - Cloud cover percentage (0-100)
+ * @property {number | null} precipitationAmount - Liquid precipitation in inches over the last hour
+ * @property {PrecipitationType} precipitationType - What's falling, or would fall
+ * @property {number | null} snowfall - Snow depth in inches over the last hour
+ * @property {number | null} visibility - Visibility in miles
  * @property {string} condition - Weather condition code
  * @property {string} conditionText - Human-readable condition
  * @property {string} icon - Icon code for condition
  * @property {Date} observationTime - When data was observed
+ * @property {string} [timeZone] - IANA zone reported by the provider, if any (see WeatherData.timeZone)
  */
 
 /**
@@ -52,8 +92,16 @@
  * @property {number} precipitationProbability - Rain chance (0-100)
  * @property {number} uvIndex - UV index
  * @property {number} windSpeed - Wind speed in mph
+ * @property {number | null} windGust - Peak gust in mph (null = not reported)
+ * @property {number | null} dewPoint - Dew point in Fahrenheit
+ * @property {number | null} cloudCover - Cloud cover percentage (0-100)
+ * @property {number | null} precipitationAmount - Liquid precipitation in inches for the hour
+ * @property {PrecipitationType} precipitationType - What's falling, or would fall
+ * @property {number | null} snowfall - Snow depth in inches for the hour
+ * @property {number | null} visibility - Visibility in miles
  * @property {string} condition - Weather condition code
  * @property {string} conditionText - Human-readable condition
+ * @property {number | null} [aqi] - US AQI for the hour (null if the provider has no air quality)
  */
 
 /**
@@ -65,19 +113,123 @@
  * @property {string} condition - Primary weather condition
  * @property {string} conditionText - Human-readable condition
  * @property {number} uvIndexMax - Max UV for the day
+ * @property {number | null} windGust - Strongest gust in mph (null = not reported)
+ * @property {number | null} dewPoint - Average dew point in Fahrenheit
+ * @property {number | null} cloudCover - Average cloud cover percentage (0-100)
+ * @property {number | null} precipitationAmount - Total liquid precipitation in inches
+ * @property {PrecipitationType} precipitationType - What's falling, or would fall
+ * @property {number | null} snowfall - Total snow depth in inches
+ * @property {number | null} visibility - Lowest visibility in miles
  * @property {string} sunrise - Sunrise time
  * @property {string} sunset - Sunset time
  */
 
+/**
+ * @typedef {Object} NowcastPoint
+ * @property {Date} time - Start of the interval
+ * @property {number} intensity - Precipitation rate in mm/h
+ */
+
+/**
+ * Minute-level precipitation for the next hour or two
+ * @typedef {Object} Nowcast
+ * @property {'provider' | 'mock'} source - 'mock' = interpolated from hourly rain chance (an estimate)
+ * @property {NowcastPoint[]} points - Evenly spaced, oldest first
+ */
+
+/**
+ * @typedef {Object} DryWindow
+ * @property {boolean} isRaining - Whether it's wet at the time asked about
+ * @property {Date} start - When the dry stretch starts (the time asked about if already dry)
+ * @property {Date | null} end - When rain resumes (null = dry to the end of the nowcast)
+ * @property {number} minutesUntil - Minutes from the time asked about to `start`
+ */
+
+/**
+ * @typedef {'extreme' | 'severe' | 'moderate' | 'minor' | 'unknown'} AlertSeverity
+ */
+
+/**
+ * Official warning, watch or advisory from a weather authority
+ * @typedef {Object} WeatherAlert
+ * @property {string} id - Provider alert id
+ * @property {string} event - Alert type (e.g. 'Heat Advisory', 'Winter Storm Warning')
+ * @property {string} headline - One-line summary
+ * @property {string} description - Full text from the issuer
+ * @property {string | null} [instruction] - What to do, if the issuer said
+ * @property {AlertSeverity} severity - How severe (inferred from the event name if not sent)
+ * @property {string} area - Affected area description
+ * @property {Date | null} onset - When the hazard begins
+ * @property {Date | null} expires - When the hazard ends
+ * @property {string} source - Issuing authority
+ */
+
+/**
+ * @typedef {Object} AirQualityReading
+ * @property {number} aqi - US EPA AQI (0-500)
+ * @property {'good' | 'moderate' | 'sensitive' | 'unhealthy' | 'very-unhealthy' | 'hazardous'} category - AQI band
+ * @property {string} label - Human-readable band (e.g. 'Unhealthy for Sensitive Groups')
+ * @property {string | null} dominantPollutant - Provider pollutant code (e.g. 'pm25', 'o3'), if known
+ */
+
+/**
+ * @typedef {Object} AirQualityHour
+ * @property {Date} time - Hour timestamp
+ * @property {number} aqi - US EPA AQI
+ */
+
+/**
+ * @typedef {Object} PollenForecast
+ * @property {Date} date - Day date
+ * @property {number} tree - Universal Pollen Index (0 none - 5 very high)
+ * @property {number} grass - Universal Pollen Index
+ * @property {number} weed - Universal Pollen Index
+ */
+
+/**
+ * @typedef {Object} AirQualityData
+ * @property {AirQualityReading | null} current - Air quality right now
+ * @property {AirQualityHour[]} hourly - Hourly AQI forecast (also merged onto HourlyForecast.aqi)
+ * @property {PollenForecast[]} pollen - Daily pollen (empty where the provider has none)
+ */
+
 /**
  * @typedef {Object} WeatherData
  * @property {CurrentConditions} current - Current conditions
  * @property {HourlyForecast[]} hourly - 12-hour forecast
  * @property {DailyForecast[]} daily - 7-day forecast
+ * @property {AirQualityData | null} [airQuality] - Air quality and pollen (null if unavailable)
+ * @property {WeatherAlert[]} [alerts] - Official alerts in effect (empty if none or unsupported)
+ * @property {Nowcast | null} [nowcast] - Next couple of hours of rain, minute by minute
+ * @property {string} provider - Id of the provider that supplied the data ('mock' for mock data, 'replay' for a recorded fixture)
+ * @property {string} [scenario] - Mock data only: the MOCK_SCENARIOS key it was generated from
+ * @property {string} [timeZone] - IANA zone of the forecast location; hours and days are bucketed
+ *   in this zone (from the provider, else an offline estimate; absent on old cache entries = device zone)
+ * @property {DataQuality} dataQuality - What the provider left out and how it was handled
  * @property {Date} fetchedAt - When data was fetched
  * @property {Date} expiresAt - When cache expires
  */
 
+/**
+ * @typedef {Object} DataQualityIssue
+ * @property {'current' | 'hourly' | 'daily' | 'airQuality' | 'pollen' | 'alerts' | 'nowcast'} section - Where the issue was found
+ * @property {number} [index] - Position in the hourly/daily list
+ * @property {string} field - WeatherData field name (e.g. 'uvIndex')
+ * @property {'missing' | 'invalid' | 'unsupported' | 'unavailable'} issue - What was wrong
+ *   ('unavailable' means a secondary request such as air quality failed)
+ * @property {'warning' | 'error'} severity - 'error' means the record was dropped
+ * @property {*} [fallback] - Value used in place of the missing one
+ * @property {string} message - Developer-readable description
+ */
+
+/**
+ * @typedef {Object} DataQuality
+ * @property {'good' | 'partial' | 'poor'} level - Overall data completeness
+ * @property {DataQualityIssue[]} issues - Every issue found while validating
+ * @property {string[]} missingFields - Unique field names with issues
+ * @property {string} summary - One-line, user-facing description
+ */
+
 // ============================================================================
 // OUTFIT RECOMMENDATION TYPES
 // ============================================================================
@@ -94,6 +246,74 @@
  * @property {string} emoji - Visual representation
  * @property {boolean} required - Is this essential vs optional
  * @property {string} [reason] - Why this is recommended
+ * @property {string} [wardrobeItemId] - The child's own item being worn (when dressing from a wardrobe)
+ * @property {string | null} [size] - Its size
+ * @property {string} [substituteFor] - Name of the recommended item it stands in for
+ * @property {boolean} [isMissing] - Nothing in the wardrobe fits (see the outfit's gaps)
+ */
+
+/**
+ * A piece of clothing a child owns
+ * @typedef {Object} WardrobeItem
+ * @property {string} id - Unique identifier
+ * @property {string} type - Kind of item, a CLOTHING_ITEMS id (e.g. 'rain-boots')
+ * @property {string} name - What the family calls it (e.g. "Yellow raincoat")
+ * @property {number} warmth - 0 (none) to WARDROBE_CONFIG.MAX_WARMTH
+ * @property {boolean} waterproof - Keeps rain out
+ * @property {string | null} size - As on the label (e.g. "3T")
+ * @property {boolean} inWash - Not available today
+ */
+
+/**
+ * A parent's rating of how a day's outfit went
+ * @typedef {Object} ComfortFeedback
+ * @property {string} date - Local day the outfit was worn (YYYY-MM-DD)
+ * @property {'too-cold' | 'just-right' | 'too-hot'} rating
+ * @property {number | null} [morningTemp] - Morning temperature the outfit was chosen for
+ */
+
+/**
+ * How much warmer to dress a child, from their recent ratings
+ * @typedef {Object} ComfortAdjustment
+ * @property {number} offset - Degrees F to dress for below the forecast (negative = dress lighter)
+ * @property {string | null} explanation - e.g. "Recommending warmer because Mia was cold 3 of the last 5 times"
+ * @property {number} cold - "Too cold" ratings among the recent ones
+ * @property {number} hot - "Too hot" ratings among the recent ones
+ * @property {number} total - Recent ratings considered
+ */
+
+/**
+ * Something an outfit needs that the child's wardrobe can't supply
+ * @typedef {Object} WardrobeGap
+ * @property {string} itemId - The recommended item (a CLOTHING_ITEMS id)
+ * @property {string} name - Its name
+ * @property {string} slot - What it's worn as (see CLOTHING_ITEMS)
+ * @property {boolean} required - Whether the outfit needs it or it's optional
+ * @property {'in-wash' | 'not-waterproof' | 'not-warm-enough' | 'missing'} kind
+ * @property {string} message - e.g. "No waterproof outer layer - consider buying a rain jacket"
+ */
+
+/**
+ * Something put on or taken off between two points in the day
+ * @typedef {Object} OutfitChange
+ * @property {'add' | 'remove'} action
+ * @property {string} itemId - The outfit item (see ClothingItem.id)
+ * @property {string} name - Its name (the child's own, with a wardrobe)
+ * @property {string} emoji
+ * @property {string} layer - 'mid', 'outer' or 'accessory'
+ */
+
+/**
+ * The outfit at one point in the day (see OUTFIT_TIMELINE)
+ * @typedef {Object} OutfitTimelineStep
+ * @property {'dropoff' | 'midday' | 'pickup' | 'evening'} id
+ * @property {string} label - "Dropoff", "Midday"...
+ * @property {number} startHour - Local hours it covers, inclusive
+ * @property {number} endHour
+ * @property {number} temperature - Average air temperature
+ * @property {number} feelsLike - Average of how it feels outdoors
+ * @property {string[]} wearing - Ids of the outfit items worn, base layers and shoes included
+ * @property {OutfitChange[]} changes - Since the step before (none for the first)
  */
 
 /**
@@ -102,14 +322,31 @@
  * @property {string} childName - Child's name
  * @property {string} ageGroup - Age category
  * @property {ClothingItem[]} items - Recommended clothing items
+ * @property {WardrobeGap[]} gaps - What the child's wardrobe is missing for this outfit (empty without a wardrobe)
+ * @property {OutfitTimelineStep[]} timeline - Dropoff to evening, for the times of day the forecast covers (past ones dropped today); empty for an activity
+ * @property {string | null} activity - The outing dressed for (an ACTIVITY_PROFILES id), or null for daycare or school
+ * @property {{offset: number, explanation: string | null}} comfort - How far layers were shifted for this child, and why
  * @property {string[]} tips - Context-specific tips
  * @property {string} summary - One-line summary
  * @property {'cold' | 'cool' | 'comfortable' | 'warm' | 'hot'} tempCategory
- * @property {boolean} needsRainGear - Should pack rain gear
+ * @property {boolean} needsRainGear - The outfit has rain gear (rain jacket, rain boots or umbrella) to pack
  * @property {boolean} needsSunProtection - High UV day
  * @property {number} morningTemp - Morning temperature
  * @property {number} afternoonTemp - Afternoon temperature
+ * @property {number} morningFeelsLike - How the morning feels outdoors (wind chill, heat index and sun); what the layers are for
+ * @property {number} afternoonFeelsLike - How the afternoon feels outdoors
  * @property {number} tempSwing - Temperature change throughout day
+ * @property {Date} date - Day the outfit is for
+ * @property {boolean} isPlanned - Built from the forecast alone (see OutfitPlan), not current conditions
+ */
+
+/**
+ * Hours of a day to dress for ahead of time
+ * @typedef {Object} OutfitPlan
+ * @property {Date} date - Any instant on the day
+ * @property {number} [startHour] - First local hour to dress for (defaults to TIME_CONFIG.MORNING_START)
+ * @property {number} [endHour] - Last local hour to dress for (defaults to TIME_CONFIG.AFTERNOON_END)
+ * @property {string} [activity] - Dress for an outing instead of daycare or school (an ACTIVITY_PROFILES id)
  */
 
 // ============================================================================
@@ -124,12 +361,13 @@
  * @typedef {Object} ActivityHour
  * @property {Date} time - Hour timestamp
  * @property {number} temperature - Temperature
- * @property {number} feelsLike - Feels like temp
+ * @property {number} feelsLike - How it feels outdoors (see getApparentTemperature); what the hour is scored on
  * @property {ActivityQuality} quality - How good for outdoor activities
  * @property {number} score - Numeric score (0-100)
  * @property {string} reason - Why this rating
  * @property {number} rainChance - Precipitation probability
  * @property {number} uvIndex - UV index
+ * @property {number | null} aqi - US AQI, if known
  * @property {string} emoji - Visual indicator
  */
 
@@ -142,6 +380,7 @@
  * @property {string} label - Human-readable label (e.g., "9am - 11am")
  * @property {string} description - Why this is the rating
  * @property {number} avgTemp - Average temperature
+ * @property {number} avgFeelsLike - Average of how it feels outdoors
  */
 
 /**
@@ -151,6 +390,15 @@
  * @property {ActivityWindow | null} bestWindow - Best time to go outside
  * @property {string} daySummary - Overall day assessment
  * @property {boolean} hasGoodWindows - Are there any good outdoor times
+ * @property {string} [timeZone] - Zone the hours were bucketed in (for labelling them in the UI)
+ * @property {Date} date - Day the hours are for
+ */
+
+/**
+ * @typedef {Object} ForecastDay
+ * @property {string} key - Local calendar date, YYYY-MM-DD
+ * @property {Date} date - First forecast hour on that date
+ * @property {string} label - "Today", "Tomorrow" or the weekday
  */
 
 // ============================================================================
@@ -167,7 +415,7 @@
 
 /**
  * @typedef {Object} SmartTip
- * @property {string} id - Unique identifier
+ * @property {string} id - Stable identifier, derived from category and wording
  * @property {TipType} type - Type of tip
  * @property {TipPriority} priority - How important
  * @property {string} title - Short title
@@ -175,6 +423,7 @@
  * @property {string} emoji - Visual indicator
  * @property {string} [actionText] - Optional CTA text
  * @property {string} [category] - Tip category for grouping
+ * @property {string} [alertId] - WeatherAlert id, for tips made from official alerts
  */
 
 /**
@@ -182,6 +431,7 @@
  * @property {SmartTip[]} tips - All generated tips
  * @property {SmartTip | null} primaryTip - Most important tip to show
  * @property {SmartTip[]} alerts - High-priority alerts only
+ * @property {WeatherAlert[]} officialAlerts - Official alerts in effect, most severe first
  */
 
 // ============================================================================
@@ -193,11 +443,55 @@
  * @property {WeatherData | null} data - Weather data
  * @property {boolean} isLoading - Loading state
  * @property {Error | null} error - Any error
+ * @property {import('../services/errors.js').WeatherErrorKind | null} errorKind - What went wrong fetching, e.g. 'auth' (bad key) or 'network' (offline); data may still hold older weather
  * @property {() => Promise<void>} refresh - Force refresh
- * @property {boolean} isStale - Is data older than cache duration
+ * @property {boolean} isStale - Is data older than cache duration (flips when it expires, without a re-fetch)
+ * @property {boolean} isRevalidating - Stale data is shown while fresh data loads in the background
+ * @property {Error | null} saveError - Why changes aren't being saved on this device, if they aren't (see getSaveError)
  * @property {Date | null} lastUpdated - When data was last fetched
  */
 
+/**
+ * @typedef {Object} UseSavedLocationsResult
+ * @property {SavedLocation[]} locations - All saved places
+ * @property {SavedLocation | null} activeLocation - Place being viewed (null = current GPS fix)
+ * @property {SavedLocation | null} dropoffLocation - Where the kids spend the day (null = viewed place)
+ * @property {(name: string, kind: LocationKind, coords: {lat: number, lng: number}) => string} addLocation - Returns the new id
+ * @property {(id: string) => void} removeLocation
+ * @property {(id: string, updates: Partial<SavedLocation>) => void} updateLocation
+ * @property {(id: string | null) => void} setActiveLocation
+ * @property {(id: string | null) => void} setDropoffLocation
+ */
+
+/**
+ * @typedef {Object} UseLocationSearchResult
+ * @property {string} query - Current search text
+ * @property {(query: string) => void} setQuery - Update the search text
+ * @property {PlaceResult[]} results - Matches, offline first
+ * @property {boolean} isSearching - An online lookup is pending
+ * @property {() => void} clear - Reset the search
+ */
+
+/**
+ * @typedef {Object} UseWardrobeResult
+ * @property {Record<string, WardrobeItem[]>} wardrobes - Each child's clothes, by child id
+ * @property {(childId: string) => WardrobeItem[]} getWardrobe
+ * @property {(childId: string, fields: Partial<WardrobeItem> & {type: string}) => string} addItem - Returns the new id
+ * @property {(childId: string, itemId: string, updates: Partial<WardrobeItem>) => void} updateItem
+ * @property {(childId: string, itemId: string) => void} removeItem
+ * @property {(childId: string, itemId: string, inWash: boolean) => void} setInWash
+ * @property {(childId: string) => void} clearWardrobe - Forget a child's clothes (e.g. when removing the child)
+ */
+
+/**
+ * @typedef {Object} UseComfortFeedbackResult
+ * @property {Record<string, ComfortFeedback[]>} histories - Each child's ratings, oldest first, by child id
+ * @property {(childId: string, rating: ComfortFeedback['rating'], details?: {date?: string, morningTemp?: number | null}) => void} rateOutfit - Rate a day's outfit (today by default)
+ * @property {(childId: string, childName?: string) => ComfortAdjustment} getAdjustment
+ * @property {(childId: string, date?: string) => ComfortFeedback['rating'] | null} getRating - A day's rating (today by default)
+ * @property {(childId: string) => void} clearFeedback - Forget a child's ratings (e.g. when removing the child)
+ */
+
 /**
  * @typedef {Object} UseOutfitsResult
  * @property {OutfitRecommendation[]} outfits - One per child
@@ -205,6 +499,13 @@
  * @property {Error | null} error - Any error
  */
 
+/**
+ * @typedef {Object} OutfitPlanResult
+ * @property {OutfitRecommendation[]} outfits - One per child
+ * @property {Date} date - The planned day
+ * @property {boolean} isOfferTime - Late enough in the day to suggest laying them out (see TIME_CONFIG.TOMORROW_PLAN_HOUR)
+ */
+
 /**
  * @typedef {Object} UseActivityResult
  * @property {ActivityAnalysis | null} analysis - Full activity analysis
@@ -219,15 +520,35 @@
  * @property {Error | null} error - Any error
  */
 
+/**
+ * @typedef {Object} UseDismissedAlertsResult
+ * @property {(alert: WeatherAlert) => void} dismissAlert - Hide an alert until it expires
+ * @property {(alertId: string) => boolean} isDismissed - Has this alert been dismissed?
+ */
+
+/**
+ * @typedef {Object} UseNowcastResult
+ * @property {Nowcast | null} nowcast - Minute-level rain, if there is any covering now
+ * @property {DryWindow | null} dryWindow - Next dry stretch from now (kept current on a timer)
+ * @property {'dropoff' | 'pickup' | null} schoolRun - School run window we're in right now, if any
+ * @property {(now?: Date) => DryWindow | null} getNextDryWindow - Next dry stretch from any moment
+ */
+
 /**
  * @typedef {Object} TinyWeatherState
  * @property {WeatherData | null} weather - Raw weather data
  * @property {OutfitRecommendation[]} outfits - Outfit recommendations per child
  * @property {ActivityAnalysis | null} activities - Activity window analysis
  * @property {SmartTipsResult | null} tips - Smart tips
+ * @property {UseNowcastResult} nowcast - Minute-level rain timing
+ * @property {ForecastDay[]} days - Days that can be picked for outfits and activity windows
+ * @property {OutfitPlanResult | null} tomorrowOutfits - Tomorrow's outfits, from the forecast alone (null when the forecast doesn't reach tomorrow)
  * @property {boolean} isLoading - Overall loading state
  * @property {Error | null} error - Any error
+ * @property {import('../services/errors.js').WeatherErrorKind | null} errorKind - Kind of the weather fetch error, if any (see UseWeatherResult)
  * @property {() => Promise<void>} refresh - Force refresh all data
+ * @property {boolean} isStale - Is data older than cache duration
+ * @property {boolean} isRevalidating - Stale data is shown while fresh data loads in the background
  * @property {Date | null} lastUpdated - When data was last fetched
  */
 
@@ -235,9 +556,27 @@
 // API CONFIGURATION
 // ============================================================================
 
+/**
+ * Adapter for one upstream weather API. Each method fetches from the
+ * provider and transforms the response into the app's shapes.
+ * @typedef {Object} WeatherProvider
+ * @property {string} id - Provider id (e.g. 'google', 'open-meteo', 'nws', 'openweathermap', 'replay')
+ * Each method takes an optional report that collects data quality issues.
+ * @property {(lat: number, lng: number, report?: {issues: DataQualityIssue[]}) => Promise<CurrentConditions>} fetchCurrentConditions
+ * @property {(lat: number, lng: number, hours?: number, report?: {issues: DataQualityIssue[]}) => Promise<HourlyForecast[]>} fetchHourlyForecast
+ * @property {(lat: number, lng: number, days?: number, report?: {issues: DataQualityIssue[]}) => Promise<DailyForecast[]>} fetchDailyForecast
+ * @property {(lat: number, lng: number, report?: {issues: DataQualityIssue[]}) => Promise<Nowcast | null>} [fetchNowcast]
+ *   - Minutely precipitation; absent for providers without it
+ * @property {(lat: number, lng: number, report?: {issues: DataQualityIssue[]}) => Promise<WeatherAlert[]>} [fetchAlerts]
+ *   - Official alerts; absent for providers without them
+ * @property {(lat: number, lng: number, hours?: number, report?: {issues: DataQualityIssue[]}) => Promise<AirQualityData>} [fetchAirQuality]
+ *   - Air quality and pollen; absent for providers without them
+ */
+
 /**
  * @typedef {Object} WeatherApiConfig
- * @property {string} apiKey - Google Maps Weather API key
+ * @property {string} provider - Provider id (see PROVIDER_CONFIG)
+ * @property {string} apiKey - API key for the selected provider
  * @property {string} baseUrl - API base URL
  * @property {number} cacheDurationMs - How long to cache (default 30 min)
  * @property {number} hourlyHours - How many hours of forecast (default 12)
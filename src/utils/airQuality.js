@@ -0,0 +1,104 @@
+/**
+ * Tiny Weather - Air Quality Scales
+ *
+ * Providers report air quality and pollen on different scales; the app
+ * works in US EPA AQI (0-500) and the Universal Pollen Index (0-5).
+ */
+
+import { AQI_CATEGORIES } from './constants.js';
+import { getLocalDateKey } from './time.js';
+
+/**
+ * EPA PM2.5 breakpoints (24-hour µg/m³, 2024 revision) → AQI ranges
+ * [concentration low, concentration high, AQI low, AQI high]
+ */
+const PM25_BREAKPOINTS = [
+  [0, 9.0, 0, 50],
+  [9.1, 35.4, 51, 100],
+  [35.5, 55.4, 101, 150],
+  [55.5, 125.4, 151, 200],
+  [125.5, 225.4, 201, 300],
+  [225.5, 325.4, 301, 500],
+];
+
+/**
+ * Convert a PM2.5 concentration to US AQI
+ * @param {number} pm25 - µg/m³
+ * @returns {number} AQI (NaN for invalid input)
+ */
+export function pm25ToUsAqi(pm25) {
+  if (typeof pm25 !== 'number' || isNaN(pm25) || pm25 < 0) return NaN;
+
+  // EPA truncates to one decimal before looking up the band
+  const c = Math.floor(pm25 * 10) / 10;
+  const band = PM25_BREAKPOINTS.find(([, high]) => c <= high);
+  if (!band) return 500;
+
+  const [cLow, cHigh, aqiLow, aqiHigh] = band;
+  return Math.round(((aqiHigh - aqiLow) / (cHigh - cLow)) * (c - cLow) + aqiLow);
+}
+
+/**
+ * Get the AQI band for a value
+ * @param {number} aqi
+ * @returns {{id: string, label: string}}
+ */
+export function getAqiCategory(aqi) {
+  const { id, label } = AQI_CATEGORIES.find(category => aqi <= category.max);
+  return { id, label };
+}
+
+/**
+ * Grains/m³ at which each pollen type becomes low, moderate, high, very high
+ * (National Allergy Bureau scales)
+ */
+const POLLEN_GRAIN_LEVELS = {
+  tree: [1, 15, 90, 1500],
+  grass: [1, 5, 20, 200],
+  weed: [1, 10, 50, 500],
+};
+
+/**
+ * Convert a pollen count to the Universal Pollen Index
+ * @param {'tree' | 'grass' | 'weed'} type
+ * @param {number} grains - Grains/m³
+ * @returns {number} 0 (none) - 5 (very high)
+ */
+export function pollenGrainsToIndex(type, grains) {
+  if (typeof grains !== 'number' || isNaN(grains) || grains < 1) return 0;
+  const [low, moderate, high, veryHigh] = POLLEN_GRAIN_LEVELS[type];
+  if (grains >= veryHigh) return 5;
+  if (grains >= high) return 4;
+  if (grains >= moderate) return 3;
+  if (grains >= low) return 2;
+  return 0;
+}
+
+/**
+ * Build the current air quality reading shown to the UI
+ * @param {number} aqi
+ * @param {string | null} [dominantPollutant]
+ * @returns {import('../types/index.js').AirQualityReading}
+ */
+export function createAqiReading(aqi, dominantPollutant = null) {
+  const { id, label } = getAqiCategory(aqi);
+  return { aqi, category: id, label, dominantPollutant };
+}
+
+/**
+ * The worst pollen type on a given day, by the location's calendar date
+ * @param {import('../types/index.js').AirQualityData | null | undefined} airQuality
+ * @param {string} [timeZone] - Forecast location's zone
+ * @param {Date} [date] - Day to look up (today if omitted)
+ * @returns {{type: 'tree' | 'grass' | 'weed', index: number} | null} Null if there is no pollen data for that day
+ */
+export function getPeakPollen(airQuality, timeZone, date = new Date()) {
+  const dayKey = getLocalDateKey(date, timeZone);
+  const day = airQuality?.pollen?.find(p => getLocalDateKey(p.date, timeZone) === dayKey);
+  if (!day) return null;
+
+  return ['tree', 'grass', 'weed'].reduce((peak, type) =>
+    day[type] > peak.index ? { type, index: day[type] } : peak,
+    { type: 'tree', index: day.tree }
+  );
+}
@@ -0,0 +1,60 @@
+/**
+ * Tiny Weather - Official Weather Alerts
+ *
+ * Providers publish warnings, watches and advisories in different shapes and
+ * severity vocabularies; these helpers put them on one scale so tips and the
+ * UI can rank them.
+ */
+
+import { ALERT_SEVERITIES, ALERT_EVENT_EMOJIS } from './constants.js';
+
+/**
+ * Normalize a provider severity ("Severe", "SEVERE", "severe") to our levels
+ * @param {string | null | undefined} severity
+ * @returns {import('../types/index.js').AlertSeverity}
+ */
+export function normalizeAlertSeverity(severity) {
+  const level = String(severity || '').toLowerCase();
+  return ALERT_SEVERITIES[level] ? level : 'unknown';
+}
+
+/**
+ * Guess a severity from the event name, for providers that don't send one.
+ * Follows the NWS convention: warnings are severe, watches moderate,
+ * advisories and statements minor.
+ * @param {string} event
+ * @returns {import('../types/index.js').AlertSeverity}
+ */
+export function inferAlertSeverity(event) {
+  const name = String(event || '').toLowerCase();
+  if (/tornado|hurricane|extreme/.test(name) && name.includes('warning')) return 'extreme';
+  if (name.includes('warning')) return 'severe';
+  if (name.includes('watch')) return 'moderate';
+  if (name.includes('advisory') || name.includes('statement')) return 'minor';
+  return 'unknown';
+}
+
+/**
+ * Emoji for an alert's event name
+ * @param {string} event
+ * @returns {string}
+ */
+export function getAlertEmoji(event) {
+  const name = String(event || '').toLowerCase();
+  return ALERT_EVENT_EMOJIS.find(([keyword]) => name.includes(keyword))?.[1] ?? '⚠️';
+}
+
+/**
+ * Alerts that haven't expired, most severe (then soonest) first
+ * @param {import('../types/index.js').WeatherAlert[]} alerts
+ * @param {Date} [now]
+ * @returns {import('../types/index.js').WeatherAlert[]}
+ */
+export function getActiveAlerts(alerts, now = new Date()) {
+  return (alerts || [])
+    .filter(alert => !alert.expires || alert.expires > now)
+    .sort((a, b) =>
+      ALERT_SEVERITIES[a.severity].rank - ALERT_SEVERITIES[b.severity].rank ||
+      (a.onset?.getTime() ?? 0) - (b.onset?.getTime() ?? 0)
+    );
+}
@@ -0,0 +1,93 @@
+/**
+ * Tiny Weather - Apparent Temperature
+ *
+ * How warm it feels outdoors, which is what children should be dressed for:
+ * - Wind chill (NWS formula) when it's cold and windy
+ * - Heat index (NWS Rothfusz regression) when it's hot and humid
+ * - Sunshine, which feels several degrees warmer than shade
+ *
+ * Everything works in °F and mph. The app computes this itself rather than
+ * trusting each provider's feels-like, so every screen agrees.
+ */
+
+import { APPARENT_CONFIG } from './constants.js';
+
+/**
+ * NWS wind chill. Outside its range (above 50°F, or 3 mph wind or less)
+ * the air temperature is returned unchanged.
+ * @param {number} tempF
+ * @param {number} windMph
+ * @returns {number}
+ */
+export function getWindChill(tempF, windMph) {
+  if (tempF > APPARENT_CONFIG.WIND_CHILL_MAX_F || !(windMph > APPARENT_CONFIG.WIND_CHILL_MIN_MPH)) return tempF;
+  const v = Math.pow(windMph, 0.16);
+  return Math.min(tempF, 35.74 + 0.6215 * tempF - 35.75 * v + 0.4275 * tempF * v);
+}
+
+/**
+ * NWS heat index. Below 80°F the air temperature is returned unchanged.
+ * @param {number} tempF
+ * @param {number} humidity - Relative humidity, %
+ * @returns {number}
+ */
+export function getHeatIndex(tempF, humidity) {
+  if (tempF < APPARENT_CONFIG.HEAT_INDEX_MIN_F || typeof humidity !== 'number') return tempF;
+  const t = tempF;
+  const rh = humidity;
+
+  // Steadman's simple formula is close enough until it reaches 80
+  const simple = 0.5 * (t + 61 + (t - 68) * 1.2 + rh * 0.094);
+  if ((simple + t) / 2 < APPARENT_CONFIG.HEAT_INDEX_MIN_F) return simple;
+
+  let index = -42.379 + 2.04901523 * t + 10.14333127 * rh
+    - 0.22475541 * t * rh - 0.00683783 * t * t - 0.05481717 * rh * rh
+    + 0.00122874 * t * t * rh + 0.00085282 * t * rh * rh - 0.00000199 * t * t * rh * rh;
+
+  // The regression's own corrections for very dry and very muggy air
+  if (rh < 13 && t <= 112) {
+    index -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+  } else if (rh > 85 && t <= 87) {
+    index += ((rh - 85) / 10) * ((87 - t) / 5);
+  }
+  return index;
+}
+
+/**
+ * Degrees of warmth the sun adds, scaled by its strength (UV index) and the
+ * share of time spent in it
+ * @param {number} uvIndex
+ * @param {number} [sun=1] - 0 (all shade) to 1 (all sun)
+ * @returns {number}
+ */
+export function getSunAdjustment(uvIndex, sun = 1) {
+  if (!(uvIndex > 0) || !(sun > 0)) return 0;
+  const strength = Math.min(uvIndex / APPARENT_CONFIG.FULL_SUN_UV, 1);
+  return strength * Math.min(sun, 1) * APPARENT_CONFIG.SUN_MAX_F;
+}
+
+/**
+ * How warm it feels: wind chill or heat index, plus the sun
+ * @param {Pick<import('../types/index.js').HourlyForecast, 'temperature'> & Partial<Pick<import('../types/index.js').HourlyForecast, 'windSpeed' | 'humidity' | 'uvIndex'>>} conditions
+ * @param {Object} [options]
+ * @param {number} [options.sun=0] - Share of time in the sun, 0 (shade) to 1;
+ *   APPARENT_CONFIG.OUTDOOR_SUN for a typical stretch of outdoor play
+ * @returns {number} Rounded °F
+ */
+export function getApparentTemperature({ temperature, windSpeed = 0, humidity, uvIndex = 0 }, { sun = 0 } = {}) {
+  const shade = temperature <= APPARENT_CONFIG.WIND_CHILL_MAX_F
+    ? getWindChill(temperature, windSpeed)
+    : getHeatIndex(temperature, humidity);
+  return Math.round(shade + getSunAdjustment(uvIndex, sun));
+}
+
+/**
+ * How warm it feels to a child playing outdoors, in and out of the sun.
+ * Outfits, tips, activity windows and the overview all go by this one
+ * figure, so a warning never disagrees with the outfit beside it.
+ * @param {Parameters<typeof getApparentTemperature>[0]} conditions
+ * @returns {number} Rounded °F
+ */
+export function getOutdoorFeelsLike(conditions) {
+  return getApparentTemperature(conditions, { sun: APPARENT_CONFIG.OUTDOOR_SUN });
+}
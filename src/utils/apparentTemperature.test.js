@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { getWindChill, getHeatIndex, getSunAdjustment, getApparentTemperature, getOutdoorFeelsLike } from './apparentTemperature.js';
+
+describe('getWindChill', () => {
+  it('follows the NWS formula, including at 0° and below', () => {
+    expect(getWindChill(0, 15)).toBeCloseTo(-19.4, 1);
+    expect(getWindChill(-10, 10)).toBeCloseTo(-28.3, 1);
+    expect(getWindChill(45, 15)).toBeCloseTo(38.2, 1);
+  });
+
+  it('applies up to 50° and not above', () => {
+    expect(getWindChill(50, 15)).toBeCloseTo(44.6, 1);
+    expect(getWindChill(51, 15)).toBe(51);
+  });
+
+  it('needs more than 3 mph of wind', () => {
+    expect(getWindChill(30, 3)).toBe(30);
+    expect(getWindChill(30, 4)).toBeCloseTo(25.8, 1);
+    expect(getWindChill(30, undefined)).toBe(30);
+  });
+});
+
+describe('getHeatIndex', () => {
+  it('applies from 80° and not below', () => {
+    expect(getHeatIndex(79, 90)).toBe(79);
+    expect(getHeatIndex(80, 90)).toBeCloseTo(86.3, 1);
+  });
+
+  it('follows the Rothfusz regression, with its dry-air correction', () => {
+    expect(getHeatIndex(90, 60)).toBeCloseTo(99.7, 1);
+    expect(getHeatIndex(96, 5)).toBeCloseTo(89.0, 1);
+  });
+
+  it('keeps the temperature when humidity is unknown', () => {
+    expect(getHeatIndex(95, undefined)).toBe(95);
+  });
+});
+
+describe('getSunAdjustment', () => {
+  it('scales with UV up to full sun and with time in it', () => {
+    expect(getSunAdjustment(8)).toBe(10);
+    expect(getSunAdjustment(12)).toBe(10);
+    expect(getSunAdjustment(4, 0.5)).toBe(2.5);
+    expect(getSunAdjustment(0)).toBe(0);
+    expect(getSunAdjustment(8, 0)).toBe(0);
+  });
+});
+
+describe('getApparentTemperature', () => {
+  it('uses wind chill up to 50° and the heat index above', () => {
+    expect(getApparentTemperature({ temperature: 0, windSpeed: 15 })).toBe(-19);
+    expect(getApparentTemperature({ temperature: 50, windSpeed: 15 })).toBe(45);
+    expect(getApparentTemperature({ temperature: 51, windSpeed: 15 })).toBe(51);
+    expect(getApparentTemperature({ temperature: 79, humidity: 90 })).toBe(79);
+    expect(getApparentTemperature({ temperature: 80, humidity: 90 })).toBe(86);
+  });
+
+  it('adds sun only when asked, and the outdoor figure uses half', () => {
+    const sunny = { temperature: 60, windSpeed: 0, uvIndex: 8 };
+
+    expect(getApparentTemperature(sunny)).toBe(60);
+    expect(getApparentTemperature(sunny, { sun: 1 })).toBe(70);
+    expect(getOutdoorFeelsLike(sunny)).toBe(65);
+  });
+});
@@ -10,12 +10,87 @@
 // ============================================================================
 
 export const API_CONFIG = {
-  BASE_URL: 'https://weather.googleapis.com/v1',
+  PROVIDER: 'google', // See PROVIDER_CONFIG for the options
+  GEOCODER: null, // Optional online place search on top of the offline gazetteer (see GEOCODER_CONFIG)
+  // VITE_WEATHER_BASE_URL points Google requests elsewhere, e.g. the local stand-in (scripts/weather-stand-in.mjs)
+  BASE_URL: import.meta.env?.VITE_WEATHER_BASE_URL || 'https://weather.googleapis.com/v1',
   CACHE_DURATION_MS: 30 * 60 * 1000, // 30 minutes
-  HOURLY_HOURS: 12,
-  DAILY_DAYS: 7,
+  CACHE_STALE_MAX_AGE_MS: 6 * 60 * 60 * 1000, // Serve stale data for up to 6 hours while revalidating
+  CACHE_MAX_ENTRIES: 5, // Locations kept in the cache (least recently used evicted first)
+  CACHE_OFFLINE_MAX_AGE_MS: 48 * 60 * 60 * 1000, // Oldest forecast shown when it can't be refreshed (offline, service down)
+  CACHE_MAX_BYTES: 1024 * 1024, // Cap on the serialized size of the cached forecasts
+  CACHE_COORD_PRECISION: 2, // Decimal places of lat/lng in cache keys (~1 km)
+  HOURLY_HOURS: 48, // Enough to plan tomorrow after dinner; 24 also works
+  POLLEN_DAYS: 3,
+  DAILY_DAYS: 14, // Providers with shorter horizons return what they have
   RETRY_ATTEMPTS: 3,
-  RETRY_DELAY_MS: 1000,
+  RETRY_DELAY_MS: 1000, // First backoff; doubles each attempt, with jitter
+  RETRY_MAX_DELAY_MS: 10 * 1000, // Longest wait between attempts, Retry-After included
+  REFRESH_MIN_INTERVAL_MS: 60 * 1000, // Auto-refresh no more often than this, even if data expires sooner
+  REFRESH_BACKOFF_MS: 60 * 1000, // First auto-refresh after a failed one; doubles each failure in a row
+  REFRESH_BACKOFF_MAX_MS: 30 * 60 * 1000,
+};
+
+/**
+ * Per-provider endpoints and requirements, keyed by provider id
+ */
+export const PROVIDER_CONFIG = {
+  google: {
+    label: 'Google Weather',
+    baseUrl: API_CONFIG.BASE_URL,
+    airQualityUrl: 'https://airquality.googleapis.com/v1',
+    pollenUrl: 'https://pollen.googleapis.com/v1',
+    requiresApiKey: true,
+    maxHourlyHours: 240,
+    maxDailyDays: 10,
+    // Longer requests are paged with nextPageToken
+    hourlyPageSize: 24,
+    dailyPageSize: 10,
+  },
+  'open-meteo': {
+    label: 'Open-Meteo',
+    baseUrl: 'https://api.open-meteo.com/v1',
+    airQualityUrl: 'https://air-quality-api.open-meteo.com/v1',
+    requiresApiKey: false,
+    maxHourlyHours: 384,
+    maxDailyDays: 16,
+  },
+  nws: {
+    label: 'US National Weather Service',
+    baseUrl: 'https://api.weather.gov',
+    requiresApiKey: false,
+    maxHourlyHours: 156,
+    maxDailyDays: 7,
+  },
+  openweathermap: {
+    label: 'OpenWeatherMap',
+    baseUrl: 'https://api.openweathermap.org/data/3.0',
+    airQualityUrl: 'https://api.openweathermap.org/data/2.5',
+    requiresApiKey: true,
+    maxHourlyHours: 48,
+    maxDailyDays: 8,
+  },
+  // Serves a recorded fixture (see services/fixtures.js); limits are the recording's
+  replay: {
+    label: 'Recorded fixture',
+    requiresApiKey: false,
+  },
+};
+
+/**
+ * Online geocoders that can back up the offline gazetteer, keyed by id
+ */
+export const GEOCODER_CONFIG = {
+  'open-meteo': {
+    label: 'Open-Meteo Geocoding',
+    baseUrl: 'https://geocoding-api.open-meteo.com/v1',
+    requiresApiKey: false,
+  },
+  google: {
+    label: 'Google Geocoding',
+    baseUrl: 'https://maps.googleapis.com/maps/api/geocode',
+    requiresApiKey: true,
+  },
 };
 
 // ============================================================================
@@ -37,6 +112,8 @@ export const TEMP_THRESHOLDS = {
   
   // Activity-specific
   TOO_COLD_FOR_PLAYGROUND: 45,
+  TOO_COLD_TO_SWIM_OUTDOORS: 50, // Warmest part of the outing; below it, indoor pools only
+  TOO_WARM_FOR_SNOW_PLAY: 45, // Start of the outing; above it, any snow is slush and snow gear stays home
   IDEAL_OUTDOOR_LOW: 60,
   IDEAL_OUTDOOR_HIGH: 75,
   
@@ -108,8 +185,134 @@ export const WIND_THRESHOLDS = {
   WINDY: 25,
   VERY_WINDY: 35,
   HIGH_WIND: 45,
+
+  // Gusts (peak speeds) - loose hats, swinging gates, falling branches
+  GUSTY: 30,
+  DAMAGING_GUSTS: 45,
+};
+
+// ============================================================================
+// PRECIPITATION, SKY & VISIBILITY THRESHOLDS
+// ============================================================================
+
+export const PRECIPITATION_THRESHOLDS = {
+  WET_SURFACES: 0.02, // Inches in an hour - enough to leave slides wet
+  SNOW_BOOTS: 0.5, // Inches of snow - enough to need proper boots
+  SNOW_PLAY: 1, // Inches of snow - enough to build something
+};
+
+export const SKY_THRESHOLDS = {
+  SUNNY_BELOW: 50, // Cloud cover % under which surfaces sit in full sun
+  FROST_SPREAD: 4, // °F between temperature and dew point where frost forms below freezing
+};
+
+export const VISIBILITY_THRESHOLDS = {
+  FOG: 1, // Miles
+  DENSE_FOG: 0.25,
+};
+
+// ============================================================================
+// APPARENT TEMPERATURE
+// ============================================================================
+
+export const APPARENT_CONFIG = {
+  WIND_CHILL_MAX_F: 50, // NWS wind chill only applies at or below this...
+  WIND_CHILL_MIN_MPH: 3, // ...and with more wind than this
+  HEAT_INDEX_MIN_F: 80, // NWS heat index only applies at or above this
+  SUN_MAX_F: 10, // How much warmer full sun feels than shade
+  FULL_SUN_UV: 8, // UV index at which the sun counts at full strength
+  OUTDOOR_SUN: 0.5, // Share of outdoor time a child spends in the sun
+  NOTABLE_DIFF_F: 5, // Feels-like this far from the air temperature is worth mentioning
+};
+
+// ============================================================================
+// AIR QUALITY THRESHOLDS (US EPA AQI, 0-500)
+// ============================================================================
+
+export const AIR_QUALITY_THRESHOLDS = {
+  GOOD: 50,
+  MODERATE: 100, // Above this: unhealthy for sensitive groups (asthma)
+  SENSITIVE: 150, // Above this: unhealthy for everyone
+  UNHEALTHY: 200,
+  VERY_UNHEALTHY: 300,
+  // Above 300 = hazardous
+};
+
+/**
+ * AQI bands as reported to the UI, lowest first
+ */
+export const AQI_CATEGORIES = [
+  { id: 'good', label: 'Good', max: AIR_QUALITY_THRESHOLDS.GOOD },
+  { id: 'moderate', label: 'Moderate', max: AIR_QUALITY_THRESHOLDS.MODERATE },
+  { id: 'sensitive', label: 'Unhealthy for sensitive groups', max: AIR_QUALITY_THRESHOLDS.SENSITIVE },
+  { id: 'unhealthy', label: 'Unhealthy', max: AIR_QUALITY_THRESHOLDS.UNHEALTHY },
+  { id: 'very-unhealthy', label: 'Very unhealthy', max: AIR_QUALITY_THRESHOLDS.VERY_UNHEALTHY },
+  { id: 'hazardous', label: 'Hazardous', max: Infinity },
+];
+
+// ============================================================================
+// POLLEN THRESHOLDS (Universal Pollen Index, 0-5)
+// ============================================================================
+
+export const POLLEN_THRESHOLDS = {
+  LOW: 2,
+  MODERATE: 3,
+  HIGH: 4,
+  VERY_HIGH: 5,
 };
 
+// ============================================================================
+// PRECIPITATION NOWCAST
+// ============================================================================
+
+export const NOWCAST_CONFIG = {
+  MINUTES: 120, // How far ahead the nowcast looks
+  MOCK_STEP_MINUTES: 5, // Resolution of nowcasts estimated from hourly data
+  DRY_INTENSITY: 0.1, // mm/h at or below which a minute counts as dry
+  MIN_DRY_MINUTES: 10, // Shortest gap worth leaving the house for
+  LIGHT_INTENSITY: 2.5, // mm/h - up to this is light rain
+  HEAVY_INTENSITY: 7.6, // mm/h - above this is heavy rain
+};
+
+// ============================================================================
+// OFFICIAL WEATHER ALERTS
+// ============================================================================
+
+/**
+ * Alert severities (CAP levels), most severe first.
+ * `priority` is the SmartTip priority an alert of that severity gets.
+ */
+export const ALERT_SEVERITIES = {
+  extreme: { rank: 0, label: 'Extreme', priority: 'high' },
+  severe: { rank: 1, label: 'Severe', priority: 'high' },
+  moderate: { rank: 2, label: 'Moderate', priority: 'medium' },
+  minor: { rank: 3, label: 'Minor', priority: 'low' },
+  unknown: { rank: 4, label: 'Unknown', priority: 'low' },
+};
+
+/** Emoji for an alert, by the first keyword found in its event name */
+export const ALERT_EVENT_EMOJIS = [
+  ['tornado', '🌪️'],
+  ['hurricane', '🌀'],
+  ['tropical', '🌀'],
+  ['thunderstorm', '⛈️'],
+  ['flood', '🌊'],
+  ['heat', '🥵'],
+  ['fire', '🔥'],
+  ['red flag', '🔥'],
+  ['winter', '❄️'],
+  ['blizzard', '❄️'],
+  ['snow', '❄️'],
+  ['ice', '🧊'],
+  ['freeze', '🥶'],
+  ['frost', '🥶'],
+  ['cold', '🥶'],
+  ['wind', '💨'],
+  ['fog', '🌫️'],
+  ['air quality', '😷'],
+  ['smoke', '😷'],
+];
+
 // ============================================================================
 // AGE GROUP DEFINITIONS
 // ============================================================================
@@ -179,12 +382,42 @@ export const TIME_CONFIG = {
   // School-related
   DROPOFF_HOUR: 8,
   PICKUP_HOUR: 15,
+  SCHOOL_RUN_MARGIN_HOURS: 1, // Dropoff/pickup windows run this many hours either side
   
   // Activity windows to analyze
   OUTDOOR_HOURS_START: 7,
   OUTDOOR_HOURS_END: 19,
+  
+  // Smart tips look this far ahead, whatever the forecast horizon
+  TIPS_LOOKAHEAD_HOURS: 12,
+  
+  // From this hour, offer tomorrow's outfit so clothes can be laid out tonight
+  TOMORROW_PLAN_HOUR: 17,
+  
+  // After-school walk home or to the park
+  EVENING_START: 17,
+  EVENING_END: 19,
 };
 
+// Points in the day an outfit changes between (hours inclusive): what goes
+// on or comes off from one to the next
+export const OUTFIT_TIMELINE = [
+  {
+    id: 'dropoff',
+    label: 'Dropoff',
+    startHour: TIME_CONFIG.DROPOFF_HOUR - TIME_CONFIG.SCHOOL_RUN_MARGIN_HOURS,
+    endHour: TIME_CONFIG.DROPOFF_HOUR + TIME_CONFIG.SCHOOL_RUN_MARGIN_HOURS,
+  },
+  { id: 'midday', label: 'Midday', startHour: TIME_CONFIG.MIDDAY_START, endHour: TIME_CONFIG.MIDDAY_END - 1 },
+  {
+    id: 'pickup',
+    label: 'Pickup',
+    startHour: TIME_CONFIG.PICKUP_HOUR - TIME_CONFIG.SCHOOL_RUN_MARGIN_HOURS,
+    endHour: TIME_CONFIG.PICKUP_HOUR + TIME_CONFIG.SCHOOL_RUN_MARGIN_HOURS,
+  },
+  { id: 'evening', label: 'Evening', startHour: TIME_CONFIG.EVENING_START, endHour: TIME_CONFIG.EVENING_END },
+];
+
 // ============================================================================
 // CONDITION MAPPINGS
 // ============================================================================
@@ -216,6 +449,8 @@ export function mapCondition(apiCondition) {
   
   if (normalized.includes('THUNDER')) return 'THUNDERSTORM';
   if (normalized.includes('HEAVY_RAIN') || normalized.includes('DOWNPOUR')) return 'HEAVY_RAIN';
+  // "Snow showers" is snow, not rain (providers like NWS use free text)
+  if (normalized.includes('SNOW') && !normalized.includes('RAIN')) return 'SNOW';
   if (normalized.includes('RAIN') || normalized.includes('DRIZZLE') || normalized.includes('SHOWER')) {
     return normalized.includes('LIGHT') ? 'LIGHT_RAIN' : 'RAIN';
   }
@@ -237,58 +472,183 @@ export function mapCondition(apiCondition) {
   return 'PARTLY_CLOUDY'; // Default
 }
 
+/**
+ * What's falling, or would fall. The condition decides when it names
+ * precipitation; otherwise measured snowfall and totals do, with the
+ * provider's own type (e.g. Google's "RAIN_AND_SNOW") refining either.
+ * @param {Object} params
+ * @param {keyof typeof WEATHER_CONDITIONS} params.condition - Mapped condition code
+ * @param {string | null} [params.reportedType] - Provider precipitation type, if any
+ * @param {number | null} [params.precipitationAmount] - Inches
+ * @param {number | null} [params.snowfall] - Inches
+ * @returns {import('../types/index.js').PrecipitationType}
+ */
+export function getPrecipitationType({ condition, reportedType = null, precipitationAmount = null, snowfall = null }) {
+  const reported = (reportedType || '').toUpperCase();
+  const reportsSnow = reported.includes('SNOW');
+  const reportsIce = /ICE|SLEET|FREEZING|HAIL|MIX/.test(reported);
+  const hasSnowfall = snowfall > 0;
+
+  if (condition === 'SNOW') return reportsIce || (reportsSnow && reported.includes('RAIN')) ? 'mixed' : 'snow';
+  if (condition === 'SLEET' || condition === 'HAIL') return 'mixed';
+  if (['LIGHT_RAIN', 'RAIN', 'HEAVY_RAIN', 'THUNDERSTORM'].includes(condition)) {
+    return hasSnowfall || reportsSnow || reportsIce ? 'mixed' : 'rain';
+  }
+
+  if (hasSnowfall) return reported.includes('RAIN') || reportsIce ? 'mixed' : 'snow';
+  if (precipitationAmount > 0) {
+    if (reportsIce || (reportsSnow && reported.includes('RAIN'))) return 'mixed';
+    return reportsSnow ? 'snow' : 'rain';
+  }
+  return 'none';
+}
+
 // ============================================================================
 // CLOTHING ITEMS DATABASE
 // ============================================================================
 
+// slot: what an item is worn as, so a wardrobe item can stand in for another
+// ('supplies' are packed, not owned per child). warmth: 0 (none) to
+// WARDROBE_CONFIG.MAX_WARMTH. waterproof: keeps rain out.
 export const CLOTHING_ITEMS = {
   // Base layers
-  ONESIE: { id: 'onesie', name: 'Onesie', layer: 'base', emoji: '👶' },
-  TSHIRT: { id: 'tshirt', name: 'T-shirt', layer: 'base', emoji: '👕' },
-  LONG_SLEEVE: { id: 'long-sleeve', name: 'Long sleeve shirt', layer: 'base', emoji: '👔' },
-  TANK_TOP: { id: 'tank', name: 'Tank top', layer: 'base', emoji: '🎽' },
+  ONESIE: { id: 'onesie', name: 'Onesie', layer: 'base', emoji: '👶', slot: 'top', warmth: 1, waterproof: false },
+  TSHIRT: { id: 'tshirt', name: 'T-shirt', layer: 'base', emoji: '👕', slot: 'top', warmth: 0, waterproof: false },
+  LONG_SLEEVE: { id: 'long-sleeve', name: 'Long sleeve shirt', layer: 'base', emoji: '👔', slot: 'top', warmth: 1, waterproof: false },
+  TANK_TOP: { id: 'tank', name: 'Tank top', layer: 'base', emoji: '🎽', slot: 'top', warmth: 0, waterproof: false },
   
   // Bottoms
-  SHORTS: { id: 'shorts', name: 'Shorts', layer: 'base', emoji: '🩳' },
-  PANTS: { id: 'pants', name: 'Pants', layer: 'base', emoji: '👖' },
-  LEGGINGS: { id: 'leggings', name: 'Leggings', layer: 'base', emoji: '🦵' },
+  SHORTS: { id: 'shorts', name: 'Shorts', layer: 'base', emoji: '🩳', slot: 'bottom', warmth: 0, waterproof: false },
+  PANTS: { id: 'pants', name: 'Pants', layer: 'base', emoji: '👖', slot: 'bottom', warmth: 1, waterproof: false },
+  LEGGINGS: { id: 'leggings', name: 'Leggings', layer: 'base', emoji: '🦵', slot: 'bottom', warmth: 1, waterproof: false },
   
   // Mid layers
-  LIGHT_SWEATER: { id: 'light-sweater', name: 'Light sweater', layer: 'mid', emoji: '🧥' },
-  FLEECE: { id: 'fleece', name: 'Fleece jacket', layer: 'mid', emoji: '🧥' },
-  HOODIE: { id: 'hoodie', name: 'Hoodie', layer: 'mid', emoji: '🧥' },
+  LIGHT_SWEATER: { id: 'light-sweater', name: 'Light sweater', layer: 'mid', emoji: '🧥', slot: 'mid', warmth: 2, waterproof: false },
+  FLEECE: { id: 'fleece', name: 'Fleece jacket', layer: 'mid', emoji: '🧥', slot: 'mid', warmth: 3, waterproof: false },
+  HOODIE: { id: 'hoodie', name: 'Hoodie', layer: 'mid', emoji: '🧥', slot: 'mid', warmth: 2, waterproof: false },
   
   // Outer layers
-  LIGHT_JACKET: { id: 'light-jacket', name: 'Light jacket', layer: 'outer', emoji: '🧥' },
-  RAIN_JACKET: { id: 'rain-jacket', name: 'Rain jacket', layer: 'outer', emoji: '🌧️' },
-  WINTER_COAT: { id: 'winter-coat', name: 'Winter coat', layer: 'outer', emoji: '🧥' },
-  PUFFER: { id: 'puffer', name: 'Puffer jacket', layer: 'outer', emoji: '🧥' },
+  LIGHT_JACKET: { id: 'light-jacket', name: 'Light jacket', layer: 'outer', emoji: '🧥', slot: 'outer', warmth: 2, waterproof: false },
+  RAIN_JACKET: { id: 'rain-jacket', name: 'Rain jacket', layer: 'outer', emoji: '🌧️', slot: 'outer', warmth: 1, waterproof: true },
+  WINTER_COAT: { id: 'winter-coat', name: 'Winter coat', layer: 'outer', emoji: '🧥', slot: 'outer', warmth: 5, waterproof: false },
+  PUFFER: { id: 'puffer', name: 'Puffer jacket', layer: 'outer', emoji: '🧥', slot: 'outer', warmth: 4, waterproof: false },
   
   // Footwear
-  SANDALS: { id: 'sandals', name: 'Sandals', layer: 'footwear', emoji: '🩴' },
-  SNEAKERS: { id: 'sneakers', name: 'Sneakers', layer: 'footwear', emoji: '👟' },
-  BOOTS: { id: 'boots', name: 'Boots', layer: 'footwear', emoji: '🥾' },
-  RAIN_BOOTS: { id: 'rain-boots', name: 'Rain boots', layer: 'footwear', emoji: '🥾' },
-  WINTER_BOOTS: { id: 'winter-boots', name: 'Winter boots', layer: 'footwear', emoji: '🥾' },
+  SANDALS: { id: 'sandals', name: 'Sandals', layer: 'footwear', emoji: '🩴', slot: 'footwear', warmth: 0, waterproof: false },
+  SNEAKERS: { id: 'sneakers', name: 'Sneakers', layer: 'footwear', emoji: '👟', slot: 'footwear', warmth: 1, waterproof: false },
+  BOOTS: { id: 'boots', name: 'Boots', layer: 'footwear', emoji: '🥾', slot: 'footwear', warmth: 2, waterproof: false },
+  RAIN_BOOTS: { id: 'rain-boots', name: 'Rain boots', layer: 'footwear', emoji: '🥾', slot: 'footwear', warmth: 1, waterproof: true },
+  WINTER_BOOTS: { id: 'winter-boots', name: 'Winter boots', layer: 'footwear', emoji: '🥾', slot: 'footwear', warmth: 4, waterproof: true },
   
   // Accessories
-  SUN_HAT: { id: 'sun-hat', name: 'Sun hat', layer: 'accessory', emoji: '👒' },
-  WINTER_HAT: { id: 'winter-hat', name: 'Winter hat', layer: 'accessory', emoji: '🧢' },
-  SUNGLASSES: { id: 'sunglasses', name: 'Sunglasses', layer: 'accessory', emoji: '🕶️' },
-  SUNSCREEN: { id: 'sunscreen', name: 'Sunscreen', layer: 'accessory', emoji: '🧴' },
-  MITTENS: { id: 'mittens', name: 'Mittens', layer: 'accessory', emoji: '🧤' },
-  GLOVES: { id: 'gloves', name: 'Gloves', layer: 'accessory', emoji: '🧤' },
-  SCARF: { id: 'scarf', name: 'Scarf', layer: 'accessory', emoji: '🧣' },
-  UMBRELLA: { id: 'umbrella', name: 'Umbrella', layer: 'accessory', emoji: '☂️' },
+  SUN_HAT: { id: 'sun-hat', name: 'Sun hat', layer: 'accessory', emoji: '👒', slot: 'head', warmth: 0, waterproof: false },
+  WINTER_HAT: { id: 'winter-hat', name: 'Winter hat', layer: 'accessory', emoji: '🧢', slot: 'head', warmth: 3, waterproof: false },
+  SUNGLASSES: { id: 'sunglasses', name: 'Sunglasses', layer: 'accessory', emoji: '🕶️', slot: 'eyes', warmth: 0, waterproof: false },
+  SUNSCREEN: { id: 'sunscreen', name: 'Sunscreen', layer: 'accessory', emoji: '🧴', slot: 'supplies', warmth: 0, waterproof: false },
+  MITTENS: { id: 'mittens', name: 'Mittens', layer: 'accessory', emoji: '🧤', slot: 'hands', warmth: 3, waterproof: false },
+  GLOVES: { id: 'gloves', name: 'Gloves', layer: 'accessory', emoji: '🧤', slot: 'hands', warmth: 2, waterproof: false },
+  SCARF: { id: 'scarf', name: 'Scarf', layer: 'accessory', emoji: '🧣', slot: 'neck', warmth: 2, waterproof: false },
+  UMBRELLA: { id: 'umbrella', name: 'Umbrella', layer: 'accessory', emoji: '☂️', slot: 'supplies', warmth: 0, waterproof: true },
+  FACE_MASK: { id: 'face-mask', name: 'Face mask', layer: 'accessory', emoji: '😷', slot: 'supplies', warmth: 0, waterproof: false },
+  CHANGE_OF_CLOTHES: { id: 'change-of-clothes', name: 'Change of clothes', layer: 'accessory', emoji: '🎒', slot: 'supplies', warmth: 0, waterproof: false },
+  
+  // Activity gear (see ACTIVITY_PROFILES)
+  SWIMSUIT: { id: 'swimsuit', name: 'Swimsuit', layer: 'base', emoji: '🩱', slot: 'swim', warmth: 0, waterproof: false },
+  RASH_GUARD: { id: 'rash-guard', name: 'Rash guard', layer: 'base', emoji: '🏄', slot: 'swim', warmth: 0, waterproof: false },
+  SWIM_DIAPER: { id: 'swim-diaper', name: 'Swim diaper', layer: 'base', emoji: '🩲', slot: 'supplies', warmth: 0, waterproof: false },
+  SNOW_PANTS: { id: 'snow-pants', name: 'Snow pants', layer: 'outer', emoji: '👖', slot: 'outer-bottom', warmth: 4, waterproof: true },
+  WATER_SHOES: { id: 'water-shoes', name: 'Water shoes', layer: 'footwear', emoji: '🩴', slot: 'footwear', warmth: 0, waterproof: false },
+  CLEATS: { id: 'cleats', name: 'Cleats', layer: 'footwear', emoji: '👟', slot: 'footwear', warmth: 1, waterproof: false },
+  HIKING_BOOTS: { id: 'hiking-boots', name: 'Hiking boots', layer: 'footwear', emoji: '🥾', slot: 'footwear', warmth: 2, waterproof: true },
+  WATERPROOF_MITTENS: { id: 'waterproof-mittens', name: 'Waterproof mittens', layer: 'accessory', emoji: '🧤', slot: 'hands', warmth: 4, waterproof: true },
+  NECK_WARMER: { id: 'neck-warmer', name: 'Neck warmer', layer: 'accessory', emoji: '🧣', slot: 'neck', warmth: 2, waterproof: false },
+  SHIN_GUARDS: { id: 'shin-guards', name: 'Shin guards', layer: 'accessory', emoji: '⚽', slot: 'shins', warmth: 0, waterproof: false },
+  TOWEL: { id: 'towel', name: 'Towel', layer: 'accessory', emoji: '🏖️', slot: 'supplies', warmth: 0, waterproof: false },
+  WATER_BOTTLE: { id: 'water-bottle', name: 'Water bottle', layer: 'accessory', emoji: '🥤', slot: 'supplies', warmth: 0, waterproof: false },
 };
 
 // ============================================================================
-// LOCAL STORAGE KEYS
+// ACTIVITY PROFILES
 // ============================================================================
 
+// Outings an outfit can be planned for instead of a daycare or school day
+// (clothing rules in services/activityProfiles.js). exertionF: running around
+// keeps a child this much warmer (°F), so their layers are lighter
+export const ACTIVITY_PROFILES = {
+  PLAYGROUND: { id: 'playground', name: 'Playground', emoji: '🛝', exertionF: 0 },
+  SWIMMING: { id: 'swimming', name: 'Swimming & splash pad', emoji: '🏊', exertionF: 0 },
+  SOCCER: { id: 'soccer', name: 'Soccer', emoji: '⚽', exertionF: 10 },
+  HIKING: { id: 'hiking', name: 'Hiking', emoji: '🥾', exertionF: 5 },
+  SNOW_PLAY: { id: 'snow-play', name: 'Snow play & sledding', emoji: '🛷', exertionF: 0 },
+};
+
+// ============================================================================
+// COMFORT FEEDBACK
+// ============================================================================
+
+// "Too cold / just right / too hot" ratings shift a child's layering by a
+// bounded offset (degrees F, positive = dress warmer)
+export const COMFORT_CONFIG = {
+  WINDOW: 5, // Ratings considered: the most recent this many
+  MIN_RATINGS: 2, // Fewer than this and nothing changes yet
+  STEP_F: 3, // Shift per net "too cold" (or "too hot") rating in the window
+  MAX_OFFSET_F: 9, // Never shift further than this either way
+  HISTORY: 30, // Ratings kept per child
+};
+
+// ============================================================================
+// WARDROBE
+// ============================================================================
+
+export const WARDROBE_CONFIG = {
+  MAX_WARMTH: 5, // Warmth ratings run 0 (none) to this (winter coat)
+  WARMTH_SHORTFALL: 1, // A stand-in may be this much less warm than the recommended item (with a nudge to layer up)...
+  WARMTH_EXCESS: 2, // ...or this much warmer
+};
+
+// What to call a slot in a gap ("No waterproof outer layer")
+export const WARDROBE_SLOT_LABELS = {
+  top: 'top',
+  bottom: 'bottoms',
+  mid: 'warm layer',
+  outer: 'outer layer',
+  footwear: 'footwear',
+  head: 'hat',
+  eyes: 'sunglasses',
+  hands: 'gloves or mittens',
+  neck: 'scarf',
+  swim: 'swimwear',
+  'outer-bottom': 'outer trousers',
+  shins: 'shin guards',
+};
+
+// ============================================================================
+// STORAGE KEYS
+// ============================================================================
+
+// What earlier versions kept in localStorage. The first storage migration
+// (services/storage.js) moves it all to IndexedDB, where the preferences
+// keep these keys in the preferences store.
 export const STORAGE_KEYS = {
   WEATHER_CACHE: 'tinyweather_cache',
   USER_PREFERENCES: 'tinyweather_prefs',
   CHILDREN: 'tinyweather_children',
   LAST_LOCATION: 'tinyweather_location',
+  SAVED_LOCATIONS: 'tinyweather_saved_locations',
+  DISMISSED_ALERTS: 'tinyweather_dismissed_alerts',
+};
+
+// ============================================================================
+// SAVED LOCATIONS
+// ============================================================================
+
+/**
+ * Kinds of place a family can save, with how they're shown in the switcher
+ */
+export const LOCATION_KINDS = {
+  home: { label: 'Home', emoji: '🏠' },
+  school: { label: 'School', emoji: '🏫' },
+  daycare: { label: 'Daycare', emoji: '🧸' },
+  grandparents: { label: 'Grandparents', emoji: '👵' },
+  other: { label: 'Other', emoji: '📍' },
 };
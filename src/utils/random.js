@@ -0,0 +1,38 @@
+/**
+ * Tiny Weather - Reproducible Randomness
+ *
+ * Engines take their randomness as a `random()` function (like Math.random)
+ * so tests and mock scenarios can pass a seeded one and get the same
+ * results every run.
+ */
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number | string} seed - Same seed, same sequence; strings are hashed
+ * @returns {() => number} Returns floats in [0, 1), like Math.random
+ */
+export function createSeededRandom(seed) {
+  let state = (typeof seed === 'string' ? hashString(seed) : seed) >>> 0;
+
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Stable 32-bit hash of a string (FNV-1a), for ids derived from content
+ * @param {string} text
+ * @returns {number}
+ */
+export function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
@@ -0,0 +1,234 @@
+/**
+ * Tiny Weather - Location Time Zones
+ *
+ * The forecast location isn't always where the device is (checking
+ * grandma's city three time zones away), so "morning", "pickup time" and
+ * "Saturday" have to be worked out in the location's zone, not the
+ * device's. Everything here takes an IANA zone name; passing undefined
+ * means the device's own zone.
+ */
+
+// ============================================================================
+// ZONE RESOLUTION
+// ============================================================================
+
+/**
+ * Coarse offline zone lookup for when a provider doesn't report one.
+ * First matching box wins, so narrower regions come before the ones around
+ * them. Borders are approximate - good enough to get "morning" right.
+ * [zone, south, north, west, east]
+ */
+const TIME_ZONE_REGIONS = [
+  ['Pacific/Honolulu', 18, 23, -161, -154],
+  ['America/Anchorage', 51, 72, -170, -130],
+  ['America/Phoenix', 31.3, 37, -114.8, -109.05],
+  ['America/Los_Angeles', 32, 49, -125, -114.5],
+  ['America/Denver', 31, 49, -114.5, -102],
+  ['America/Chicago', 25, 49, -102, -87.5],
+  ['America/New_York', 24, 48, -87.5, -66.9],
+  ['America/Toronto', 41.6, 57, -90, -74],
+  ['America/Vancouver', 48.2, 60, -139, -114],
+  ['America/Mexico_City', 14.5, 25, -105, -86.7],
+  ['Europe/London', 49.9, 60.9, -8.7, 1.8],
+  ['Europe/Paris', 42, 51.2, -5, 8.3],
+  ['Europe/Berlin', 47.2, 55.1, 8.3, 15.1],
+  ['Australia/Sydney', -37.6, -28.1, 141, 153.7],
+  ['Asia/Tokyo', 24, 45.6, 122.9, 146],
+];
+
+/**
+ * The device's own IANA time zone
+ * @returns {string}
+ */
+export function getDeviceTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/**
+ * Check a zone name is one Intl understands
+ * @param {*} timeZone
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone.length === 0) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Estimate a location's time zone without a network call.
+ * Known regions get their real zone (with DST); anywhere else gets a fixed
+ * offset from longitude, which can be an hour off but never a day off.
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {string} IANA zone name
+ */
+export function estimateTimeZone(lat, lng) {
+  const region = TIME_ZONE_REGIONS.find(([, south, north, west, east]) =>
+    lat >= south && lat <= north && lng >= west && lng <= east
+  );
+  if (region) return region[0];
+
+  // Etc/GMT names use POSIX signs: Etc/GMT+5 is UTC-5
+  const offset = Math.max(-12, Math.min(12, Math.round(lng / 15)));
+  if (offset === 0) return 'Etc/GMT';
+  return `Etc/GMT${offset > 0 ? '-' : '+'}${Math.abs(offset)}`;
+}
+
+/**
+ * Pick the zone to store on WeatherData: the provider's if it reported a
+ * valid one, otherwise the offline estimate
+ * @param {string | undefined} reported - Zone from the provider response
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {string}
+ */
+export function resolveTimeZone(reported, lat, lng) {
+  return isValidTimeZone(reported) ? reported : estimateTimeZone(lat, lng);
+}
+
+// ============================================================================
+// ZONED DATE PARTS
+// ============================================================================
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/** Formatters are expensive to build - keep one per zone */
+const formatters = new Map();
+
+/**
+ * @param {string | undefined} timeZone
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(timeZone) {
+  const key = timeZone || 'device';
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.DateTimeFormat('en-US', {
+      timeZone: isValidTimeZone(timeZone) ? timeZone : undefined,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short',
+    }));
+  }
+  return formatters.get(key);
+}
+
+/**
+ * Break a moment down into wall-clock parts in a zone
+ * @param {Date} date
+ * @param {string} [timeZone] - IANA zone (device zone if omitted)
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, weekday: number}}
+ *   month is 1-12, weekday is 0 (Sunday) - 6 like Date#getDay
+ */
+export function getZonedParts(date, timeZone) {
+  const parts = Object.fromEntries(
+    getFormatter(timeZone).formatToParts(date).map(({ type, value }) => [type, value])
+  );
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAYS[parts.weekday],
+  };
+}
+
+/**
+ * Hour of day (0-23) in a zone - the zone-aware Date#getHours
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @returns {number}
+ */
+export function getLocalHour(date, timeZone) {
+  return getZonedParts(date, timeZone).hour;
+}
+
+/**
+ * Day of week (0 = Sunday) in a zone - the zone-aware Date#getDay
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @returns {number}
+ */
+export function getLocalWeekday(date, timeZone) {
+  return getZonedParts(date, timeZone).weekday;
+}
+
+/**
+ * Calendar date in a zone as YYYY-MM-DD, for same-day comparisons
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @returns {string}
+ */
+export function getLocalDateKey(date, timeZone) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Whether two instants fall on the same calendar date in a zone
+ * @param {Date} a
+ * @param {Date} b
+ * @param {string} [timeZone]
+ * @returns {boolean}
+ */
+export function isSameLocalDate(a, b, timeZone) {
+  return getLocalDateKey(a, timeZone) === getLocalDateKey(b, timeZone);
+}
+
+/**
+ * Forecast hours that fall on a given calendar date in a zone
+ * @template {{time: Date}} T
+ * @param {T[]} hours
+ * @param {Date} date - Any instant on the wanted date
+ * @param {string} [timeZone]
+ * @returns {T[]}
+ */
+export function getHoursOnDate(hours, date, timeZone) {
+  const key = getLocalDateKey(date, timeZone);
+  return hours.filter(h => getLocalDateKey(new Date(h.time), timeZone) === key);
+}
+
+/**
+ * Roughly the same time of day a number of calendar days later in a zone
+ * @param {Date} date
+ * @param {number} days
+ * @param {string} [timeZone]
+ * @returns {Date} An instant on the target date
+ */
+export function addDays(date, days, timeZone) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  const wanted = new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+
+  const hourMs = 60 * 60 * 1000;
+  const result = new Date(date.getTime() + days * 24 * hourMs);
+  // A DST change in between can leave 24-hour steps an hour either side of the wanted date
+  const key = getLocalDateKey(result, timeZone);
+  if (key < wanted) return new Date(result.getTime() + hourMs);
+  if (key > wanted) return new Date(result.getTime() - hourMs);
+  return result;
+}
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Name a date relative to now: "Today", "Tomorrow", or the weekday
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export function getRelativeDayLabel(date, timeZone, now = new Date()) {
+  if (isSameLocalDate(date, now, timeZone)) return 'Today';
+  if (isSameLocalDate(date, addDays(now, 1, timeZone), timeZone)) return 'Tomorrow';
+  return WEEKDAY_NAMES[getLocalWeekday(date, timeZone)];
+}
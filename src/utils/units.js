@@ -0,0 +1,77 @@
+/**
+ * Tiny Weather - Unit Conversions
+ *
+ * Providers report in different unit systems; the app works in
+ * Fahrenheit and mph throughout.
+ */
+
+/**
+ * Convert Celsius to Fahrenheit
+ * @param {number} celsius
+ * @returns {number}
+ */
+export function celsiusToFahrenheit(celsius) {
+  if (typeof celsius !== 'number' || isNaN(celsius)) return NaN; // Validate before converting
+  return Math.round((celsius * 9/5) + 32);
+}
+
+/**
+ * Convert meters per second to mph
+ * @param {number} mps
+ * @returns {number}
+ */
+export function mpsToMph(mps) {
+  if (typeof mps !== 'number' || isNaN(mps)) return NaN;
+  return Math.round(mps * 2.237);
+}
+
+/**
+ * Convert kilometers per hour to mph
+ * @param {number} kmh
+ * @returns {number}
+ */
+export function kmhToMph(kmh) {
+  if (typeof kmh !== 'number' || isNaN(kmh)) return NaN;
+  return Math.round(kmh * 0.6214);
+}
+
+/**
+ * Convert millimeters to inches (rain totals, to the hundredth)
+ * @param {number} mm
+ * @returns {number}
+ */
+export function mmToInches(mm) {
+  if (typeof mm !== 'number' || isNaN(mm)) return NaN;
+  return Math.round(mm / 25.4 * 100) / 100;
+}
+
+/**
+ * Convert centimeters to inches (snow depths, to the tenth)
+ * @param {number} cm
+ * @returns {number}
+ */
+export function cmToInches(cm) {
+  if (typeof cm !== 'number' || isNaN(cm)) return NaN;
+  return Math.round(cm / 2.54 * 10) / 10;
+}
+
+/**
+ * Convert meters to miles (visibility, to the tenth)
+ * @param {number} meters
+ * @returns {number}
+ */
+export function metersToMiles(meters) {
+  if (typeof meters !== 'number' || isNaN(meters)) return NaN;
+  return Math.round(meters / 1609.344 * 10) / 10;
+}
+
+/**
+ * Estimate snow depth from its melted (liquid-equivalent) amount, using the
+ * usual 10:1 snow-to-liquid ratio
+ * @param {number} mm - Liquid-equivalent millimeters
+ * @returns {number} Inches of snow
+ */
+export function snowWaterToInches(mm) {
+  if (typeof mm !== 'number' || isNaN(mm)) return NaN;
+  return Math.round(mm * 10 / 25.4 * 10) / 10;
+}
@@ -1,10 +1,48 @@
 
-  import { defineConfig } from 'vite';
+  import { defineConfig, type Plugin, type ResolvedConfig } from 'vite';
   import react from '@vitejs/plugin-react-swc';
   import path from 'path';
+  import fs from 'fs';
+  import { createHash } from 'crypto';
+
+  /**
+   * Emit src/sw.js as /sw.js with the build's files as its precache list, so
+   * the installed app opens offline. The version changes whenever a file
+   * does, which makes browsers install the new worker.
+   */
+  function serviceWorker(): Plugin {
+    let config: ResolvedConfig;
+    return {
+      name: 'tinyweather-service-worker',
+      apply: 'build',
+      enforce: 'post',
+      configResolved(resolved) {
+        config = resolved;
+      },
+      generateBundle(_options, bundle) {
+        const publicFiles = config.publicDir && fs.existsSync(config.publicDir)
+          ? fs.readdirSync(config.publicDir).filter(file => fs.statSync(path.join(config.publicDir, file)).isFile())
+          : [];
+        const files = [...Object.keys(bundle), ...publicFiles].filter(file => !file.endsWith('.map')).sort();
+        const urls = [config.base, ...files.map(file => `${config.base}${file}`)];
+        const hash = createHash('sha256');
+        for (const output of Object.values(bundle)) {
+          hash.update(output.type === 'chunk' ? output.code : output.source);
+        }
+        for (const file of publicFiles) hash.update(fs.readFileSync(path.join(config.publicDir, file)));
+        const version = hash.digest('hex').slice(0, 12);
+
+        const source = fs.readFileSync(path.resolve(__dirname, 'src/sw.js'), 'utf8')
+          .replace('__CACHE_VERSION__', JSON.stringify(version))
+          .replace('__PRECACHE_URLS__', JSON.stringify(urls))
+          .replace('__SHELL_URL__', JSON.stringify(`${config.base}index.html`));
+        this.emitFile({ type: 'asset', fileName: 'sw.js', source });
+      },
+    };
+  }
 
   export default defineConfig({
-    plugins: [react()],
+    plugins: [react(), serviceWorker()],
     resolve: {
       extensions: ['.js', '.jsx', '.ts', '.tsx', '.json'],
       alias: {